@@ -25,7 +25,10 @@ export default defineComponent({
     const status = ref({
       available: false,
       apiKeyConfigured: false,
+      provider: null,
+      providers: [],
       metrics: {},
+      cache: {},
       timestamp: null
     });
     const loading = ref(false);
@@ -34,7 +37,9 @@ export default defineComponent({
     
     // Configuration form
     const configForm = reactive({
+      provider: 'openai',
       apiKey: '',
+      model: '',
       validating: false,
       error: null,
       success: null
@@ -53,9 +58,12 @@ export default defineComponent({
             available: response.openai.available,
             apiKeyConfigured: response.openai.envInfo.apiKeyConfigured,
             apiKeyMasked: response.openai.envInfo.apiKeyMasked,
+            provider: response.openai.provider || null,
+            providers: response.providers || ['openai'],
             simulatingFailure: response.openai.simulatingFailure,
             rateLimited: response.openai.rateLimited,
             metrics: response.openai.metricsSnapshot || {},
+            cache: response.openai.cache || {},
             timestamp: response.timestamp || new Date().toISOString()
           };
           
@@ -179,6 +187,32 @@ export default defineComponent({
       }
     };
     
+    // Switch to the local or mock provider
+    const configureProvider = async () => {
+      configForm.validating = true;
+      configForm.error = null;
+      configForm.success = null;
+      
+      try {
+        const configResponse = await aiStatusApi.configureProvider({
+          provider: configForm.provider,
+          ...(configForm.model ? { model: configForm.model } : {})
+        });
+        
+        if (configResponse.success) {
+          configForm.success = configResponse.message;
+          await fetchStatus();
+          emit('apiKeyConfigured', { configured: true, requiresRestart: false });
+        } else {
+          configForm.error = configResponse.message || 'Failed to configure provider';
+        }
+      } catch (err) {
+        configForm.error = err.message || 'An error occurred while configuring the provider';
+      } finally {
+        configForm.validating = false;
+      }
+    };
+    
     // Reset to environment API key
     const resetToEnvApiKey = async () => {
       configForm.validating = true;
@@ -238,6 +272,7 @@ export default defineComponent({
       resetMetrics,
       clearCache,
       configureApiKey,
+      configureProvider,
       resetToEnvApiKey
     };
   },
@@ -274,6 +309,16 @@ export default defineComponent({
           </button>
         </div>
         
+        <!-- Provider -->
+        <div v-if="status.provider" class="flex items-center">
+          <div class="badge badge-info mr-2">
+            PROVIDER: {{ status.provider.name.toUpperCase() }}
+          </div>
+          <span class="text-sm">
+            {{ status.provider.model }}<span v-if="status.provider.baseUrl"> at {{ status.provider.baseUrl }}</span>
+          </span>
+        </div>
+        
         <!-- API Key status -->
         <div class="flex items-center">
           <div class="mr-2">
@@ -310,15 +355,24 @@ export default defineComponent({
               </tr>
               <tr>
                 <td class="font-semibold">Cache Hits</td>
-                <td>{{ status.metrics.cacheHits || 0 }}</td>
+                <td>
+                  {{ status.cache.hits || 0 }}
+                  <span class="text-xs opacity-70">({{ status.cache.memoryHits || 0 }} memory, {{ status.cache.persistentHits || 0 }} stored)</span>
+                </td>
+              </tr>
+              <tr>
+                <td class="font-semibold">Cache Misses</td>
+                <td>{{ status.cache.misses || 0 }}</td>
               </tr>
               <tr>
                 <td class="font-semibold">Cache Hit Rate</td>
-                <td>{{ status.metrics.cacheHitRate || 0 }}%</td>
+                <td>{{ status.cache.hitRate || 0 }}%</td>
               </tr>
               <tr>
                 <td class="font-semibold">Cache Size</td>
-                <td>{{ status.metrics.cacheSize || 0 }} items</td>
+                <td>
+                  {{ status.cache.memoryEntries || 0 }} in memory<span v-if="status.cache.storedEntries !== null && status.cache.storedEntries !== undefined">, {{ status.cache.storedEntries }} stored</span>
+                </td>
               </tr>
               <tr>
                 <td class="font-semibold">Errors</td>
@@ -347,9 +401,57 @@ export default defineComponent({
         
         <!-- Configuration options -->
         <div v-if="showConfigOptions" class="mt-4 pt-4 border-t border-base-300">
-          <h4 class="text-sm font-semibold mb-2">Configure API Key</h4>
+          <h4 class="text-sm font-semibold mb-2">Configure AI Provider</h4>
+          
+          <div class="mb-2">
+            <select class="select select-bordered select-sm w-full" v-model="configForm.provider">
+              <option v-for="name in status.providers" :key="name" :value="name">
+                {{ name === 'openai' ? 'OpenAI' : name === 'local' ? 'Local (OpenAI-compatible)' : 'Mock (testing)' }}
+              </option>
+            </select>
+          </div>
+          
+          <div v-if="configForm.provider !== 'openai'" class="space-y-2">
+            <div v-if="configForm.provider === 'local'" class="text-xs opacity-70">
+              Uses the server set in LLM_BASE_URL
+            </div>
+            <div>
+              <input 
+                type="text" 
+                class="input input-bordered input-sm w-full" 
+                placeholder="Model (optional)" 
+                v-model="configForm.model"
+              />
+            </div>
+            
+            <div class="flex justify-between">
+              <button 
+                class="btn btn-sm btn-outline btn-warning" 
+                @click="resetToEnvApiKey"
+                :disabled="configForm.validating"
+              >
+                Reset to Original
+              </button>
+              <button 
+                class="btn btn-sm btn-primary" 
+                @click="configureProvider"
+                :disabled="configForm.validating"
+              >
+                <span v-if="configForm.validating" class="loading loading-spinner loading-xs"></span>
+                <span v-else>Use Provider</span>
+              </button>
+            </div>
+            
+            <div v-if="configForm.error" class="alert alert-error alert-sm py-2 text-sm">
+              {{ configForm.error }}
+            </div>
+            
+            <div v-if="configForm.success" class="alert alert-success alert-sm py-2 text-sm">
+              {{ configForm.success }}
+            </div>
+          </div>
           
-          <div v-if="!status.apiKeyConfigured || status.simulatingFailure" class="space-y-2">
+          <div v-else-if="!status.apiKeyConfigured || status.simulatingFailure" class="space-y-2">
             <div>
               <input 
                 type="text" 
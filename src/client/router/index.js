@@ -7,6 +7,8 @@ import TransactionList from '../views/TransactionList.vue';
 import CategoryManagement from '../views/CategoryManagement.vue';
 import Settings from '../views/Settings.vue';
 import ReviewQueue from '../views/ReviewQueue.vue';
+import Login from '../views/Login.vue';
+import { authStorage } from '../services/api';
 
 // Define routes
 const routes = [
@@ -45,6 +47,12 @@ const routes = [
     name: 'Settings',
     component: Settings,
     meta: { title: 'Settings' }
+  },
+  {
+    path: '/login',
+    name: 'Login',
+    component: Login,
+    meta: { title: 'Sign In', public: true }
   }
 ];
 
@@ -54,9 +62,13 @@ const router = createRouter({
   routes
 });
 
-// Update document title based on route
+// Update document title based on route and send signed-out users to the login page
 router.beforeEach((to, from, next) => {
   document.title = to.meta.title ? `Budget App | ${to.meta.title}` : 'Budget App';
+
+  if (!to.meta.public && !authStorage.isSignedIn()) {
+    return next({ name: 'Login', query: { redirect: to.fullPath } });
+  }
   next();
 });
 
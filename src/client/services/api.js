@@ -67,7 +67,9 @@ const transactionsApi = {
   },
   
   // Confirm a transaction upload - only called at the END of enrichment flow
-  confirmUpload: async (uploadId) => {
+  // options.duplicateAction: 'skip' | 'merge' | 'import' for rows flagged as duplicates
+  // options.duplicateResolutions: per-row overrides keyed by row index
+  confirmUpload: async (uploadId, options = {}) => {
     try {
       console.log(`🔍 [API] Confirming upload with ID: ${uploadId}`);
       
@@ -75,7 +77,8 @@ const transactionsApi = {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
-        }
+        },
+        body: JSON.stringify(options)
       });
       
       const result = await handleResponse(response);
@@ -87,19 +90,29 @@ const transactionsApi = {
     }
   },
   
-  // Process uploaded file but don't save transactions yet
-  processUpload: async (uploadId) => {
+  // Process uploaded file but don't save transactions yet. Processing runs as a
+  // background job; onProgress receives the job while it is polled
+  processUpload: async (uploadId, onProgress) => {
     try {
       console.log(`🔍 [API] Processing upload with ID: ${uploadId}`);
-      
+
       const response = await fetch(`${API_BASE_URL}/uploads/${uploadId}/process`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         }
       });
-      
-      return await handleResponse(response);
+
+      const { jobId } = await handleResponse(response);
+      for (;;) {
+        const job = await fetchWithRetry(`${API_BASE_URL}/jobs/${jobId}`);
+        if (onProgress) onProgress(job);
+        if (job.status === 'completed') return job.result;
+        if (job.status === 'failed' || job.status === 'cancelled') {
+          throw new Error(job.error || `Upload processing ${job.status}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
     } catch (error) {
       console.error('Error processing upload:', error);
       throw error;
@@ -123,6 +136,16 @@ const transactionsApi = {
     }
   },
   
+  // Get processed rows flagged as likely duplicates of existing transactions
+  getUploadDuplicates: async (uploadId) => {
+    try {
+      return await fetchWithRetry(`${API_BASE_URL}/uploads/${uploadId}/duplicates`);
+    } catch (error) {
+      console.error('Error fetching upload duplicates:', error);
+      throw error;
+    }
+  },
+  
   // Get upload batches
   getUploadBatches: async (uploadId) => {
     try {
@@ -212,6 +235,56 @@ const API_URL = process.env.NODE_ENV === 'production'
   ? '/api' 
   : 'http://localhost:5000/api';
 
+// Session token and selected wallet, kept across page reloads
+const TOKEN_KEY = 'pennydash.token';
+const WALLET_KEY = 'pennydash.walletId';
+
+export const authStorage = {
+  getToken: () => localStorage.getItem(TOKEN_KEY),
+  getWalletId: () => localStorage.getItem(WALLET_KEY),
+  isSignedIn: () => !!localStorage.getItem(TOKEN_KEY),
+  setSession: (token, walletId) => {
+    localStorage.setItem(TOKEN_KEY, token);
+    authStorage.setWalletId(walletId);
+  },
+  setWalletId: (walletId) => {
+    if (walletId) {
+      localStorage.setItem(WALLET_KEY, walletId);
+    } else {
+      localStorage.removeItem(WALLET_KEY);
+    }
+  },
+  clear: () => {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(WALLET_KEY);
+  }
+};
+
+/**
+ * Headers identifying the user and the wallet a request acts on
+ * @returns {Object} Authorization and X-Wallet-Id headers
+ */
+const authHeaders = () => {
+  const headers = {};
+  const token = authStorage.getToken();
+  const walletId = authStorage.getWalletId();
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (walletId) headers['X-Wallet-Id'] = walletId;
+  return headers;
+};
+
+/**
+ * Send the user to the sign-in page when their session has ended
+ * @param {Response} response - Fetch response
+ */
+const handleUnauthorized = (response) => {
+  if (response.status !== 401 || window.location.pathname === '/login') return;
+
+  authStorage.clear();
+  const redirect = encodeURIComponent(window.location.pathname + window.location.search);
+  window.location.assign(`/login?redirect=${redirect}`);
+};
+
 /**
  * Make a GET request to the API
  * @param {string} endpoint - API endpoint
@@ -232,9 +305,11 @@ export const fetchData = async (endpoint, options = {}) => {
 
     const response = await fetch(`${API_URL}${endpoint}`, {
       signal: controller.signal,
+      credentials: 'include',
       ...options,
       headers: {
         ...options.headers,
+        ...authHeaders(),
         'Cache-Control': 'no-cache',
         'Pragma': 'no-cache'
       }
@@ -242,6 +317,7 @@ export const fetchData = async (endpoint, options = {}) => {
 
     // Clear timeout once response is received
     clearTimeout(timeoutId);
+    handleUnauthorized(response);
 
     // Debug logging for issues
     console.log(`🔍 [API] Response status for ${endpoint}:`, response.status, response.statusText);
@@ -320,11 +396,14 @@ export const postData = async (endpoint, data) => {
   try {
     const response = await fetch(`${API_URL}${endpoint}`, {
       method: 'POST',
+      credentials: 'include',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders()
       },
       body: JSON.stringify(data)
     });
+    handleUnauthorized(response);
 
     // Debug logging for issues
     console.log(`🔍 [API] Response status for ${endpoint}:`, response.status, response.statusText);
@@ -381,11 +460,14 @@ export const putData = async (endpoint, data) => {
   try {
     const response = await fetch(`${API_URL}${endpoint}`, {
       method: 'PUT',
+      credentials: 'include',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...authHeaders()
       },
       body: JSON.stringify(data)
     });
+    handleUnauthorized(response);
 
     // Debug logging for issues
     console.log(`🔍 [API] Response status for ${endpoint}:`, response.status, response.statusText);
@@ -430,6 +512,37 @@ export const putData = async (endpoint, data) => {
   }
 };
 
+/**
+ * Make a PATCH request to the API
+ * @param {string} endpoint - API endpoint
+ * @param {Object} data - Data to send
+ * @returns {Promise} Promise with the response data
+ */
+export const patchData = async (endpoint, data) => {
+  try {
+    const response = await fetch(`${API_URL}${endpoint}`, {
+      method: 'PATCH',
+      credentials: 'include',
+      headers: {
+        'Content-Type': 'application/json',
+        ...authHeaders()
+      },
+      body: JSON.stringify(data)
+    });
+    handleUnauthorized(response);
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP error ${response.status}`);
+    }
+
+    return await response.json();
+  } catch (error) {
+    console.error(`Error patching ${endpoint}:`, error);
+    throw error;
+  }
+};
+
 /**
  * Make a DELETE request to the API
  * @param {string} endpoint - API endpoint
@@ -438,8 +551,11 @@ export const putData = async (endpoint, data) => {
 export const deleteData = async (endpoint) => {
   try {
     const response = await fetch(`${API_URL}${endpoint}`, {
-      method: 'DELETE'
+      method: 'DELETE',
+      credentials: 'include',
+      headers: authHeaders()
     });
+    handleUnauthorized(response);
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
@@ -459,15 +575,21 @@ export const deleteData = async (endpoint) => {
  * @param {File} file - File to upload
  * @returns {Promise} Promise with the response data
  */
-export const uploadFile = async (endpoint, file) => {
+export const uploadFile = async (endpoint, file, fields = {}) => {
   try {
     const formData = new FormData();
     formData.append('file', file);
+    Object.entries(fields).forEach(([name, value]) => {
+      formData.append(name, typeof value === 'object' ? JSON.stringify(value) : value);
+    });
 
     const response = await fetch(`${API_URL}${endpoint}`, {
       method: 'POST',
+      credentials: 'include',
+      headers: authHeaders(),
       body: formData
     });
+    handleUnauthorized(response);
 
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
@@ -484,6 +606,14 @@ export const uploadFile = async (endpoint, file) => {
 // Transactions API
 export const transactionsApi = {
   getAll: () => fetchData('/transactions'),
+  // Filtered, sorted page: resolves to { transactions, pagination }
+  getPage: (params = {}) => fetchData(`/transactions?${new URLSearchParams(params)}`),
+  // Ids of every transaction matching the filters: resolves to { ids, total }
+  getIds: (params = {}) => fetchData(`/transactions?${new URLSearchParams({ ...params, idsOnly: 'true' })}`),
+  // Download link for the filtered export (format: csv, xlsx or ofx)
+  getExportUrl: (format = 'csv', params = {}) => `${API_URL}/transactions/export?${new URLSearchParams({ ...params, format })}`,
+  // Change history, newest first
+  getHistory: (id) => fetchData(`/transactions/${id}/history`),
   getById: (id) => fetchData(`/transactions/${id}`),
   create: (data) => postData('/transactions', data),
   update: (id, data) => putData(`/transactions/${id}`, data),
@@ -491,6 +621,9 @@ export const transactionsApi = {
   upload: (file) => uploadFile('/transactions/upload', file),
   uploadFile: (formData) => uploadFile('/transactions/upload', formData),
   batchCategorize: (data) => postData('/transactions/batch-categorize', data),
+  // Edit or delete many transactions: { ids } or { filter }, plus { changes }
+  // or { delete: true }; dryRun: true only counts. Resolves to { matched, updated, deleted, locked }
+  bulkEdit: (data) => patchData('/transactions/bulk', data),
   updateCategory: (transactionIds, categoryId) => postData('/transactions/batch-categorize', { transactionIds, categoryId }),
   suggestCategory: (id, confidenceThreshold) => fetchData(`/transactions/${id}/suggest-category${confidenceThreshold ? `?threshold=${confidenceThreshold}` : ''}`),
   findSimilar: (id, threshold) => fetchData(`/transactions/${id}/similar?threshold=${threshold}`),
@@ -574,13 +707,15 @@ export const transactionsApi = {
 
         const response = await fetch(`${API_URL}/transactions/batches/${batchId}/enrich`, {
           method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          headers: { 'Content-Type': 'application/json', ...authHeaders() },
           body: JSON.stringify(enrichData),
           signal: controller.signal
         });
 
         // Clear timeout
         clearTimeout(timeoutId);
+        handleUnauthorized(response);
 
         if (!response.ok) {
           let errorMessage = `HTTP error ${response.status}`;
@@ -696,13 +831,15 @@ export const transactionsApi = {
 
         const response = await fetch(`${API_URL}/transactions/${transactionId}/reviewed`, {
           method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          headers: { 'Content-Type': 'application/json', ...authHeaders() },
           body: JSON.stringify({ reviewed: true }),
           signal: controller.signal
         });
 
         // Clear timeout
         clearTimeout(timeoutId);
+        handleUnauthorized(response);
 
         if (!response.ok) {
           let errorMessage = `HTTP error ${response.status}`;
@@ -784,13 +921,15 @@ export const transactionsApi = {
 
         const response = await fetch(`${API_URL}/transactions/${id}`, {
           method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
+          credentials: 'include',
+          headers: { 'Content-Type': 'application/json', ...authHeaders() },
           body: JSON.stringify(data),
           signal: controller.signal
         });
 
         // Clear timeout
         clearTimeout(timeoutId);
+        handleUnauthorized(response);
 
         if (!response.ok) {
           let errorMessage = `HTTP error ${response.status}`;
@@ -846,30 +985,208 @@ export const transactionsApi = {
   }
 };
 
+// Transaction splits API
+export const splitsApi = {
+  getAll: (transactionId) => fetchData(`/transactions/${transactionId}/splits`),
+  save: (transactionId, splits) => putData(`/transactions/${transactionId}/splits`, { splits }),
+  delete: (transactionId) => deleteData(`/transactions/${transactionId}/splits`)
+};
+
 // Categories API
 export const categoriesApi = {
   getAll: () => fetchData('/categories'),
   getById: (id) => fetchData(`/categories/${id}`),
   create: (data) => postData('/categories', data),
   update: (id, data) => putData(`/categories/${id}`, data),
-  delete: (id) => deleteData(`/categories/${id}`),
-  getTransactions: (id) => fetchData(`/categories/${id}/transactions`)
+  // With reassignTo, everything using the category moves to that category first
+  delete: (id, reassignTo = null) => deleteData(
+    reassignTo ? `/categories/${id}?reassignTo=${encodeURIComponent(reassignTo)}` : `/categories/${id}`
+  ),
+  getTransactions: (id) => fetchData(`/categories/${id}/transactions`),
+  getHistory: (id) => fetchData(`/categories/${id}/history`),
+  // Merge a category into targetId; dryRun returns the counts without changing anything
+  merge: (id, targetId, dryRun = false) => postData(`/categories/${id}/merge`, { targetId, dryRun })
+};
+
+// Audit log API: who changed what, and single-change reverts
+export const auditLogApi = {
+  // Filters: entityType, entityId, source, action, userId, limit, offset
+  getAll: (params = {}) => fetchData(`/audit-log?${new URLSearchParams(params)}`),
+  getById: (id) => fetchData(`/audit-log/${id}`),
+  // options: { force, confirmReconciled }
+  revert: (id, options = {}) => postData(`/audit-log/${id}/revert`, options)
 };
 
 // Reports API
+// Report parameters: period (e.g. 'this-month', 'ytd' or a custom period
+// name), from/to, compare ('previous' or 'year'), accountId and tags
+const reportQuery = (params = {}) => {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString();
+  return query ? `?${query}` : '';
+};
+
 export const reportsApi = {
-  getDashboard: () => fetchData('/reports/dashboard'),
-  getByCategory: () => fetchData('/reports/by-category'),
-  getMonthlyTotals: () => fetchData('/reports/monthly-totals'),
-  getIncomeVsExpenses: () => fetchData('/reports/income-vs-expenses'),
-  getTopMerchants: (limit = 10) => fetchData(`/reports/top-merchants?limit=${limit}`),
-  getCategorizationStatus: () => fetchData('/reports/categorization-status'),
-  getSpendingTrends: (months = 6) => fetchData(`/reports/spending-trends?months=${months}`)
+  getDashboard: (params) => fetchData(`/reports/dashboard${reportQuery(params)}`),
+  getByCategory: (params) => fetchData(`/reports/by-category${reportQuery(params)}`),
+  getMonthlyTotals: (params) => fetchData(`/reports/monthly-totals${reportQuery(params)}`),
+  getIncomeVsExpenses: (params) => fetchData(`/reports/income-vs-expenses${reportQuery(params)}`),
+  getTopMerchants: (limit = 10, params = {}) => fetchData(`/reports/top-merchants${reportQuery({ limit, ...params })}`),
+  getCategorizationStatus: (params) => fetchData(`/reports/categorization-status${reportQuery(params)}`),
+  getSpendingTrends: (months = 6, params = {}) => fetchData(`/reports/spending-trends${reportQuery({ months, ...params })}`),
+  getBudgetProgress: () => fetchData('/reports/budgets')
+};
+
+// Budgets API
+export const budgetsApi = {
+  getAll: () => fetchData('/budgets'),
+  getById: (id) => fetchData(`/budgets/${id}`),
+  create: (data) => postData('/budgets', data),
+  update: (id, data) => putData(`/budgets/${id}`, data),
+  delete: (id) => deleteData(`/budgets/${id}`)
+};
+
+// Accounts API
+export const accountsApi = {
+  getAll: () => fetchData('/accounts'),
+  getById: (id) => fetchData(`/accounts/${id}`),
+  create: (data) => postData('/accounts', data),
+  update: (id, data) => putData(`/accounts/${id}`, data),
+  delete: (id) => deleteData(`/accounts/${id}`),
+  merge: (id, targetId) => postData(`/accounts/${id}/merge`, { targetId }),
+  match: (filename, metadata) => postData('/accounts/match', { filename, metadata }),
+  backfill: () => postData('/accounts/backfill', {}),
+  getBalanceBreaks: (id) => fetchData(`/accounts/${id}/balance-breaks`),
+  reconcile: (id, statement) => postData(`/accounts/${id}/reconcile`, statement),
+  getReconciliations: (id) => fetchData(`/accounts/${id}/reconciliations`),
+  markReconciled: (id, statement) => postData(`/accounts/${id}/reconciliations`, statement),
+  deleteReconciliation: (id, reconciliationId) => deleteData(`/accounts/${id}/reconciliations/${reconciliationId}`)
+};
+
+// Merchant directory API
+export const merchantsApi = {
+  getAll: (params = {}) => fetchData(`/merchants?${new URLSearchParams(params)}`),
+  getById: (id) => fetchData(`/merchants/${id}`),
+  create: (data) => postData('/merchants', data),
+  update: (id, data) => putData(`/merchants/${id}`, data),
+  delete: (id) => deleteData(`/merchants/${id}`),
+  merge: (id, targetId) => postData(`/merchants/${id}/merge`, { targetId }),
+  clean: (descriptions) => postData('/merchants/clean', { descriptions }),
+  backfill: () => postData('/merchants/backfill', {})
+};
+
+// CSV import profiles API
+export const importProfilesApi = {
+  getAll: () => fetchData('/import-profiles'),
+  getById: (id) => fetchData(`/import-profiles/${id}`),
+  create: (data) => postData('/import-profiles', data),
+  update: (id, data) => putData(`/import-profiles/${id}`, data),
+  delete: (id) => deleteData(`/import-profiles/${id}`),
+  preview: (content, options = {}) => postData('/import-profiles/preview', { content, ...options }),
+  // PDF statements are sent as a file; options may hold profileId, profile and rows
+  previewPdf: (file, options = {}) => uploadFile('/import-profiles/preview', file, options)
+};
+
+// Recurring transactions (subscriptions) API
+export const recurringApi = {
+  getAll: (params = {}) => fetchData(`/recurring?${new URLSearchParams(params)}`),
+  getById: (id) => fetchData(`/recurring/${id}`),
+  getMissing: () => fetchData('/recurring/missing'),
+  getPriceChanges: () => fetchData('/recurring/price-changes'),
+  detect: (options = {}) => postData('/recurring/detect', options),
+  update: (id, data) => putData(`/recurring/${id}`, data),
+  delete: (id) => deleteData(`/recurring/${id}`)
+};
+
+// Exchange rates API
+export const exchangeRatesApi = {
+  getAll: (params = {}) => fetchData(`/exchange-rates?${new URLSearchParams(params)}`),
+  getMissing: () => fetchData('/exchange-rates/missing'),
+  convert: (params) => fetchData(`/exchange-rates/convert?${new URLSearchParams(params)}`),
+  create: (data) => postData('/exchange-rates', data),
+  update: (id, data) => putData(`/exchange-rates/${id}`, data),
+  delete: (id) => deleteData(`/exchange-rates/${id}`),
+  importCsv: (file) => uploadFile('/exchange-rates/import', file),
+  importContent: (content, options = {}) => postData('/exchange-rates/import', { content, ...options })
+};
+
+// Background jobs API
+export const jobsApi = {
+  getAll: (params = {}) => fetchData(`/jobs?${new URLSearchParams(params)}`),
+  getById: (id) => fetchData(`/jobs/${id}`),
+  cancel: (id) => postData(`/jobs/${id}/cancel`, {}),
+  retry: (id) => postData(`/jobs/${id}/retry`, {}),
+
+  // Poll a job until it completes or fails. onProgress receives the job after
+  // every poll. Resolves with the job's result, rejects with its error.
+  waitFor: async (id, onProgress, interval = 1000) => {
+    for (;;) {
+      const job = await jobsApi.getById(id);
+      if (onProgress) onProgress(job);
+      if (job.status === 'completed') return job.result;
+      if (job.status === 'failed' || job.status === 'cancelled') {
+        throw new Error(job.error || `Job ${job.status}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  }
+};
+
+// Upload processing API (runs as background jobs, see jobsApi)
+export const uploadsApi = {
+  process: (uploadId, options = {}) => postData(`/uploads/${uploadId}/process`, options),
+  autoBatches: (uploadId) => postData(`/uploads/${uploadId}/auto-batches`, {}),
+  getBatches: (uploadId) => fetchData(`/uploads/${uploadId}/batches`),
+  // options: duplicateAction, duplicateResolutions, skipInvalidRows
+  confirm: (uploadId, options = {}) => postData(`/uploads/${uploadId}/confirm`, options),
+  // Deletes every transaction and batch the upload created
+  undo: (uploadId, options = {}) => postData(`/uploads/${uploadId}/undo`, options),
+  getJobs: (uploadId) => jobsApi.getAll({ uploadId })
+};
+
+// Auth API
+export const authApi = {
+  // Resolves to { token, expiresAt, user, wallets }; the session is stored
+  login: async (email, password) => {
+    const result = await postData('/auth/login', { email, password });
+    authStorage.setSession(result.token, authStorage.getWalletId() || result.user.defaultWalletId);
+    return result;
+  },
+  register: async (data) => {
+    const result = await postData('/auth/register', data);
+    authStorage.setSession(result.token, result.user.defaultWalletId);
+    return result;
+  },
+  logout: async () => {
+    try {
+      await postData('/auth/logout', {});
+    } finally {
+      authStorage.clear();
+    }
+  },
+  // Resolves to { user, wallets, currentWallet }
+  me: () => fetchData('/auth/me'),
+  updateMe: (data) => putData('/auth/me', data)
+};
+
+// Wallets API: shared households and their members
+export const walletsApi = {
+  getAll: () => fetchData('/wallets'),
+  getById: (id) => fetchData(`/wallets/${id}`),
+  create: (data) => postData('/wallets', data),
+  update: (id, data) => putData(`/wallets/${id}`, data),
+  delete: (id) => deleteData(`/wallets/${id}?confirm=true`),
+  // Switch the wallet later requests act on
+  select: (id) => authStorage.setWalletId(id),
+  addMember: (id, email, role) => postData(`/wallets/${id}/members`, { email, role }),
+  updateMember: (id, userId, role) => putData(`/wallets/${id}/members/${userId}`, { role }),
+  removeMember: (id, userId) => deleteData(`/wallets/${id}/members/${userId}`)
 };
 
 // Settings API
 export const settingsApi = {
-  get: () => fetchData('/settings'),
+  get:() => fetchData('/settings'),
   update: (data) => putData('/settings', data)
 };
 
@@ -884,6 +1201,9 @@ export const aiStatusApi = {
   // Configure an OpenAI API key for the current session
   configureApiKey: (apiKey) => postData('/ai-status/configure', { apiKey }),
 
+  // Switch AI provider for the current session ({ provider, baseUrl, model, apiKey } or { reset: true })
+  configureProvider: (config) => postData('/ai-status/configure', config),
+
   // Reset metrics for AI services
   resetMetrics: () => postData('/ai-status/reset-metrics', {}),
 
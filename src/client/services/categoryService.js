@@ -53,12 +53,13 @@ export const getExpenseCategories = (categories) => {
  * Format amount as currency
  * @param {number} amount - Amount to format
  * @param {string} locale - Locale for formatting
+ * @param {string} currency - ISO currency code
  * @returns {string} Formatted amount
  */
-export const formatCurrency = (amount, locale = 'en-US') => {
+export const formatCurrency = (amount, locale = 'en-US', currency = 'USD') => {
   return new Intl.NumberFormat(locale, {
     style: 'currency',
-    currency: 'USD',
+    currency,
   }).format(amount || 0);
 };
 
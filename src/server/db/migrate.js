@@ -0,0 +1,59 @@
+/**
+ * Command line entry point for schema migrations, using DATABASE_URL.
+ *
+ *   node src/server/db/migrate.js up [--to <migration>]
+ *   node src/server/db/migrate.js down [--steps <n> | --to <migration>]
+ *   node src/server/db/migrate.js status
+ */
+const { createSequelize } = require('./sequelize');
+const { migrate, rollback, getMigrationStatus } = require('./migrator');
+
+const USAGE = 'Usage: migrate.js <up|down|status> [--to <migration>] [--steps <n>]';
+
+/**
+ * Parse "--name value" options following the command
+ * @param {Array} args - Arguments after the command
+ * @returns {Object} Parsed options
+ */
+function parseOptions(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '');
+    if (!['to', 'steps'].includes(name) || args[i + 1] === undefined) {
+      throw new Error(USAGE);
+    }
+    options[name] = args[i + 1];
+  }
+  return options;
+}
+
+async function main(argv) {
+  const [command = 'up', ...args] = argv;
+  const options = parseOptions(args);
+  const sequelize = createSequelize();
+
+  try {
+    if (command === 'up') {
+      const applied = await migrate(sequelize, options);
+      console.log(applied.length > 0 ? `Applied: ${applied.join(', ')}` : 'Nothing to migrate');
+    } else if (command === 'down') {
+      const reverted = await rollback(sequelize, options);
+      console.log(reverted.length > 0 ? `Reverted: ${reverted.join(', ')}` : 'Nothing to roll back');
+    } else if (command === 'status') {
+      const status = await getMigrationStatus(sequelize);
+      status.forEach(item => {
+        const state = item.applied ? `applied ${item.appliedAt.toISOString()}` : 'pending';
+        console.log(`${item.name}  ${state}${item.missing ? ' (file missing)' : ''}`);
+      });
+    } else {
+      throw new Error(USAGE);
+    }
+  } finally {
+    await sequelize.close();
+  }
+}
+
+main(process.argv.slice(2)).catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
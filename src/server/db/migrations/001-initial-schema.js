@@ -0,0 +1,547 @@
+/**
+ * The schema as model sync() left it before migrations were introduced,
+ * including transactions.upload_id / batch_id and jobs.upload_id as VARCHAR
+ * (002 converts them). On a database that sync() already created, existing
+ * tables are kept and only missing tables, columns, indexes and enum values
+ * are added.
+ */
+const { DataTypes } = require('sequelize');
+
+const timestamps = () => ({
+  created_at: { type: DataTypes.DATE, allowNull: false },
+  updated_at: { type: DataTypes.DATE, allowNull: false }
+});
+
+const uuidKey = () => ({ type: DataTypes.UUID, primaryKey: true, allowNull: false });
+
+const reference = (table, onDelete) => ({
+  references: { model: table, key: 'id' },
+  ...(onDelete ? { onDelete } : {}),
+  onUpdate: 'CASCADE'
+});
+
+// Tables in creation order (referenced tables first), with their indexes
+const tables = (sequelize) => [
+  {
+    name: 'users',
+    columns: {
+      id: uuidKey(),
+      email: { type: DataTypes.STRING, allowNull: false, unique: true },
+      name: { type: DataTypes.STRING, allowNull: false },
+      password_hash: { type: DataTypes.STRING, allowNull: false },
+      default_wallet_id: { type: DataTypes.UUID },
+      is_active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      last_login_at: { type: DataTypes.DATE },
+      ...timestamps()
+    },
+    indexes: []
+  },
+  {
+    name: 'wallets',
+    columns: {
+      id: uuidKey(),
+      name: { type: DataTypes.STRING, allowNull: false },
+      description: { type: DataTypes.TEXT, defaultValue: '' },
+      budget: { type: DataTypes.DECIMAL(10, 2), allowNull: false, defaultValue: 0 },
+      owner_user_id: { type: DataTypes.UUID, allowNull: false, ...reference('users') },
+      currency: { type: DataTypes.STRING(3), allowNull: false, defaultValue: 'USD' },
+      icon: { type: DataTypes.STRING, allowNull: false, defaultValue: 'wallet' },
+      color: { type: DataTypes.STRING, allowNull: false, defaultValue: '#7C3AED' },
+      ...timestamps()
+    },
+    indexes: []
+  },
+  {
+    name: 'wallet_members',
+    columns: {
+      id: uuidKey(),
+      wallet_id: { type: DataTypes.UUID, allowNull: false, ...reference('wallets', 'CASCADE') },
+      user_id: { type: DataTypes.UUID, allowNull: false, ...reference('users', 'CASCADE') },
+      role: { type: DataTypes.ENUM('owner', 'editor', 'viewer'), allowNull: false, defaultValue: 'viewer' },
+      ...timestamps()
+    },
+    indexes: [
+      { fields: ['wallet_id', 'user_id'], unique: true },
+      { fields: ['user_id'] }
+    ]
+  },
+  {
+    name: 'sessions',
+    columns: {
+      id: uuidKey(),
+      user_id: { type: DataTypes.UUID, allowNull: false, ...reference('users', 'CASCADE') },
+      token_hash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+      expires_at: { type: DataTypes.DATE, allowNull: false },
+      last_used_at: { type: DataTypes.DATE },
+      user_agent: { type: DataTypes.STRING },
+      ...timestamps()
+    },
+    indexes: [{ fields: ['user_id'] }]
+  },
+  {
+    name: 'categories',
+    columns: {
+      id: uuidKey(),
+      name: { type: DataTypes.STRING, allowNull: false },
+      type: { type: DataTypes.ENUM('income', 'expense'), allowNull: false, defaultValue: 'expense' },
+      color: { type: DataTypes.STRING, allowNull: false, defaultValue: '#6c757d' },
+      icon: { type: DataTypes.STRING },
+      description: { type: DataTypes.TEXT },
+      is_default: { type: DataTypes.BOOLEAN, defaultValue: false },
+      parent_id: { type: DataTypes.UUID, ...reference('categories', 'SET NULL') },
+      wallet_id: { type: DataTypes.UUID },
+      ...timestamps()
+    },
+    indexes: [
+      { fields: ['name'] },
+      { fields: ['type'] },
+      { fields: ['parent_id'] },
+      { fields: ['wallet_id'] }
+    ]
+  },
+  {
+    name: 'accounts',
+    columns: {
+      id: uuidKey(),
+      name: { type: DataTypes.STRING, allowNull: false },
+      institution: { type: DataTypes.STRING },
+      type: {
+        type: DataTypes.ENUM('bank', 'credit_card', 'investment', 'cash', 'wallet', 'other'),
+        allowNull: false,
+        defaultValue: 'bank'
+      },
+      currency: { type: DataTypes.STRING(3), allowNull: false, defaultValue: 'USD' },
+      opening_balance: { type: DataTypes.DECIMAL(12, 2), allowNull: false, defaultValue: 0 },
+      opening_balance_date: { type: DataTypes.DATEONLY },
+      last4: { type: DataTypes.STRING(4) },
+      match_patterns: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+      is_active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      wallet_id: { type: DataTypes.UUID },
+      ...timestamps()
+    },
+    indexes: [
+      { fields: ['name'] },
+      { fields: ['wallet_id'] }
+    ]
+  },
+  {
+    name: 'merchants',
+    columns: {
+      id: uuidKey(),
+      name: { type: DataTypes.STRING, allowNull: false },
+      key: { type: DataTypes.STRING, allowNull: false },
+      aliases: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+      patterns: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+      default_category_id: { type: DataTypes.UUID, ...reference('categories', 'SET NULL') },
+      color: { type: DataTypes.STRING(7) },
+      wallet_id: { type: DataTypes.UUID },
+      ...timestamps()
+    },
+    indexes: [
+      { fields: ['key'] },
+      { fields: ['wallet_id'] }
+    ]
+  },
+  {
+    name: 'uploads',
+    columns: {
+      id: uuidKey(),
+      filename: { type: DataTypes.STRING, allowNull: false },
+      original_filename: { type: DataTypes.STRING, allowNull: false },
+      file_type: { type: DataTypes.STRING, allowNull: false },
+      file_size: { type: DataTypes.INTEGER, allowNull: false },
+      status: {
+        type: DataTypes.ENUM('pending', 'processing', 'processed', 'completed', 'failed'),
+        defaultValue: 'pending'
+      },
+      account_name: { type: DataTypes.STRING },
+      account_type: { type: DataTypes.STRING },
+      account_id: { type: DataTypes.UUID, ...reference('accounts', 'SET NULL') },
+      transaction_count: { type: DataTypes.INTEGER, defaultValue: 0 },
+      metadata: { type: DataTypes.JSONB, defaultValue: {} },
+      import_source: { type: DataTypes.STRING },
+      processing_error: { type: DataTypes.TEXT },
+      wallet_id: { type: DataTypes.UUID },
+      ...timestamps()
+    },
+    indexes: [{ fields: ['wallet_id'] }]
+  },
+  {
+    name: 'batches',
+    columns: {
+      id: uuidKey(),
+      title: { type: DataTypes.STRING, allowNull: false, defaultValue: 'Untitled Batch' },
+      description: { type: DataTypes.TEXT },
+      status: { type: DataTypes.ENUM('pending', 'skipped', 'completed', 'enriched'), defaultValue: 'pending' },
+      type: { type: DataTypes.STRING },
+      start_date: { type: DataTypes.DATEONLY },
+      end_date: { type: DataTypes.DATEONLY },
+      transaction_count: { type: DataTypes.INTEGER, defaultValue: 0 },
+      total_amount: { type: DataTypes.DECIMAL(10, 2), defaultValue: 0 },
+      dominant_merchant: { type: DataTypes.STRING },
+      metadata: { type: DataTypes.JSONB, defaultValue: {} },
+      upload_id: { type: DataTypes.UUID, allowNull: false, ...reference('uploads', 'CASCADE') },
+      wallet_id: { type: DataTypes.UUID },
+      ...timestamps()
+    },
+    indexes: [{ fields: ['wallet_id'] }]
+  },
+  {
+    name: 'recurring_series',
+    columns: {
+      id: uuidKey(),
+      merchant_key: { type: DataTypes.STRING, allowNull: false },
+      name: { type: DataTypes.STRING, allowNull: false },
+      type: { type: DataTypes.ENUM('income', 'expense'), allowNull: false, defaultValue: 'expense' },
+      cadence: { type: DataTypes.ENUM('weekly', 'biweekly', 'monthly', 'quarterly', 'annual'), allowNull: false },
+      account: { type: DataTypes.STRING },
+      category_id: { type: DataTypes.UUID, ...reference('categories', 'SET NULL') },
+      expected_amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      average_amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      last_date: { type: DataTypes.DATEONLY, allowNull: false },
+      next_expected_date: { type: DataTypes.DATEONLY, allowNull: false },
+      transaction_count: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      price_changes: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+      status: { type: DataTypes.ENUM('active', 'missed', 'ignored'), allowNull: false, defaultValue: 'active' },
+      wallet_id: { type: DataTypes.UUID },
+      ...timestamps()
+    },
+    indexes: [
+      { fields: ['wallet_id', 'merchant_key', 'type'], unique: true },
+      { fields: ['next_expected_date'] }
+    ]
+  },
+  {
+    name: 'transactions',
+    columns: {
+      id: uuidKey(),
+      date: { type: DataTypes.DATEONLY, allowNull: false },
+      description: { type: DataTypes.STRING, allowNull: false },
+      amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      type: { type: DataTypes.ENUM('income', 'expense', 'transfer'), allowNull: false, defaultValue: 'expense' },
+      transfer_direction: { type: DataTypes.ENUM('inflow', 'outflow') },
+      transfer_pair_id: { type: DataTypes.UUID, ...reference('transactions', 'SET NULL') },
+      merchant: { type: DataTypes.STRING },
+      merchant_id: { type: DataTypes.UUID, ...reference('merchants', 'SET NULL') },
+      account: { type: DataTypes.STRING },
+      account_id: { type: DataTypes.UUID, ...reference('accounts', 'SET NULL') },
+      account_type: {
+        type: DataTypes.ENUM('bank', 'credit_card', 'investment', 'cash', 'wallet', 'other'),
+        defaultValue: 'other'
+      },
+      source: { type: DataTypes.STRING },
+      notes: { type: DataTypes.TEXT },
+      is_recurring: { type: DataTypes.BOOLEAN, defaultValue: false },
+      recurring_series_id: { type: DataTypes.UUID, ...reference('recurring_series', 'SET NULL') },
+      tags: {
+        // See the Transaction model: SQLite keeps tags as a JSON array
+        type: sequelize.getDialect() === 'postgres' ? DataTypes.ARRAY(DataTypes.STRING) : DataTypes.JSON,
+        defaultValue: []
+      },
+      category_id: { type: DataTypes.UUID, ...reference('categories', 'SET NULL') },
+      subcategory_id: { type: DataTypes.UUID, ...reference('categories', 'SET NULL') },
+      balance: { type: DataTypes.DECIMAL(12, 2) },
+      currency: { type: DataTypes.STRING(3), allowNull: false, defaultValue: 'USD' },
+      suggested_category_id: { type: DataTypes.UUID },
+      suggestion_applied: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+      original_text: { type: DataTypes.TEXT },
+      import_source: { type: DataTypes.STRING },
+      upload_id: { type: DataTypes.STRING },
+      batch_id: { type: DataTypes.STRING },
+      enrichment_status: { type: DataTypes.ENUM('pending', 'enriched', 'completed') },
+      category_confidence: { type: DataTypes.FLOAT },
+      needs_review: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      wallet_id: { type: DataTypes.UUID },
+      ...timestamps()
+    },
+    indexes: [
+      { fields: ['date'] },
+      { fields: ['category_id'] },
+      { fields: ['subcategory_id'] },
+      { fields: ['account'] },
+      { fields: ['account_id'] },
+      { fields: ['merchant_id'] },
+      { fields: ['account_type'] },
+      { fields: ['type'] },
+      { fields: ['upload_id'] },
+      { fields: ['batch_id'] },
+      { fields: ['enrichment_status'] },
+      { fields: ['transfer_pair_id'] },
+      { fields: ['wallet_id'] }
+    ]
+  },
+  {
+    name: 'transaction_splits',
+    columns: {
+      id: uuidKey(),
+      transaction_id: { type: DataTypes.UUID, allowNull: false, ...reference('transactions', 'CASCADE') },
+      category_id: { type: DataTypes.UUID, allowNull: false, ...reference('categories') },
+      subcategory_id: { type: DataTypes.UUID, ...reference('categories', 'SET NULL') },
+      amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      notes: { type: DataTypes.TEXT },
+      ...timestamps()
+    },
+    indexes: [
+      { fields: ['transaction_id'] },
+      { fields: ['category_id'] }
+    ]
+  },
+  {
+    name: 'budgets',
+    columns: {
+      id: uuidKey(),
+      category_id: { type: DataTypes.UUID, allowNull: false, ...reference('categories', 'CASCADE') },
+      amount: { type: DataTypes.DECIMAL(10, 2), allowNull: false },
+      period: { type: DataTypes.ENUM('monthly', 'quarterly', 'yearly'), allowNull: false, defaultValue: 'monthly' },
+      rollover: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: false },
+      notes: { type: DataTypes.TEXT },
+      wallet_id: { type: DataTypes.UUID },
+      ...timestamps()
+    },
+    indexes: [
+      { fields: ['category_id', 'period'], unique: true },
+      { fields: ['wallet_id'] }
+    ]
+  },
+  {
+    name: 'rules',
+    columns: {
+      id: uuidKey(),
+      name: { type: DataTypes.STRING, allowNull: false },
+      priority: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 100 },
+      is_active: { type: DataTypes.BOOLEAN, allowNull: false, defaultValue: true },
+      match_type: { type: DataTypes.ENUM('all', 'any'), allowNull: false, defaultValue: 'all' },
+      conditions: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+      actions: { type: DataTypes.JSONB, allowNull: false, defaultValue: {} },
+      wallet_id: { type: DataTypes.UUID },
+      ...timestamps()
+    },
+    indexes: [
+      { fields: ['priority'] },
+      { fields: ['wallet_id'] }
+    ]
+  },
+  {
+    name: 'reconciliations',
+    columns: {
+      id: uuidKey(),
+      account_id: { type: DataTypes.UUID, allowNull: false, ...reference('accounts', 'CASCADE') },
+      period_start: { type: DataTypes.DATEONLY },
+      period_end: { type: DataTypes.DATEONLY, allowNull: false },
+      statement_balance: { type: DataTypes.DECIMAL(12, 2), allowNull: false },
+      computed_balance: { type: DataTypes.DECIMAL(12, 2), allowNull: false },
+      difference: { type: DataTypes.DECIMAL(12, 2), allowNull: false, defaultValue: 0 },
+      notes: { type: DataTypes.TEXT },
+      ...timestamps()
+    },
+    indexes: [{ fields: ['account_id', 'period_end'] }]
+  },
+  {
+    name: 'import_profiles',
+    columns: {
+      id: uuidKey(),
+      name: { type: DataTypes.STRING, allowNull: false },
+      institution: { type: DataTypes.STRING },
+      file_type: { type: DataTypes.ENUM('csv', 'pdf'), allowNull: false, defaultValue: 'csv' },
+      account_id: { type: DataTypes.UUID, ...reference('accounts', 'SET NULL') },
+      column_mapping: { type: DataTypes.JSONB, allowNull: false, defaultValue: {} },
+      delimiter: { type: DataTypes.STRING(1), allowNull: false, defaultValue: ',' },
+      date_format: { type: DataTypes.STRING, allowNull: false, defaultValue: 'YYYY-MM-DD' },
+      decimal_separator: { type: DataTypes.ENUM('.', ','), allowNull: false, defaultValue: '.' },
+      sign_convention: {
+        type: DataTypes.ENUM('negative_expense', 'positive_expense', 'debit_credit', 'type_column'),
+        allowNull: false,
+        defaultValue: 'negative_expense'
+      },
+      header_row_offset: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      skip_rows: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      headers: { type: DataTypes.JSONB, allowNull: false, defaultValue: [] },
+      header_signature: { type: DataTypes.STRING(1024) },
+      pdf_layout: { type: DataTypes.JSONB },
+      wallet_id: { type: DataTypes.UUID },
+      ...timestamps()
+    },
+    indexes: [
+      { fields: ['header_signature'] },
+      { fields: ['wallet_id'] }
+    ]
+  },
+  {
+    name: 'exchange_rates',
+    columns: {
+      id: uuidKey(),
+      date: { type: DataTypes.DATEONLY, allowNull: false },
+      from_currency: { type: DataTypes.STRING(3), allowNull: false },
+      to_currency: { type: DataTypes.STRING(3), allowNull: false },
+      rate: { type: DataTypes.DECIMAL(18, 8), allowNull: false },
+      source: { type: DataTypes.ENUM('manual', 'csv'), allowNull: false, defaultValue: 'manual' },
+      ...timestamps()
+    },
+    indexes: [{ fields: ['from_currency', 'to_currency', 'date'], unique: true }]
+  },
+  {
+    name: 'jobs',
+    columns: {
+      id: uuidKey(),
+      type: { type: DataTypes.STRING, allowNull: false },
+      status: {
+        type: DataTypes.ENUM('queued', 'running', 'completed', 'failed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'queued'
+      },
+      progress: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      progress_message: { type: DataTypes.STRING },
+      upload_id: { type: DataTypes.STRING },
+      payload: { type: DataTypes.JSONB, allowNull: false, defaultValue: {} },
+      result: { type: DataTypes.JSONB },
+      error: { type: DataTypes.TEXT },
+      attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 0 },
+      max_attempts: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 3 },
+      run_at: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+      started_at: { type: DataTypes.DATE },
+      finished_at: { type: DataTypes.DATE },
+      wallet_id: { type: DataTypes.UUID },
+      ...timestamps()
+    },
+    indexes: [
+      { fields: ['status', 'run_at'] },
+      { fields: ['upload_id'] },
+      { fields: ['wallet_id'] }
+    ]
+  },
+  {
+    name: 'settings',
+    columns: {
+      id: uuidKey(),
+      currency: { type: DataTypes.STRING, allowNull: false, defaultValue: 'USD' },
+      locale: { type: DataTypes.STRING, allowNull: false, defaultValue: 'en-US' },
+      theme: { type: DataTypes.STRING, allowNull: false, defaultValue: 'dark' },
+      date_format: { type: DataTypes.STRING, allowNull: false, defaultValue: 'MM/DD/YYYY' },
+      category_suggestion_confidence: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0.7 },
+      default_view: { type: DataTypes.STRING, allowNull: false, defaultValue: 'dashboard' },
+      budget_start: { type: DataTypes.INTEGER, allowNull: false, defaultValue: 1 },
+      notifications: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: { emailAlerts: false, budgetWarnings: true, weeklyReports: false }
+      },
+      custom_periods: { type: DataTypes.JSONB },
+      wallet_id: { type: DataTypes.UUID },
+      ...timestamps()
+    },
+    indexes: [{ fields: ['wallet_id'] }]
+  },
+  {
+    name: 'audit_logs',
+    columns: {
+      id: uuidKey(),
+      entity_type: { type: DataTypes.STRING(50), allowNull: false },
+      entity_id: { type: DataTypes.UUID, allowNull: false },
+      action: { type: DataTypes.ENUM('create', 'update', 'delete'), allowNull: false },
+      source: {
+        type: DataTypes.ENUM('manual', 'ai', 'rule', 'bulk', 'import', 'system'),
+        allowNull: false,
+        defaultValue: 'system'
+      },
+      changes: { type: DataTypes.JSONB, allowNull: false, defaultValue: {} },
+      user_id: { type: DataTypes.UUID },
+      revert_of: { type: DataTypes.UUID },
+      wallet_id: { type: DataTypes.UUID },
+      created_at: { type: DataTypes.DATE, allowNull: false }
+    },
+    indexes: [
+      { fields: ['entity_type', 'entity_id'] },
+      { fields: ['revert_of'] },
+      { fields: ['wallet_id'] },
+      { fields: ['created_at'] }
+    ]
+  },
+  {
+    name: 'ai_cache_entries',
+    columns: {
+      id: uuidKey(),
+      key: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+      provider: { type: DataTypes.STRING, allowNull: false },
+      model: { type: DataTypes.STRING, allowNull: false },
+      prompt_version: { type: DataTypes.INTEGER, allowNull: false },
+      response: { type: DataTypes.JSONB, allowNull: false },
+      category_id: { type: DataTypes.UUID },
+      category_name: { type: DataTypes.STRING },
+      expires_at: { type: DataTypes.DATE, allowNull: false },
+      wallet_id: { type: DataTypes.UUID },
+      ...timestamps()
+    },
+    indexes: [
+      { fields: ['category_id'] },
+      { fields: ['expires_at'] },
+      { fields: ['wallet_id'] }
+    ]
+  }
+];
+
+/**
+ * Add the enum values a model gained after sync() created its Postgres type
+ * (e.g. 'transfer' on enum_transactions_type). Needs Postgres 12 or later,
+ * which allows ADD VALUE inside the migration's transaction.
+ * @param {Object} context - { sequelize, transaction }
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {Object} definition - Column definition from tables()
+ * @param {Object} existing - The column as describeTable() reports it
+ */
+async function addMissingEnumValues({ sequelize, transaction }, table, column, definition, existing) {
+  if (sequelize.getDialect() !== 'postgres' || !(definition.type instanceof DataTypes.ENUM)) {
+    return;
+  }
+
+  const existingValues = new Set(existing.special || []);
+  for (const value of definition.type.values) {
+    if (!existingValues.has(value)) {
+      await sequelize.query(
+        `ALTER TYPE "enum_${table}_${column}" ADD VALUE IF NOT EXISTS '${value}'`,
+        { transaction }
+      );
+    }
+  }
+}
+
+async function up({ queryInterface, sequelize, transaction }) {
+  const existingTables = new Set((await queryInterface.showAllTables({ transaction }))
+    .map(table => (typeof table === 'string' ? table : table.tableName)));
+
+  for (const { name, columns, indexes } of tables(sequelize)) {
+    if (!existingTables.has(name)) {
+      await queryInterface.createTable(name, columns, { transaction });
+    } else {
+      // Columns and enum values added to the models after sync() created the table
+      const existingColumns = await queryInterface.describeTable(name, { transaction });
+      for (const [column, definition] of Object.entries(columns)) {
+        if (!existingColumns[column]) {
+          await queryInterface.addColumn(name, column, definition, { transaction });
+        } else {
+          await addMissingEnumValues({ sequelize, transaction }, name, column, definition, existingColumns[column]);
+        }
+      }
+    }
+
+    const existingIndexes = new Set((await queryInterface.showIndex(name, { transaction })).map(index => index.name));
+    for (const index of indexes) {
+      // Named as sync() named them, so existing indexes are recognized
+      const indexName = `${name}_${index.fields.join('_')}`;
+      if (!existingIndexes.has(indexName)) {
+        await queryInterface.addIndex(name, index.fields, { name: indexName, unique: !!index.unique, transaction });
+      }
+    }
+  }
+}
+
+async function down({ queryInterface, sequelize, transaction }) {
+  for (const { name } of tables(sequelize).reverse()) {
+    await queryInterface.dropTable(name, { transaction });
+  }
+  if (sequelize.getDialect() === 'postgres') {
+    await queryInterface.dropAllEnums({ transaction });
+  }
+}
+
+module.exports = { up, down };
@@ -0,0 +1,160 @@
+/**
+ * transactions.upload_id / batch_id and jobs.upload_id were VARCHAR columns,
+ * so joins against uploads and batches needed casts and the references were
+ * never enforced. The old enrichment upload also wrote ids such as
+ * "upload_1712345678901" and "upload_1712345678901_batch_0" that had no row
+ * behind them; those get real uploads and batches rows so the grouping is
+ * kept. Ids that still point nowhere are cleared, the columns become UUID and
+ * the transaction columns get foreign keys. SQLite stores UUIDs as text either
+ * way and cannot add a constraint without rebuilding the table, so there the
+ * data is fixed up but the columns are left as they are.
+ */
+const { QueryTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const COLUMNS = [
+  { table: 'transactions', column: 'upload_id', references: 'uploads' },
+  { table: 'transactions', column: 'batch_id', references: 'batches' },
+  { table: 'jobs', column: 'upload_id', references: 'uploads', constraint: false }
+];
+
+const constraintName = ({ table, column }) => `${table}_${column}_fkey`;
+
+/**
+ * Create uploads and batches rows for the legacy non-UUID ids and point the
+ * transactions and jobs at them
+ */
+async function adoptLegacyIds({ queryInterface, sequelize, transaction }) {
+  const groups = await sequelize.query(`
+    SELECT upload_id, batch_id, wallet_id, COUNT(*) AS count, SUM(amount) AS total,
+      MIN(date) AS start_date, MAX(date) AS end_date
+    FROM transactions
+    WHERE upload_id IS NOT NULL
+    GROUP BY upload_id, batch_id, wallet_id
+  `, { type: QueryTypes.SELECT, transaction });
+
+  const now = new Date();
+  const uploads = new Map();
+  const batches = new Map();
+
+  groups.filter(group => !UUID_PATTERN.test(group.upload_id)).forEach(group => {
+    const count = parseInt(group.count, 10);
+    if (!uploads.has(group.upload_id)) {
+      uploads.set(group.upload_id, {
+        id: uuidv4(),
+        filename: group.upload_id,
+        original_filename: group.upload_id,
+        file_type: 'unknown',
+        file_size: 0,
+        status: 'processed',
+        transaction_count: 0,
+        metadata: JSON.stringify({ legacyId: group.upload_id }),
+        import_source: 'Legacy import',
+        wallet_id: group.wallet_id,
+        created_at: now,
+        updated_at: now
+      });
+    }
+    const upload = uploads.get(group.upload_id);
+    upload.transaction_count += count;
+
+    if (!group.batch_id || UUID_PATTERN.test(group.batch_id)) return;
+    if (!batches.has(group.batch_id)) {
+      batches.set(group.batch_id, {
+        id: uuidv4(),
+        title: 'Untitled Batch',
+        status: 'pending',
+        start_date: group.start_date,
+        end_date: group.end_date,
+        transaction_count: 0,
+        total_amount: 0,
+        metadata: JSON.stringify({ legacyId: group.batch_id }),
+        upload_id: upload.id,
+        wallet_id: group.wallet_id,
+        created_at: now,
+        updated_at: now
+      });
+    }
+    const batch = batches.get(group.batch_id);
+    batch.transaction_count += count;
+    batch.total_amount += parseFloat(group.total) || 0;
+    if (group.start_date < batch.start_date) batch.start_date = group.start_date;
+    if (group.end_date > batch.end_date) batch.end_date = group.end_date;
+  });
+
+  if (uploads.size > 0) {
+    await queryInterface.bulkInsert('uploads', [...uploads.values()], { transaction });
+  }
+  if (batches.size > 0) {
+    await queryInterface.bulkInsert('batches', [...batches.values()], { transaction });
+  }
+
+  const renames = [
+    ...[...uploads].map(([legacyId, row]) => ['transactions', 'upload_id', legacyId, row.id]),
+    ...[...uploads].map(([legacyId, row]) => ['jobs', 'upload_id', legacyId, row.id]),
+    ...[...batches].map(([legacyId, row]) => ['transactions', 'batch_id', legacyId, row.id])
+  ];
+  for (const [table, column, legacyId, id] of renames) {
+    await sequelize.query(
+      `UPDATE ${table} SET ${column} = :id WHERE ${column} = :legacyId`,
+      { replacements: { id, legacyId }, transaction }
+    );
+  }
+}
+
+async function up({ queryInterface, sequelize, transaction }) {
+  const isPostgres = sequelize.getDialect() === 'postgres';
+
+  await adoptLegacyIds({ queryInterface, sequelize, transaction });
+
+  for (const { table, column, references } of COLUMNS) {
+    const referenced = isPostgres ? 'r.id::text' : 'r.id';
+    await sequelize.query(`
+      UPDATE ${table} SET ${column} = NULL
+      WHERE ${column} IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM ${references} r WHERE ${referenced} = LOWER(${table}.${column}))
+    `, { transaction });
+  }
+
+  if (!isPostgres) return;
+
+  for (const entry of COLUMNS) {
+    const { table, column, references } = entry;
+    await sequelize.query(
+      `ALTER TABLE ${table} ALTER COLUMN ${column} TYPE UUID USING ${column}::uuid`,
+      { transaction }
+    );
+    if (entry.constraint !== false) {
+      await queryInterface.addConstraint(table, {
+        fields: [column],
+        type: 'foreign key',
+        name: constraintName(entry),
+        references: { table: references, field: 'id' },
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE',
+        transaction
+      });
+    }
+  }
+}
+
+// The uploads and batches created for legacy ids are kept: they are valid
+// rows and the transactions keep pointing at them
+async function down({ queryInterface, sequelize, transaction }) {
+  if (sequelize.getDialect() !== 'postgres') return;
+
+  for (const entry of COLUMNS) {
+    const { table, column } = entry;
+    if (entry.constraint !== false) {
+      await queryInterface.removeConstraint(table, constraintName(entry), { transaction });
+    }
+    await sequelize.query(
+      `ALTER TABLE ${table} ALTER COLUMN ${column} TYPE VARCHAR(255) USING ${column}::text`,
+      { transaction }
+    );
+  }
+}
+
+module.exports = { up, down };
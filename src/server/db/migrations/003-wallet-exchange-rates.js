@@ -0,0 +1,62 @@
+/**
+ * Exchange rates were shared by every wallet, so any wallet editor could
+ * change the converted reports of all the others. Rates now belong to a
+ * wallet: the existing rates are copied into every wallet and the unique
+ * index covers the wallet. Without any wallet yet the rates are left
+ * unassigned and the first registered user's wallet adopts them.
+ */
+const { DataTypes, QueryTypes } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+
+const OLD_INDEX = { name: 'exchange_rates_from_currency_to_currency_date', fields: ['from_currency', 'to_currency', 'date'] };
+const NEW_INDEX = {
+  name: 'exchange_rates_wallet_id_from_currency_to_currency_date',
+  fields: ['wallet_id', 'from_currency', 'to_currency', 'date']
+};
+
+async function up({ queryInterface, sequelize, transaction }) {
+  await queryInterface.removeIndex('exchange_rates', OLD_INDEX.name, { transaction });
+  await queryInterface.addColumn('exchange_rates', 'wallet_id', { type: DataTypes.UUID }, { transaction });
+  await queryInterface.addIndex('exchange_rates', NEW_INDEX.fields, { name: NEW_INDEX.name, unique: true, transaction });
+
+  const wallets = await sequelize.query('SELECT id FROM wallets', { type: QueryTypes.SELECT, transaction });
+  if (wallets.length === 0) return;
+
+  const rates = await sequelize.query(
+    'SELECT date, from_currency, to_currency, rate, source FROM exchange_rates WHERE wallet_id IS NULL',
+    { type: QueryTypes.SELECT, transaction }
+  );
+  if (rates.length === 0) return;
+
+  const now = new Date();
+  await queryInterface.bulkInsert('exchange_rates', wallets.flatMap(wallet => rates.map(rate => ({
+    ...rate,
+    id: uuidv4(),
+    wallet_id: wallet.id,
+    created_at: now,
+    updated_at: now
+  }))), { transaction });
+  await sequelize.query('DELETE FROM exchange_rates WHERE wallet_id IS NULL', { transaction });
+}
+
+// Rates are shared again; of the copies of a currency pair and date the
+// most recently updated one is kept
+async function down({ queryInterface, sequelize, transaction }) {
+  await sequelize.query(`
+    DELETE FROM exchange_rates
+    WHERE EXISTS (
+      SELECT 1 FROM exchange_rates newer
+      WHERE newer.from_currency = exchange_rates.from_currency
+        AND newer.to_currency = exchange_rates.to_currency
+        AND newer.date = exchange_rates.date
+        AND (newer.updated_at > exchange_rates.updated_at
+          OR (newer.updated_at = exchange_rates.updated_at AND newer.id > exchange_rates.id))
+    )
+  `, { transaction });
+
+  await queryInterface.removeIndex('exchange_rates', NEW_INDEX.name, { transaction });
+  await queryInterface.removeColumn('exchange_rates', 'wallet_id', { transaction });
+  await queryInterface.addIndex('exchange_rates', OLD_INDEX.fields, { name: OLD_INDEX.name, unique: true, transaction });
+}
+
+module.exports = { up, down };
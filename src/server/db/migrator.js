@@ -0,0 +1,202 @@
+/**
+ * Versioned schema migrations. Each file in db/migrations is named
+ * NNN-description.js and exports up() and down(), which receive
+ * { queryInterface, sequelize, transaction }. Every migration runs in its
+ * own database transaction and is recorded in the schema_migrations table.
+ */
+const fs = require('fs');
+const path = require('path');
+const { DataTypes, QueryTypes } = require('sequelize');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const MIGRATION_FILE = /^(\d+)-[\w-]+\.js$/;
+
+/**
+ * Load the migration files in version order
+ * @param {string} [dir] - Directory holding the migrations
+ * @returns {Array} Array of { name, version, up, down }
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => MIGRATION_FILE.test(file))
+    .map(file => {
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return {
+        name: path.basename(file, '.js'),
+        version: parseInt(file.match(MIGRATION_FILE)[1], 10),
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Migrations ${migrations[index - 1].name} and ${migration.name} share version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+/**
+ * Create the table recording applied migrations if it does not exist
+ * @param {Sequelize} sequelize - Sequelize instance
+ */
+async function ensureMigrationsTable(sequelize) {
+  await sequelize.getQueryInterface().createTable(MIGRATIONS_TABLE, {
+    name: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      allowNull: false
+    },
+    applied_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  });
+}
+
+/**
+ * Get the applied migrations, oldest first
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @returns {Promise<Array>} Array of { name, appliedAt }
+ */
+async function getAppliedMigrations(sequelize) {
+  await ensureMigrationsTable(sequelize);
+  const rows = await sequelize.query(
+    `SELECT name, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY name`,
+    { type: QueryTypes.SELECT }
+  );
+  return rows.map(row => ({ name: row.name, appliedAt: new Date(row.applied_at) }));
+}
+
+/**
+ * Resolve a target given as a version number or a migration name
+ * @param {Array} migrations - Loaded migrations
+ * @param {string|number} target - e.g. 2, '002' or '002-upload-batch-uuid-columns'
+ * @returns {number} Version of the target migration (0 for "before the first")
+ */
+function resolveTarget(migrations, target) {
+  if (String(target) === '0') return 0;
+
+  const migration = migrations.find(item => item.name === target || item.version === parseInt(target, 10));
+  if (!migration) {
+    throw new Error(`Unknown migration: ${target}`);
+  }
+  return migration.version;
+}
+
+/**
+ * Run one migration in a transaction and record it
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Object} migration - Loaded migration
+ * @param {string} direction - 'up' or 'down'
+ */
+async function runMigration(sequelize, migration, direction) {
+  const queryInterface = sequelize.getQueryInterface();
+
+  await sequelize.transaction(async (transaction) => {
+    await migration[direction]({ queryInterface, sequelize, transaction });
+
+    if (direction === 'up') {
+      await queryInterface.bulkInsert(MIGRATIONS_TABLE, [{ name: migration.name, applied_at: new Date() }], { transaction });
+    } else {
+      await queryInterface.bulkDelete(MIGRATIONS_TABLE, { name: migration.name }, { transaction });
+    }
+  });
+}
+
+/**
+ * List every migration with whether it has been applied
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Object} [options] - { dir }
+ * @returns {Promise<Array>} Array of { name, applied, appliedAt, missing }; missing
+ *   marks applied migrations whose file no longer exists
+ */
+async function getMigrationStatus(sequelize, options = {}) {
+  const migrations = loadMigrations(options.dir);
+  const applied = new Map((await getAppliedMigrations(sequelize)).map(item => [item.name, item.appliedAt]));
+
+  const status = migrations.map(migration => ({
+    name: migration.name,
+    applied: applied.has(migration.name),
+    appliedAt: applied.get(migration.name) || null,
+    missing: false
+  }));
+  applied.forEach((appliedAt, name) => {
+    if (!migrations.some(migration => migration.name === name)) {
+      status.push({ name, applied: true, appliedAt, missing: true });
+    }
+  });
+
+  return status;
+}
+
+/**
+ * Apply pending migrations in version order
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Object} [options] - { to: last migration to apply, dir }
+ * @returns {Promise<Array>} Names of the migrations applied
+ */
+async function migrate(sequelize, options = {}) {
+  const migrations = loadMigrations(options.dir);
+  const applied = new Set((await getAppliedMigrations(sequelize)).map(item => item.name));
+  const target = options.to !== undefined ? resolveTarget(migrations, options.to) : Infinity;
+
+  const pending = migrations.filter(migration => !applied.has(migration.name) && migration.version <= target);
+  for (const migration of pending) {
+    await runMigration(sequelize, migration, 'up');
+  }
+
+  return pending.map(migration => migration.name);
+}
+
+/**
+ * Revert applied migrations, newest first
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Object} [options] - { steps: how many to revert (default 1), to: revert
+ *   everything after this migration (0 for all), dir }
+ * @returns {Promise<Array>} Names of the migrations reverted
+ */
+async function rollback(sequelize, options = {}) {
+  const migrations = loadMigrations(options.dir);
+  const byName = new Map(migrations.map(migration => [migration.name, migration]));
+  const applied = (await getAppliedMigrations(sequelize)).map(item => item.name);
+
+  const missing = applied.filter(name => !byName.has(name));
+  if (missing.length > 0) {
+    throw new Error(`Cannot roll back: migration files missing for ${missing.join(', ')}`);
+  }
+
+  const appliedMigrations = applied.map(name => byName.get(name)).sort((a, b) => b.version - a.version);
+  let toRevert;
+  if (options.to !== undefined) {
+    const target = resolveTarget(migrations, options.to);
+    toRevert = appliedMigrations.filter(migration => migration.version > target);
+  } else {
+    const steps = options.steps !== undefined ? parseInt(options.steps, 10) : 1;
+    if (isNaN(steps) || steps < 1) {
+      throw new Error('steps must be a positive number');
+    }
+    toRevert = appliedMigrations.slice(0, steps);
+  }
+
+  for (const migration of toRevert) {
+    await runMigration(sequelize, migration, 'down');
+  }
+
+  return toRevert.map(migration => migration.name);
+}
+
+module.exports = {
+  MIGRATIONS_TABLE,
+  loadMigrations,
+  getMigrationStatus,
+  migrate,
+  rollback
+};
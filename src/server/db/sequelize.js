@@ -9,9 +9,97 @@ const Category = require('../models/sequelize/Category');
 const Settings = require('../models/sequelize/Settings');
 const Upload = require('../models/sequelize/Upload');
 const Batch = require('../models/sequelize/Batch');
+const Budget = require('../models/sequelize/Budget');
+const Rule = require('../models/sequelize/Rule');
+const RecurringSeries = require('../models/sequelize/RecurringSeries');
+const Account = require('../models/sequelize/Account');
+const Reconciliation = require('../models/sequelize/Reconciliation');
+const ImportProfile = require('../models/sequelize/ImportProfile');
+const TransactionSplit = require('../models/sequelize/TransactionSplit');
+const ExchangeRate = require('../models/sequelize/ExchangeRate');
+const Job = require('../models/sequelize/Job');
+const User = require('../models/sequelize/User');
+const Session = require('../models/sequelize/Session');
+const Wallet = require('../models/sequelize/Wallet');
+const WalletMember = require('../models/sequelize/WalletMember');
+const AuditLog = require('../models/sequelize/AuditLog');
+const Merchant = require('../models/sequelize/Merchant');
+const AiCacheEntry = require('../models/sequelize/AiCacheEntry');
+const { applyWalletScope } = require('../services/walletScope');
+const { AUDITED_MODELS, applyAuditLog } = require('../services/auditLog');
+const { applyAiCache, purgeExpiredAnswers } = require('../services/aiCache');
+const { migrate } = require('./migrator');
+
+// Models holding a wallet's own data; queries on them only see the wallet
+// the current request acts on
+const WALLET_SCOPED_MODELS = ['Transaction', 'Category', 'Settings', 'Upload', 'Batch', 'Budget', 'Rule',
+  'RecurringSeries', 'Account', 'ImportProfile', 'ExchangeRate', 'Job', 'AuditLog', 'Merchant', 'AiCacheEntry'];
 
 let sequelize;
 
+/**
+ * Create a Sequelize instance for a database URL, PostgreSQL or SQLite
+ * (sqlite:./path or sqlite::memory:)
+ * @param {string} [dbUrl] - Database URL, DATABASE_URL by default
+ * @returns {Sequelize} The Sequelize instance (not yet connected)
+ */
+const createSequelize = (dbUrl = process.env.DATABASE_URL || 'sqlite:./database.sqlite') => {
+  // Determine dialect from URL
+  const isPostgres = !dbUrl.startsWith('sqlite');
+  const dialect = isPostgres ? 'postgres' : 'sqlite';
+
+  // SQLite file from the URL
+  const sqlitePath = dbUrl.replace(/^sqlite:(\/\/)?/, '');
+  const storage = sqlitePath === ':memory:' ? ':memory:' : (sqlitePath || './database.sqlite');
+
+  // Create Sequelize instance with appropriate configuration
+  const options = {
+    dialect,
+    logging: process.env.NODE_ENV === 'development' ? console.log : false,
+    
+    // Dialect-specific options
+    dialectOptions: isPostgres ? {
+      // PostgreSQL specific options
+      // Note: SSL is disabled for Replit environment
+    } : {},
+    
+    // SQLite specific settings (only used for SQLite)
+    storage: !isPostgres ? storage : undefined,
+    
+    // Connection pool configuration
+    pool: {
+      max: 5, 
+      min: 0, 
+      acquire: 30000,
+      idle: 10000
+    },
+
+    // Improved retry logic for connections
+    retry: {
+      max: 3,
+      match: [
+        /ETIMEDOUT/,
+        /ECONNRESET/,
+        /ECONNREFUSED/,
+        /ESOCKETTIMEDOUT/,
+        /EHOSTUNREACH/,
+        /EPIPE/,
+        /EAI_AGAIN/,
+        /SequelizeConnectionError/,
+        /SequelizeConnectionRefusedError/,
+        /SequelizeHostNotFoundError/,
+        /SequelizeHostNotReachableError/,
+        /SequelizeInvalidConnectionError/,
+        /SequelizeConnectionTimedOutError/
+      ],
+      backoffBase: 1000,
+      backoffExponent: 1.5
+    }
+  };
+  // A SQLite URL is not a valid URL to parse; its file is already in storage
+  return isPostgres ? new Sequelize(dbUrl, options) : new Sequelize(options);
+};
+
 /**
  * Initialize the database connection and models
  * @returns {Sequelize} The Sequelize instance
@@ -22,54 +110,7 @@ const initDB = async () => {
     const dbUrl = process.env.DATABASE_URL || 'sqlite:./database.sqlite';
     console.log(`Using database: ${dbUrl.startsWith('sqlite') ? 'SQLite (fallback)' : 'PostgreSQL'}`);
 
-    // Determine dialect from URL
-    const isPostgres = !dbUrl.startsWith('sqlite');
-    const dialect = isPostgres ? 'postgres' : 'sqlite';
-
-    // Create Sequelize instance with appropriate configuration
-    sequelize = new Sequelize(dbUrl, {
-      dialect,
-      logging: process.env.NODE_ENV === 'development' ? console.log : false,
-      
-      // Dialect-specific options
-      dialectOptions: isPostgres ? {
-        // PostgreSQL specific options
-        // Note: SSL is disabled for Replit environment
-      } : {},
-      
-      // SQLite specific settings (only used for SQLite)
-      storage: !isPostgres ? './database.sqlite' : undefined,
-      
-      // Connection pool configuration
-      pool: {
-        max: 5, 
-        min: 0, 
-        acquire: 30000,
-        idle: 10000
-      },
-
-      // Improved retry logic for connections
-      retry: {
-        max: 3,
-        match: [
-          /ETIMEDOUT/,
-          /ECONNRESET/,
-          /ECONNREFUSED/,
-          /ESOCKETTIMEDOUT/,
-          /EHOSTUNREACH/,
-          /EPIPE/,
-          /EAI_AGAIN/,
-          /SequelizeConnectionError/,
-          /SequelizeConnectionRefusedError/,
-          /SequelizeHostNotFoundError/,
-          /SequelizeHostNotReachableError/,
-          /SequelizeInvalidConnectionError/,
-          /SequelizeConnectionTimedOutError/
-        ],
-        backoffBase: 1000,
-        backoffExponent: 1.5
-      }
-    });
+    sequelize = createSequelize(dbUrl);
 
     // Initialize models
     const models = {
@@ -77,7 +118,23 @@ const initDB = async () => {
       Category: Category.init(sequelize),
       Settings: Settings.init(sequelize),
       Upload: Upload.init(sequelize),
-      Batch: Batch.init(sequelize)
+      Batch: Batch.init(sequelize),
+      Budget: Budget.init(sequelize),
+      Rule: Rule.init(sequelize),
+      RecurringSeries: RecurringSeries.init(sequelize),
+      Account: Account.init(sequelize),
+      Reconciliation: Reconciliation.init(sequelize),
+      ImportProfile: ImportProfile.init(sequelize),
+      TransactionSplit: TransactionSplit.init(sequelize),
+      ExchangeRate: ExchangeRate.init(sequelize),
+      Job: Job.init(sequelize),
+      User: User.init(sequelize),
+      Session: Session.init(sequelize),
+      Wallet: Wallet.init(sequelize),
+      WalletMember: WalletMember.init(sequelize),
+      AuditLog: AuditLog.init(sequelize),
+      Merchant: Merchant.init(sequelize),
+      AiCacheEntry: AiCacheEntry.init(sequelize)
     };
     
     // Make models available through sequelize.models
@@ -90,32 +147,19 @@ const initDB = async () => {
       }
     });
 
+    WALLET_SCOPED_MODELS.forEach(name => applyWalletScope(models[name]));
+    Object.entries(AUDITED_MODELS).forEach(([entityType, name]) => applyAuditLog(models[name], entityType));
+    applyAiCache(models);
+
     // Test the connection
     await sequelize.authenticate();
     console.log('Connection to database has been established successfully.');
 
-    // Database migration strategy
-    // FORCE_SYNC will recreate all tables (dropping existing ones)
-    // ALTER will attempt to modify tables to match models (safer option)
-    const FORCE_SYNC = process.env.DB_FORCE_SYNC === 'true';
-    const ALTER_SYNC = process.env.DB_ALTER_SYNC === 'true';
-    
-    // Sync options
-    const syncOptions = {
-      force: FORCE_SYNC, // Drop and recreate tables (destructive)
-      alter: !FORCE_SYNC && ALTER_SYNC // Alter tables to match models (less destructive)
-    };
-    
-    // Log the strategy
-    console.log(`Database sync strategy: ${
-      FORCE_SYNC ? 'FORCE (drop and recreate all tables)' : 
-      ALTER_SYNC ? 'ALTER (modify existing tables)' : 
-      'NORMAL (only create missing tables)'
-    }`);
-    
-    // Perform the sync
-    await sequelize.sync(syncOptions);
-    console.log('Database synchronized successfully');
+    // Bring the schema up to date (see db/migrations)
+    const appliedMigrations = await migrate(sequelize);
+    console.log(appliedMigrations.length > 0
+      ? `Applied migrations: ${appliedMigrations.join(', ')}`
+      : 'Database schema is up to date');
 
     // Create default settings if none exist
     const settingsCount = await Settings.count();
@@ -124,6 +168,12 @@ const initDB = async () => {
       console.log('Default settings created');
     }
 
+    // Drop AI answers whose TTL has passed
+    const expiredAnswers = await purgeExpiredAnswers();
+    if (expiredAnswers > 0) {
+      console.log(`Removed ${expiredAnswers} expired AI cache entries`);
+    }
+
     // Create default categories if none exist
     const categoryCount = await Category.count();
     if (categoryCount === 0) {
@@ -139,9 +189,11 @@ const initDB = async () => {
 };
 
 /**
- * Create default categories for new database setup
+ * Create default categories for new database setup or a new wallet
+ * @param {string} [walletId] - Wallet the categories belong to
+ * @param {Object} [options] - Sequelize options (e.g. transaction)
  */
-const createDefaultCategories = async () => {
+const createDefaultCategories = async (walletId = null, options = {}) => {
   const incomeCategories = [
     { name: 'Salary', color: '#4CAF50', icon: 'money-bill', type: 'income', isDefault: true },
     { name: 'Freelance', color: '#8BC34A', icon: 'laptop', type: 'income', isDefault: true },
@@ -167,7 +219,10 @@ const createDefaultCategories = async () => {
   ];
 
   // Create all default categories
-  await Category.bulkCreate([...incomeCategories, ...expenseCategories]);
+  await Category.bulkCreate(
+    [...incomeCategories, ...expenseCategories].map(category => ({ ...category, walletId })),
+    options
+  );
 };
 
 /**
@@ -193,7 +248,10 @@ const getModels = () => {
 };
 
 module.exports = {
+  WALLET_SCOPED_MODELS,
+  createSequelize,
   initDB,
   getDB,
+  createDefaultCategories,
   getModels
 };
\ No newline at end of file
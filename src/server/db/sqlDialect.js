@@ -0,0 +1,144 @@
+/**
+ * SQL fragments for raw queries that differ between PostgreSQL and the SQLite
+ * fallback: month bucketing, date arithmetic, UUID parameters, tag and
+ * case-insensitive text filters and JSON field access. Every helper takes the Sequelize instance so the
+ * fragment matches the database the query runs on.
+ *
+ * Tags are a VARCHAR[] column on PostgreSQL and a JSON array on SQLite (see
+ * the Transaction model).
+ */
+const { Op, literal } = require('sequelize');
+
+const isPostgres = (sequelize) => sequelize.getDialect() === 'postgres';
+
+/**
+ * Month of a date column as YYYY-MM
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {string} column - Qualified column, e.g. 't.date'
+ * @returns {string} SQL expression
+ */
+function monthSql(sequelize, column) {
+  return isPostgres(sequelize) ? `TO_CHAR(${column}, 'YYYY-MM')` : `strftime('%Y-%m', ${column})`;
+}
+
+/**
+ * Number of days from one date to another (later minus earlier is positive)
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {string} later - Date expression
+ * @param {string} earlier - Date expression
+ * @returns {string} SQL expression
+ */
+function dayDifferenceSql(sequelize, later, earlier) {
+  return isPostgres(sequelize) ? `(${later} - ${earlier})` : `(julianday(${later}) - julianday(${earlier}))`;
+}
+
+/**
+ * A UUID replacement such as :walletId, typed where the database needs it
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {string} name - Replacement name without the colon
+ * @returns {string} SQL expression
+ */
+function uuidParamSql(sequelize, name) {
+  return isPostgres(sequelize) ? `CAST(:${name} AS uuid)` : `:${name}`;
+}
+
+/**
+ * Condition matching rows whose tags include any (or all) of the given tags.
+ * The tags are escaped into the SQL, so no replacement is needed.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {string} column - Qualified tags column
+ * @param {Array} tags - Tags to look for (non-empty)
+ * @param {string} [mode] - 'any' or 'all'
+ * @returns {string} SQL condition
+ */
+function tagsConditionSql(sequelize, column, tags, mode = 'any') {
+  const distinctTags = [...new Set(tags)];
+  const values = distinctTags.map(tag => sequelize.escape(String(tag))).join(', ');
+
+  if (isPostgres(sequelize)) {
+    return `${column} ${mode === 'all' ? '@>' : '&&'} ARRAY[${values}]::VARCHAR(255)[]`;
+  }
+  if (mode === 'all') {
+    return `(SELECT COUNT(DISTINCT value) FROM json_each(${column}) WHERE value IN (${values})) = ${distinctTags.length}`;
+  }
+  return `EXISTS (SELECT 1 FROM json_each(${column}) WHERE value IN (${values}))`;
+}
+
+/**
+ * Qualified column of a model attribute, as it appears in the model's own
+ * queries (aliased by the model name)
+ * @param {Model} model - Model the query runs on
+ * @param {string} attribute - Attribute name, e.g. 'accountId'
+ * @returns {string} SQL column reference
+ */
+function modelColumnSql(model, attribute) {
+  const queryGenerator = model.sequelize.getQueryInterface().queryGenerator;
+  return `${queryGenerator.quoteIdentifier(model.name)}.${queryGenerator.quoteIdentifier(model.rawAttributes[attribute].field)}`;
+}
+
+/**
+ * Sequelize where clause for a tags filter on a model
+ * @param {Model} model - Model with a `tags` attribute
+ * @param {Array} tags - Tags to look for (non-empty)
+ * @param {string} [mode] - 'any' or 'all'
+ * @returns {Object} Where clause to merge into a query's where
+ */
+function tagsWhere(model, tags, mode = 'any') {
+  const { sequelize } = model;
+  if (isPostgres(sequelize)) {
+    return { tags: { [mode === 'all' ? Op.contains : Op.overlap]: tags } };
+  }
+
+  return { [Op.and]: [literal(tagsConditionSql(sequelize, modelColumnSql(model, 'tags'), tags, mode))] };
+}
+
+/**
+ * Sequelize where clause matching an attribute case-insensitively against a
+ * LIKE pattern whose literal %, _ and \ are escaped with a backslash
+ * @param {Model} model - Model the query runs on
+ * @param {string} attribute - Attribute name, e.g. 'description'
+ * @param {string} pattern - LIKE pattern
+ * @returns {Object} Where clause to merge into a query's where
+ */
+function likeWhere(model, attribute, pattern) {
+  const { sequelize } = model;
+  if (isPostgres(sequelize)) {
+    return { [attribute]: { [Op.iLike]: pattern } };
+  }
+
+  // SQLite's LIKE ignores ASCII case but has no escape character by default
+  return { [Op.and]: [literal(`${modelColumnSql(model, attribute)} LIKE ${sequelize.escape(pattern)} ESCAPE '\\'`)] };
+}
+
+/**
+ * Text value of a field inside a JSON(B) column
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {string} column - Qualified JSON column
+ * @param {string|Array} path - Field path, e.g. 'previewStats.transactionCount' or ['previewStats', 'transactionCount']
+ * @returns {string} SQL expression (NULL when the field is missing)
+ */
+function jsonTextSql(sequelize, column, path) {
+  const keys = Array.isArray(path) ? path : String(path).split('.');
+  keys.forEach(key => {
+    if (!/^[A-Za-z0-9_]+$/.test(key)) {
+      throw new Error(`Invalid JSON path segment: ${key}`);
+    }
+  });
+
+  if (isPostgres(sequelize)) {
+    return `(${column}::jsonb #>> '{${keys.join(',')}}')`;
+  }
+  return `json_extract(${column}, '$.${keys.join('.')}')`;
+}
+
+module.exports = {
+  isPostgres,
+  monthSql,
+  dayDifferenceSql,
+  uuidParamSql,
+  modelColumnSql,
+  tagsConditionSql,
+  tagsWhere,
+  likeWhere,
+  jsonTextSql
+};
@@ -8,11 +8,20 @@ const fs = require('fs');
 const { formatErrorResponse } = require('./utils/errorHandler');
 
 // Import database
-const { initDB } = require('./db/sequelize');
+const { initDB, getDB } = require('./db/sequelize');
+
+// Import authentication middleware
+const { authenticate, authorizeWalletAccess } = require('./middleware/auth');
+
+// Import the background job worker. Job handlers register themselves when
+// their service loads (upload jobs: services/uploadProcessing)
+const { startWorker } = require('./services/jobQueue');
+require('./services/uploadProcessing');
 
 // Import routes
 const transactionRoutes = require('./routes/transactions.sequelize');
 const transactionReviewedRoutes = require('./routes/transactions-reviewed');
+const transactionSplitRoutes = require('./routes/transaction-splits');
 const categoryRoutes = require('./routes/categories.sequelize');
 const reportRoutes = require('./routes/reports.sequelize');
 const settingsRoutes = require('./routes/settings.sequelize');
@@ -22,6 +31,18 @@ const aiStatusRoutes = require('./routes/ai-status');
 const categorizationRoutes = require('./routes/categorization');
 const uploadsRoutes = require('./routes/uploads');
 const transactionTestRoutes = require('./routes/transactions-test');
+const budgetRoutes = require('./routes/budgets');
+const transferRoutes = require('./routes/transfers');
+const ruleRoutes = require('./routes/rules');
+const recurringRoutes = require('./routes/recurring');
+const accountRoutes = require('./routes/accounts');
+const importProfileRoutes = require('./routes/import-profiles');
+const exchangeRateRoutes = require('./routes/exchange-rates');
+const jobRoutes = require('./routes/jobs');
+const authRoutes = require('./routes/auth');
+const walletRoutes = require('./routes/wallets');
+const auditLogRoutes = require('./routes/audit-log');
+const merchantRoutes = require('./routes/merchants');
 
 // Initialize express app
 const app = express();
@@ -39,7 +60,7 @@ const corsOptions = {
     ? ['https://pennydash.replit.app'] // Update with your production domain(s)
     : ['http://localhost:3000', 'http://localhost:5000', '*'],
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-access-token', 'x-requested-with'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-access-token', 'x-requested-with', 'x-wallet-id'],
   credentials: true,
   maxAge: 86400, // 24 hours, how long preflight requests can be cached
   preflightContinue: false,
@@ -60,9 +81,17 @@ app.use((req, res, next) => {
 // Make the uploads directory available
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
+// Account and wallet routes handle their own authentication
+app.use('/api/auth', authRoutes);
+app.use('/api/wallets', authenticate, walletRoutes);
+
+// Every other API route needs a signed-in user with access to the current wallet
+app.use('/api', authenticate, authorizeWalletAccess);
+
 // Use routes
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/transactions', transactionReviewedRoutes);
+app.use('/api/transactions', transactionSplitRoutes);
 app.use('/api/transactions', transactionTestRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/reports', reportRoutes);
@@ -72,6 +101,16 @@ app.use('/api/suggestions', suggestionRoutes);
 app.use('/api/ai-status', aiStatusRoutes);
 app.use('/api/categorize', categorizationRoutes);
 app.use('/api/uploads', uploadsRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/transfers', transferRoutes);
+app.use('/api/rules', ruleRoutes);
+app.use('/api/recurring', recurringRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/import-profiles', importProfileRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/audit-log', auditLogRoutes);
+app.use('/api/merchants', merchantRoutes);
 
 // Debug endpoint for development only
 app.get('/api/debug/transaction-tags', async (req, res) => {
@@ -187,6 +226,9 @@ const startServer = async () => {
   try {
     // Initialize database
     await initDB();
+
+    // Run queued background jobs (upload processing, batch summaries)
+    await startWorker(getDB());
     
     // Start server
     app.listen(PORT, '0.0.0.0', () => {
@@ -0,0 +1,137 @@
+/**
+ * Authentication and wallet authorization middleware for /api routes
+ */
+const { getDB } = require('../db/sequelize');
+const { findSession } = require('../services/auth');
+const { runInWalletScope, bindRequestToScope } = require('../services/walletScope');
+
+const SESSION_COOKIE = 'pennydash_session';
+
+// What each wallet role may do
+const ROLE_PERMISSIONS = {
+  owner: ['read', 'write', 'manage'],
+  editor: ['read', 'write'],
+  viewer: ['read']
+};
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Read the session token from the Authorization header, x-access-token header
+ * or session cookie (so plain links such as exports work in the browser)
+ * @param {Object} req - Express request
+ * @returns {string|null} Token
+ */
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  if (req.headers['x-access-token']) {
+    return req.headers['x-access-token'];
+  }
+
+  const cookie = (req.headers.cookie || '').split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${SESSION_COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+}
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role - Wallet role
+ * @param {string} permission - 'read', 'write' or 'manage'
+ * @returns {boolean} Whether it is allowed
+ */
+function roleAllows(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Require a signed-in user and resolve the wallet the request acts on: the
+ * X-Wallet-Id header, otherwise the user's default wallet. Sets req.user,
+ * req.session, req.wallet and req.walletRole and runs the rest of the request
+ * inside the wallet's data scope.
+ */
+async function authenticate(req, res, next) {
+  try {
+    const models = getDB().models;
+    const token = getRequestToken(req);
+    const session = await findSession(models, token);
+
+    if (!session) {
+      return res.status(401).json({ error: token ? 'Session expired or invalid' : 'Authentication required' });
+    }
+
+    const user = session.user;
+    const walletId = req.headers['x-wallet-id'] || user.defaultWalletId;
+    let membership = walletId ? await models.WalletMember.findOne({
+      where: { walletId, userId: user.id },
+      include: [{ model: models.Wallet, as: 'wallet' }]
+    }) : null;
+
+    if (!membership && req.headers['x-wallet-id']) {
+      return res.status(403).json({ error: 'You are not a member of this wallet' });
+    }
+
+    // The default wallet was deleted or left; fall back to any membership
+    if (!membership) {
+      membership = await models.WalletMember.findOne({
+        where: { userId: user.id },
+        include: [{ model: models.Wallet, as: 'wallet' }],
+        order: [['createdAt', 'ASC']]
+      });
+    }
+
+    await session.update({ lastUsedAt: new Date() });
+
+    req.user = user;
+    req.session = session;
+    req.wallet = membership ? membership.wallet : null;
+    req.walletRole = membership ? membership.role : null;
+
+    if (!req.wallet) {
+      return next();
+    }
+
+    bindRequestToScope(req);
+    runInWalletScope(req.wallet.id, next, { userId: user.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Require the current wallet role to grant a permission
+ * @param {string} permission - 'read', 'write' or 'manage'
+ * @returns {Function} Express middleware
+ */
+function requireWalletPermission(permission) {
+  return (req, res, next) => {
+    if (!req.wallet) {
+      return res.status(403).json({ error: 'No wallet available. Create a wallet first.' });
+    }
+    if (!roleAllows(req.walletRole, permission)) {
+      return res.status(403).json({ error: `Your role (${req.walletRole}) does not allow this action` });
+    }
+    next();
+  };
+}
+
+/**
+ * Require read access for safe methods and write access for everything else
+ */
+function authorizeWalletAccess(req, res, next) {
+  const permission = READ_METHODS.includes(req.method) ? 'read' : 'write';
+  return requireWalletPermission(permission)(req, res, next);
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  ROLE_PERMISSIONS,
+  getRequestToken,
+  roleAllows,
+  authenticate,
+  requireWalletPermission,
+  authorizeWalletAccess
+};
@@ -0,0 +1,135 @@
+/**
+ * Account model representing a bank, credit card or other financial account using Sequelize
+ *
+ * Transaction.account and Upload.accountName keep the account's display name
+ * for existing reports; accountId is the authoritative link.
+ */
+const { Model, DataTypes } = require('sequelize');
+
+// Keep in sync with Transaction.accountType
+const ACCOUNT_TYPES = ['bank', 'credit_card', 'investment', 'cash', 'wallet', 'other'];
+
+class Account extends Model {
+  /**
+   * Initialize the Account model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: true
+        }
+      },
+      institution: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Bank or card issuer (e.g. Chase, American Express)'
+      },
+      type: {
+        type: DataTypes.ENUM(...ACCOUNT_TYPES),
+        allowNull: false,
+        defaultValue: 'bank'
+      },
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD',
+        validate: {
+          is: /^[A-Z]{3}$/
+        }
+      },
+      openingBalance: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      openingBalanceDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: 'Date the opening balance applies to; transactions before it are ignored for balances'
+      },
+      last4: {
+        type: DataTypes.STRING(4),
+        allowNull: true,
+        validate: {
+          is: /^\d{4}$/
+        }
+      },
+      matchPatterns: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Extra keywords that identify this account in upload filenames or statement metadata'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      walletId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Wallet (household) the row belongs to'
+      }
+    }, {
+      sequelize,
+      modelName: 'account',
+      tableName: 'accounts',
+      underscored: true, // Use snake_case for column names
+      timestamps: true, // Add createdAt and updatedAt
+      indexes: [
+        {
+          fields: ['name']
+        },
+        {
+          fields: ['wallet_id']
+        }
+      ]
+    });
+
+    return this;
+  }
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all defined models
+   */
+  static associate(models) {
+    // Account has many Transactions
+    if (models.Transaction) {
+      this.hasMany(models.Transaction, {
+        foreignKey: 'accountId',
+        as: 'transactions'
+      });
+    }
+
+    // Account has many reconciled statement periods
+    if (models.Reconciliation) {
+      this.hasMany(models.Reconciliation, {
+        foreignKey: 'accountId',
+        as: 'reconciliations',
+        onDelete: 'CASCADE'
+      });
+    }
+
+    // Account has many Uploads
+    if (models.Upload) {
+      this.hasMany(models.Upload, {
+        foreignKey: 'accountId',
+        as: 'uploads'
+      });
+    }
+  }
+}
+
+Account.ACCOUNT_TYPES = ACCOUNT_TYPES;
+
+module.exports = Account;
@@ -0,0 +1,84 @@
+/**
+ * AiCacheEntry model: a stored AI categorization answer, so the same
+ * description is not sent to the provider again after a restart, using Sequelize
+ */
+const { Model, DataTypes } = require('sequelize');
+
+class AiCacheEntry extends Model {
+  /**
+   * Initialize the AiCacheEntry model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      key: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true,
+        comment: 'SHA-256 of wallet, provider, model, prompt version and the transaction text'
+      },
+      provider: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      model: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      promptVersion: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+      },
+      response: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        comment: 'Categorization result as returned by the AI service'
+      },
+      categoryId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Category the answer was matched to, if any'
+      },
+      categoryName: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Suggested category name, lowercased'
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      walletId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Wallet (household) the row belongs to'
+      }
+    }, {
+      sequelize,
+      modelName: 'aiCacheEntry',
+      tableName: 'ai_cache_entries',
+      underscored: true, // Use snake_case for column names
+      timestamps: true, // Add createdAt and updatedAt
+      indexes: [
+        {
+          fields: ['category_id']
+        },
+        {
+          fields: ['expires_at']
+        },
+        {
+          fields: ['wallet_id']
+        }
+      ]
+    });
+
+    return this;
+  }
+}
+
+module.exports = AiCacheEntry;
@@ -0,0 +1,115 @@
+/**
+ * AuditLog model: an append-only record of a change to a transaction or
+ * category, with the old and new value of every changed field, using Sequelize
+ */
+const { Model, DataTypes } = require('sequelize');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+const AUDIT_SOURCES = ['manual', 'ai', 'rule', 'bulk', 'import', 'system'];
+
+const appendOnly = () => {
+  throw new Error('Audit log entries cannot be changed');
+};
+
+class AuditLog extends Model {
+  /**
+   * Initialize the AuditLog model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      entityType: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        comment: 'Kind of record changed: transaction or category'
+      },
+      entityId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      action: {
+        type: DataTypes.ENUM(...AUDIT_ACTIONS),
+        allowNull: false
+      },
+      source: {
+        type: DataTypes.ENUM(...AUDIT_SOURCES),
+        allowNull: false,
+        defaultValue: 'system',
+        comment: 'What made the change: a person, the AI, a rule, a bulk edit, an import or the app itself'
+      },
+      changes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {},
+        comment: 'Changed fields as { field: { old, new } }'
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Signed-in user who made the change, if any'
+      },
+      revertOf: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Entry this change reverted'
+      },
+      walletId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Wallet (household) the row belongs to'
+      }
+    }, {
+      sequelize,
+      modelName: 'auditLog',
+      tableName: 'audit_logs',
+      underscored: true, // Use snake_case for column names
+      timestamps: true,
+      updatedAt: false, // Entries are never updated
+      indexes: [
+        {
+          fields: ['entity_type', 'entity_id']
+        },
+        {
+          fields: ['revert_of']
+        },
+        {
+          fields: ['wallet_id']
+        },
+        {
+          fields: ['created_at']
+        }
+      ],
+      hooks: {
+        beforeUpdate: appendOnly,
+        beforeBulkUpdate: appendOnly
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Set up model associations
+   * @param {Object} models - All models
+   */
+  static associate(models) {
+    // Entry belongs to the User who made the change
+    if (models.User) {
+      this.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+        constraints: false
+      });
+    }
+  }
+}
+
+AuditLog.AUDIT_ACTIONS = AUDIT_ACTIONS;
+AuditLog.AUDIT_SOURCES = AUDIT_SOURCES;
+
+module.exports = AuditLog;
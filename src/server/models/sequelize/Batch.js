@@ -65,6 +65,11 @@ class Batch extends Model {
             model: 'uploads',
             key: 'id'
           }
+        },
+        walletId: {
+          type: DataTypes.UUID,
+          allowNull: true,
+          comment: 'Wallet (household) the row belongs to'
         }
       },
       {
@@ -72,7 +77,12 @@ class Batch extends Model {
         modelName: 'batch',
         tableName: 'batches',
         underscored: true,
-        timestamps: true
+        timestamps: true,
+        indexes: [
+          {
+            fields: ['wallet_id']
+          }
+        ]
       }
     );
   }
@@ -0,0 +1,151 @@
+/**
+ * Budget model representing a spending limit for a category using Sequelize
+ */
+const { Model, DataTypes } = require('sequelize');
+
+// Number of months covered by each budget period
+const PERIOD_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  yearly: 12
+};
+
+/**
+ * Build a date for the given day of month, clamped to the month's length
+ * (so a budget starting on the 31st starts on the 28th/29th in February)
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month (may overflow into other years)
+ * @param {number} day - Day of month
+ * @returns {Date} UTC date
+ */
+function clampedDate(year, month, day) {
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(day, daysInMonth)));
+}
+
+class Budget extends Model {
+  /**
+   * Initialize the Budget model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      categoryId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'categories',
+          key: 'id'
+        }
+      },
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+          min: 0
+        },
+        comment: 'Amount budgeted for each period'
+      },
+      period: {
+        type: DataTypes.ENUM('monthly', 'quarterly', 'yearly'),
+        allowNull: false,
+        defaultValue: 'monthly'
+      },
+      rollover: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Carry unspent (or overspent) amount from the previous period into the current one'
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      walletId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Wallet (household) the row belongs to'
+      }
+    }, {
+      sequelize,
+      modelName: 'budget',
+      tableName: 'budgets',
+      underscored: true, // Use snake_case for column names
+      timestamps: true, // Add createdAt and updatedAt
+      indexes: [
+        {
+          unique: true,
+          fields: ['category_id', 'period']
+        },
+        {
+          fields: ['wallet_id']
+        }
+      ]
+    });
+
+    return this;
+  }
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all defined models
+   */
+  static associate(models) {
+    // Budget belongs to a Category
+    if (models.Category) {
+      this.belongsTo(models.Category, {
+        foreignKey: 'categoryId',
+        as: 'category',
+        onDelete: 'CASCADE'
+      });
+    }
+  }
+
+  /**
+   * Get the date range of the budget period containing a reference date.
+   * Periods start on `budgetStart` (the day of month from Settings); quarterly
+   * periods start in Jan/Apr/Jul/Oct and yearly periods in January.
+   * @param {string} period - 'monthly', 'quarterly' or 'yearly'
+   * @param {number} budgetStart - Day of month the budget period starts on (1-31)
+   * @param {Date} referenceDate - Date inside the period (defaults to today)
+   * @returns {Object} { startDate, endDate } as YYYY-MM-DD strings
+   */
+  static getPeriodRange(period = 'monthly', budgetStart = 1, referenceDate = new Date()) {
+    const months = PERIOD_MONTHS[period] || 1;
+    const year = referenceDate.getUTCFullYear();
+    const anchorMonth = Math.floor(referenceDate.getUTCMonth() / months) * months;
+
+    let start = clampedDate(year, anchorMonth, budgetStart);
+    if (start > referenceDate) {
+      start = clampedDate(year, anchorMonth - months, budgetStart);
+    }
+
+    const nextStart = clampedDate(start.getUTCFullYear(), start.getUTCMonth() + months, budgetStart);
+    const end = new Date(nextStart.getTime() - 24 * 60 * 60 * 1000);
+
+    return {
+      startDate: start.toISOString().split('T')[0],
+      endDate: end.toISOString().split('T')[0]
+    };
+  }
+
+  /**
+   * Get the date range of the period before the one containing a reference date
+   * @param {string} period - 'monthly', 'quarterly' or 'yearly'
+   * @param {number} budgetStart - Day of month the budget period starts on (1-31)
+   * @param {Date} referenceDate - Date inside the current period (defaults to today)
+   * @returns {Object} { startDate, endDate } as YYYY-MM-DD strings
+   */
+  static getPreviousPeriodRange(period = 'monthly', budgetStart = 1, referenceDate = new Date()) {
+    const { startDate } = this.getPeriodRange(period, budgetStart, referenceDate);
+    const dayBefore = new Date(new Date(`${startDate}T00:00:00Z`).getTime() - 24 * 60 * 60 * 1000);
+    return this.getPeriodRange(period, budgetStart, dayBefore);
+  }
+}
+
+module.exports = Budget;
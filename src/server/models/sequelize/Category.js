@@ -58,6 +58,11 @@ class Category extends Model {
           model: 'categories',
           key: 'id'
         }
+      },
+      walletId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Wallet (household) the row belongs to'
       }
     }, {
       sequelize,
@@ -74,6 +79,9 @@ class Category extends Model {
         },
         {
           fields: ['parent_id']
+        },
+        {
+          fields: ['wallet_id']
         }
       ]
     });
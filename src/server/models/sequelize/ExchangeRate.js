@@ -0,0 +1,77 @@
+/**
+ * ExchangeRate model representing the value of one currency in another on a
+ * given date using Sequelize: 1 fromCurrency = rate toCurrency. Each wallet
+ * keeps its own rates.
+ */
+const { Model, DataTypes } = require('sequelize');
+
+class ExchangeRate extends Model {
+  /**
+   * Initialize the ExchangeRate model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+      },
+      fromCurrency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        validate: {
+          is: /^[A-Z]{3}$/
+        }
+      },
+      toCurrency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        validate: {
+          is: /^[A-Z]{3}$/
+        }
+      },
+      rate: {
+        type: DataTypes.DECIMAL(18, 8),
+        allowNull: false,
+        validate: {
+          isPositive(value) {
+            if (!(parseFloat(value) > 0)) {
+              throw new Error('Rate must be greater than zero');
+            }
+          }
+        }
+      },
+      source: {
+        type: DataTypes.ENUM('manual', 'csv'),
+        allowNull: false,
+        defaultValue: 'manual'
+      },
+      walletId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Wallet (household) the row belongs to'
+      }
+    }, {
+      sequelize,
+      modelName: 'exchangeRate',
+      tableName: 'exchange_rates',
+      underscored: true, // Use snake_case for column names
+      timestamps: true, // Add createdAt and updatedAt
+      indexes: [
+        {
+          unique: true,
+          fields: ['wallet_id', 'from_currency', 'to_currency', 'date']
+        }
+      ]
+    });
+
+    return this;
+  }
+}
+
+module.exports = ExchangeRate;
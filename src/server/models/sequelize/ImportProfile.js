@@ -0,0 +1,152 @@
+/**
+ * ImportProfile model representing a saved CSV or PDF statement layout for
+ * one institution's exports using Sequelize
+ *
+ * columnMapping maps transaction fields to CSV columns by header name or
+ * zero-based index, e.g. { date: 'Posting Date', description: 'Details',
+ * debit: 'Debit', credit: 'Credit', balance: 'Balance' }.
+ *
+ * PDF profiles use pdfLayout instead: identifiers (text that recognises the
+ * bank's statements) and column x-ranges in PDF points, e.g.
+ * { identifiers: ['Example Bank'], columns: { date: [30, 80], description: [80, 330], amount: [330, 420] } }.
+ */
+const { Model, DataTypes } = require('sequelize');
+
+class ImportProfile extends Model {
+  /**
+   * Initialize the ImportProfile model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: true
+        }
+      },
+      institution: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      fileType: {
+        type: DataTypes.ENUM('csv', 'pdf'),
+        allowNull: false,
+        defaultValue: 'csv'
+      },
+      accountId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'accounts',
+          key: 'id'
+        },
+        comment: 'Account that files matching this profile are imported into by default'
+      },
+      columnMapping: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      delimiter: {
+        type: DataTypes.STRING(1),
+        allowNull: false,
+        defaultValue: ','
+      },
+      dateFormat: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'YYYY-MM-DD',
+        comment: 'Tokens: YYYY, YY, MM, M, MMM, DD, D (e.g. DD/MM/YYYY)'
+      },
+      decimalSeparator: {
+        type: DataTypes.ENUM('.', ','),
+        allowNull: false,
+        defaultValue: '.'
+      },
+      signConvention: {
+        type: DataTypes.ENUM('negative_expense', 'positive_expense', 'debit_credit', 'type_column'),
+        allowNull: false,
+        defaultValue: 'negative_expense',
+        comment: 'How to tell expenses from income: amount sign, separate debit/credit columns, or a type column'
+      },
+      headerRowOffset: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+          min: 0
+        },
+        comment: 'Number of non-empty lines before the header row (e.g. account summary lines)'
+      },
+      skipRows: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+          min: 0
+        },
+        comment: 'Number of rows to skip between the header and the first transaction'
+      },
+      headers: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Header row of a sample file, used for automatic profile selection'
+      },
+      headerSignature: {
+        type: DataTypes.STRING(1024),
+        allowNull: true
+      },
+      pdfLayout: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'PDF statements: identifiers and column x-ranges (see pdfStatementParser)'
+      },
+      walletId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Wallet (household) the row belongs to'
+      }
+    }, {
+      sequelize,
+      modelName: 'importProfile',
+      tableName: 'import_profiles',
+      underscored: true, // Use snake_case for column names
+      timestamps: true, // Add createdAt and updatedAt
+      indexes: [
+        {
+          fields: ['header_signature']
+        },
+        {
+          fields: ['wallet_id']
+        }
+      ]
+    });
+
+    return this;
+  }
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all defined models
+   */
+  static associate(models) {
+    // Profile can default to an Account
+    if (models.Account) {
+      this.belongsTo(models.Account, {
+        foreignKey: 'accountId',
+        as: 'account',
+        onDelete: 'SET NULL'
+      });
+    }
+  }
+}
+
+module.exports = ImportProfile;
@@ -0,0 +1,120 @@
+/**
+ * Job model representing a unit of background work (upload processing, AI
+ * enrichment, ...) run by the in-process worker using Sequelize
+ */
+const { Model, DataTypes } = require('sequelize');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+class Job extends Model {
+  /**
+   * Initialize the Job model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      type: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Handler name, e.g. upload.process'
+      },
+      status: {
+        type: DataTypes.ENUM(...JOB_STATUSES),
+        allowNull: false,
+        defaultValue: 'queued'
+      },
+      progress: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+          min: 0,
+          max: 100
+        }
+      },
+      progressMessage: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      uploadId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Upload the job works on, so the upload view can find its jobs'
+      },
+      payload: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      result: {
+        type: DataTypes.JSONB,
+        allowNull: true
+      },
+      error: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Message of the last failed attempt'
+      },
+      attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      maxAttempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 3,
+        validate: {
+          min: 1
+        }
+      },
+      runAt: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+        comment: 'Earliest time the job may start (delayed by retry backoff)'
+      },
+      startedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      finishedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      walletId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Wallet (household) the row belongs to'
+      }
+    }, {
+      sequelize,
+      modelName: 'job',
+      tableName: 'jobs',
+      underscored: true, // Use snake_case for column names
+      timestamps: true, // Add createdAt and updatedAt
+      indexes: [
+        {
+          fields: ['status', 'run_at']
+        },
+        {
+          fields: ['upload_id']
+        },
+        {
+          fields: ['wallet_id']
+        }
+      ]
+    });
+
+    return this;
+  }
+}
+
+Job.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = Job;
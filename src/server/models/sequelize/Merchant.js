@@ -0,0 +1,132 @@
+/**
+ * Merchant model: the canonical name of a payee plus the spellings that
+ * identify it in raw statement descriptions, using Sequelize
+ *
+ * Transaction.merchant keeps the merchant's display name for existing
+ * reports; merchantId is the authoritative link.
+ */
+const { Model, DataTypes } = require('sequelize');
+
+// Every entry of a string list must be a non-empty string
+const stringList = (label) => function (value) {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+    throw new Error(`${label} must be a list of non-empty strings`);
+  }
+};
+
+class Merchant extends Model {
+  /**
+   * Initialize the Merchant model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: true
+        }
+      },
+      key: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Normalized name used to match cleaned descriptions (e.g. "blue bottle")'
+      },
+      aliases: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        validate: {
+          isStringList: stringList('Aliases')
+        },
+        comment: 'Other names of the merchant, matched like the name itself'
+      },
+      patterns: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        validate: {
+          isStringList: stringList('Patterns'),
+          isRegExpList(value) {
+            value.forEach(pattern => {
+              try {
+                new RegExp(pattern, 'i');
+              } catch (error) {
+                throw new Error(`Invalid pattern "${pattern}": ${error.message}`);
+              }
+            });
+          }
+        },
+        comment: 'Case-insensitive regular expressions tested against raw descriptions'
+      },
+      defaultCategoryId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Category given to new uncategorized transactions from this merchant'
+      },
+      color: {
+        type: DataTypes.STRING(7),
+        allowNull: true,
+        validate: {
+          is: {
+            args: /^#[0-9A-F]{6}$/i,
+            msg: 'Color must be a valid hex color code (e.g., #FF5733)'
+          }
+        },
+        comment: 'Logo/avatar color'
+      },
+      walletId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Wallet (household) the row belongs to'
+      }
+    }, {
+      sequelize,
+      modelName: 'merchant',
+      tableName: 'merchants',
+      underscored: true, // Use snake_case for column names
+      timestamps: true, // Add createdAt and updatedAt
+      indexes: [
+        {
+          fields: ['key']
+        },
+        {
+          fields: ['wallet_id']
+        }
+      ]
+    });
+
+    return this;
+  }
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all defined models
+   */
+  static associate(models) {
+    // Merchant has many Transactions
+    if (models.Transaction) {
+      this.hasMany(models.Transaction, {
+        foreignKey: 'merchantId',
+        as: 'transactions'
+      });
+    }
+
+    // Merchant can have a default Category
+    if (models.Category) {
+      this.belongsTo(models.Category, {
+        foreignKey: 'defaultCategoryId',
+        as: 'defaultCategory',
+        onDelete: 'SET NULL'
+      });
+    }
+  }
+}
+
+module.exports = Merchant;
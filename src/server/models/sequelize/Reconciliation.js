@@ -0,0 +1,88 @@
+/**
+ * Reconciliation model representing an account period checked against a
+ * bank statement using Sequelize. Transactions dated inside a reconciled
+ * period need explicit confirmation before balance-affecting edits.
+ */
+const { Model, DataTypes } = require('sequelize');
+
+class Reconciliation extends Model {
+  /**
+   * Initialize the Reconciliation model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      accountId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'accounts',
+          key: 'id'
+        }
+      },
+      periodStart: {
+        type: DataTypes.DATEONLY,
+        allowNull: true,
+        comment: 'First day of the reconciled period; null means from the start of the account'
+      },
+      periodEnd: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        comment: 'Statement closing date'
+      },
+      statementBalance: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+      },
+      computedBalance: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        comment: 'Balance computed from transactions when the period was reconciled'
+      },
+      difference: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      }
+    }, {
+      sequelize,
+      modelName: 'reconciliation',
+      tableName: 'reconciliations',
+      underscored: true, // Use snake_case for column names
+      timestamps: true, // Add createdAt and updatedAt
+      indexes: [
+        {
+          fields: ['account_id', 'period_end']
+        }
+      ]
+    });
+
+    return this;
+  }
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all defined models
+   */
+  static associate(models) {
+    // Reconciliation belongs to an Account
+    if (models.Account) {
+      this.belongsTo(models.Account, {
+        foreignKey: 'accountId',
+        as: 'account',
+        onDelete: 'CASCADE'
+      });
+    }
+  }
+}
+
+module.exports = Reconciliation;
@@ -0,0 +1,132 @@
+/**
+ * RecurringSeries model representing a detected recurring charge or
+ * subscription (e.g. a monthly streaming service) using Sequelize
+ */
+const { Model, DataTypes } = require('sequelize');
+
+class RecurringSeries extends Model {
+  /**
+   * Initialize the RecurringSeries model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      merchantKey: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        comment: 'Normalized merchant/description used to group transactions into the series'
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      type: {
+        type: DataTypes.ENUM('income', 'expense'),
+        allowNull: false,
+        defaultValue: 'expense'
+      },
+      cadence: {
+        type: DataTypes.ENUM('weekly', 'biweekly', 'monthly', 'quarterly', 'annual'),
+        allowNull: false
+      },
+      account: {
+        type: DataTypes.STRING,
+        allowNull: true
+      },
+      categoryId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'categories',
+          key: 'id'
+        }
+      },
+      expectedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        comment: 'Amount of the most recent charge, expected again next time'
+      },
+      averageAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+      },
+      lastDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+      },
+      nextExpectedDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+      },
+      transactionCount: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      priceChanges: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'Array of { date, previousAmount, newAmount } entries'
+      },
+      status: {
+        type: DataTypes.ENUM('active', 'missed', 'ignored'),
+        allowNull: false,
+        defaultValue: 'active',
+        comment: 'missed = the expected charge did not arrive; ignored = user dismissed the series'
+      },
+      walletId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Wallet (household) the row belongs to'
+      }
+    }, {
+      sequelize,
+      modelName: 'recurringSeries',
+      tableName: 'recurring_series',
+      underscored: true, // Use snake_case for column names
+      timestamps: true, // Add createdAt and updatedAt
+      indexes: [
+        {
+          unique: true,
+          fields: ['wallet_id', 'merchant_key', 'type']
+        },
+        {
+          fields: ['next_expected_date']
+        }
+      ]
+    });
+
+    return this;
+  }
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all defined models
+   */
+  static associate(models) {
+    // Series belongs to the category most of its transactions use
+    if (models.Category) {
+      this.belongsTo(models.Category, {
+        foreignKey: 'categoryId',
+        as: 'category',
+        onDelete: 'SET NULL'
+      });
+    }
+
+    // Series has many Transactions
+    if (models.Transaction) {
+      this.hasMany(models.Transaction, {
+        foreignKey: 'recurringSeriesId',
+        as: 'transactions'
+      });
+    }
+  }
+}
+
+module.exports = RecurringSeries;
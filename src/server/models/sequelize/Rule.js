@@ -0,0 +1,91 @@
+/**
+ * Rule model representing a user-defined categorization rule using Sequelize
+ *
+ * Conditions are stored as an array of { field, operator, value, value2 } objects,
+ * e.g. { field: 'description', operator: 'contains', value: 'uber' } or
+ * { field: 'amount', operator: 'between', value: 10, value2: 50 }.
+ * Actions are stored as an object with any of categoryId, subcategoryId,
+ * merchant, tags and needsReview.
+ */
+const { Model, DataTypes } = require('sequelize');
+
+class Rule extends Model {
+  /**
+   * Initialize the Rule model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: true
+        }
+      },
+      priority: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 100,
+        comment: 'Rules are evaluated in ascending priority order; the first match wins'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      matchType: {
+        type: DataTypes.ENUM('all', 'any'),
+        allowNull: false,
+        defaultValue: 'all',
+        comment: 'Whether all conditions or any condition must match'
+      },
+      conditions: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      actions: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {}
+      },
+      walletId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Wallet (household) the row belongs to'
+      }
+    }, {
+      sequelize,
+      modelName: 'rule',
+      tableName: 'rules',
+      underscored: true, // Use snake_case for column names
+      timestamps: true, // Add createdAt and updatedAt
+      indexes: [
+        {
+          fields: ['priority']
+        },
+        {
+          fields: ['wallet_id']
+        }
+      ]
+    });
+
+    return this;
+  }
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all defined models
+   */
+  static associate(models) {
+    // Rule actions reference categories by ID inside the JSON actions column
+  }
+}
+
+module.exports = Rule;
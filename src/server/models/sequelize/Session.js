@@ -0,0 +1,76 @@
+/**
+ * Session model representing a signed-in user's token using Sequelize. Only
+ * a SHA-256 hash of the token is stored.
+ */
+const { Model, DataTypes } = require('sequelize');
+
+class Session extends Model {
+  /**
+   * Initialize the Session model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      tokenHash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      expiresAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      lastUsedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      userAgent: {
+        type: DataTypes.STRING,
+        allowNull: true
+      }
+    }, {
+      sequelize,
+      modelName: 'session',
+      tableName: 'sessions',
+      underscored: true, // Use snake_case for column names
+      timestamps: true, // Add createdAt and updatedAt
+      indexes: [
+        {
+          fields: ['user_id']
+        }
+      ]
+    });
+
+    return this;
+  }
+
+  /**
+   * Set up model associations
+   * @param {Object} models - All models
+   */
+  static associate(models) {
+    // Session belongs to a User
+    if (models.User) {
+      this.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+        onDelete: 'CASCADE'
+      });
+    }
+  }
+}
+
+module.exports = Session;
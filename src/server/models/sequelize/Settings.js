@@ -70,13 +70,23 @@ class Settings extends Model {
       customPeriods: {
         type: DataTypes.JSONB,
         allowNull: true
+      },
+      walletId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Wallet (household) the row belongs to'
       }
     }, {
       sequelize,
       modelName: 'settings',
       tableName: 'settings',
       underscored: true, // Use snake_case for column names
-      timestamps: true // Add createdAt and updatedAt
+      timestamps: true, // Add createdAt and updatedAt
+      indexes: [
+        {
+          fields: ['wallet_id']
+        }
+      ]
     });
 
     return this;
@@ -74,19 +74,39 @@ class Transaction extends Model {
         comment: 'Always stored as positive. Use type field to determine income/expense.'
       },
       type: {
-        type: DataTypes.ENUM('income', 'expense'),
+        type: DataTypes.ENUM('income', 'expense', 'transfer'),
         allowNull: false,
         defaultValue: 'expense'
       },
+      transferDirection: {
+        type: DataTypes.ENUM('inflow', 'outflow'),
+        allowNull: true,
+        comment: 'For transfers, whether money entered (inflow) or left (outflow) this account'
+      },
+      transferPairId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'The matching transaction on the other side of a transfer'
+      },
       merchant: {
         type: DataTypes.STRING,
         allowNull: true
       },
+      merchantId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'The Merchant this transaction is from; merchant holds its display name'
+      },
       account: {
         type: DataTypes.STRING,
         allowNull: true,
         comment: 'Account name (e.g. Chase Checking, Amex Platinum)'
       },
+      accountId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'The Account this transaction belongs to; account holds its display name'
+      },
       accountType: {
         type: DataTypes.ENUM('bank', 'credit_card', 'investment', 'cash', 'wallet', 'other'),
         allowNull: true,
@@ -106,8 +126,14 @@ class Transaction extends Model {
         type: DataTypes.BOOLEAN,
         defaultValue: false
       },
+      recurringSeriesId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'The detected recurring series (subscription) this transaction belongs to'
+      },
       tags: {
-        type: DataTypes.ARRAY(DataTypes.STRING),
+        // SQLite has no array type; the tags are kept as a JSON array there
+        type: sequelize.getDialect() === 'postgres' ? DataTypes.ARRAY(DataTypes.STRING) : DataTypes.JSON,
         allowNull: true,
         defaultValue: [],
         comment: 'Array of tags for transaction'
@@ -162,18 +188,18 @@ class Transaction extends Model {
         comment: 'Source file name or import method'
       },
       uploadId: {
-        type: DataTypes.STRING,
+        type: DataTypes.UUID,
         allowNull: true,
-        comment: 'ID of the upload batch this transaction belongs to - stored as VARCHAR in DB but referenced as UUID',
+        comment: 'ID of the upload this transaction was imported from',
         references: {
           model: 'uploads',
           key: 'id'
         }
       },
       batchId: {
-        type: DataTypes.STRING,
+        type: DataTypes.UUID,
         allowNull: true,
-        comment: 'ID of the specific batch within an upload this transaction belongs to - stored as VARCHAR in DB but referenced as UUID',
+        comment: 'ID of the specific batch within an upload this transaction belongs to',
         references: {
           model: 'batches',
           key: 'id'
@@ -196,6 +222,11 @@ class Transaction extends Model {
         allowNull: false,
         defaultValue: true,
         comment: 'Flag indicating if transaction needs manual review'
+      },
+      walletId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Wallet (household) the row belongs to'
       }
     }, {
       sequelize,
@@ -216,6 +247,12 @@ class Transaction extends Model {
         {
           fields: ['account']
         },
+        {
+          fields: ['account_id']
+        },
+        {
+          fields: ['merchant_id']
+        },
         {
           fields: ['account_type']
         },
@@ -230,6 +267,12 @@ class Transaction extends Model {
         },
         {
           fields: ['enrichment_status']
+        },
+        {
+          fields: ['transfer_pair_id']
+        },
+        {
+          fields: ['wallet_id']
         }
       ]
     });
@@ -256,6 +299,49 @@ class Transaction extends Model {
       });
     }
 
+    // Transaction can be linked to the other side of a transfer
+    this.belongsTo(this, {
+      foreignKey: 'transferPairId',
+      as: 'transferPair',
+      onDelete: 'SET NULL'
+    });
+
+    // Transaction can be split across several categories
+    if (models.TransactionSplit) {
+      this.hasMany(models.TransactionSplit, {
+        foreignKey: 'transactionId',
+        as: 'splits',
+        onDelete: 'CASCADE'
+      });
+    }
+
+    // Transaction belongs to an Account
+    if (models.Account) {
+      this.belongsTo(models.Account, {
+        foreignKey: 'accountId',
+        as: 'accountRecord',
+        onDelete: 'SET NULL'
+      });
+    }
+
+    // Transaction belongs to a Merchant
+    if (models.Merchant) {
+      this.belongsTo(models.Merchant, {
+        foreignKey: 'merchantId',
+        as: 'merchantRecord',
+        onDelete: 'SET NULL'
+      });
+    }
+
+    // Transaction can belong to a detected recurring series
+    if (models.RecurringSeries) {
+      this.belongsTo(models.RecurringSeries, {
+        foreignKey: 'recurringSeriesId',
+        as: 'recurringSeries',
+        onDelete: 'SET NULL'
+      });
+    }
+
     // Transaction belongs to an Upload
     if (models.Upload) {
       this.belongsTo(models.Upload, {
@@ -0,0 +1,99 @@
+/**
+ * TransactionSplit model representing one category allocation of a split
+ * transaction using Sequelize. The splits of a transaction always add up to
+ * the parent transaction's amount.
+ */
+const { Model, DataTypes } = require('sequelize');
+
+class TransactionSplit extends Model {
+  /**
+   * Initialize the TransactionSplit model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      transactionId: {
+        type: DataTypes.UUID,
+        allowNull: false
+      },
+      categoryId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'categories',
+          key: 'id'
+        }
+      },
+      subcategoryId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'categories',
+          key: 'id'
+        }
+      },
+      amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+          min: 0.01
+        }
+      },
+      notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      }
+    }, {
+      sequelize,
+      modelName: 'transactionSplit',
+      tableName: 'transaction_splits',
+      underscored: true, // Use snake_case for column names
+      timestamps: true, // Add createdAt and updatedAt
+      indexes: [
+        {
+          fields: ['transaction_id']
+        },
+        {
+          fields: ['category_id']
+        }
+      ]
+    });
+
+    return this;
+  }
+
+  /**
+   * Define associations with other models
+   * @param {Object} models - The models object containing all defined models
+   */
+  static associate(models) {
+    // Split belongs to its parent Transaction
+    if (models.Transaction) {
+      this.belongsTo(models.Transaction, {
+        foreignKey: 'transactionId',
+        as: 'transaction',
+        onDelete: 'CASCADE'
+      });
+    }
+
+    // Split belongs to a main Category and optionally a subcategory
+    if (models.Category) {
+      this.belongsTo(models.Category, {
+        foreignKey: 'categoryId',
+        as: 'category'
+      });
+
+      this.belongsTo(models.Category, {
+        foreignKey: 'subcategoryId',
+        as: 'subcategory'
+      });
+    }
+  }
+}
+
+module.exports = TransactionSplit;
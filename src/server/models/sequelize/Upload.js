@@ -45,6 +45,10 @@ class Upload extends Model {
           type: DataTypes.STRING,
           allowNull: true
         },
+        accountId: {
+          type: DataTypes.UUID,
+          allowNull: true
+        },
         transactionCount: {
           type: DataTypes.INTEGER,
           defaultValue: 0
@@ -60,6 +64,11 @@ class Upload extends Model {
         processingError: {
           type: DataTypes.TEXT,
           allowNull: true
+        },
+        walletId: {
+          type: DataTypes.UUID,
+          allowNull: true,
+          comment: 'Wallet (household) the row belongs to'
         }
       },
       {
@@ -67,7 +76,12 @@ class Upload extends Model {
         modelName: 'upload',
         tableName: 'uploads',
         underscored: true,
-        timestamps: true
+        timestamps: true,
+        indexes: [
+          {
+            fields: ['wallet_id']
+          }
+        ]
       }
     );
   }
@@ -77,6 +91,15 @@ class Upload extends Model {
    * @param {Object} models - All models
    */
   static associate(models) {
+    // Upload belongs to the Account it was imported into
+    if (models.Account) {
+      this.belongsTo(models.Account, {
+        foreignKey: 'accountId',
+        as: 'accountRecord',
+        onDelete: 'SET NULL'
+      });
+    }
+
     // Upload has many Transactions
     if (models.Transaction) {
       this.hasMany(models.Transaction, {
@@ -0,0 +1,97 @@
+/**
+ * User model representing a local login using Sequelize. Passwords are
+ * stored as scrypt hashes (see services/auth).
+ */
+const { Model, DataTypes } = require('sequelize');
+
+class User extends Model {
+  /**
+   * Initialize the User model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      email: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true,
+        validate: {
+          isEmail: true
+        },
+        set(value) {
+          this.setDataValue('email', typeof value === 'string' ? value.trim().toLowerCase() : value);
+        }
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      passwordHash: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      defaultWalletId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Wallet used when a request does not pick one'
+      },
+      isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      lastLoginAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      }
+    }, {
+      sequelize,
+      modelName: 'user',
+      tableName: 'users',
+      underscored: true, // Use snake_case for column names
+      timestamps: true // Add createdAt and updatedAt
+    });
+
+    return this;
+  }
+
+  /**
+   * Set up model associations
+   * @param {Object} models - All models
+   */
+  static associate(models) {
+    // User belongs to wallets through memberships
+    if (models.WalletMember) {
+      this.hasMany(models.WalletMember, {
+        foreignKey: 'userId',
+        as: 'memberships',
+        onDelete: 'CASCADE'
+      });
+    }
+
+    // User has many login sessions
+    if (models.Session) {
+      this.hasMany(models.Session, {
+        foreignKey: 'userId',
+        as: 'sessions',
+        onDelete: 'CASCADE'
+      });
+    }
+  }
+
+  /**
+   * User data safe to return from the API
+   * @returns {Object} User without the password hash
+   */
+  toJSON() {
+    const { passwordHash, ...user } = this.get({ plain: true });
+    return user;
+  }
+}
+
+module.exports = User;
@@ -0,0 +1,98 @@
+/**
+ * Wallet model representing a household whose members share transactions,
+ * categories and settings, using Sequelize. Field rules follow the plain
+ * Wallet model in models/wallet.js.
+ */
+const { Model, DataTypes } = require('sequelize');
+
+class Wallet extends Model {
+  /**
+   * Initialize the Wallet model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          len: [2, 255]
+        }
+      },
+      description: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        defaultValue: ''
+      },
+      budget: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+          min: 0
+        }
+      },
+      ownerUserId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD'
+      },
+      icon: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: 'wallet'
+      },
+      color: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: '#7C3AED'
+      }
+    }, {
+      sequelize,
+      modelName: 'wallet',
+      tableName: 'wallets',
+      underscored: true, // Use snake_case for column names
+      timestamps: true // Add createdAt and updatedAt
+    });
+
+    return this;
+  }
+
+  /**
+   * Set up model associations
+   * @param {Object} models - All models
+   */
+  static associate(models) {
+    // Wallet is owned by a User
+    if (models.User) {
+      this.belongsTo(models.User, {
+        foreignKey: 'ownerUserId',
+        as: 'owner'
+      });
+    }
+
+    // Wallet has many members with roles
+    if (models.WalletMember) {
+      this.hasMany(models.WalletMember, {
+        foreignKey: 'walletId',
+        as: 'members',
+        onDelete: 'CASCADE'
+      });
+    }
+  }
+}
+
+module.exports = Wallet;
@@ -0,0 +1,90 @@
+/**
+ * WalletMember model linking a User to a Wallet with a role using Sequelize.
+ * owner: everything, including members and deleting the wallet;
+ * editor: read and change the wallet's data; viewer: read only.
+ */
+const { Model, DataTypes } = require('sequelize');
+
+const WALLET_ROLES = ['owner', 'editor', 'viewer'];
+
+class WalletMember extends Model {
+  /**
+   * Initialize the WalletMember model with Sequelize
+   * @param {Sequelize} sequelize - Sequelize instance
+   */
+  static init(sequelize) {
+    super.init({
+      id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+      },
+      walletId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'wallets',
+          key: 'id'
+        }
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      role: {
+        type: DataTypes.ENUM(...WALLET_ROLES),
+        allowNull: false,
+        defaultValue: 'viewer'
+      }
+    }, {
+      sequelize,
+      modelName: 'walletMember',
+      tableName: 'wallet_members',
+      underscored: true, // Use snake_case for column names
+      timestamps: true, // Add createdAt and updatedAt
+      indexes: [
+        {
+          unique: true,
+          fields: ['wallet_id', 'user_id']
+        },
+        {
+          fields: ['user_id']
+        }
+      ]
+    });
+
+    return this;
+  }
+
+  /**
+   * Set up model associations
+   * @param {Object} models - All models
+   */
+  static associate(models) {
+    // Membership belongs to a Wallet
+    if (models.Wallet) {
+      this.belongsTo(models.Wallet, {
+        foreignKey: 'walletId',
+        as: 'wallet',
+        onDelete: 'CASCADE'
+      });
+    }
+
+    // Membership belongs to a User
+    if (models.User) {
+      this.belongsTo(models.User, {
+        foreignKey: 'userId',
+        as: 'user',
+        onDelete: 'CASCADE'
+      });
+    }
+  }
+}
+
+WalletMember.WALLET_ROLES = WALLET_ROLES;
+
+module.exports = WalletMember;
@@ -0,0 +1,432 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { getDB } = require('../db/sequelize');
+const {
+  findAccountByName,
+  matchAccount,
+  getAccountBalance,
+  mergeAccounts,
+  backfillAccounts
+} = require('../services/accountMatching');
+const { statementSign, findBalanceBreaks, reconcileAccount } = require('../services/reconciliation');
+const { isConfirmed } = require('../utils/requestFlags');
+
+// Get the Sequelize models
+const getModels = () => {
+  const sequelize = getDB();
+  return sequelize.models;
+};
+
+// Fields a client is allowed to set on an account
+const ACCOUNT_FIELDS = ['name', 'institution', 'type', 'currency', 'openingBalance',
+  'openingBalanceDate', 'last4', 'matchPatterns', 'isActive'];
+
+const pickAccountFields = (data) => {
+  const fields = {};
+  ACCOUNT_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+  });
+  if (typeof fields.name === 'string') {
+    fields.name = fields.name.replace(/\s+/g, ' ').trim();
+  }
+  if (typeof fields.currency === 'string') {
+    fields.currency = fields.currency.toUpperCase();
+  }
+  return fields;
+};
+
+// Validate statement details sent for a reconciliation
+const validateStatement = ({ statementDate, statementBalance }) => {
+  const errors = [];
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(statementDate || '')) {
+    errors.push({ field: 'statementDate', message: 'Statement date must be in YYYY-MM-DD format' });
+  }
+  if (statementBalance === undefined || statementBalance === null || isNaN(parseFloat(statementBalance))) {
+    errors.push({ field: 'statementBalance', message: 'Statement balance must be a number' });
+  }
+  return errors;
+};
+
+const formatValidationError = (error) => ({
+  error: 'Validation error',
+  details: (error.errors || []).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+});
+
+// Add the computed balance and transaction count to an account
+const withBalance = async (account) => {
+  const { Transaction } = getModels();
+
+  const [balance, transactionCount] = await Promise.all([
+    getAccountBalance(account, Transaction),
+    Transaction.count({ where: { accountId: account.id } })
+  ]);
+
+  return { ...account.toJSON(), balance, transactionCount };
+};
+
+// Get all accounts with their current balances
+router.get('/', async (req, res) => {
+  try {
+    const { Account } = getModels();
+
+    const where = {};
+    if (req.query.includeInactive !== 'true') {
+      where.isActive = true;
+    }
+
+    const accounts = await Account.findAll({
+      where,
+      order: [['name', 'ASC']]
+    });
+
+    res.json(await Promise.all(accounts.map(withBalance)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create accounts from the free-text account names on existing transactions
+router.post('/backfill', async (req, res) => {
+  try {
+    const sequelize = getDB();
+
+    const results = await backfillAccounts(sequelize);
+
+    res.json({
+      accountCount: results.length,
+      accounts: results.map(({ account, names, transactionCount }) => ({
+        id: account.id,
+        name: account.name,
+        mergedNames: names,
+        transactionCount
+      }))
+    });
+  } catch (error) {
+    console.error('Account backfill error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Preview which account an upload filename / statement metadata would match
+router.post('/match', async (req, res) => {
+  try {
+    const { Account } = getModels();
+    const { filename, metadata } = req.body;
+
+    if (!filename && !metadata) {
+      return res.status(400).json({ error: 'A filename or statement metadata is required' });
+    }
+
+    const accounts = await Account.findAll({ where: { isActive: true } });
+    const match = matchAccount(accounts, { filename, metadata });
+
+    res.json(match
+      ? { account: match.account, score: match.score, reasons: match.reasons }
+      : { account: null });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a specific account
+router.get('/:id', async (req, res) => {
+  try {
+    const { Account } = getModels();
+
+    const account = await Account.findByPk(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json(await withBalance(account));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a new account
+router.post('/', async (req, res) => {
+  try {
+    const { Account } = getModels();
+    const accountData = pickAccountFields(req.body);
+
+    if (await findAccountByName(Account, accountData.name)) {
+      return res.status(409).json({ error: 'An account with this name already exists' });
+    }
+
+    try {
+      const newAccount = await Account.create(accountData);
+      res.status(201).json(newAccount);
+    } catch (validationError) {
+      return res.status(400).json(formatValidationError(validationError));
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update an account; a rename is copied to its transactions and uploads
+router.put('/:id', async (req, res) => {
+  try {
+    const { Account, Transaction, Upload } = getModels();
+    const sequelize = getDB();
+    const accountData = pickAccountFields(req.body);
+
+    const account = await Account.findByPk(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    if (accountData.name) {
+      const existing = await findAccountByName(Account, accountData.name);
+      if (existing && existing.id !== account.id) {
+        return res.status(409).json({ error: 'An account with this name already exists' });
+      }
+    }
+
+    const renamed = accountData.name && accountData.name !== account.name;
+
+    await sequelize.transaction(async (t) => {
+      await account.update(accountData, { transaction: t });
+
+      if (renamed) {
+        await Transaction.update(
+          { account: account.name },
+          { where: { accountId: account.id }, transaction: t }
+        );
+        await Upload.update(
+          { accountName: account.name },
+          { where: { accountId: account.id }, transaction: t }
+        );
+      }
+    });
+
+    res.json(account);
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json(formatValidationError(error));
+    }
+
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Merge this account into another account
+router.post('/:id/merge', async (req, res) => {
+  try {
+    const { Account } = getModels();
+    const sequelize = getDB();
+    const { targetId } = req.body;
+
+    if (!targetId || targetId === req.params.id) {
+      return res.status(400).json({ error: 'A different target account ID (targetId) is required' });
+    }
+
+    const [source, target] = await Promise.all([
+      Account.findByPk(req.params.id),
+      Account.findByPk(targetId)
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const result = await sequelize.transaction(async (t) => {
+      return mergeAccounts(source, target, getModels(), { transaction: t });
+    });
+
+    res.json({
+      message: `Merged "${source.name}" into "${target.name}"`,
+      account: target,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Check rows whose imported running balance breaks continuity
+router.get('/:id/balance-breaks', async (req, res) => {
+  try {
+    const { Account, Transaction } = getModels();
+
+    const account = await Account.findByPk(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const transactions = await Transaction.findAll({
+      where: { accountId: account.id },
+      attributes: ['id', 'date', 'description', 'amount', 'type', 'transferDirection', 'balance'],
+      order: [['date', 'ASC'], ['createdAt', 'ASC']],
+      raw: true
+    });
+
+    res.json(findBalanceBreaks(transactions, { sign: statementSign(account) }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Compare a statement closing balance with the computed balance (nothing is saved)
+router.post('/:id/reconcile', async (req, res) => {
+  try {
+    const { Account } = getModels();
+
+    const errors = validateStatement(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+
+    const account = await Account.findByPk(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    res.json(await reconcileAccount(account, getModels(), req.body));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the reconciled periods of an account
+router.get('/:id/reconciliations', async (req, res) => {
+  try {
+    const { Account, Reconciliation } = getModels();
+
+    // Reconciliations are not wallet-scoped; the account lookup is
+    const account = await Account.findByPk(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const reconciliations = await Reconciliation.findAll({
+      where: { accountId: account.id },
+      order: [['periodEnd', 'DESC']]
+    });
+
+    res.json(reconciliations);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Mark a statement period as reconciled
+router.post('/:id/reconciliations', async (req, res) => {
+  try {
+    const { Account, Reconciliation } = getModels();
+    const { notes, acceptDifference } = req.body;
+
+    const errors = validateStatement(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+
+    const account = await Account.findByPk(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const overlapping = await Reconciliation.findOne({
+      where: { accountId: account.id, periodEnd: { [Op.gte]: req.body.statementDate } }
+    });
+    if (overlapping) {
+      return res.status(409).json({
+        error: 'A later or equal statement date is already reconciled',
+        reconciliation: overlapping
+      });
+    }
+
+    const result = await reconcileAccount(account, getModels(), req.body);
+
+    // A mismatch can only be locked in deliberately
+    if (result.difference !== 0 && !isConfirmed(acceptDifference)) {
+      return res.status(400).json({
+        error: 'Statement balance does not match the computed balance. Resend with acceptDifference=true to reconcile anyway.',
+        ...result
+      });
+    }
+
+    const reconciliation = await Reconciliation.create({
+      accountId: account.id,
+      periodStart: result.periodStart,
+      periodEnd: result.periodEnd,
+      statementBalance: result.statementBalance,
+      computedBalance: result.computedBalance,
+      difference: result.difference,
+      notes
+    });
+
+    res.status(201).json(reconciliation);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Undo a reconciliation, unlocking its period
+router.delete('/:id/reconciliations/:reconciliationId', async (req, res) => {
+  try {
+    const { Account, Reconciliation } = getModels();
+
+    const account = await Account.findByPk(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const reconciliation = await Reconciliation.findOne({
+      where: { id: req.params.reconciliationId, accountId: account.id }
+    });
+
+    if (!reconciliation) {
+      return res.status(404).json({ error: 'Reconciliation not found' });
+    }
+
+    await reconciliation.destroy();
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete an account that has no transactions
+router.delete('/:id', async (req, res) => {
+  try {
+    const { Account, Transaction } = getModels();
+
+    const account = await Account.findByPk(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const transactionCount = await Transaction.count({ where: { accountId: account.id } });
+    if (transactionCount > 0) {
+      return res.status(400).json({
+        error: 'Account has transactions. Merge it into another account or deactivate it instead.',
+        transactionCount
+      });
+    }
+
+    await account.destroy();
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,23 @@
 /**
  * Routes for checking AI services status
- * Provides information about OpenAI service health and availability
+ * Provides information about AI provider health and availability
  */
 const express = require('express');
 const router = express.Router();
 const openaiService = require('../services/openai');
+const { PROVIDER_NAMES, validateProviderConfig } = require('../services/llmProviders');
+const { countStoredAnswers } = require('../services/aiCache');
 
 /**
  * @route GET /api/ai-status
  * @desc Get status and metrics for AI services
  * @access Public
  */
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
   try {
     // Get detailed status information from OpenAI service
     const openaiStatus = openaiService.getStatus();
+    openaiStatus.cache.storedEntries = await countStoredAnswers();
     
     // Add environment information (but don't expose the actual API key)
     const envInfo = {
@@ -31,6 +34,7 @@ router.get('/', (req, res) => {
         ...openaiStatus,
         envInfo
       },
+      providers: PROVIDER_NAMES,
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -111,16 +115,17 @@ router.post('/reset-metrics', (req, res) => {
 
 /**
  * @route POST /api/ai-status/clear-cache
- * @desc Clear the response cache
+ * @desc Clear the response cache, including the answers stored in the database
  * @access Public
  */
-router.post('/clear-cache', (req, res) => {
+router.post('/clear-cache', async (req, res) => {
   try {
-    openaiService.clearCache();
+    const removed = await openaiService.clearCache();
     
     res.json({
       success: true,
-      message: 'AI service response cache has been cleared'
+      message: 'AI service response cache has been cleared',
+      removedEntries: removed
     });
   } catch (error) {
     console.error('Error clearing AI cache:', error);
@@ -134,78 +139,94 @@ router.post('/clear-cache', (req, res) => {
 
 /**
  * @route POST /api/ai-status/configure
- * @desc Configure OpenAI API key (temporarily, for the current server session)
+ * @desc Choose the AI provider (temporarily, for the current server session):
+ *   { provider: 'openai', apiKey }, { provider: 'local', model } or
+ *   { provider: 'mock' }. A bare { apiKey } configures OpenAI as before;
+ *   apiKey 'RESET_TO_ENV' (or reset: true) goes back to the environment settings.
+ *   The provider serves every wallet, so the local server it sends
+ *   transactions to only comes from the environment (LLM_BASE_URL,
+ *   LLM_API_KEY, LLM_JSON_MODE), never from a request.
  * @access Public
  */
 router.post('/configure', (req, res) => {
   try {
-    const { apiKey } = req.body;
+    const { apiKey, model, reset } = req.body;
+    const providerName = req.body.provider || 'openai';
     
-    if (!apiKey) {
+    if (req.body.baseUrl !== undefined) {
       return res.status(400).json({
         error: true,
-        message: 'API key is required'
+        message: 'The local provider URL can only be set with LLM_BASE_URL in the server environment'
       });
     }
     
-    // Special case to reset to the original API key from environment
-    if (apiKey === 'RESET_TO_ENV') {
-      // Use the original API key from the environment (.env file)
+    // Special case to reset to the provider configured in the environment
+    if (reset === true || apiKey === 'RESET_TO_ENV') {
       const originalKey = process.env.ORIGINAL_OPENAI_API_KEY || process.env.OPENAI_API_KEY_ORIGINAL;
-      
-      if (!originalKey) {
-        return res.status(400).json({
-          error: true,
-          message: 'No original API key found in environment'
-        });
+      if (originalKey) {
+        process.env.OPENAI_API_KEY = originalKey;
       }
       
-      process.env.OPENAI_API_KEY = originalKey;
-      console.log('[OpenAI] Reset API key to original environment value');
+      const provider = openaiService.setProvider(null);
+      console.log('[OpenAI] Reset AI provider to environment settings');
       
-      const isConfigured = openaiService.isOpenAIConfigured();
       return res.json({
-        success: isConfigured,
-        message: 'OpenAI API key reset to original environment value',
+        success: provider.isConfigured(),
+        message: `AI provider reset to environment settings (${provider.name})`,
+        provider: { name: provider.name, model: provider.model, baseUrl: provider.baseUrl },
         requiresRestart: false
       });
     }
     
-    // Simple check of API key format
-    if (!apiKey.startsWith('sk-')) {
+    if (providerName === 'openai' && !apiKey) {
       return res.status(400).json({
         error: true,
-        message: 'Invalid API key format. OpenAI API keys start with "sk-"'
+        message: 'API key is required'
       });
     }
     
-    // Save the original key if we haven't already (for reset functionality)
-    if (!process.env.ORIGINAL_OPENAI_API_KEY) {
-      process.env.ORIGINAL_OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+    const config = providerName === 'local'
+      ? {
+        provider: providerName,
+        apiKey: process.env.LLM_API_KEY,
+        baseUrl: process.env.LLM_BASE_URL,
+        model,
+        jsonMode: process.env.LLM_JSON_MODE !== 'false'
+      }
+      : { provider: providerName, apiKey, model };
+    const errors = validateProviderConfig(config);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: true,
+        message: errors[0].message,
+        details: errors
+      });
     }
     
-    // Set the API key in the environment
-    process.env.OPENAI_API_KEY = apiKey;
-    
-    // Dynamically reconfigure OpenAI (no restart needed with our updated setup)
-    // We're using a dynamic OpenAI client configuration that checks the environment variables
-    // each time it's accessed
+    if (providerName === 'openai') {
+      // Save the original key if we haven't already (for reset functionality)
+      if (!process.env.ORIGINAL_OPENAI_API_KEY) {
+        process.env.ORIGINAL_OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+      }
+      process.env.OPENAI_API_KEY = apiKey;
+    }
     
-    // Check if the configuration was successful
-    const isConfigured = openaiService.isOpenAIConfigured();
+    const provider = openaiService.setProvider(config);
+    const isConfigured = provider.isConfigured();
     
     res.json({
       success: isConfigured,
       message: isConfigured 
-        ? 'OpenAI API key successfully configured and ready to use' 
-        : 'API key set but OpenAI client configuration failed',
+        ? `AI provider "${provider.name}" configured and ready to use` 
+        : `AI provider "${provider.name}" set but its client configuration failed`,
+      provider: { name: provider.name, model: provider.model, baseUrl: provider.baseUrl },
       requiresRestart: false
     });
   } catch (error) {
-    console.error('Error configuring API key:', error);
+    console.error('Error configuring AI provider:', error);
     res.status(500).json({
       error: true,
-      message: 'Failed to configure API key',
+      message: 'Failed to configure AI provider',
       details: error.message
     });
   }
@@ -0,0 +1,148 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../db/sequelize');
+const { isConfirmed } = require('../utils/requestFlags');
+const { findLockedReconciliation } = require('../services/reconciliation');
+const { AUDITED_MODELS, getRevertValues, revertChange, formatEntries } = require('../services/auditLog');
+
+// Get the Sequelize models
+const getModels = () => {
+  const sequelize = getDB();
+  return sequelize.models;
+};
+
+// Get audit log entries, optionally filtered by record, source and action (newest first)
+router.get('/', async (req, res) => {
+  try {
+    const { AuditLog, User } = getModels();
+    const { entityType, entityId, source, action, userId } = req.query;
+    const where = {};
+
+    if (entityType) {
+      if (!AUDITED_MODELS[entityType]) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: [{ field: 'entityType', message: `Entity type must be one of: ${Object.keys(AUDITED_MODELS).join(', ')}` }]
+        });
+      }
+      where.entityType = entityType;
+    }
+    if (entityId) where.entityId = entityId;
+    if (userId) where.userId = userId;
+    if (source) {
+      const sources = String(source).split(',');
+      const invalid = sources.filter(item => !AuditLog.AUDIT_SOURCES.includes(item));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: [{ field: 'source', message: `Source must be one of: ${AuditLog.AUDIT_SOURCES.join(', ')}` }]
+        });
+      }
+      where.source = sources;
+    }
+    if (action) {
+      if (!AuditLog.AUDIT_ACTIONS.includes(action)) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: [{ field: 'action', message: `Action must be one of: ${AuditLog.AUDIT_ACTIONS.join(', ')}` }]
+        });
+      }
+      where.action = action;
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { count, rows } = await AuditLog.findAndCountAll({
+      where,
+      include: [{ model: User, as: 'user', required: false }],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.json({
+      entries: await formatEntries(AuditLog, rows),
+      pagination: { total: count, limit, offset }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a single audit log entry
+router.get('/:id', async (req, res) => {
+  try {
+    const { AuditLog, User } = getModels();
+    const entry = await AuditLog.findByPk(req.params.id, {
+      include: [{ model: User, as: 'user', required: false }]
+    });
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Audit log entry not found' });
+    }
+
+    const [formatted] = await formatEntries(AuditLog, [entry]);
+    res.json(formatted);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Revert a single change. Fields changed again since need force=true;
+// transactions inside a reconciled period need confirmReconciled=true
+router.post('/:id/revert', async (req, res) => {
+  try {
+    const sequelize = getDB();
+    const { AuditLog, Transaction, Reconciliation } = sequelize.models;
+    const entry = await AuditLog.findByPk(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Audit log entry not found' });
+    }
+
+    if (entry.entityType === 'transaction' && !isConfirmed(req.body.confirmReconciled)) {
+      const transaction = await Transaction.findByPk(entry.entityId);
+      const changes = entry.action === 'create' ? null : getRevertValues(entry);
+      const locked = transaction || changes
+        ? await findLockedReconciliation(Reconciliation, transaction, changes)
+        : null;
+
+      if (locked) {
+        return res.status(409).json({
+          error: 'Transaction falls inside a reconciled period. Resend with confirmReconciled=true to revert this change.',
+          requiresConfirmation: true,
+          reconciliation: {
+            id: locked.id,
+            periodStart: locked.periodStart,
+            periodEnd: locked.periodEnd
+          }
+        });
+      }
+    }
+
+    const record = await revertChange(sequelize, entry, { force: isConfirmed(req.body.force) });
+
+    res.json({
+      message: 'Change reverted',
+      entityType: entry.entityType,
+      entityId: entry.entityId,
+      record
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.errors.map(err => ({ field: err.path, message: err.message }))
+      });
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        ...(error.conflicts ? { conflicts: error.conflicts } : {})
+      });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { getDB } = require('../db/sequelize');
+const {
+  SESSION_TTL_MS,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  revokeSession,
+  validateRegistration,
+  registerUser
+} = require('../services/auth');
+const { SESSION_COOKIE, getRequestToken, authenticate } = require('../middleware/auth');
+
+// Get the Sequelize models
+const getModels = () => {
+  const sequelize = getDB();
+  return sequelize.models;
+};
+
+const setSessionCookie = (res, token) => {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: SESSION_TTL_MS,
+    path: '/'
+  });
+};
+
+// Wallets a user belongs to, with their role in each
+const getUserWallets = async (user) => {
+  const { WalletMember, Wallet } = getModels();
+  const memberships = await WalletMember.findAll({
+    where: { userId: user.id },
+    include: [{ model: Wallet, as: 'wallet' }],
+    order: [['createdAt', 'ASC']]
+  });
+  return memberships.map(membership => ({ ...membership.wallet.toJSON(), role: membership.role }));
+};
+
+// Register a local account. Once someone has registered, further sign-ups
+// can be turned off with ALLOW_REGISTRATION=false
+router.post('/register', async (req, res) => {
+  try {
+    const { User, Session } = getModels();
+
+    if (process.env.ALLOW_REGISTRATION === 'false' && (await User.count()) > 0) {
+      return res.status(403).json({ error: 'Registration is disabled' });
+    }
+
+    const errors = validateRegistration(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+
+    const existing = await User.findOne({ where: { email: String(req.body.email).trim().toLowerCase() } });
+    if (existing) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    const { user, claimedExistingData } = await registerUser(getDB(), req.body);
+    const session = await createSession(Session, user, { userAgent: req.headers['user-agent'] });
+    setSessionCookie(res, session.token);
+
+    res.status(201).json({
+      token: session.token,
+      expiresAt: session.expiresAt,
+      user,
+      wallets: await getUserWallets(user),
+      claimedExistingData
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign in with email and password
+router.post('/login', async (req, res) => {
+  try {
+    const { User, Session } = getModels();
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const user = await User.findOne({ where: { email: String(email).trim().toLowerCase() } });
+    if (!user || !user.isActive || !(await verifyPassword(password, user.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    await user.update({ lastLoginAt: new Date() });
+    const session = await createSession(Session, user, { userAgent: req.headers['user-agent'] });
+    setSessionCookie(res, session.token);
+
+    res.json({
+      token: session.token,
+      expiresAt: session.expiresAt,
+      user,
+      wallets: await getUserWallets(user)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign out the current session
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    const { Session } = getModels();
+    await revokeSession(Session, getRequestToken(req));
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the signed-in user, their wallets and the wallet this request acts on
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    res.json({
+      user: req.user,
+      wallets: await getUserWallets(req.user),
+      currentWallet: req.wallet ? { ...req.wallet.toJSON(), role: req.walletRole } : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update the signed-in user's name, default wallet or password
+router.put('/me', authenticate, async (req, res) => {
+  try {
+    const { WalletMember, Session } = getModels();
+    const { name, defaultWalletId, currentPassword, newPassword } = req.body;
+    const updates = {};
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ error: 'Validation error', details: [{ field: 'name', message: 'Name is required' }] });
+      }
+      updates.name = String(name).trim();
+    }
+
+    if (defaultWalletId !== undefined) {
+      const membership = await WalletMember.findOne({ where: { walletId: defaultWalletId, userId: req.user.id } });
+      if (!membership) {
+        return res.status(400).json({ error: 'Validation error', details: [{ field: 'defaultWalletId', message: 'You are not a member of this wallet' }] });
+      }
+      updates.defaultWalletId = defaultWalletId;
+    }
+
+    if (newPassword !== undefined) {
+      if (!(await verifyPassword(currentPassword, req.user.passwordHash))) {
+        return res.status(400).json({ error: 'Validation error', details: [{ field: 'currentPassword', message: 'Current password is incorrect' }] });
+      }
+      const errors = validateRegistration({ email: req.user.email, name: req.user.name, password: newPassword });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Validation error', details: errors.map(error => ({ ...error, field: 'newPassword' })) });
+      }
+      updates.passwordHash = await hashPassword(newPassword);
+    }
+
+    await req.user.update(updates);
+
+    // A new password signs out every other session
+    if (updates.passwordHash) {
+      await Session.destroy({ where: { userId: req.user.id, id: { [Op.ne]: req.session.id } } });
+    }
+
+    res.json(req.user);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../db/sequelize');
+
+// Get the Sequelize models
+const getModels = () => {
+  const sequelize = getDB();
+  return sequelize.models;
+};
+
+// Fields a client is allowed to set on a budget
+const BUDGET_FIELDS = ['categoryId', 'amount', 'period', 'rollover', 'notes'];
+
+const pickBudgetFields = (data) => {
+  const fields = {};
+  BUDGET_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+  });
+  return fields;
+};
+
+const formatValidationError = (error) => ({
+  error: 'Validation error',
+  details: (error.errors || []).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+});
+
+// Get all budgets
+router.get('/', async (req, res) => {
+  try {
+    const { Budget, Category } = getModels();
+
+    const budgets = await Budget.findAll({
+      include: [
+        {
+          model: Category,
+          as: 'category',
+          attributes: ['id', 'name', 'color', 'icon', 'type']
+        }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json(budgets);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a specific budget
+router.get('/:id', async (req, res) => {
+  try {
+    const { Budget, Category } = getModels();
+
+    const budget = await Budget.findByPk(req.params.id, {
+      include: [
+        {
+          model: Category,
+          as: 'category',
+          attributes: ['id', 'name', 'color', 'icon', 'type']
+        }
+      ]
+    });
+
+    if (!budget) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    res.json(budget);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a new budget
+router.post('/', async (req, res) => {
+  try {
+    const { Budget, Category } = getModels();
+    const budgetData = pickBudgetFields(req.body);
+
+    if (!budgetData.categoryId) {
+      return res.status(400).json({ error: 'categoryId is required' });
+    }
+
+    const category = await Category.findByPk(budgetData.categoryId);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    try {
+      const newBudget = await Budget.create(budgetData);
+      res.status(201).json(newBudget);
+    } catch (validationError) {
+      if (validationError.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          error: `A ${budgetData.period || 'monthly'} budget already exists for this category`
+        });
+      }
+      return res.status(400).json(formatValidationError(validationError));
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a budget
+router.put('/:id', async (req, res) => {
+  try {
+    const { Budget, Category } = getModels();
+    const budgetData = pickBudgetFields(req.body);
+
+    const budget = await Budget.findByPk(req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    if (budgetData.categoryId && budgetData.categoryId !== budget.categoryId) {
+      const category = await Category.findByPk(budgetData.categoryId);
+      if (!category) {
+        return res.status(404).json({ error: 'Category not found' });
+      }
+    }
+
+    await budget.update(budgetData);
+
+    const updatedBudget = await Budget.findByPk(req.params.id, {
+      include: [
+        {
+          model: Category,
+          as: 'category',
+          attributes: ['id', 'name', 'color', 'icon', 'type']
+        }
+      ]
+    });
+
+    res.json(updatedBudget);
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json(formatValidationError(error));
+    }
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'A budget for this category and period already exists' });
+    }
+
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a budget
+router.delete('/:id', async (req, res) => {
+  try {
+    const { Budget } = getModels();
+
+    const budget = await Budget.findByPk(req.params.id);
+
+    if (!budget) {
+      return res.status(404).json({ error: 'Budget not found' });
+    }
+
+    await budget.destroy();
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const { getDB } = require('../db/sequelize');
 const { Op } = require('sequelize');
+const { getHistory } = require('../services/auditLog');
+const { validateCategoryMerge, mergeCategories } = require('../services/categoryMerge');
+const { isConfirmed } = require('../utils/requestFlags');
 
 // Get the Sequelize models
 const getModels = () => {
@@ -35,6 +38,22 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Get the change history of a category, including after it was deleted
+router.get('/:id/history', async (req, res) => {
+  try {
+    const models = getModels();
+    const history = await getHistory(models, 'category', req.params.id);
+
+    if (history.length === 0 && !(await models.Category.findByPk(req.params.id))) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    res.json(history);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get a specific category
 router.get('/:id', async (req, res) => {
   try {
@@ -144,11 +163,72 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// Delete a category
+// Find the source and target of a merge and check the merge is allowed
+const loadMergeCategories = async (sourceId, targetId) => {
+  const { Category } = getModels();
+  
+  if (!targetId) {
+    return { status: 400, body: { error: 'Validation error', details: [{ field: 'targetId', message: 'A target category is required' }] } };
+  }
+  
+  const [source, target] = await Promise.all([
+    Category.findByPk(sourceId),
+    Category.findByPk(targetId)
+  ]);
+  
+  if (!source) {
+    return { status: 404, body: { error: 'Category not found' } };
+  }
+  if (!target) {
+    return { status: 404, body: { error: 'Target category not found' } };
+  }
+  
+  const errors = await validateCategoryMerge(Category, source, target);
+  if (errors.length > 0) {
+    return { status: 400, body: { error: 'Validation error', details: errors } };
+  }
+  
+  return { source, target };
+};
+
+// Merge a category into another one: its transactions, subcategory and
+// suggestion references, child categories, budgets, recurring series,
+// merchant defaults and rules move to the target, then it is deleted.
+// With dryRun=true only the counts are returned.
+router.post('/:id/merge', async (req, res) => {
+  try {
+    const { source, target, status, body } = await loadMergeCategories(req.params.id, req.body.targetId);
+    
+    if (status) {
+      return res.status(status).json(body);
+    }
+    
+    const result = await mergeCategories(getDB(), source, target, { dryRun: isConfirmed(req.body.dryRun) });
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a category. With ?reassignTo=<categoryId> everything that uses it
+// is moved to that category first (a merge); add dryRun=true for a preview.
 router.delete('/:id', async (req, res) => {
   try {
     const { Category, Transaction } = getModels();
     const sequelize = getDB();
+    const reassignTo = req.query.reassignTo || (req.body && req.body.reassignTo);
+    
+    if (reassignTo) {
+      const { source, target, status, body } = await loadMergeCategories(req.params.id, reassignTo);
+      
+      if (status) {
+        return res.status(status).json(body);
+      }
+      
+      const dryRun = isConfirmed(req.query.dryRun) || isConfirmed(req.body && req.body.dryRun);
+      const result = await mergeCategories(sequelize, source, target, { dryRun });
+      return res.json(result);
+    }
     
     // Start a transaction to ensure data consistency
     const t = await sequelize.transaction();
@@ -171,7 +251,7 @@ router.delete('/:id', async (req, res) => {
       if (transactionCount > 0) {
         await t.rollback();
         return res.status(400).json({ 
-          error: `Cannot delete category with ${transactionCount} associated transactions` 
+          error: `Cannot delete category with ${transactionCount} associated transactions. Pass reassignTo to move them to another category.` 
         });
       }
       
@@ -184,7 +264,7 @@ router.delete('/:id', async (req, res) => {
       if (childrenCount > 0) {
         await t.rollback();
         return res.status(400).json({ 
-          error: `Cannot delete category with ${childrenCount} child categories` 
+          error: `Cannot delete category with ${childrenCount} child categories. Pass reassignTo to move them to another category.` 
         });
       }
       
@@ -6,6 +6,7 @@ const express = require('express');
 const router = express.Router();
 const openaiService = require('../services/openai');
 const { getDB } = require('../db/sequelize');
+const { loadActiveRules, evaluateRules } = require('../services/rulesEngine');
 const Sequelize = require('sequelize');
 const { Op } = Sequelize;
 
@@ -74,7 +75,7 @@ router.post('/transaction', async (req, res) => {
               aiCategoryConfidence: result.confidence,
               needsReview: result.confidence < 0.9, // Mark for review if confidence is not very high
               reviewed: false // Reset reviewed status since we're changing the category
-            });
+            }, { audit: { source: 'ai' } });
             
             result.transactionUpdated = true;
           }
@@ -98,14 +99,14 @@ router.post('/transaction', async (req, res) => {
 
 /**
  * @route POST /api/categorize/batch
- * @desc Categorize a batch of transactions using AI
+ * @desc Categorize a batch of transactions, applying user rules before AI
  * @access Public
  */
 router.post('/batch', async (req, res) => {
   try {
     // Get the database models
     const sequelize = getDB();
-    const { Transaction, Category } = sequelize.models;
+    const { Transaction, Category, Rule } = sequelize.models;
     
     const { transactions, updateRecords = false, confidenceThreshold = 0.7 } = req.body;
 
@@ -127,38 +128,65 @@ router.post('/batch', async (req, res) => {
     // Get existing categories for better suggestions
     const categories = await Category.findAll();
 
-    // Call OpenAI service to categorize the batch
-    const results = await openaiService.categorizeBatch(transactions, categories);
+    // Fetch the stored records so rules can see fields the request omitted
+    // (merchant, account, ...) and so matches can be written back
+    const transactionMap = new Map();
+    const transactionIds = transactions
+      .filter(tx => tx.id) // Only include transactions with IDs
+      .map(tx => tx.id);
+
+    if (transactionIds.length > 0) {
+      const dbTransactions = await Transaction.findAll({
+        where: {
+          id: {
+            [Op.in]: transactionIds
+          }
+        }
+      });
+
+      dbTransactions.forEach(tx => {
+        transactionMap.set(tx.id, tx);
+      });
+    }
+
+    // Evaluate user-defined rules first; only unmatched transactions go to the AI
+    const rules = await loadActiveRules(Rule);
+    const ruleResults = [];
+    const aiTransactions = [];
+
+    transactions.forEach(tx => {
+      const stored = tx.id ? transactionMap.get(tx.id) : null;
+      const match = evaluateRules(rules, stored ? { ...stored.toJSON(), ...tx } : tx);
+
+      if (!match) {
+        aiTransactions.push(tx);
+        return;
+      }
+
+      const category = categories.find(c => c.id === match.updates.categoryId);
+      ruleResults.push({
+        transactionId: tx.id,
+        categoryName: category ? category.name : null,
+        matchingCategoryId: match.updates.categoryId || null,
+        confidence: 1,
+        reasoning: `Matched rule "${match.rule.name}"`,
+        source: 'rule',
+        ruleId: match.rule.id,
+        updates: match.updates
+      });
+    });
+
+    // Call OpenAI service to categorize the remaining transactions
+    const aiResults = aiTransactions.length > 0
+      ? await openaiService.categorizeBatch(aiTransactions, categories)
+      : [];
+    const results = [...ruleResults, ...aiResults];
 
     // Process results if we need to update the database records
     if (updateRecords) {
       let updatedCount = 0;
       let skippedCount = 0;
       
-      // Create a map of transaction IDs for quick lookup
-      const transactionMap = new Map();
-      
-      // Collect all transaction IDs to fetch in a single query
-      const transactionIds = transactions
-        .filter(tx => tx.id) // Only include transactions with IDs
-        .map(tx => tx.id);
-      
-      // Fetch all transactions in a single query for better performance
-      if (transactionIds.length > 0) {
-        const dbTransactions = await Transaction.findAll({
-          where: {
-            id: {
-              [Op.in]: transactionIds
-            }
-          }
-        });
-        
-        // Create a map for quick lookup
-        dbTransactions.forEach(tx => {
-          transactionMap.set(tx.id, tx);
-        });
-      }
-      
       // Process each result and update the corresponding transaction
       for (const result of results) {
         if (!result.transactionId) continue;
@@ -169,6 +197,14 @@ router.post('/batch', async (req, res) => {
           continue;
         }
         
+        // Rule matches are deterministic, so apply all of the rule's actions
+        if (result.source === 'rule') {
+          await transaction.update(result.updates, { audit: { source: 'rule' } });
+          result.transactionUpdated = true;
+          updatedCount++;
+          continue;
+        }
+        
         // Only update if confidence meets threshold and we have a matching category
         if (
           result.confidence >= confidenceThreshold && 
@@ -179,7 +215,7 @@ router.post('/batch', async (req, res) => {
             aiCategoryConfidence: result.confidence,
             needsReview: result.confidence < 0.9, // Mark for review if confidence is not very high
             reviewed: false // Reset reviewed status since we're changing the category
-          });
+          }, { audit: { source: 'ai' } });
           
           result.transactionUpdated = true;
           updatedCount++;
@@ -0,0 +1,235 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { Op, QueryTypes } = require('sequelize');
+const { getDB } = require('../db/sequelize');
+const { walletCondition, walletReplacements } = require('../services/walletScope');
+const {
+  normalizeCurrency,
+  getBaseCurrency,
+  validateRate,
+  parseRatesCsv,
+  upsertRates,
+  convertAmount,
+  exchangeRateSql
+} = require('../services/exchangeRates');
+
+// Rate files are parsed straight away, so keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+// Get the Sequelize models
+const getModels = () => {
+  const sequelize = getDB();
+  return sequelize.models;
+};
+
+const pickRateFields = (data) => ({
+  date: data.date,
+  fromCurrency: normalizeCurrency(data.fromCurrency),
+  toCurrency: normalizeCurrency(data.toCurrency),
+  rate: data.rate,
+  source: 'manual'
+});
+
+// Get exchange rates, optionally filtered by currency and date range
+router.get('/', async (req, res) => {
+  try {
+    const { ExchangeRate } = getModels();
+    const { currency, fromCurrency, toCurrency, startDate, endDate } = req.query;
+    const where = {};
+
+    if (currency) {
+      const code = normalizeCurrency(currency);
+      where[Op.or] = [{ fromCurrency: code }, { toCurrency: code }];
+    }
+    if (fromCurrency) {
+      where.fromCurrency = normalizeCurrency(fromCurrency);
+    }
+    if (toCurrency) {
+      where.toCurrency = normalizeCurrency(toCurrency);
+    }
+    if (startDate || endDate) {
+      where.date = {};
+      if (startDate) where.date[Op.gte] = startDate;
+      if (endDate) where.date[Op.lte] = endDate;
+    }
+
+    const rates = await ExchangeRate.findAll({
+      where,
+      order: [['date', 'DESC'], ['fromCurrency', 'ASC'], ['toCurrency', 'ASC']]
+    });
+
+    res.json(rates);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Convert an amount between currencies at a date (defaults: into the base currency, today)
+router.get('/convert', async (req, res) => {
+  try {
+    const { ExchangeRate, Settings } = getModels();
+    const amount = parseFloat(req.query.amount);
+    const from = normalizeCurrency(req.query.from);
+    const to = req.query.to ? normalizeCurrency(req.query.to) : await getBaseCurrency(Settings);
+    const date = req.query.date || new Date().toISOString().split('T')[0];
+
+    if (isNaN(amount) || !from) {
+      return res.status(400).json({ error: 'amount and from parameters are required' });
+    }
+
+    const converted = await convertAmount(ExchangeRate, amount, from, to, date);
+    if (!converted) {
+      return res.status(404).json({ error: `No exchange rate known for ${from} to ${to}` });
+    }
+
+    res.json({ amount, from, to, date, convertedAmount: converted.amount, rate: converted.rate, rateDate: converted.rateDate });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// List transaction currencies that cannot be converted into the base currency
+router.get('/missing', async (req, res) => {
+  try {
+    const { Settings } = getModels();
+    const baseCurrency = await getBaseCurrency(Settings);
+
+    const sequelize = getDB();
+
+    const results = await sequelize.query(`
+      SELECT
+        t.currency,
+        COUNT(*) as transaction_count,
+        MIN(t.date) as first_date,
+        MAX(t.date) as last_date
+      FROM transactions t
+      WHERE ${exchangeRateSql(sequelize, 't')} IS NULL
+        AND ${walletCondition(sequelize, 't.wallet_id')}
+      GROUP BY t.currency
+      ORDER BY t.currency
+    `, {
+      replacements: { baseCurrency, ...walletReplacements() },
+      type: QueryTypes.SELECT
+    });
+
+    res.json({
+      baseCurrency,
+      currencies: results.map(item => ({
+        currency: item.currency,
+        transactionCount: parseInt(item.transaction_count) || 0,
+        firstDate: item.first_date,
+        lastDate: item.last_date
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import rates from a CSV file (or `content` text) with date, from, [to,] rate columns
+router.post('/import', upload.single('file'), async (req, res) => {
+  try {
+    const { ExchangeRate, Settings } = getModels();
+    const content = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: 'A CSV file or content is required' });
+    }
+
+    const { rates, errors } = parseRatesCsv(content, {
+      toCurrency: req.body.toCurrency ? normalizeCurrency(req.body.toCurrency) : await getBaseCurrency(Settings),
+      dateFormat: req.body.dateFormat,
+      delimiter: req.body.delimiter
+    });
+
+    if (rates.length === 0) {
+      return res.status(400).json({ error: 'No valid rates found', errors });
+    }
+
+    const saved = await getDB().transaction(async (dbTransaction) =>
+      upsertRates(ExchangeRate, rates, { transaction: dbTransaction }));
+
+    res.status(201).json({
+      imported: saved.length,
+      skipped: errors.length,
+      errors
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a rate manually (replaces an existing rate for the same pair and date)
+router.post('/', async (req, res) => {
+  try {
+    const { ExchangeRate } = getModels();
+    const fields = pickRateFields(req.body);
+
+    const errors = validateRate(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+
+    await upsertRates(ExchangeRate, [fields]);
+    const rate = await ExchangeRate.findOne({
+      where: { fromCurrency: fields.fromCurrency, toCurrency: fields.toCurrency, date: fields.date }
+    });
+
+    res.status(201).json(rate);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a rate
+router.put('/:id', async (req, res) => {
+  try {
+    const { ExchangeRate } = getModels();
+    const rate = await ExchangeRate.findByPk(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+
+    const fields = pickRateFields({ ...rate.get({ plain: true }), ...req.body });
+    const errors = validateRate(fields);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+
+    await rate.update(fields);
+
+    res.json(rate);
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'A rate for this currency pair and date already exists' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a rate
+router.delete('/:id', async (req, res) => {
+  try {
+    const { ExchangeRate } = getModels();
+    const rate = await ExchangeRate.findByPk(req.params.id);
+
+    if (!rate) {
+      return res.status(404).json({ error: 'Exchange rate not found' });
+    }
+
+    await rate.destroy();
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
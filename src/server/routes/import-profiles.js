@@ -0,0 +1,310 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { getDB } = require('../db/sequelize');
+const {
+  headerSignature,
+  validateProfile,
+  readRows,
+  parseWithProfile,
+  selectProfile
+} = require('../services/csvImportProfiles');
+const {
+  validatePdfProfile,
+  selectPdfProfile,
+  parseStatementBuffer
+} = require('../services/pdfStatementParser');
+
+// Previews only read the file, so keep it in memory instead of the uploads directory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  }
+});
+
+// Get the Sequelize models
+const getModels = () => {
+  const sequelize = getDB();
+  return sequelize.models;
+};
+
+// Fields a client is allowed to set on a profile
+const PROFILE_FIELDS = ['name', 'institution', 'accountId', 'columnMapping', 'delimiter', 'dateFormat',
+  'decimalSeparator', 'signConvention', 'headerRowOffset', 'skipRows', 'headers', 'fileType', 'pdfLayout'];
+const FILE_TYPES = ['csv', 'pdf'];
+
+const pickProfileFields = (data) => {
+  const fields = {};
+  PROFILE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+  });
+  if (Array.isArray(fields.headers)) {
+    fields.headerSignature = headerSignature(fields.headers) || null;
+  }
+  return fields;
+};
+
+// CSV profiles map header columns, PDF profiles describe column positions
+const validateProfileData = (data) => {
+  const fileType = data.fileType || 'csv';
+  if (!FILE_TYPES.includes(fileType)) {
+    return [{ field: 'fileType', message: `File type must be one of: ${FILE_TYPES.join(', ')}` }];
+  }
+  return fileType === 'pdf' ? validatePdfProfile(data) : validateProfile(data);
+};
+
+const isPdfUpload = (file) => Boolean(file) &&
+  (file.mimetype === 'application/pdf' || /\.pdf$/i.test(file.originalname || ''));
+
+const formatValidationError = (error) => ({
+  error: 'Validation error',
+  details: (error.errors || []).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+});
+
+// CSV text from an uploaded file or a `content` body field
+const getContent = (req) => {
+  if (req.file) {
+    return req.file.buffer.toString('utf8');
+  }
+  return typeof req.body.content === 'string' ? req.body.content : null;
+};
+
+// Multipart bodies carry the inline profile as a JSON string
+const getInlineProfile = (req) => {
+  if (!req.body.profile) return null;
+  return typeof req.body.profile === 'string' ? JSON.parse(req.body.profile) : req.body.profile;
+};
+
+// Get all import profiles
+router.get('/', async (req, res) => {
+  try {
+    const { ImportProfile } = getModels();
+
+    const profiles = await ImportProfile.findAll({
+      order: [['name', 'ASC']]
+    });
+
+    res.json(profiles);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Parse the first N rows of a file with a saved, inline or auto-selected profile
+router.post('/preview', upload.single('file'), async (req, res) => {
+  try {
+    const { ImportProfile } = getModels();
+    const limit = parseInt(req.body.rows || req.query.rows) || 10;
+
+    if (isPdfUpload(req.file)) {
+      return await previewPdf(req, res, ImportProfile, limit);
+    }
+
+    const content = getContent(req);
+    if (!content) {
+      return res.status(400).json({ error: 'A CSV file or content is required' });
+    }
+
+    let profile = getInlineProfile(req);
+    let autoSelected = false;
+
+    if (profile) {
+      const errors = validateProfileData(profile);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Validation error', details: errors });
+      }
+    } else if (req.body.profileId) {
+      profile = await ImportProfile.findByPk(req.body.profileId);
+      if (!profile) {
+        return res.status(404).json({ error: 'Import profile not found' });
+      }
+    } else {
+      profile = selectProfile(await ImportProfile.findAll(), content);
+      autoSelected = Boolean(profile);
+    }
+
+    if (profile && profile.fileType === 'pdf') {
+      return res.status(400).json({ error: 'This is a PDF profile; upload a PDF statement to preview it' });
+    }
+
+    if (!profile) {
+      // Nothing to parse with yet; return the header so a mapping can be built
+      const { headers } = readRows(content, { delimiter: req.body.delimiter });
+      return res.json({
+        profile: null,
+        headers,
+        headerSignature: headerSignature(headers),
+        transactions: [],
+        errors: []
+      });
+    }
+
+    const { headers, transactions, errors } = parseWithProfile(content, profile, {
+      limit,
+      fileName: req.file ? req.file.originalname : null
+    });
+
+    res.json({
+      profile: profile.id ? { id: profile.id, name: profile.name } : null,
+      autoSelected,
+      headers,
+      headerSignature: headerSignature(headers),
+      transactions,
+      errors
+    });
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      return res.status(400).json({ error: 'Profile must be valid JSON', details: error.message });
+    }
+    if (error.code && String(error.code).startsWith('CSV_')) {
+      return res.status(400).json({ error: 'CSV parsing error', details: error.message });
+    }
+
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Preview a PDF statement: the statement details and the first rows, read
+ * with a saved, inline or auto-selected PDF profile (or the table header)
+ */
+async function previewPdf(req, res, ImportProfile, limit) {
+  let profile = getInlineProfile(req);
+  let autoSelected = false;
+
+  if (profile) {
+    const errors = validatePdfProfile(profile);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+  } else if (req.body.profileId) {
+    profile = await ImportProfile.findByPk(req.body.profileId);
+    if (!profile) {
+      return res.status(404).json({ error: 'Import profile not found' });
+    }
+    if (profile.fileType !== 'pdf') {
+      return res.status(400).json({ error: 'This is a CSV profile; it cannot read PDF statements' });
+    }
+  }
+
+  const options = { fileName: req.file.originalname };
+  let result = await parseStatementBuffer(req.file.buffer, profile, options);
+
+  if (!profile) {
+    profile = selectPdfProfile(await ImportProfile.findAll({ where: { fileType: 'pdf' } }), result.text);
+    autoSelected = Boolean(profile);
+    if (profile) {
+      result = await parseStatementBuffer(req.file.buffer, profile, options);
+    }
+  }
+
+  res.json({
+    profile: profile && profile.id ? { id: profile.id, name: profile.name } : null,
+    autoSelected,
+    statement: result.statement,
+    transactionCount: result.transactions.length,
+    transactions: result.transactions.slice(0, limit),
+    errors: result.errors
+  });
+}
+
+// Get a specific import profile
+router.get('/:id', async (req, res) => {
+  try {
+    const { ImportProfile } = getModels();
+
+    const profile = await ImportProfile.findByPk(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Import profile not found' });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a new import profile
+router.post('/', async (req, res) => {
+  try {
+    const { ImportProfile } = getModels();
+    const profileData = pickProfileFields(req.body);
+
+    const errors = validateProfileData(profileData);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+
+    try {
+      const newProfile = await ImportProfile.create(profileData);
+      res.status(201).json(newProfile);
+    } catch (validationError) {
+      return res.status(400).json(formatValidationError(validationError));
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update an import profile
+router.put('/:id', async (req, res) => {
+  try {
+    const { ImportProfile } = getModels();
+    const profileData = pickProfileFields(req.body);
+
+    const profile = await ImportProfile.findByPk(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Import profile not found' });
+    }
+
+    const errors = validateProfileData({
+      fileType: profile.fileType,
+      columnMapping: profile.columnMapping,
+      pdfLayout: profile.pdfLayout,
+      signConvention: profile.signConvention,
+      ...profileData
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+
+    await profile.update(profileData);
+
+    res.json(profile);
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json(formatValidationError(error));
+    }
+
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete an import profile
+router.delete('/:id', async (req, res) => {
+  try {
+    const { ImportProfile } = getModels();
+
+    const profile = await ImportProfile.findByPk(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Import profile not found' });
+    }
+
+    await profile.destroy();
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
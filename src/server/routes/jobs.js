@@ -0,0 +1,112 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../db/sequelize');
+const { cancelJob, formatJob } = require('../services/jobQueue');
+
+// Get the Sequelize models
+const getModels = () => {
+  const sequelize = getDB();
+  return sequelize.models;
+};
+
+// Get jobs, optionally filtered by upload, status and type (newest first)
+router.get('/', async (req, res) => {
+  try {
+    const { Job } = getModels();
+    const { uploadId, status, type } = req.query;
+    const where = {};
+
+    if (uploadId) where.uploadId = String(uploadId);
+    if (type) where.type = type;
+    if (status) {
+      const statuses = String(status).split(',');
+      const invalid = statuses.filter(item => !Job.JOB_STATUSES.includes(item));
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: [{ field: 'status', message: `Status must be one of: ${Job.JOB_STATUSES.join(', ')}` }]
+        });
+      }
+      where.status = statuses;
+    }
+
+    const jobs = await Job.findAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200)
+    });
+
+    res.json(jobs.map(formatJob));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a job's status, progress and result
+router.get('/:id', async (req, res) => {
+  try {
+    const { Job } = getModels();
+    const job = await Job.findByPk(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(formatJob(job));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a job that has not started yet
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const { Job } = getModels();
+    const job = await Job.findByPk(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!(await cancelJob(job))) {
+      return res.status(409).json({ error: `Only queued jobs can be cancelled (job is ${job.status})` });
+    }
+
+    res.json(formatJob(job));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Queue a failed or cancelled job again with a fresh set of attempts
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const { Job } = getModels();
+    const job = await Job.findByPk(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      return res.status(409).json({ error: `Only failed or cancelled jobs can be retried (job is ${job.status})` });
+    }
+
+    await job.update({
+      status: 'queued',
+      progress: 0,
+      progressMessage: null,
+      error: null,
+      attempts: 0,
+      runAt: new Date(),
+      startedAt: null,
+      finishedAt: null
+    });
+
+    res.json(formatJob(job));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,318 @@
+const express = require('express');
+const router = express.Router();
+const { Op, fn, col } = require('sequelize');
+const { getDB } = require('../db/sequelize');
+const {
+  cleanMerchantName,
+  merchantKey,
+  merchantColor,
+  matchMerchant,
+  findMerchantByName,
+  mergeMerchants,
+  backfillMerchants
+} = require('../services/merchants');
+
+// Get the Sequelize models
+const getModels = () => {
+  const sequelize = getDB();
+  return sequelize.models;
+};
+
+// Fields a client is allowed to set on a merchant
+const MERCHANT_FIELDS = ['name', 'aliases', 'patterns', 'defaultCategoryId', 'color'];
+
+const pickMerchantFields = (data) => {
+  const fields = {};
+  MERCHANT_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+  });
+  if (typeof fields.name === 'string') {
+    fields.name = fields.name.replace(/\s+/g, ' ').trim();
+    fields.key = merchantKey(fields.name);
+  }
+  ['aliases', 'patterns'].forEach(field => {
+    if (Array.isArray(fields[field])) {
+      fields[field] = [...new Set(fields[field].map(item => (typeof item === 'string' ? item.trim() : item)))];
+    }
+  });
+  return fields;
+};
+
+const formatValidationError = (error) => ({
+  error: 'Validation error',
+  details: (error.errors || []).map(err => ({
+    field: err.path,
+    message: err.message
+  }))
+});
+
+// Check the default category a merchant points at exists
+const validateDefaultCategory = async (fields) => {
+  const { Category } = getModels();
+  if (fields.defaultCategoryId && !(await Category.findByPk(fields.defaultCategoryId))) {
+    return [{ field: 'defaultCategoryId', message: 'Category not found' }];
+  }
+  return [];
+};
+
+// Get all merchants with their transaction counts
+router.get('/', async (req, res) => {
+  try {
+    const { Merchant, Transaction, Category } = getModels();
+
+    // Keys only hold lowercase letters, digits and spaces, so this needs no escaping
+    const where = {};
+    if (req.query.search) {
+      where.key = { [Op.like]: `%${merchantKey(req.query.search)}%` };
+    }
+
+    const merchants = await Merchant.findAll({
+      where,
+      include: [{ model: Category, as: 'defaultCategory', required: false }],
+      order: [['name', 'ASC']]
+    });
+
+    const counts = await Transaction.findAll({
+      attributes: ['merchantId', [fn('COUNT', col('id')), 'count']],
+      where: { merchantId: { [Op.in]: merchants.map(merchant => merchant.id) } },
+      group: ['merchantId'],
+      raw: true
+    });
+    const countMap = new Map(counts.map(row => [row.merchantId, parseInt(row.count)]));
+
+    res.json(merchants.map(merchant => ({
+      ...merchant.toJSON(),
+      transactionCount: countMap.get(merchant.id) || 0
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Show how raw descriptions would be cleaned and which merchants they match (nothing is saved)
+router.post('/clean', async (req, res) => {
+  try {
+    const { Merchant } = getModels();
+    const descriptions = Array.isArray(req.body.descriptions)
+      ? req.body.descriptions
+      : [req.body.description].filter(Boolean);
+
+    if (descriptions.length === 0) {
+      return res.status(400).json({ error: 'A description (or descriptions array) is required' });
+    }
+
+    const merchants = await Merchant.findAll();
+
+    res.json(descriptions.map(description => {
+      const name = cleanMerchantName(description);
+      const merchant = matchMerchant(merchants, description);
+      return {
+        description,
+        name,
+        key: merchantKey(name),
+        merchant: merchant ? { id: merchant.id, name: merchant.name } : null
+      };
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Link existing transactions to merchants, creating merchants for new names
+router.post('/backfill', async (req, res) => {
+  try {
+    res.json(await backfillMerchants(getDB()));
+  } catch (error) {
+    console.error('Merchant backfill error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a specific merchant with its spending totals
+router.get('/:id', async (req, res) => {
+  try {
+    const { Merchant, Transaction, Category } = getModels();
+
+    const merchant = await Merchant.findByPk(req.params.id, {
+      include: [{ model: Category, as: 'defaultCategory', required: false }]
+    });
+
+    if (!merchant) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+
+    const [totals] = await Transaction.findAll({
+      attributes: [
+        [fn('COUNT', col('id')), 'count'],
+        [fn('MIN', col('date')), 'firstDate'],
+        [fn('MAX', col('date')), 'lastDate']
+      ],
+      where: { merchantId: merchant.id },
+      raw: true
+    });
+
+    res.json({
+      ...merchant.toJSON(),
+      transactionCount: parseInt(totals.count) || 0,
+      firstDate: totals.firstDate,
+      lastDate: totals.lastDate
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a new merchant
+router.post('/', async (req, res) => {
+  try {
+    const { Merchant } = getModels();
+    const merchantData = pickMerchantFields(req.body);
+
+    if (!merchantData.key) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: [{ field: 'name', message: 'Name must contain letters or digits' }]
+      });
+    }
+
+    const errors = await validateDefaultCategory(merchantData);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+
+    if (await findMerchantByName(Merchant, merchantData.name)) {
+      return res.status(409).json({ error: 'A merchant with this name already exists' });
+    }
+
+    try {
+      const merchant = await Merchant.create({
+        color: merchantColor(merchantData.key),
+        ...merchantData
+      });
+      res.status(201).json(merchant);
+    } catch (validationError) {
+      return res.status(400).json(formatValidationError(validationError));
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a merchant; a rename is copied to its transactions
+router.put('/:id', async (req, res) => {
+  try {
+    const { Merchant, Transaction } = getModels();
+    const sequelize = getDB();
+    const merchantData = pickMerchantFields(req.body);
+
+    const merchant = await Merchant.findByPk(req.params.id);
+
+    if (!merchant) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+
+    if (merchantData.name !== undefined) {
+      if (!merchantData.key) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: [{ field: 'name', message: 'Name must contain letters or digits' }]
+        });
+      }
+      const existing = await findMerchantByName(Merchant, merchantData.name);
+      if (existing && existing.id !== merchant.id) {
+        return res.status(409).json({ error: 'A merchant with this name already exists' });
+      }
+    }
+
+    const errors = await validateDefaultCategory(merchantData);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+
+    const renamed = merchantData.name && merchantData.name !== merchant.name;
+
+    await sequelize.transaction(async (t) => {
+      await merchant.update(merchantData, { transaction: t });
+
+      if (renamed) {
+        await Transaction.update(
+          { merchant: merchant.name },
+          { where: { merchantId: merchant.id }, transaction: t }
+        );
+      }
+    });
+
+    res.json(merchant);
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json(formatValidationError(error));
+    }
+
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a merchant; its transactions keep their merchant name but are unlinked
+router.delete('/:id', async (req, res) => {
+  try {
+    const { Merchant, Transaction } = getModels();
+    const sequelize = getDB();
+
+    const merchant = await Merchant.findByPk(req.params.id);
+
+    if (!merchant) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+
+    const unlinked = await sequelize.transaction(async (t) => {
+      const [count] = await Transaction.update(
+        { merchantId: null },
+        { where: { merchantId: merchant.id }, transaction: t }
+      );
+      await merchant.destroy({ transaction: t });
+      return count;
+    });
+
+    res.json({ message: 'Merchant deleted successfully', unlinkedTransactions: unlinked });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Merge this merchant into another merchant
+router.post('/:id/merge', async (req, res) => {
+  try {
+    const { Merchant } = getModels();
+    const sequelize = getDB();
+    const { targetId } = req.body;
+
+    if (!targetId || targetId === req.params.id) {
+      return res.status(400).json({ error: 'A different target merchant ID (targetId) is required' });
+    }
+
+    const [source, target] = await Promise.all([
+      Merchant.findByPk(req.params.id),
+      Merchant.findByPk(targetId)
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({ error: 'Merchant not found' });
+    }
+
+    const result = await sequelize.transaction(async (t) => {
+      return mergeMerchants(source, target, getModels(), { transaction: t });
+    });
+
+    res.json({
+      message: `Merged "${source.name}" into "${target.name}"`,
+      merchant: target,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
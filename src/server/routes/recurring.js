@@ -0,0 +1,222 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { getDB } = require('../db/sequelize');
+const { isConfirmed } = require('../utils/requestFlags');
+const {
+  getSeriesStatus,
+  monthlyEquivalent,
+  detectRecurring,
+  removeSeries
+} = require('../services/recurringDetection');
+
+// Get the Sequelize models
+const getModels = () => {
+  const sequelize = getDB();
+  return sequelize.models;
+};
+
+// Add the live status (stored status goes stale as time passes) and cost figures
+const formatSeries = (series) => {
+  const data = typeof series.toJSON === 'function' ? series.toJSON() : series;
+  const priceChanges = Array.isArray(data.priceChanges) ? data.priceChanges : [];
+
+  return {
+    ...data,
+    ...getSeriesStatus(data),
+    expectedAmount: parseFloat(data.expectedAmount),
+    averageAmount: parseFloat(data.averageAmount),
+    monthlyEquivalent: monthlyEquivalent(data),
+    latestPriceChange: priceChanges.length > 0 ? priceChanges[priceChanges.length - 1] : null
+  };
+};
+
+const loadSeries = async (where = {}) => {
+  const { RecurringSeries, Category } = getModels();
+
+  const series = await RecurringSeries.findAll({
+    where,
+    include: [
+      {
+        model: Category,
+        as: 'category',
+        attributes: ['id', 'name', 'color', 'icon']
+      }
+    ],
+    order: [['nextExpectedDate', 'ASC']]
+  });
+
+  return series.map(formatSeries);
+};
+
+// Get all recurring series (subscriptions), optionally filtered by status or type
+router.get('/', async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const where = {};
+    if (type) {
+      where.type = type;
+    }
+    if (status !== 'ignored' && req.query.includeIgnored !== 'true') {
+      where.status = { [Op.ne]: 'ignored' };
+    }
+
+    let series = await loadSeries(where);
+    if (status) {
+      series = series.filter(item => item.status === status);
+    }
+
+    res.json(series);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get series whose expected charge has not arrived
+router.get('/missing', async (req, res) => {
+  try {
+    const series = await loadSeries({ status: { [Op.ne]: 'ignored' } });
+
+    res.json(series
+      .filter(item => item.status === 'missed')
+      .sort((a, b) => b.daysOverdue - a.daysOverdue));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get series whose amount has changed, most recent change first
+router.get('/price-changes', async (req, res) => {
+  try {
+    const series = await loadSeries({ status: { [Op.ne]: 'ignored' } });
+
+    res.json(series
+      .filter(item => item.latestPriceChange)
+      .sort((a, b) => b.latestPriceChange.date.localeCompare(a.latestPriceChange.date)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Scan transaction history for recurring series
+router.post('/detect', async (req, res) => {
+  try {
+    const sequelize = getDB();
+    const { dryRun } = req.body;
+    const lookbackMonths = req.body.lookbackMonths !== undefined ? parseInt(req.body.lookbackMonths) : 24;
+
+    if (isNaN(lookbackMonths) || lookbackMonths < 1) {
+      return res.status(400).json({ error: 'lookbackMonths must be a positive number' });
+    }
+
+    const detected = await detectRecurring(sequelize, {
+      lookbackMonths,
+      dryRun: isConfirmed(dryRun)
+    });
+
+    res.json({
+      dryRun: isConfirmed(dryRun),
+      seriesCount: detected.length,
+      series: detected.map(({ transactionIds, ...series }) => ({
+        ...formatSeries(series),
+        transactionIds
+      }))
+    });
+  } catch (error) {
+    console.error('Recurring detection error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a specific series with its transactions
+router.get('/:id', async (req, res) => {
+  try {
+    const { RecurringSeries, Transaction, Category } = getModels();
+
+    const series = await RecurringSeries.findByPk(req.params.id, {
+      include: [
+        {
+          model: Category,
+          as: 'category',
+          attributes: ['id', 'name', 'color', 'icon']
+        },
+        {
+          model: Transaction,
+          as: 'transactions',
+          attributes: ['id', 'date', 'description', 'amount', 'account']
+        }
+      ],
+      order: [[{ model: Transaction, as: 'transactions' }, 'date', 'DESC']]
+    });
+
+    if (!series) {
+      return res.status(404).json({ error: 'Recurring series not found' });
+    }
+
+    res.json(formatSeries(series));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a series: rename it, or ignore/restore it
+router.put('/:id', async (req, res) => {
+  try {
+    const { RecurringSeries, Transaction } = getModels();
+    const sequelize = getDB();
+    const { name, status } = req.body;
+
+    if (status !== undefined && !['active', 'ignored'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be either active or ignored' });
+    }
+
+    const series = await RecurringSeries.findByPk(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({ error: 'Recurring series not found' });
+    }
+
+    await sequelize.transaction(async (t) => {
+      const updates = {};
+      if (name) updates.name = name;
+      if (status) updates.status = status;
+      await series.update(updates, { transaction: t });
+
+      // Ignored series no longer count as recurring; restoring re-marks them
+      if (status) {
+        await Transaction.update(
+          { isRecurring: status === 'active' },
+          { where: { recurringSeriesId: series.id }, transaction: t }
+        );
+      }
+    });
+
+    res.json(formatSeries(series));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a series and unmark its transactions
+router.delete('/:id', async (req, res) => {
+  try {
+    const { RecurringSeries, Transaction } = getModels();
+    const sequelize = getDB();
+
+    const series = await RecurringSeries.findByPk(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({ error: 'Recurring series not found' });
+    }
+
+    await sequelize.transaction(async (t) => {
+      await removeSeries(series, Transaction, { transaction: t });
+    });
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
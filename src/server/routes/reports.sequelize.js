@@ -3,6 +3,10 @@ const router = express.Router();
 const { getDB } = require('../db/sequelize');
 const { Op, QueryTypes, literal, fn, col } = require('sequelize');
 const { promisify } = require('util');
+const { getBaseCurrency, exchangeRateSql } = require('../services/exchangeRates');
+const { walletCondition, walletReplacements } = require('../services/walletScope');
+const { monthSql, tagsConditionSql, tagsWhere } = require('../db/sqlDialect');
+const { resolveReportScope, comparisonScope, compareValues } = require('../services/reportPeriods');
 
 // Get the Sequelize models
 const getModels = () => {
@@ -10,11 +14,392 @@ const getModels = () => {
   return sequelize.models;
 };
 
+// Transactions expanded into their category allocations: a split transaction
+// contributes one row per split (carrying the parent's sign), any other
+// transaction contributes itself. `original_amount` is in the transaction's
+// currency; `amount` is converted into :baseCurrency at the transaction date
+// and is NULL when no exchange rate is known. `merchant` is the canonical
+// merchant name for linked transactions. Only the current wallet's
+// transactions are included, so every query using it needs walletReplacements().
+// `account_id` and `tags` are those of the transaction, for report filters.
+// Built per query so the SQL matches the database dialect.
+const allocationsSql = (sequelize = getDB()) => `
+  SELECT a.*, a.original_amount * a.rate AS amount
+  FROM (
+    SELECT
+      t.id,
+      t.date,
+      t.type,
+      COALESCE(m.name, t.merchant) AS merchant,
+      t.merchant_id,
+      t.account_id,
+      t.tags,
+      t.currency,
+      CASE WHEN s.id IS NULL THEN t.category_id ELSE s.category_id END AS category_id,
+      CASE WHEN s.id IS NULL THEN t.subcategory_id ELSE s.subcategory_id END AS subcategory_id,
+      CASE WHEN s.id IS NULL THEN t.amount ELSE SIGN(t.amount) * s.amount END AS original_amount,
+      ${exchangeRateSql(sequelize, 't')} AS rate
+    FROM transactions t
+    LEFT JOIN transaction_splits s ON s.transaction_id = t.id
+    LEFT JOIN merchants m ON m.id = t.merchant_id
+    WHERE ${walletCondition(sequelize, 't.wallet_id')}
+  ) a
+`;
+
+/**
+ * Resolve the report scope (period, comparison, account and tag filters) of
+ * a request, answering 400 when its parameters are invalid
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Scope from resolveReportScope, or null once answered
+ */
+const getReportScope = async (req, res) => {
+  const { Settings } = getModels();
+  const { scope, errors } = await resolveReportScope(req.query, Settings);
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Validation error', details: errors });
+    return null;
+  }
+  return scope;
+};
+
+// Conditions on the allocations for a scope; `alias` qualifies the columns
+const scopeConditions = (scope, alias = '') => {
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+  const conditions = [];
+  if (scope.from) conditions.push(`${column('date')} >= :from`);
+  if (scope.to) conditions.push(`${column('date')} <= :to`);
+  if (scope.accountIds.length > 0) conditions.push(`${column('account_id')} IN (:accountIds)`);
+  if (scope.tags.length > 0) {
+    conditions.push(tagsConditionSql(getDB(), column('tags'), scope.tags, scope.tagsMode));
+  }
+  return conditions;
+};
+
+// " AND ..." for the scope's conditions, to append to an existing WHERE or ON
+const andScope = (scope, alias) => scopeConditions(scope, alias).map(condition => ` AND ${condition}`).join('');
+
+const scopeReplacements = (scope) => ({
+  from: scope.from,
+  to: scope.to,
+  accountIds: scope.accountIds
+});
+
+// The same filters as a Sequelize where clause on Transaction
+const scopeWhere = (scope) => {
+  const where = {};
+  if (scope.from || scope.to) {
+    where.date = {
+      ...(scope.from ? { [Op.gte]: scope.from } : {}),
+      ...(scope.to ? { [Op.lte]: scope.to } : {})
+    };
+  }
+  if (scope.accountIds.length > 0) {
+    where.accountId = { [Op.in]: scope.accountIds };
+  }
+  if (scope.tags.length > 0) {
+    Object.assign(where, tagsWhere(getModels().Transaction, scope.tags, scope.tagsMode));
+  }
+  return where;
+};
+
+// Period echoed in report responses
+const describeScope = (scope) => ({
+  name: scope.period,
+  from: scope.from,
+  to: scope.to,
+  comparison: scope.comparison
+});
+
+// An unfiltered, all-time scope
+const ALL_TIME = { period: null, from: null, to: null, comparison: null, accountIds: [], tags: [], tagsMode: 'any' };
+
+const formatCurrencyTotals = (item) => ({
+  currency: item.currency,
+  transactionCount: parseInt(item.transaction_count) || 0,
+  originalTotal: parseFloat(item.original_total) || 0,
+  convertedTotal: parseFloat(item.total) || 0,
+  missingRateCount: parseInt(item.missing_rate_count) || 0
+});
+
+/**
+ * Get income and expense totals per original currency
+ * @param {string} baseCurrency - Currency totals are converted into
+ * @param {string} [conditions] - Extra SQL conditions on the allocations
+ * @param {Object} [replacements] - Replacements used by the conditions
+ * @returns {Promise<Array>} Array of { currency, type, transactionCount, originalTotal, convertedTotal, missingRateCount }
+ */
+const getCurrencyBreakdown = async (baseCurrency, conditions = '', replacements = {}) => {
+  const results = await getDB().query(`
+    SELECT
+      currency,
+      type,
+      COUNT(DISTINCT id) as transaction_count,
+      SUM(original_amount) as original_total,
+      SUM(amount) as total,
+      COUNT(DISTINCT CASE WHEN rate IS NULL THEN id END) as missing_rate_count
+    FROM (${allocationsSql()}) allocations
+    WHERE type IN ('income', 'expense') ${conditions ? `AND ${conditions}` : ''}
+    GROUP BY currency, type
+    ORDER BY currency, type
+  `, {
+    replacements: { ...replacements, baseCurrency, ...walletReplacements() },
+    type: QueryTypes.SELECT
+  });
+
+  return results.map(item => ({ ...formatCurrencyTotals(item), type: item.type }));
+};
+
+/**
+ * Get converted income and expense totals with their currency breakdown, and
+ * the change against the comparison period when the scope has one
+ * @param {Object} [scope] - Report scope
+ * @returns {Promise<Object>} { baseCurrency, period, income, expenses, net, savingsRate, currencies, comparison }
+ */
+const getIncomeVsExpenses = async (scope = ALL_TIME) => {
+  const { Settings } = getModels();
+  const baseCurrency = await getBaseCurrency(Settings);
+  const totals = await getIncomeTotals(baseCurrency, scope);
+
+  let comparison = null;
+  if (scope.comparison) {
+    const previous = await getIncomeTotals(baseCurrency, comparisonScope(scope));
+    comparison = {
+      ...scope.comparison,
+      income: compareValues(totals.income, previous.income),
+      expenses: compareValues(totals.expenses, previous.expenses),
+      net: compareValues(totals.net, previous.net),
+      savingsRate: compareValues(totals.savingsRate, previous.savingsRate)
+    };
+  }
+
+  return {
+    baseCurrency,
+    period: describeScope(scope),
+    ...totals,
+    comparison
+  };
+};
+
+/**
+ * Income and expense totals of a scope
+ * @param {string} baseCurrency - Currency totals are converted into
+ * @param {Object} scope - Report scope
+ * @returns {Promise<Object>} { income, expenses, net, savingsRate, currencies }
+ */
+const getIncomeTotals = async (baseCurrency, scope) => {
+  // Transfers move money between accounts and are neither income nor expense
+  const currencies = await getCurrencyBreakdown(
+    baseCurrency,
+    scopeConditions(scope).join(' AND '),
+    scopeReplacements(scope)
+  );
+
+  const totalIncome = currencies
+    .filter(item => item.type === 'income')
+    .reduce((sum, item) => sum + item.convertedTotal, 0);
+  const totalExpenses = currencies
+    .filter(item => item.type === 'expense')
+    .reduce((sum, item) => sum + item.convertedTotal, 0);
+  const net = totalIncome - totalExpenses;
+  const savingsRate = totalIncome > 0 ? (net / totalIncome) * 100 : 0;
+
+  return {
+    income: totalIncome,
+    expenses: totalExpenses,
+    net,
+    savingsRate,
+    currencies
+  };
+};
+
+/**
+ * Get the merchants with the highest converted expense totals
+ * @param {number} limit - Number of merchants
+ * @param {Object} [scope] - Report scope
+ * @returns {Promise<Array>} Array of { merchant, merchantId, color, count, total, currencies, comparison }
+ */
+const getTopMerchants = async (limit, scope = ALL_TIME) => {
+  const { Settings, Merchant } = getModels();
+  const sequelize = getDB();
+  const baseCurrency = await getBaseCurrency(Settings);
+
+  // Query to get top merchants by total spending
+  const results = await sequelize.query(`
+    SELECT 
+      merchant,
+      COUNT(DISTINCT id) as transaction_count,
+      SUM(amount) as total_amount
+    FROM (${allocationsSql()}) allocations
+    WHERE merchant IS NOT NULL AND merchant != '' AND type = 'expense'${andScope(scope)}
+    GROUP BY merchant
+    ORDER BY total_amount DESC NULLS LAST
+    LIMIT :limit
+  `, {
+    replacements: { limit, baseCurrency, ...scopeReplacements(scope), ...walletReplacements() },
+    type: QueryTypes.SELECT
+  });
+
+  const merchants = results.map(item => item.merchant);
+  const breakdown = merchants.length === 0 ? [] : await sequelize.query(`
+    SELECT
+      merchant,
+      currency,
+      COUNT(DISTINCT id) as transaction_count,
+      SUM(original_amount) as original_total,
+      SUM(amount) as total,
+      COUNT(DISTINCT CASE WHEN rate IS NULL THEN id END) as missing_rate_count
+    FROM (${allocationsSql()}) allocations
+    WHERE merchant IN (:merchants) AND type = 'expense'${andScope(scope)}
+    GROUP BY merchant, currency
+    ORDER BY currency
+  `, {
+    replacements: { merchants, baseCurrency, ...scopeReplacements(scope), ...walletReplacements() },
+    type: QueryTypes.SELECT
+  });
+
+  // The same merchants' spending in the comparison period
+  const previousScope = scope.comparison && merchants.length > 0 ? comparisonScope(scope) : null;
+  const previousTotals = !previousScope ? [] : await sequelize.query(`
+    SELECT merchant, SUM(amount) as total
+    FROM (${allocationsSql()}) allocations
+    WHERE merchant IN (:merchants) AND type = 'expense'${andScope(previousScope)}
+    GROUP BY merchant
+  `, {
+    replacements: { merchants, baseCurrency, ...scopeReplacements(previousScope), ...walletReplacements() },
+    type: QueryTypes.SELECT
+  });
+
+  // Directory entries for the names, for linking and logo colors
+  const directory = merchants.length === 0 ? [] : await Merchant.findAll({
+    where: { name: { [Op.in]: merchants } },
+    attributes: ['id', 'name', 'color']
+  });
+
+  // Format the results
+  return results.map(item => {
+    const entry = directory.find(merchant => merchant.name === item.merchant);
+    const total = parseFloat(item.total_amount) || 0;
+    const previous = previousTotals.find(row => row.merchant === item.merchant);
+    return {
+      merchant: item.merchant,
+      merchantId: entry ? entry.id : null,
+      color: entry ? entry.color : null,
+      count: parseInt(item.transaction_count),
+      total,
+      currencies: breakdown
+        .filter(row => row.merchant === item.merchant)
+        .map(formatCurrencyTotals),
+      comparison: previousScope ? compareValues(total, parseFloat(previous && previous.total) || 0) : null
+    };
+  });
+};
+
+/**
+ * Get the share of transactions that have a category
+ * @param {Object} [scope] - Report scope
+ * @returns {Promise<Object>} { total, categorized, uncategorized, percentage }
+ */
+const getCategorizationStatus = async (scope = ALL_TIME) => {
+  const { Transaction } = getModels();
+  const where = scopeWhere(scope);
+
+  // Count total transactions
+  const total = await Transaction.count({ where });
+
+  // Count categorized transactions
+  const categorized = await Transaction.count({
+    where: {
+      ...where,
+      categoryId: {
+        [Op.not]: null
+      }
+    }
+  });
+
+  const uncategorized = total - categorized;
+  const percentage = total > 0 ? (categorized / total) * 100 : 0;
+
+  return {
+    total,
+    categorized,
+    uncategorized,
+    percentage
+  };
+};
+
+/**
+ * Get income and expense totals per month
+ * @param {string} baseCurrency - Currency totals are converted into
+ * @param {Object} scope - Report scope
+ * @returns {Promise<Array>} Array of { month, baseCurrency, income, expense, net, currencies } sorted by month
+ */
+const getMonthlyTotals = async (baseCurrency, scope) => {
+  // Query to get monthly totals per original currency
+  const results = await getDB().query(`
+    SELECT 
+      ${monthSql(getDB(), 'date')} as month,
+      type,
+      currency,
+      COUNT(DISTINCT id) as transaction_count,
+      SUM(original_amount) as original_total,
+      SUM(amount) as total,
+      COUNT(DISTINCT CASE WHEN rate IS NULL THEN id END) as missing_rate_count
+    FROM (${allocationsSql()}) allocations
+    WHERE type IN ('income', 'expense')${andScope(scope)}
+    GROUP BY month, type, currency
+    ORDER BY month
+  `, {
+    replacements: { baseCurrency, ...scopeReplacements(scope), ...walletReplacements() },
+    type: QueryTypes.SELECT
+  });
+  
+  // Format into months with income and expense data
+  const monthlyData = {};
+  
+  results.forEach(item => {
+    const month = item.month;
+    
+    if (!monthlyData[month]) {
+      monthlyData[month] = {
+        month,
+        baseCurrency,
+        income: 0,
+        expense: 0,
+        net: 0,
+        currencies: []
+      };
+    }
+    
+    const totals = formatCurrencyTotals(item);
+    if (item.type === 'income') {
+      monthlyData[month].income += totals.convertedTotal;
+    } else {
+      monthlyData[month].expense += totals.convertedTotal;
+    }
+    
+    monthlyData[month].net = monthlyData[month].income - monthlyData[month].expense;
+    monthlyData[month].currencies.push({ ...totals, type: item.type });
+  });
+  
+  // Convert to array and sort by month
+  return Object.values(monthlyData).sort((a, b) => a.month.localeCompare(b.month));
+};
+
+// Month (YYYY-MM) a number of months before another
+const monthsBefore = (month, count) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber - 1 - count, 1)).toISOString().slice(0, 7);
+};
+
 // Get transactions by category
 router.get('/by-category', async (req, res) => {
   try {
-    const { Transaction, Category } = getModels();
+    const { Transaction, Category, Settings } = getModels();
     const sequelize = getDB();
+    const scope = await getReportScope(req, res);
+    if (!scope) return;
+    const baseCurrency = await getBaseCurrency(Settings);
     
     // Query to get transaction totals by category
     const results = await sequelize.query(`
@@ -23,31 +408,73 @@ router.get('/by-category', async (req, res) => {
         c.name, 
         c.color, 
         c.type,
-        COUNT(t.id) as transaction_count,
+        COUNT(DISTINCT t.id) as transaction_count,
         SUM(t.amount) as total_amount
       FROM categories c
-      LEFT JOIN transactions t ON c.id = t.category_id
+      LEFT JOIN (${allocationsSql()}) t ON c.id = t.category_id AND t.type != 'transfer'${andScope(scope, 't')}
+      WHERE ${walletCondition(sequelize, 'c.wallet_id')}
       GROUP BY c.id, c.name, c.color, c.type
       ORDER BY c.type, total_amount DESC
     `, {
+      replacements: { baseCurrency, ...scopeReplacements(scope), ...walletReplacements() },
+      type: QueryTypes.SELECT
+    });
+    
+    // Totals in each category's original currencies
+    const breakdown = await sequelize.query(`
+      SELECT
+        category_id,
+        currency,
+        COUNT(DISTINCT id) as transaction_count,
+        SUM(original_amount) as original_total,
+        SUM(amount) as total,
+        COUNT(DISTINCT CASE WHEN rate IS NULL THEN id END) as missing_rate_count
+      FROM (${allocationsSql()}) allocations
+      WHERE category_id IS NOT NULL AND type != 'transfer'${andScope(scope)}
+      GROUP BY category_id, currency
+      ORDER BY currency
+    `, {
+      replacements: { baseCurrency, ...scopeReplacements(scope), ...walletReplacements() },
+      type: QueryTypes.SELECT
+    });
+    
+    // Category totals in the comparison period
+    const previousScope = scope.comparison ? comparisonScope(scope) : null;
+    const previousTotals = !previousScope ? [] : await sequelize.query(`
+      SELECT category_id, SUM(amount) as total
+      FROM (${allocationsSql()}) allocations
+      WHERE category_id IS NOT NULL AND type != 'transfer'${andScope(previousScope)}
+      GROUP BY category_id
+    `, {
+      replacements: { baseCurrency, ...scopeReplacements(previousScope), ...walletReplacements() },
       type: QueryTypes.SELECT
     });
     
     // Format the results
-    const formattedResults = results.map(item => ({
-      id: item.id,
-      name: item.name,
-      color: item.color,
-      type: item.type,
-      transactionCount: parseInt(item.transaction_count) || 0,
-      totalAmount: parseFloat(item.total_amount) || 0
-    }));
+    const formattedResults = results.map(item => {
+      const totalAmount = parseFloat(item.total_amount) || 0;
+      const previous = previousTotals.find(entry => entry.category_id === item.id);
+      return {
+        id: item.id,
+        name: item.name,
+        color: item.color,
+        type: item.type,
+        transactionCount: parseInt(item.transaction_count) || 0,
+        totalAmount,
+        currencies: breakdown
+          .filter(entry => entry.category_id === item.id)
+          .map(formatCurrencyTotals),
+        comparison: previousScope ? compareValues(totalAmount, parseFloat(previous && previous.total) || 0) : null
+      };
+    });
     
     // Group by type
     const income = formattedResults.filter(item => item.type === 'income');
     const expense = formattedResults.filter(item => item.type === 'expense');
     
     res.json({
+      baseCurrency,
+      period: describeScope(scope),
       categories: formattedResults,
       income,
       expense
@@ -57,51 +484,33 @@ router.get('/by-category', async (req, res) => {
   }
 });
 
-// Get monthly totals (income vs. expenses)
+// Get monthly totals (income vs. expenses). With a comparison each month
+// also carries the totals of the month at the same place in that period.
 router.get('/monthly-totals', async (req, res) => {
   try {
-    const { Transaction } = getModels();
-    const sequelize = getDB();
-    
-    // Query to get monthly totals
-    const results = await sequelize.query(`
-      SELECT 
-        TO_CHAR(date, 'YYYY-MM') as month,
-        type,
-        SUM(amount) as total
-      FROM transactions
-      GROUP BY TO_CHAR(date, 'YYYY-MM'), type
-      ORDER BY month
-    `, {
-      type: QueryTypes.SELECT
-    });
+    const { Settings } = getModels();
+    const scope = await getReportScope(req, res);
+    if (!scope) return;
+    const baseCurrency = await getBaseCurrency(Settings);
     
-    // Format into months with income and expense data
-    const monthlyData = {};
+    const monthlyTotals = await getMonthlyTotals(baseCurrency, scope);
     
-    results.forEach(item => {
-      const month = item.month;
+    if (scope.comparison) {
+      const previousMonths = await getMonthlyTotals(baseCurrency, comparisonScope(scope));
+      const offset = (Number(scope.from.slice(0, 4)) - Number(scope.comparison.from.slice(0, 4))) * 12 +
+        Number(scope.from.slice(5, 7)) - Number(scope.comparison.from.slice(5, 7));
       
-      if (!monthlyData[month]) {
-        monthlyData[month] = {
+      monthlyTotals.forEach(item => {
+        const month = monthsBefore(item.month, offset);
+        const previous = previousMonths.find(entry => entry.month === month) || { income: 0, expense: 0, net: 0 };
+        item.comparison = {
           month,
-          income: 0,
-          expense: 0,
-          net: 0
+          income: compareValues(item.income, previous.income),
+          expense: compareValues(item.expense, previous.expense),
+          net: compareValues(item.net, previous.net)
         };
-      }
-      
-      if (item.type === 'income') {
-        monthlyData[month].income = parseFloat(item.total) || 0;
-      } else {
-        monthlyData[month].expense = parseFloat(item.total) || 0;
-      }
-      
-      monthlyData[month].net = monthlyData[month].income - monthlyData[month].expense;
-    });
-    
-    // Convert to array and sort by month
-    const monthlyTotals = Object.values(monthlyData).sort((a, b) => a.month.localeCompare(b.month));
+      });
+    }
     
     res.json(monthlyTotals);
   } catch (error) {
@@ -112,34 +521,10 @@ router.get('/monthly-totals', async (req, res) => {
 // Get income vs. expenses summary
 router.get('/income-vs-expenses', async (req, res) => {
   try {
-    const { Transaction, Category } = getModels();
-    
-    // Calculate totals grouped by transaction type
-    const totals = await Transaction.findAll({
-      attributes: [
-        'type',
-        [fn('SUM', col('amount')), 'total']
-      ],
-      group: ['type']
-    });
+    const scope = await getReportScope(req, res);
+    if (!scope) return;
     
-    // Format the results
-    const totalsByType = totals.reduce((acc, item) => {
-      acc[item.type] = parseFloat(item.getDataValue('total')) || 0;
-      return acc;
-    }, { income: 0, expense: 0 });
-    
-    const totalIncome = totalsByType.income || 0;
-    const totalExpenses = totalsByType.expense || 0;
-    const net = totalIncome - totalExpenses;
-    const savingsRate = totalIncome > 0 ? (net / totalIncome) * 100 : 0;
-    
-    res.json({
-      income: totalIncome,
-      expenses: totalExpenses,
-      net,
-      savingsRate
-    });
+    res.json(await getIncomeVsExpenses(scope));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -148,34 +533,11 @@ router.get('/income-vs-expenses', async (req, res) => {
 // Get top merchants by total spending
 router.get('/top-merchants', async (req, res) => {
   try {
-    const { Transaction } = getModels();
-    const sequelize = getDB();
     const limit = parseInt(req.query.limit) || 10;
+    const scope = await getReportScope(req, res);
+    if (!scope) return;
     
-    // Query to get top merchants by total spending
-    const results = await sequelize.query(`
-      SELECT 
-        merchant,
-        COUNT(*) as transaction_count,
-        SUM(amount) as total_amount
-      FROM transactions
-      WHERE merchant IS NOT NULL AND merchant != '' AND type = 'expense'
-      GROUP BY merchant
-      ORDER BY total_amount DESC
-      LIMIT :limit
-    `, {
-      replacements: { limit },
-      type: QueryTypes.SELECT
-    });
-    
-    // Format the results
-    const topMerchants = results.map(item => ({
-      merchant: item.merchant,
-      count: parseInt(item.transaction_count),
-      total: parseFloat(item.total_amount)
-    }));
-    
-    res.json(topMerchants);
+    res.json(await getTopMerchants(limit, scope));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -184,29 +546,10 @@ router.get('/top-merchants', async (req, res) => {
 // Get categorization status (percentage of transactions categorized)
 router.get('/categorization-status', async (req, res) => {
   try {
-    const { Transaction } = getModels();
-    
-    // Count total transactions
-    const total = await Transaction.count();
-    
-    // Count categorized transactions
-    const categorized = await Transaction.count({
-      where: {
-        categoryId: {
-          [Op.not]: null
-        }
-      }
-    });
-    
-    const uncategorized = total - categorized;
-    const percentage = total > 0 ? (categorized / total) * 100 : 0;
+    const scope = await getReportScope(req, res);
+    if (!scope) return;
     
-    res.json({
-      total,
-      categorized,
-      uncategorized,
-      percentage
-    });
+    res.json(await getCategorizationStatus(scope));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -215,96 +558,22 @@ router.get('/categorization-status', async (req, res) => {
 // Dashboard endpoint - combines multiple reports
 router.get('/dashboard', async (req, res) => {
   try {
+    const scope = await getReportScope(req, res);
+    if (!scope) return;
+    
     // Create a promise-based version of the request handler functions
-    const getIncomeVsExpensesData = async () => {
-      const { Transaction } = getModels();
-      
-      // Calculate totals grouped by transaction type
-      const totals = await Transaction.findAll({
-        attributes: [
-          'type',
-          [fn('SUM', col('amount')), 'total']
-        ],
-        group: ['type']
-      });
-      
-      // Format the results
-      const totalsByType = totals.reduce((acc, item) => {
-        acc[item.type] = parseFloat(item.getDataValue('total')) || 0;
-        return acc;
-      }, { income: 0, expense: 0 });
-      
-      const totalIncome = totalsByType.income || 0;
-      const totalExpenses = totalsByType.expense || 0;
-      const net = totalIncome - totalExpenses;
-      const savingsRate = totalIncome > 0 ? (net / totalIncome) * 100 : 0;
-      
-      return {
-        income: totalIncome,
-        expenses: totalExpenses,
-        net,
-        savingsRate
-      };
-    };
+    const getIncomeVsExpensesData = () => getIncomeVsExpenses(scope);
     
-    const getCategorizationData = async () => {
-      const { Transaction } = getModels();
-      
-      // Count total transactions
-      const total = await Transaction.count();
-      
-      // Count categorized transactions
-      const categorized = await Transaction.count({
-        where: {
-          categoryId: {
-            [Op.not]: null
-          }
-        }
-      });
-      
-      const uncategorized = total - categorized;
-      const percentage = total > 0 ? (categorized / total) * 100 : 0;
-      
-      return {
-        total,
-        categorized,
-        uncategorized,
-        percentage
-      };
-    };
+    const getCategorizationData = () => getCategorizationStatus(scope);
     
-    const getTopMerchantsData = async (limit = 5) => {
-      const sequelize = getDB();
-      
-      // Query to get top merchants by total spending
-      const results = await sequelize.query(`
-        SELECT 
-          merchant,
-          COUNT(*) as transaction_count,
-          SUM(amount) as total_amount
-        FROM transactions
-        WHERE merchant IS NOT NULL AND merchant != '' AND type = 'expense'
-        GROUP BY merchant
-        ORDER BY total_amount DESC
-        LIMIT :limit
-      `, {
-        replacements: { limit },
-        type: QueryTypes.SELECT
-      });
-      
-      // Format the results
-      return results.map(item => ({
-        merchant: item.merchant,
-        count: parseInt(item.transaction_count),
-        total: parseFloat(item.total_amount)
-      }));
-    };
+    const getTopMerchantsData = (limit = 5) => getTopMerchants(limit, scope);
     
     const getRecentTransactions = async (limit = 10) => {
       const { Transaction, Category } = getModels();
       
       // Get recent transactions
       const transactions = await Transaction.findAll({
+        where: scopeWhere(scope),
         limit,
         order: [['date', 'DESC']],
         include: [{
@@ -322,6 +591,7 @@ router.get('/dashboard', async (req, res) => {
           date: plainTx.date,
           description: plainTx.description,
           amount: parseFloat(plainTx.amount),
+          currency: plainTx.currency,
           type: plainTx.type,
           merchant: plainTx.merchant,
           category: plainTx.category,
@@ -340,6 +610,8 @@ router.get('/dashboard', async (req, res) => {
     
     // Combine all data into a single dashboard response
     res.json({
+      baseCurrency: incomeVsExpenses.baseCurrency,
+      period: describeScope(scope),
       incomeVsExpenses,
       categorization,
       topMerchants,
@@ -354,18 +626,25 @@ router.get('/dashboard', async (req, res) => {
 // Get spending trends over time
 router.get('/spending-trends', async (req, res) => {
   try {
-    const { Transaction, Category } = getModels();
+    const { Transaction, Category, Settings } = getModels();
     const sequelize = getDB();
+    const requestScope = await getReportScope(req, res);
+    if (!requestScope) return;
+    const baseCurrency = await getBaseCurrency(Settings);
     
-    // Get time range from query params or use default of last 6 months
-    const numMonths = parseInt(req.query.months) || 6;
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setMonth(startDate.getMonth() - numMonths);
-    
-    // Format dates for PostgreSQL
-    const startDateStr = startDate.toISOString().split('T')[0];
-    const endDateStr = endDate.toISOString().split('T')[0];
+    // Without a period or from/to, use the last `months` months (default 6)
+    let scope = requestScope;
+    if (!scope.from && !scope.to) {
+      const numMonths = parseInt(req.query.months) || 6;
+      const endDate = new Date();
+      const startDate = new Date();
+      startDate.setMonth(startDate.getMonth() - numMonths);
+      scope = {
+        ...scope,
+        from: startDate.toISOString().split('T')[0],
+        to: endDate.toISOString().split('T')[0]
+      };
+    }
     
     // Query to get spending by category over time
     const results = await sequelize.query(`
@@ -373,17 +652,33 @@ router.get('/spending-trends', async (req, res) => {
         c.id as category_id,
         c.name as category_name,
         c.color as category_color,
-        TO_CHAR(t.date, 'YYYY-MM') as month,
+        ${monthSql(sequelize, 't.date')} as month,
         SUM(t.amount) as total
-      FROM transactions t
+      FROM (${allocationsSql()}) t
       JOIN categories c ON t.category_id = c.id
-      WHERE 
-        t.date BETWEEN :startDate AND :endDate
-        AND t.type = 'expense'
-      GROUP BY c.id, c.name, c.color, TO_CHAR(t.date, 'YYYY-MM')
+      WHERE t.type = 'expense'${andScope(scope, 't')}
+      GROUP BY c.id, c.name, c.color, month
       ORDER BY c.name, month
     `, {
-      replacements: { startDate: startDateStr, endDate: endDateStr },
+      replacements: { baseCurrency, ...scopeReplacements(scope), ...walletReplacements() },
+      type: QueryTypes.SELECT
+    });
+    
+    const currencies = await getCurrencyBreakdown(
+      baseCurrency,
+      ["type = 'expense'", ...scopeConditions(scope)].join(' AND '),
+      scopeReplacements(scope)
+    );
+    
+    // Category totals in the comparison period
+    const previousScope = scope.comparison ? comparisonScope(scope) : null;
+    const previousTotals = !previousScope ? [] : await sequelize.query(`
+      SELECT category_id, SUM(amount) as total
+      FROM (${allocationsSql()}) allocations
+      WHERE type = 'expense' AND category_id IS NOT NULL${andScope(previousScope)}
+      GROUP BY category_id
+    `, {
+      replacements: { baseCurrency, ...scopeReplacements(previousScope), ...walletReplacements() },
       type: QueryTypes.SELECT
     });
     
@@ -405,24 +700,134 @@ router.get('/spending-trends', async (req, res) => {
         const entry = results.find(item => 
           item.category_id === category.id && item.month === month
         );
-        return entry ? parseFloat(entry.total) : 0;
+        return entry ? parseFloat(entry.total) || 0 : 0;
       });
       
+      const total = data.reduce((sum, value) => sum + value, 0);
+      const previous = previousTotals.find(entry => entry.category_id === category.id);
+      
       return {
         categoryId: category.id,
         label: category.name,
         data,
+        total,
         backgroundColor: category.color,
-        borderColor: category.color
+        borderColor: category.color,
+        comparison: previousScope ? compareValues(total, parseFloat(previous && previous.total) || 0) : null
       };
     });
     
+    const total = datasets.reduce((sum, dataset) => sum + dataset.total, 0);
+    const previousTotal = previousTotals.reduce((sum, entry) => sum + (parseFloat(entry.total) || 0), 0);
+    
     res.json({
+      baseCurrency,
+      period: describeScope(scope),
       labels: uniqueMonths,
       datasets,
-      categories
+      categories,
+      currencies,
+      total,
+      comparison: previousScope ? compareValues(total, previousTotal) : null
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get spent vs. budgeted per category for the current budget period
+router.get('/budgets', async (req, res) => {
+  try {
+    const { Budget, Category, Transaction, Settings } = getModels();
+
+    // Budget periods start on Settings.budgetStart (day of month)
+    const settings = await Settings.findOne();
+    const budgetStart = settings ? settings.budgetStart : 1;
+    const baseCurrency = await getBaseCurrency(Settings);
+    const warningsEnabled = settings?.notifications?.budgetWarnings !== false;
+    const referenceDate = req.query.date ? new Date(req.query.date) : new Date();
+
+    if (isNaN(referenceDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid date parameter' });
+    }
+
+    const budgets = await Budget.findAll({
+      include: [{
+        model: Category,
+        as: 'category',
+        attributes: ['id', 'name', 'color', 'icon', 'type']
+      }]
+    });
+
+    // Sum expenses (or expense splits) assigned to the category either as
+    // main category or subcategory
+    const getSpent = async (categoryId, { startDate, endDate }) => {
+      const [result] = await getDB().query(`
+        SELECT SUM(amount) as total
+        FROM (${allocationsSql()}) allocations
+        WHERE type = 'expense'
+          AND date BETWEEN :startDate AND :endDate
+          AND (category_id = :categoryId OR subcategory_id = :categoryId)
+      `, {
+        replacements: { categoryId, startDate, endDate, baseCurrency, ...walletReplacements() },
+        type: QueryTypes.SELECT
+      });
+      return parseFloat(result && result.total) || 0;
+    };
+
+    const results = await Promise.all(budgets.map(async (budget) => {
+      const period = Budget.getPeriodRange(budget.period, budgetStart, referenceDate);
+      const budgeted = parseFloat(budget.amount) || 0;
+      const spent = await getSpent(budget.categoryId, period);
+
+      // Rollover carries the previous period's remainder (positive or negative)
+      let rolloverAmount = 0;
+      if (budget.rollover) {
+        const previousPeriod = Budget.getPreviousPeriodRange(budget.period, budgetStart, referenceDate);
+        const previousSpent = await getSpent(budget.categoryId, previousPeriod);
+        rolloverAmount = budgeted - previousSpent;
+      }
+
+      const available = budgeted + rolloverAmount;
+      const remaining = available - spent;
+      const percentUsed = available > 0 ? (spent / available) * 100 : (spent > 0 ? 100 : 0);
+
+      return {
+        budgetId: budget.id,
+        categoryId: budget.categoryId,
+        category: budget.category,
+        period: budget.period,
+        startDate: period.startDate,
+        endDate: period.endDate,
+        budgeted,
+        rollover: budget.rollover,
+        rolloverAmount,
+        available,
+        spent,
+        remaining,
+        percentUsed,
+        overBudget: spent > available,
+        warning: warningsEnabled && percentUsed >= 90
+      };
+    }));
+
+    const totals = results.reduce((acc, item) => {
+      acc.budgeted += item.budgeted;
+      acc.available += item.available;
+      acc.spent += item.spent;
+      return acc;
+    }, { budgeted: 0, available: 0, spent: 0 });
+    totals.remaining = totals.available - totals.spent;
+
+    res.json({
+      budgetStart,
+      baseCurrency,
+      budgets: results.sort((a, b) => b.percentUsed - a.percentUsed),
+      totals,
+      overBudgetCount: results.filter(item => item.overBudget).length
     });
   } catch (error) {
+    console.error('Budget report error:', error);
     res.status(500).json({ error: error.message });
   }
 });
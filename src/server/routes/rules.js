@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../db/sequelize');
+const { validateRule, matchesRule, getRuleUpdates } = require('../services/rulesEngine');
+
+// Get the Sequelize models
+const getModels = () => {
+  const sequelize = getDB();
+  return sequelize.models;
+};
+
+// Fields a client is allowed to set on a rule
+const RULE_FIELDS = ['name', 'priority', 'isActive', 'matchType', 'conditions', 'actions'];
+
+const pickRuleFields = (data) => {
+  const fields = {};
+  RULE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * Preview which existing transactions a rule would match
+ * @param {Object} rule - Rule instance or unsaved rule data
+ * @param {number} limit - Maximum number of sample matches to return
+ * @returns {Promise<Object>} Match count and sample of matches with their changes
+ */
+const previewRule = async (rule, limit) => {
+  const { Transaction } = getModels();
+
+  const transactions = await Transaction.findAll({
+    attributes: ['id', 'date', 'description', 'merchant', 'amount', 'type', 'account',
+      'categoryId', 'subcategoryId', 'tags', 'needsReview'],
+    order: [['date', 'DESC']]
+  });
+
+  const matches = transactions.filter(tx => matchesRule(rule, tx));
+
+  return {
+    totalTransactions: transactions.length,
+    matchCount: matches.length,
+    matches: matches.slice(0, limit).map(tx => ({
+      transaction: tx,
+      changes: getRuleUpdates(rule, tx)
+    }))
+  };
+};
+
+// Get all rules in evaluation order
+router.get('/', async (req, res) => {
+  try {
+    const { Rule } = getModels();
+
+    const rules = await Rule.findAll({
+      order: [['priority', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    res.json(rules);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Test an unsaved rule against existing transactions
+router.post('/test', async (req, res) => {
+  try {
+    const ruleData = pickRuleFields(req.body);
+    const limit = parseInt(req.query.limit || req.body.limit) || 50;
+
+    const errors = validateRule(ruleData);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+
+    res.json(await previewRule(ruleData, limit));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a specific rule
+router.get('/:id', async (req, res) => {
+  try {
+    const { Rule } = getModels();
+
+    const rule = await Rule.findByPk(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Test a saved rule against existing transactions
+router.post('/:id/test', async (req, res) => {
+  try {
+    const { Rule } = getModels();
+    const limit = parseInt(req.query.limit || req.body.limit) || 50;
+
+    const rule = await Rule.findByPk(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json(await previewRule(rule, limit));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a new rule
+router.post('/', async (req, res) => {
+  try {
+    const { Rule } = getModels();
+    const ruleData = pickRuleFields(req.body);
+
+    const errors = validateRule(ruleData);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+
+    try {
+      const newRule = await Rule.create(ruleData);
+      res.status(201).json(newRule);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: (validationError.errors || []).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a rule
+router.put('/:id', async (req, res) => {
+  try {
+    const { Rule } = getModels();
+    const ruleData = pickRuleFields(req.body);
+
+    const rule = await Rule.findByPk(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const errors = validateRule({
+      conditions: rule.conditions,
+      actions: rule.actions,
+      ...ruleData
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+
+    await rule.update(ruleData);
+
+    res.json(rule);
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.errors.map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a rule
+router.delete('/:id', async (req, res) => {
+  try {
+    const { Rule } = getModels();
+
+    const rule = await Rule.findByPk(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    await rule.destroy();
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { getDB } = require('../db/sequelize');
+const { validateCustomPeriods } = require('../services/reportPeriods');
 
 // Get the Sequelize models
 const getModels = () => {
@@ -34,6 +35,18 @@ router.put('/', async (req, res) => {
     const { Settings } = getModels();
     const updateData = req.body;
     
+    // Custom periods are named report periods (see reportPeriods)
+    if (updateData.customPeriods !== undefined) {
+      const errors = validateCustomPeriods(updateData.customPeriods);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: true,
+          message: 'Validation error',
+          details: errors
+        });
+      }
+    }
+    
     // Get the first settings object
     let settings = await Settings.findOne();
     
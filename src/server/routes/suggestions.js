@@ -255,7 +255,7 @@ router.post('/apply', async (req, res) => {
         suggestionApplied: true,
         needsReview: false,
         reviewed: true
-      });
+      }, { audit: { source: 'ai' } });
       
       // Fetch the updated transaction with category
       const updatedTransaction = await Transaction.findByPk(transactionId, {
@@ -0,0 +1,93 @@
+/**
+ * Routes for splitting a transaction across several categories
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getDB, getModels } = require('../db/sequelize');
+const { validateSplits, replaceSplits } = require('../services/transactionSplits');
+
+const loadSplits = (transactionId) => {
+  const { TransactionSplit, Category } = getModels();
+
+  return TransactionSplit.findAll({
+    where: { transactionId },
+    include: [
+      { model: Category, as: 'category', attributes: ['id', 'name', 'color', 'icon'] },
+      { model: Category, as: 'subcategory', attributes: ['id', 'name', 'color', 'icon'], required: false }
+    ],
+    order: [['amount', 'DESC']]
+  });
+};
+
+// Get the splits of a transaction
+router.get('/:id/splits', async (req, res) => {
+  try {
+    const { Transaction } = getModels();
+    const transaction = await Transaction.findByPk(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    res.json(await loadSplits(transaction.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Replace the splits of a transaction; they must add up to its amount
+router.put('/:id/splits', async (req, res) => {
+  try {
+    const { Transaction, Category } = getModels();
+    const { splits } = req.body;
+    const transaction = await Transaction.findByPk(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const errors = validateSplits(transaction.amount, splits);
+    if (errors.length === 0) {
+      const categoryIds = [...new Set(splits.flatMap(split => [split.categoryId, split.subcategoryId].filter(Boolean)))];
+      const found = await Category.count({ where: { id: categoryIds } });
+      if (found !== categoryIds.length) {
+        errors.push({ field: 'splits', message: 'One or more categories do not exist' });
+      }
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+
+    await getDB().transaction(async (dbTransaction) => {
+      await replaceSplits(transaction, splits, getModels(), { transaction: dbTransaction });
+    });
+
+    res.json(await loadSplits(transaction.id));
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError' || error.name === 'AggregateError') {
+      return res.status(400).json({ error: 'Validation error', details: [{ field: 'splits', message: error.message }] });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove all splits, reverting to the transaction's own category
+router.delete('/:id/splits', async (req, res) => {
+  try {
+    const { Transaction, TransactionSplit } = getModels();
+    const transaction = await Transaction.findByPk(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    await TransactionSplit.destroy({ where: { transactionId: transaction.id } });
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,28 @@ const fs = require('fs');
 const { getDB, getModels } = require('../db/sequelize');
 const FileParser = require('../services/fileParser');
 const categorySuggestionService = require('../services/categorySuggestion');
+const { applyRulesToRows } = require('../services/rulesEngine');
+const { resolveAccount } = require('../services/accountMatching');
+const { assignMerchants, countUnlinkedMerchantKeys } = require('../services/merchants');
+const { findLockedReconciliation } = require('../services/reconciliation');
+const { parseFileWithProfile } = require('../services/csvImportProfiles');
+const { validateSplits, replaceSplits } = require('../services/transactionSplits');
+const { validateCategoryAssignment } = require('../services/categoryAssignment');
+const {
+  CURSOR_SORT_FIELDS,
+  buildTransactionFilters,
+  buildTransactionQuery,
+  encodeCursor
+} = require('../services/transactionQuery');
+const { EXPORT_FORMATS, ofxOrder, writeExport } = require('../services/transactionExport');
+const { getHistory } = require('../services/auditLog');
+const {
+  buildBulkSelection,
+  validateBulkChanges,
+  validateBulkReferences,
+  applyBulkEdit
+} = require('../services/bulkEdit');
+const { isConfirmed } = require('../utils/requestFlags');
 const { Op } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
 
@@ -617,11 +639,29 @@ router.get('/by-upload/:uploadId', async (req, res) => {
   }
 });
 
-// Get all transactions
+// Get transactions, filtered, searched, sorted and optionally paginated.
+// Without limit/offset/page/cursor the full (filtered) list is returned as an
+// array, as before; with any of them the response is { transactions, pagination }.
 router.get('/', async (req, res) => {
   try {
     const { Transaction, Category } = getModels();
+    const query = buildTransactionQuery(req.query, getDB());
+    
+    if (query.errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: query.errors });
+    }
+    
+    const total = await Transaction.count({ where: buildTransactionFilters(req.query, getDB()).where });
+    res.set('X-Total-Count', String(total));
+    
+    // Just the matching ids, e.g. to select every filtered transaction
+    if (req.query.idsOnly === 'true') {
+      const rows = await Transaction.findAll({ where: query.where, attributes: ['id'], order: query.order });
+      return res.json({ ids: rows.map(row => row.id), total });
+    }
+    
     const transactions = await Transaction.findAll({
+      where: query.where,
       include: [
         {
           model: Category,
@@ -635,7 +675,8 @@ router.get('/', async (req, res) => {
           required: false
         }
       ],
-      order: [['date', 'DESC']]
+      order: query.order,
+      ...(query.paginated ? { limit: query.limit, offset: query.offset } : {})
     });
     
     // Enhance transactions with suggestionConfidence (copy from categoryConfidence)
@@ -657,7 +698,82 @@ router.get('/', async (req, res) => {
       return txJson;
     });
     
-    res.json(enhancedTransactions);
+    if (!query.paginated) {
+      return res.json(enhancedTransactions);
+    }
+    
+    const last = transactions[transactions.length - 1];
+    const hasMore = transactions.length === query.limit;
+    
+    res.json({
+      transactions: enhancedTransactions,
+      pagination: {
+        total,
+        limit: query.limit,
+        offset: req.query.cursor !== undefined ? null : query.offset,
+        sort: query.sortField,
+        order: query.direction.toLowerCase(),
+        hasMore: req.query.cursor !== undefined ? hasMore : query.offset + transactions.length < total,
+        nextCursor: hasMore && CURSOR_SORT_FIELDS.includes(query.sortField) ? encodeCursor(last, query.sortField) : null
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Export transactions matching the list filters as CSV, XLSX or OFX
+router.get('/export', async (req, res) => {
+  try {
+    const { Transaction, Category, Account } = getModels();
+    const format = String(req.query.format || 'csv').toLowerCase();
+    
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+    
+    const { where, errors } = buildTransactionFilters(req.query, getDB());
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: errors });
+    }
+    
+    // OFX groups transactions into one statement per account
+    const order = format === 'ofx' ? ofxOrder(Transaction) : [['date', 'ASC'], ['id', 'ASC']];
+    
+    const fileName = `transactions-${new Date().toISOString().split('T')[0]}.${EXPORT_FORMATS[format].extension}`;
+    res.set('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+    
+    await writeExport(format, Transaction, {
+      where,
+      include: [
+        { model: Category, as: 'category', attributes: ['id', 'name'] },
+        { model: Category, as: 'subcategory', attributes: ['id', 'name'], required: false },
+        { model: Account, as: 'accountRecord', attributes: ['id', 'name', 'type'], required: false }
+      ],
+      order
+    }, res);
+  } catch (error) {
+    console.error('Error exporting transactions:', error);
+    // Once streaming has started the status can no longer change
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the change history of a transaction, including after it was deleted
+router.get('/:id/history', async (req, res) => {
+  try {
+    const models = getModels();
+    const history = await getHistory(models, 'transaction', req.params.id);
+
+    if (history.length === 0 && !(await models.Transaction.findByPk(req.params.id))) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    res.json(history);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -666,7 +782,7 @@ router.get('/', async (req, res) => {
 // Get a specific transaction
 router.get('/:id', async (req, res) => {
   try {
-    const { Transaction, Category } = getModels();
+    const { Transaction, Category, TransactionSplit } = getModels();
     const transaction = await Transaction.findByPk(req.params.id, {
       include: [
         {
@@ -679,8 +795,18 @@ router.get('/:id', async (req, res) => {
           as: 'subcategory',
           attributes: ['id', 'name', 'color', 'icon'],
           required: false
+        },
+        {
+          model: TransactionSplit,
+          as: 'splits',
+          required: false,
+          include: [
+            { model: Category, as: 'category', attributes: ['id', 'name', 'color', 'icon'] },
+            { model: Category, as: 'subcategory', attributes: ['id', 'name', 'color', 'icon'], required: false }
+          ]
         }
-      ]
+      ],
+      order: [[{ model: TransactionSplit, as: 'splits' }, 'amount', 'DESC']]
     });
     
     if (!transaction) {
@@ -708,6 +834,93 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * Keep a transaction's account name and accountId in step when either is set,
+ * resolving the name to an existing Account case-insensitively
+ * @param {Object} transactionData - Incoming transaction fields (modified in place)
+ * @returns {Promise<void>}
+ */
+async function linkTransactionAccount(transactionData) {
+  if (transactionData.accountId === undefined && transactionData.account === undefined) {
+    return;
+  }
+
+  const { Account } = getModels();
+  const account = await resolveAccount(Account, {
+    accountId: transactionData.accountId,
+    accountName: transactionData.account,
+    accountType: transactionData.accountType
+  });
+
+  transactionData.accountId = account ? account.id : null;
+  transactionData.account = account ? account.name : null;
+}
+
+/**
+ * Link a transaction to its merchant when it is created or its merchant is
+ * changed: an explicit merchantId wins, otherwise the merchant text (or, for
+ * a new transaction, the description) is matched, or added to the directory
+ * once it recurs.
+ * An uncategorized transaction picks up the merchant's default category.
+ * @param {Object} transactionData - Incoming transaction fields (modified in place)
+ * @param {Model} [transaction] - The transaction being updated, if any
+ * @returns {Promise<void>}
+ */
+async function linkTransactionMerchant(transactionData, transaction = null) {
+  const { Merchant, Transaction } = getModels();
+
+  if (transactionData.merchantId) {
+    const merchant = await Merchant.findByPk(transactionData.merchantId);
+    transactionData.merchantId = merchant ? merchant.id : null;
+    if (merchant) transactionData.merchant = merchant.name;
+    return;
+  }
+  if (transactionData.merchantId === null || transactionData.merchant === null || transactionData.merchant === '') {
+    transactionData.merchantId = null;
+    transactionData.merchant = transactionData.merchant || null;
+    return;
+  }
+  if (transactionData.merchant === undefined && (transaction || !transactionData.description)) {
+    return;
+  }
+
+  const categoryId = transactionData.categoryId !== undefined
+    ? transactionData.categoryId
+    : (transaction ? transaction.categoryId : null);
+  const [row] = await assignMerchants([{
+    merchant: transactionData.merchant,
+    description: transactionData.description,
+    type: transactionData.type || (transaction ? transaction.type : undefined),
+    categoryId
+  }], Merchant, {
+    create: true,
+    seen: await countUnlinkedMerchantKeys(Transaction, { excludeId: transaction ? transaction.id : undefined })
+  });
+
+  transactionData.merchantId = row.merchantId;
+  transactionData.merchant = row.merchant;
+  if (row.categoryId !== categoryId) {
+    transactionData.categoryId = row.categoryId;
+  }
+}
+
+/**
+ * Build the 409 response for an edit inside a reconciled period
+ * @param {Model} reconciliation - The reconciliation covering the transaction
+ * @returns {Object} Response body
+ */
+function reconciledPeriodError(reconciliation) {
+  return {
+    error: 'Transaction falls inside a reconciled period. Resend with confirmReconciled=true to change it.',
+    requiresConfirmation: true,
+    reconciliation: {
+      id: reconciliation.id,
+      periodStart: reconciliation.periodStart,
+      periodEnd: reconciliation.periodEnd
+    }
+  };
+}
+
 // Create a new transaction
 router.post('/', async (req, res) => {
   try {
@@ -719,6 +932,14 @@ router.post('/', async (req, res) => {
       transactionData.tags = transactionData.tags.split(',').map(tag => tag.trim());
     }
     
+    await linkTransactionAccount(transactionData);
+    await linkTransactionMerchant(transactionData);
+    
+    const locked = await findLockedReconciliation(getModels().Reconciliation, null, transactionData);
+    if (locked && !isConfirmed(transactionData.confirmReconciled)) {
+      return res.status(409).json(reconciledPeriodError(locked));
+    }
+    
     // Validate the transaction data
     try {
       const newTransaction = await Transaction.create(transactionData);
@@ -764,14 +985,62 @@ router.put('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Transaction not found' });
     }
     
+    await linkTransactionAccount(transactionData);
+    await linkTransactionMerchant(transactionData, transaction);
+    
+    // Only the category fields sent are checked, against the transaction's type
+    const categoryErrors = await validateCategoryAssignment(getModels().Category, {
+      categoryId: transactionData.categoryId,
+      subcategoryId: transactionData.subcategoryId
+    }, [{
+      type: transactionData.type || transaction.type,
+      categoryId: transaction.categoryId
+    }]);
+    if (categoryErrors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: categoryErrors });
+    }
+    
+    const locked = await findLockedReconciliation(getModels().Reconciliation, transaction, transactionData);
+    if (locked && !isConfirmed(transactionData.confirmReconciled)) {
+      return res.status(409).json(reconciledPeriodError(locked));
+    }
+    
+    // Splits must keep adding up to the amount: an amount change on a split
+    // transaction has to send replacement splits (or an empty array to unsplit)
+    const { splits } = transactionData;
+    delete transactionData.splits;
+    const amount = transactionData.amount !== undefined ? transactionData.amount : transaction.amount;
+    
+    if (Array.isArray(splits) && splits.length > 0) {
+      const splitErrors = validateSplits(amount, splits);
+      if (splitErrors.length > 0) {
+        return res.status(400).json({ error: 'Validation error', details: splitErrors });
+      }
+    } else if (splits === undefined && transactionData.amount !== undefined &&
+               Math.abs(parseFloat(transactionData.amount) - parseFloat(transaction.amount)) >= 0.005) {
+      const splitCount = await getModels().TransactionSplit.count({ where: { transactionId: transaction.id } });
+      if (splitCount > 0) {
+        return res.status(400).json({
+          error: 'Validation error',
+          details: [{ field: 'splits', message: 'Changing the amount of a split transaction requires updated splits' }]
+        });
+      }
+    }
+    
     // Update the transaction
-    await transaction.update(transactionData);
+    await getDB().transaction(async (dbTransaction) => {
+      await transaction.update(transactionData, { transaction: dbTransaction });
+      if (Array.isArray(splits)) {
+        await replaceSplits(transaction, splits, getModels(), { transaction: dbTransaction });
+      }
+    });
     
-    // Get the updated transaction with its category and subcategory
+    // Get the updated transaction with its category, subcategory and splits
     const updatedTransaction = await Transaction.findByPk(req.params.id, {
       include: [
         { model: getModels().Category, as: 'category' },
-        { model: getModels().Category, as: 'subcategory', required: false }
+        { model: getModels().Category, as: 'subcategory', required: false },
+        { model: getModels().TransactionSplit, as: 'splits', required: false }
       ]
     });
     
@@ -804,6 +1073,11 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Transaction not found' });
     }
     
+    const locked = await findLockedReconciliation(getModels().Reconciliation, transaction, null);
+    if (locked && !isConfirmed(req.query.confirmReconciled)) {
+      return res.status(409).json(reconciledPeriodError(locked));
+    }
+    
     // Delete the transaction
     await transaction.destroy();
     
@@ -882,7 +1156,12 @@ router.post('/upload', upload.single('file'), async (req, res) => {
     // Parse the file based on its extension
     let transactions;
     try {
-      transactions = await FileParser.parseFile(filePath);
+      // Prefer a saved import profile (chosen, or recognised by the CSV header)
+      const profileResult = await parseFileWithProfile(filePath, getModels().ImportProfile, {
+        profileId: req.body.importProfileId,
+        fileName
+      });
+      transactions = profileResult ? profileResult.transactions : await FileParser.parseFile(filePath);
       console.log(`Successfully parsed ${transactions.length} transactions from file`);
       
       // Debug the first parsed transaction's tags field
@@ -905,10 +1184,17 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No transactions found in the uploaded file' });
     }
     
-    const { Transaction } = getModels();
+    const { Transaction, Rule, Account } = getModels();
+    
+    // Link to an Account record, reusing an existing one whose name differs only in case
+    const account = await resolveAccount(Account, {
+      accountId: req.body.accountId,
+      accountName,
+      accountType: accountTypeEnum
+    });
     
     // Add source file information and override account info if provided
-    const processedTransactions = transactions.map(transaction => {
+    const mappedTransactions = transactions.map(transaction => {
       // Create a new transaction object with the existing data
       const updatedTransaction = { ...transaction };
       
@@ -920,8 +1206,9 @@ router.post('/upload', upload.single('file'), async (req, res) => {
         updatedTransaction.source = accountType;
       }
       
-      if (accountName) {
-        updatedTransaction.account = accountName;
+      if (account) {
+        updatedTransaction.account = account.name;
+        updatedTransaction.accountId = account.id;
       }
       
       // If we're explicitly setting a credit card account type, make sure transaction types are correct
@@ -977,13 +1264,29 @@ router.post('/upload', upload.single('file'), async (req, res) => {
       return updatedTransaction;
     });
     
-    console.log(`Saving ${processedTransactions.length} transactions to database`);
+    // User-defined rules run before any AI suggestion
+    const processedTransactions = await applyRulesToRows(mappedTransactions, Rule);
     
-    // Generate an upload ID for enrichment flow tracking
-    const uploadId = `upload_${Date.now()}`;
+    console.log(`Saving ${processedTransactions.length} transactions to database`);
     
     // If enrichment mode is enabled, we organize transactions into batches
     if (enrichMode) {
+      const { Upload, Batch } = getModels();
+      
+      // Record the upload so the batches and transactions can reference it
+      const uploadRecord = await Upload.create({
+        filename: fileName,
+        originalFilename: req.file.originalname,
+        fileType: fileExtension,
+        fileSize: req.file.size,
+        status: 'processed',
+        transactionCount: processedTransactions.length,
+        importSource: 'User Upload',
+        accountName: accountName || null,
+        accountType: accountType || null
+      });
+      const uploadId = uploadRecord.id;
+      
       // Group transactions by similar attributes (like source, type, date range)
       const batches = organizeIntoBatches(processedTransactions);
       
@@ -996,7 +1299,14 @@ router.post('/upload', upload.single('file'), async (req, res) => {
         const batchMetadata = Array.isArray(batch) ? {} : batch.metadata || {};
         
         // Save batch metadata with detailed logging
-        const batchId = `${uploadId}_batch_${i}`;
+        const batchRecord = await Batch.create({
+          title: batchMetadata.summary || `Batch ${i + 1}`,
+          type: batchMetadata.source || null,
+          uploadId,
+          transactionCount: batchTransactions.length,
+          metadata: batchMetadata
+        });
+        const batchId = batchRecord.id;
         console.log(`Creating batch ${batchId} with ${batchTransactions.length} transactions`);
         
         batchTransactions.forEach(transaction => {
@@ -1031,7 +1341,8 @@ router.post('/upload', upload.single('file'), async (req, res) => {
         
         // Save this batch of transactions
         const savedBatch = await Transaction.bulkCreate(batchTransactions, {
-          returning: true
+          returning: true,
+          audit: { source: 'import' }
         });
         
         // Calculate batch statistics (use optimized function for large batches)
@@ -1066,7 +1377,8 @@ router.post('/upload', upload.single('file'), async (req, res) => {
     
     // Traditional (non-enrichment) flow: save all transactions directly
     const savedTransactions = await Transaction.bulkCreate(processedTransactions, {
-      returning: true
+      returning: true,
+      audit: { source: 'import' }
     });
     
     // Calculate some statistics (optimized for large transaction sets)
@@ -1116,7 +1428,12 @@ router.post('/import/csv', upload.single('file'), async (req, res) => {
     // Parse the CSV file
     let transactions;
     try {
-      transactions = await FileParser.parseCSV(filePath);
+      // Prefer a saved import profile (chosen, or recognised by the CSV header)
+      const profileResult = await parseFileWithProfile(filePath, getModels().ImportProfile, {
+        profileId: req.body.importProfileId,
+        fileName
+      });
+      transactions = profileResult ? profileResult.transactions : await FileParser.parseCSV(filePath);
       console.log(`Successfully parsed ${transactions.length} transactions from CSV`);
       
       // Debug the first parsed transaction
@@ -1135,10 +1452,17 @@ router.post('/import/csv', upload.single('file'), async (req, res) => {
     }
     
     // Get the Transaction model
-    const { Transaction } = getModels();
+    const { Transaction, Rule, Account } = getModels();
+    
+    // Link to an Account record, reusing an existing one whose name differs only in case
+    const account = await resolveAccount(Account, {
+      accountId: req.body.accountId,
+      accountName: req.body.accountName,
+      accountType: req.body.accountTypeEnum
+    });
     
     // Add source file information and override account info if provided
-    const processedTransactions = transactions.map(transaction => {
+    const mappedTransactions = transactions.map(transaction => {
       // Create a new transaction object with the existing data
       const updatedTransaction = { ...transaction };
       
@@ -1150,8 +1474,9 @@ router.post('/import/csv', upload.single('file'), async (req, res) => {
         updatedTransaction.source = req.body.accountType;
       }
       
-      if (req.body.accountName) {
-        updatedTransaction.account = req.body.accountName;
+      if (account) {
+        updatedTransaction.account = account.name;
+        updatedTransaction.accountId = account.id;
       }
       
       // If we're explicitly setting a credit card account type, make sure transaction types are correct
@@ -1207,11 +1532,15 @@ router.post('/import/csv', upload.single('file'), async (req, res) => {
       return updatedTransaction;
     });
     
+    // User-defined rules run before any AI suggestion
+    const processedTransactions = await applyRulesToRows(mappedTransactions, Rule);
+    
     console.log(`Saving ${processedTransactions.length} transactions to database`);
     
     // Save transactions to database
     const savedTransactions = await Transaction.bulkCreate(processedTransactions, {
-      returning: true
+      returning: true,
+      audit: { source: 'import' }
     });
     
     // Calculate some statistics
@@ -1263,6 +1592,48 @@ router.post('/import/csv', upload.single('file'), async (req, res) => {
   }
 });
 
+// Edit or delete many transactions at once, selected by ids or by a filter
+// (the GET / parameters). dryRun=true only reports how many would change.
+router.patch('/bulk', async (req, res) => {
+  try {
+    const sequelize = getDB();
+    const selection = buildBulkSelection(req.body, sequelize);
+    const { changes, remove, errors } = validateBulkChanges(req.body);
+    const validationErrors = [...selection.errors, ...errors];
+    
+    if (validationErrors.length === 0) {
+      validationErrors.push(...await validateBulkReferences(getModels(), changes, selection.where));
+    }
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ error: 'Validation error', details: validationErrors });
+    }
+    
+    const result = await applyBulkEdit(sequelize, selection.where, changes, {
+      remove,
+      dryRun: isConfirmed(req.body.dryRun),
+      confirmReconciled: isConfirmed(req.body.confirmReconciled)
+    });
+    
+    if (!result.dryRun && result.locked.length > 0 && !isConfirmed(req.body.confirmReconciled)) {
+      return res.status(409).json({
+        error: `${result.locked.length} of the selected transactions fall inside a reconciled period. Resend with confirmReconciled=true to change them.`,
+        requiresConfirmation: true,
+        ...result
+      });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        error: 'Validation error',
+        details: error.errors.map(err => ({ field: err.path, message: err.message }))
+      });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Update multiple transactions' category at once
 router.post('/batch-categorize', async (req, res) => {
   try {
@@ -1308,7 +1679,8 @@ router.post('/batch-categorize', async (req, res) => {
         id: {
           [Op.in]: transactionIds
         }
-      }
+      },
+      audit: { source: 'bulk' }
     });
     
     // Get the updated transactions with their categories
@@ -1352,22 +1724,14 @@ router.get('/:id/suggest-category', async (req, res) => {
     console.log(`[Suggest Category] Transaction: ${transaction.id}, Description: "${transaction.description}", Amount: ${transaction.amount}`);
     console.log(`[Suggest Category] Using threshold: ${confidenceThreshold}, Force OpenAI: ${forceOpenAI}`);
     
-    if (forceOpenAI) {
-      categorySuggestionService.useOpenAI = true; // Temporarily force OpenAI
-    }
-    
     // Pass more transaction data to the suggestion service
     const suggestion = await categorySuggestionService.suggestCategory(
       transaction.description,
       transaction.amount,
-      transaction.type || 'expense'
+      transaction.type || 'expense',
+      { forceProvider: forceOpenAI }
     );
     
-    // Reset the flag if we temporarily forced it
-    if (forceOpenAI && !process.env.OPENAI_API_KEY) {
-      categorySuggestionService.useOpenAI = false;
-    }
-    
     // Add needsReview flag based on confidence threshold
     const needsReview = suggestion.confidence < confidenceThreshold;
     
@@ -1543,7 +1907,7 @@ router.get('/uploads/:uploadId/batches', async (req, res) => {
   try {
     console.log(`[GET /uploads/${req.params.uploadId}/batches] - Fetching batches for upload`);
     
-    const { Transaction, Category } = getModels();
+    const { Transaction, Category, Batch } = getModels();
     const { uploadId } = req.params;
     
     if (!uploadId) {
@@ -1554,12 +1918,12 @@ router.get('/uploads/:uploadId/batches', async (req, res) => {
       });
     }
     
-    // Validate uploadId format (should start with 'upload_' followed by numbers)
-    if (!uploadId.match(/^upload_\d+$/)) {
+    // Validate uploadId format (uploads are keyed by UUID)
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(uploadId)) {
       console.log(`⚠️ [ERROR] Invalid upload ID format: ${uploadId}`);
       return res.status(400).json({
         error: 'Invalid upload ID format',
-        details: 'Upload ID should follow the format "upload_" followed by numbers.'
+        details: 'Upload ID should be a UUID.'
       });
     }
     
@@ -1814,32 +2178,9 @@ router.get('/uploads/:uploadId/batches', async (req, res) => {
             });
           }
           
-          // If we couldn't find a matching batch, create a new one based on type
+          // Without a matching batch, the transaction is organized into a new batch below
           if (!foundMatchingBatch) {
-            const transactionType = transaction.type || 'unknown';
-            const recoveredBatchId = `${transaction.uploadId}_batch_recovered_${transactionType}_${Date.now().toString().slice(-4)}`;
-            console.log(`🔄 [RECOVERY] Creating new recovered batch ID: ${recoveredBatchId} for transaction ${transaction.id}`);
-            
-            if (!batchMap[recoveredBatchId]) {
-              batchMap[recoveredBatchId] = [];
-            }
-            batchMap[recoveredBatchId].push(transaction);
-            
-            // Update the transaction's batchId in memory and in the database
-            transaction.batchId = recoveredBatchId;
-            
-            // Save the updated batchId to the database
-            (async () => {
-              try {
-                await Transaction.update(
-                  { batchId: recoveredBatchId },
-                  { where: { id: transaction.id } }
-                );
-                console.log(`✅ [RECOVERY] Updated batchId in database for transaction ${transaction.id}`);
-              } catch (err) {
-                console.error(`❌ [ERROR] Failed to update batchId in database for transaction ${transaction.id}:`, err);
-              }
-            })();
+            console.log(`🔄 [RECOVERY] No matching batch for transaction ${transaction.id}, leaving it for batch organization`);
           }
         } else {
           console.log(`❌ [ERROR] Cannot recover transaction ${transaction.id} - missing uploadId`);
@@ -1878,9 +2219,16 @@ router.get('/uploads/:uploadId/batches', async (req, res) => {
         // Process each batch - add to batchMap and update transaction batchId
         for (let i = 0; i < newBatches.length; i++) {
           const newBatch = newBatches[i];
-          const batchId = `${uploadId}_auto_batch_${Date.now()}_${i}`;
           const batchTransactions = newBatch.transactions;
           const batchMetadata = newBatch.metadata;
+          const batchRecord = await Batch.create({
+            title: batchMetadata.summary || `Batch ${i + 1}`,
+            type: batchMetadata.source || null,
+            uploadId,
+            transactionCount: batchTransactions.length,
+            metadata: batchMetadata
+          });
+          const batchId = batchRecord.id;
           
           console.log(`[GET /uploads/${uploadId}/batches] - Processing new batch: ${batchId} with ${batchTransactions.length} transactions`);
           console.log(`[GET /uploads/${uploadId}/batches] - Batch summary: ${batchMetadata.summary}`);
@@ -2057,7 +2405,7 @@ router.get('/uploads/:uploadId/batches', async (req, res) => {
       } catch (statError) {
         console.error(`Error calculating statistics for batch ${batchId}:`, statError);
         // In case of error, still try to provide a helpful title
-        let errorTitle = `Batch ${batchId.split('_').pop()}`;
+        let errorTitle = `Batch ${String(batchId).slice(0, 8)}`;
         
         try {
           // Basic title based on first transaction if available
@@ -2347,7 +2695,7 @@ router.get('/batches/needs-enrichment', async (req, res) => {
       } catch (error) {
         console.error(`[GET /batches/needs-enrichment] - Error calculating batch stats for ${batchId}:`, error);
         // In case of error, still try to provide a helpful title
-        let errorTitle = `Batch ${batchId.split('_').pop()}`;
+        let errorTitle = `Batch ${String(batchId).slice(0, 8)}`;
         
         try {
           // Basic title based on first transaction if available
@@ -2498,7 +2846,8 @@ router.put('/batches/:batchId/enrich', async (req, res) => {
                   suggestionApplied: suggestion.confidence >= confidenceThreshold,
                   needsReview: suggestion.confidence < confidenceThreshold
                 }, {
-                  where: { id: suggestion.transactionId }
+                  where: { id: suggestion.transactionId },
+                  audit: { source: 'ai' }
                 });
               }
               return Promise.resolve();
@@ -2531,7 +2880,8 @@ router.put('/batches/:batchId/enrich', async (req, res) => {
                   suggestionApplied: false,
                   needsReview: true
                 }, {
-                  where: { id: suggestion.transactionId }
+                  where: { id: suggestion.transactionId },
+                  audit: { source: 'ai' }
                 });
               }
               return Promise.resolve();
@@ -2618,7 +2968,9 @@ router.put('/batches/:batchId/enrich', async (req, res) => {
     let updateCount = 0;
     try {
       const updatePromise = Transaction.update(updateData, {
-        where: { batchId: batchId }
+        where: { batchId: batchId },
+        // Categories picked by the AI above count as AI changes
+        audit: { source: enrichData.suggestions ? 'ai' : 'bulk' }
       });
       
       const updateResult = await Promise.race([
@@ -2826,7 +3178,7 @@ router.put('/uploads/:uploadId/account-info', async (req, res) => {
   try {
     const { uploadId } = req.params;
     const accountInfo = req.body;
-    const { Transaction } = getModels();
+    const { Transaction, Upload, Account } = getModels();
     
     console.log(`[PUT /uploads/${uploadId}/account-info] - Received account info:`, JSON.stringify(accountInfo));
     
@@ -2837,9 +3189,21 @@ router.put('/uploads/:uploadId/account-info', async (req, res) => {
       return res.status(400).json({ error: 'Invalid account information format' });
     }
     
+    // Resolve names to Account records one at a time, so two files naming the
+    // same new account share a single record
+    const resolvedAccounts = [];
+    for (const fileInfo of accountInfoArray) {
+      resolvedAccounts.push(await resolveAccount(Account, {
+        accountId: fileInfo.accountId,
+        accountName: fileInfo.accountName,
+        accountType: fileInfo.accountType
+      }));
+    }
+    
     // Process each file's account info
-    const updateResults = await Promise.all(accountInfoArray.map(async (fileInfo) => {
-      const { fileName, fileId, accountSource, accountType, accountName } = fileInfo;
+    const updateResults = await Promise.all(accountInfoArray.map(async (fileInfo, index) => {
+      const { fileName, fileId, accountSource, accountType } = fileInfo;
+      const account = resolvedAccounts[index];
       
       // For single object format compatibility
       if (!Array.isArray(accountInfo) && !fileName) {
@@ -2865,8 +3229,9 @@ router.put('/uploads/:uploadId/account-info', async (req, res) => {
             // Update account info
             transaction.source = accountInfo.accountType || transaction.source;
             transaction.accountType = accountInfo.accountType;
-            if (accountInfo.accountName) {
-              transaction.account = accountInfo.accountName;
+            if (account) {
+              transaction.account = account.name;
+              transaction.accountId = account.id;
             }
             
             // For credit cards, determine correct transaction type
@@ -2918,7 +3283,8 @@ router.put('/uploads/:uploadId/account-info', async (req, res) => {
           { 
             source: accountInfo.accountType || null,
             accountType: accountInfo.accountType || null,
-            account: accountInfo.accountName || null
+            account: account ? account.name : null,
+            accountId: account ? account.id : null
           },
           { where: whereClause }
         );
@@ -2956,9 +3322,10 @@ router.put('/uploads/:uploadId/account-info', async (req, res) => {
         accountType: accountType || null 
       };
       
-      // If accountName is provided, update that as well
-      if (accountName) {
-        updateData.account = accountName;
+      // If an account is provided, update that as well
+      if (account) {
+        updateData.account = account.name;
+        updateData.accountId = account.id;
       }
       
       console.log(`[PUT /uploads/${uploadId}/account-info] - Update data:`, JSON.stringify(updateData));
@@ -2978,8 +3345,9 @@ router.put('/uploads/:uploadId/account-info', async (req, res) => {
           // First update the account information
           transaction.source = accountSource || transaction.source;
           transaction.accountType = accountType;
-          if (accountName) {
-            transaction.account = accountName;
+          if (account) {
+            transaction.account = account.name;
+            transaction.accountId = account.id;
           }
           
           // For credit cards, we need to invert the transaction type logic:
@@ -3031,6 +3399,15 @@ router.put('/uploads/:uploadId/account-info', async (req, res) => {
     
     console.log(`[PUT /uploads/${uploadId}/account-info] - Update results:`, JSON.stringify(updateResults));
     
+    // Record the account on the upload itself when it applies to the whole upload
+    const uploadAccount = resolvedAccounts[0];
+    if (!Array.isArray(accountInfo) && uploadAccount && /^[0-9a-f-]{36}$/i.test(uploadId)) {
+      await Upload.update(
+        { accountId: uploadAccount.id, accountName: uploadAccount.name, accountType: uploadAccount.type },
+        { where: { id: uploadId } }
+      );
+    }
+    
     res.status(200).json({ 
       message: 'Account information updated',
       results: updateResults
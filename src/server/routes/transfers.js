@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../db/sequelize');
+const { isConfirmed } = require('../utils/requestFlags');
+const {
+  directionForType,
+  linkTransfer,
+  unlinkTransfer,
+  detectTransfers
+} = require('../services/transferDetection');
+
+// Get the Sequelize models
+const getModels = () => {
+  const sequelize = getDB();
+  return sequelize.models;
+};
+
+// Attributes returned for each side of a transfer
+const TRANSFER_ATTRIBUTES = ['id', 'date', 'description', 'amount', 'account', 'accountType', 'transferDirection'];
+
+const formatPair = (outflow, inflow) => ({
+  amount: parseFloat(outflow.amount),
+  from: {
+    id: outflow.id,
+    date: outflow.date,
+    description: outflow.description,
+    account: outflow.account
+  },
+  to: {
+    id: inflow.id,
+    date: inflow.date,
+    description: inflow.description,
+    account: inflow.account
+  }
+});
+
+// Get all linked transfers (one entry per pair)
+router.get('/', async (req, res) => {
+  try {
+    const { Transaction } = getModels();
+
+    const outflows = await Transaction.findAll({
+      where: {
+        type: 'transfer',
+        transferDirection: 'outflow'
+      },
+      attributes: [...TRANSFER_ATTRIBUTES, 'transferPairId'],
+      include: [
+        {
+          model: Transaction,
+          as: 'transferPair',
+          attributes: TRANSFER_ATTRIBUTES
+        }
+      ],
+      order: [['date', 'DESC']]
+    });
+
+    res.json(outflows
+      .filter(outflow => outflow.transferPair)
+      .map(outflow => formatPair(outflow, outflow.transferPair)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run the automatic pairing pass
+router.post('/detect', async (req, res) => {
+  try {
+    const sequelize = getDB();
+    const { startDate, endDate, dryRun } = req.body;
+    const maxDays = req.body.maxDays !== undefined ? parseInt(req.body.maxDays) : 3;
+
+    if (isNaN(maxDays) || maxDays < 0) {
+      return res.status(400).json({ error: 'maxDays must be a non-negative number' });
+    }
+
+    const pairs = await detectTransfers(sequelize, {
+      startDate,
+      endDate,
+      maxDays,
+      dryRun: isConfirmed(dryRun)
+    });
+
+    res.json({
+      dryRun: isConfirmed(dryRun),
+      pairCount: pairs.length,
+      pairs: pairs.map(pair => ({
+        ...formatPair(pair.outflow, pair.inflow),
+        daysApart: pair.daysApart
+      }))
+    });
+  } catch (error) {
+    console.error('Transfer detection error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Manually link two transactions as a transfer
+router.post('/link', async (req, res) => {
+  try {
+    const { Transaction } = getModels();
+    const sequelize = getDB();
+    const { fromId, toId } = req.body;
+
+    if (!fromId || !toId || fromId === toId) {
+      return res.status(400).json({ error: 'Two different transaction IDs (fromId, toId) are required' });
+    }
+
+    const [from, to] = await Promise.all([
+      Transaction.findByPk(fromId),
+      Transaction.findByPk(toId)
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (from.transferPairId || to.transferPairId) {
+      return res.status(400).json({ error: 'Transaction is already linked to a transfer' });
+    }
+
+    // Use the stored direction when a side is already a transfer
+    const fromDirection = from.transferDirection || directionForType(from.type);
+    const toDirection = to.transferDirection || directionForType(to.type);
+    if (fromDirection === toDirection) {
+      return res.status(400).json({ error: 'A transfer needs one outgoing and one incoming transaction' });
+    }
+
+    const [outflow, inflow] = fromDirection === 'outflow' ? [from, to] : [to, from];
+
+    await sequelize.transaction(async (t) => {
+      await linkTransfer(outflow, inflow, { transaction: t });
+    });
+
+    res.status(201).json(formatPair(outflow, inflow));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unlink a transfer, restoring both sides to income/expense
+router.delete('/:id', async (req, res) => {
+  try {
+    const { Transaction } = getModels();
+    const sequelize = getDB();
+
+    const transaction = await Transaction.findByPk(req.params.id);
+
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    if (transaction.type !== 'transfer') {
+      return res.status(400).json({ error: 'Transaction is not a transfer' });
+    }
+
+    const sides = await sequelize.transaction(async (t) => {
+      return unlinkTransfer(transaction, Transaction, { transaction: t });
+    });
+
+    res.json({
+      message: 'Transfer unlinked',
+      transactions: sides.map(side => ({ id: side.id, type: side.type }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -11,88 +11,15 @@ const { getDB } = require('../db/sequelize');
 const Sequelize = require('sequelize');
 const { Op } = Sequelize;
 
-// Get OpenAI service for batch summaries (if available)
-const openaiService = require('../services/openai');
+const { detectTransfers } = require('../services/transferDetection');
+const { detectRecurring } = require('../services/recurringDetection');
+const { matchAccount } = require('../services/accountMatching');
+const { generateBatchSummary } = require('../services/uploadProcessing');
+const { confirmUpload, findUploadReconciliation, undoUpload } = require('../services/uploadConfirmation');
+const { enqueueJob, findActiveJob, formatJob } = require('../services/jobQueue');
+const { isConfirmed } = require('../utils/requestFlags');
 
-/**
- * Generate a summary for a batch based on its transactions
- * @param {Array} transactions - Array of transactions in the batch
- * @returns {Object} Summary object with title and insights
- */
-async function generateBatchSummary(transactions) {
-  try {
-    if (!transactions || transactions.length === 0) {
-      return { summary: 'Empty Batch', insights: [] };
-    }
-
-    // Format transactions for OpenAI processing
-    const transactionData = transactions.map(tx => ({
-      date: tx.date,
-      description: tx.description,
-      amount: tx.amount,
-      type: tx.type,
-      merchant: tx.merchant || 'Unknown',
-      category: tx.category ? tx.category.name : 'Uncategorized'
-    }));
-
-    // Use OpenAI to generate a summary if available
-    if (openaiService && openaiService.generateBatchSummary) {
-      try {
-        const summary = await openaiService.generateBatchSummary(transactionData);
-        return summary;
-      } catch (error) {
-        console.error('Error generating batch summary with OpenAI:', error);
-        // Continue with fallback
-      }
-    }
-
-    // Fallback: Generate a basic summary based on transaction metadata
-    // Get date range
-    const dates = transactions.map(tx => new Date(tx.date)).sort((a, b) => a - b);
-    const startDate = dates[0];
-    const endDate = dates[dates.length - 1];
-
-    // Format dates
-    const formatDate = (date) => {
-      const options = { month: 'short', day: 'numeric' };
-      return date.toLocaleDateString('en-US', options);
-    };
-
-    // Count merchants
-    const merchantCounts = {};
-    transactions.forEach(tx => {
-      const merchant = tx.merchant || 'Unknown';
-      merchantCounts[merchant] = (merchantCounts[merchant] || 0) + 1;
-    });
-
-    // Get dominant merchant if one accounts for >50% of transactions
-    let dominantMerchant = null;
-    Object.entries(merchantCounts).forEach(([merchant, count]) => {
-      if (count / transactions.length > 0.5) {
-        dominantMerchant = merchant;
-      }
-    });
-
-    // Generate a title
-    let title = '';
-    if (dominantMerchant && dominantMerchant !== 'Unknown') {
-      title = `${dominantMerchant}`;
-    } else {
-      title = `${transactions.length} Transactions`;
-    }
-
-    return {
-      summary: title,
-      insights: [
-        `${transactions.length} transactions from ${formatDate(startDate)} to ${formatDate(endDate)}`,
-        `Includes merchants: ${Object.keys(merchantCounts).slice(0, 3).join(', ')}${Object.keys(merchantCounts).length > 3 ? '...' : ''}`
-      ]
-    };
-  } catch (error) {
-    console.error('Error generating batch summary:', error);
-    return { summary: 'Transaction Batch', insights: [] };
-  }
-}
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 // Set up file storage with multer
 const storage = multer.diskStorage({
@@ -154,7 +81,7 @@ router.get('/:uploadId/batches', async (req, res) => {
   try {
     // Get the database models after initialization
     const sequelize = getDB();
-    const { Batch, Transaction, Upload } = sequelize.models;
+    const { Batch, Transaction, Job } = sequelize.models;
 
     const { uploadId } = req.params;
 
@@ -166,194 +93,70 @@ router.get('/:uploadId/batches', async (req, res) => {
 
     console.log(`Getting batches for upload ID: ${uploadId}`);
 
-    // Check if the uploadId is a UUID or string format
-    const isUUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(uploadId);
-
-    let batches = [];
-
-    if (isUUID) {
-      // For UUID format IDs, use standard query
-      console.log(`Looking up batches using UUID format: ${uploadId}`);
-      batches = await Batch.findAll({
-        where: { 
-          uploadId: uploadId
-        },
-        include: [
-          {
-            model: Transaction,
-            as: 'transactions',
-            // Use database-specific query for the join condition to handle type conversion
-            on: sequelize.literal(`"transactions"."batch_id"::uuid = "batch"."id"::uuid`),
-            attributes: ['id', 'description', 'amount', 'date', 'categoryId', 'type', 'merchant']
-          }
-        ],
-        order: [
-          ['createdAt', 'DESC']
-        ]
+    if (!UUID_PATTERN.test(uploadId)) {
+      return res.status(400).json({
+        error: 'Upload ID must be a UUID'
       });
-    } else {
-      // For string format IDs like "upload_1234567890", we need a different approach
-      console.log(`Looking up using string format ID: ${uploadId}`);
-
-      // First check if any real batches exist
-      try {
-        batches = await Batch.findAll({
-          where: { 
-            uploadId: uploadId
-          },
-          include: [
-            {
-              model: Transaction,
-              as: 'transactions',
-              attributes: ['id', 'description', 'amount', 'date', 'categoryId', 'type', 'merchant']
-            }
-          ],
-          order: [
-            ['createdAt', 'DESC']
-          ]
-        });
-      } catch (error) {
-        console.log(`Error finding batches with string ID, continuing with alternative lookup: ${error.message}`);
-      }
-
-      // If no batches found, check transactions with batchId starting with uploadId_batch_
-      if (batches.length === 0) {
-        console.log('No standard batches found, looking for string format batch IDs in transactions');
-
-        // Find all transactions for this upload
-        const transactions = await Transaction.findAll({
-          where: {
-            uploadId: uploadId
-          },
-          attributes: ['id', 'batchId', 'description', 'amount', 'date', 'categoryId', 'type', 'merchant']
-        });
-
-        // Group transactions by batchId
-        const batchesMap = {};
-        transactions.forEach(tx => {
-          if (tx.batchId && tx.batchId.startsWith(uploadId)) {
-            if (!batchesMap[tx.batchId]) {
-              batchesMap[tx.batchId] = {
-                transactions: []
-              };
-            }
-            batchesMap[tx.batchId].transactions.push(tx);
-          }
-        });
-
-        // Create virtual batch objects
-        batches = Object.entries(batchesMap).map(([batchId, data]) => {
-          const txs = data.transactions;
-
-          // Calculate batch statistics
-          let totalAmount = 0;
-          let startDate = null;
-          let endDate = null;
-          let merchantCounts = {};
-
-          txs.forEach(transaction => {
-            totalAmount += parseFloat(transaction.amount);
-
-            const txDate = new Date(transaction.date);
-            if (!startDate || txDate < startDate) startDate = txDate;
-            if (!endDate || txDate > endDate) endDate = txDate;
-
-            const merchant = transaction.merchant || 'Unknown';
-            merchantCounts[merchant] = (merchantCounts[merchant] || 0) + 1;
-          });
-
-          // Find dominant merchant (if any)
-          let dominantMerchant = null;
-          let maxCount = 0;
-          Object.entries(merchantCounts).forEach(([merchant, count]) => {
-            if (count > maxCount) {
-              maxCount = count;
-              dominantMerchant = merchant;
-            }
-          });
-
-          // Create a virtual batch
-          return {
-            id: batchId,
-            uploadId: uploadId,
-            title: 'Virtual Batch',
-            type: 'custom',
-            startDate: startDate ? startDate.toISOString().split('T')[0] : null,
-            endDate: endDate ? endDate.toISOString().split('T')[0] : null,
-            transactionCount: txs.length,
-            totalAmount,
-            dominantMerchant,
-            transactions: txs,
-            isVirtual: true,
-            toJSON: function() {
-              return {
-                id: this.id,
-                uploadId: this.uploadId,
-                title: this.title,
-                type: this.type,
-                startDate: this.startDate,
-                endDate: this.endDate,
-                transactionCount: this.transactionCount,
-                totalAmount: this.totalAmount,
-                dominantMerchant: this.dominantMerchant,
-                isVirtual: true
-              };
-            }
-          };
-        });
-      }
     }
 
-    // Generate summaries for each batch
-    const batchesWithSummaries = await Promise.all(
-      batches.map(async (batch) => {
-        // Generate a summary if one isn't already set
-        if (!batch.title || batch.title === 'Untitled Batch') {
-          const summary = await generateBatchSummary(batch.transactions);
-          // Update the batch title in the database if we generated a good summary
-          if (summary && summary.summary) {
-            try {
-              await batch.update({ title: summary.summary });
-              batch.title = summary.summary;
-            } catch (updateError) {
-              console.error(`Error updating batch title: ${updateError.message}`);
-              // Continue even if update fails
-            }
-          }
+    const batches = await Batch.findAll({
+      where: {
+        uploadId: uploadId
+      },
+      include: [
+        {
+          model: Transaction,
+          as: 'transactions',
+          attributes: ['id', 'description', 'amount', 'date', 'categoryId', 'type', 'merchant']
         }
+      ],
+      order: [
+        ['createdAt', 'DESC']
+      ]
+    });
 
-        // Calculate statistics for the batch
-        const totalAmount = batch.transactions.reduce((sum, tx) => sum + parseFloat(tx.amount), 0);
-        const merchantCounts = {};
-        batch.transactions.forEach(tx => {
-          const merchant = tx.merchant || 'Unknown';
-          merchantCounts[merchant] = (merchantCounts[merchant] || 0) + 1;
-        });
+    // Summaries for stored batches are generated by a background job; the
+    // response says which job to poll for the new titles
+    const needsSummary = (batch) => !batch.title || batch.title === 'Untitled Batch';
+    let summaryJob = null;
+    if (batches.some(needsSummary)) {
+      summaryJob = await findActiveJob(Job, 'batch.summaries', uploadId)
+        || await enqueueJob(Job, 'batch.summaries', { uploadId }, { uploadId });
+    }
 
-        // Find the most common merchant
-        let dominantMerchant = null;
-        let maxCount = 0;
-        Object.entries(merchantCounts).forEach(([merchant, count]) => {
-          if (count > maxCount) {
-            maxCount = count;
-            dominantMerchant = merchant;
-          }
-        });
+    const batchesWithSummaries = batches.map((batch) => {
+      // Calculate statistics for the batch
+      const totalAmount = batch.transactions.reduce((sum, tx) => sum + parseFloat(tx.amount), 0);
+      const merchantCounts = {};
+      batch.transactions.forEach(tx => {
+        const merchant = tx.merchant || 'Unknown';
+        merchantCounts[merchant] = (merchantCounts[merchant] || 0) + 1;
+      });
 
-        return {
-          ...batch.toJSON(),
-          statistics: {
-            totalAmount,
-            dominantMerchant,
-            transactionCount: batch.transactions.length
-          }
-        };
-      })
-    );
+      // Find the most common merchant
+      let dominantMerchant = null;
+      let maxCount = 0;
+      Object.entries(merchantCounts).forEach(([merchant, count]) => {
+        if (count > maxCount) {
+          maxCount = count;
+          dominantMerchant = merchant;
+        }
+      });
+
+      return {
+        ...batch.toJSON(),
+        statistics: {
+          totalAmount,
+          dominantMerchant,
+          transactionCount: batch.transactions.length
+        }
+      };
+    });
 
     return res.json({
       uploadId,
-      batches: batchesWithSummaries
+      batches: batchesWithSummaries,
+      summaryJob: summaryJob ? formatJob(summaryJob) : null
     });
   } catch (error) {
     console.error('Error getting upload batches:', error);
@@ -454,6 +257,66 @@ router.get('/:uploadId/stats', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /uploads/:uploadId/duplicates
+ * @desc Get processed rows flagged as likely duplicates of existing transactions
+ * @access Public
+ */
+router.get('/:uploadId/duplicates', async (req, res) => {
+  try {
+    // Get the database models after initialization
+    const sequelize = getDB();
+    const { Upload, Transaction } = sequelize.models;
+
+    const { uploadId } = req.params;
+
+    const upload = await Upload.findByPk(uploadId);
+
+    if (!upload) {
+      return res.status(404).json({
+        error: 'Upload not found'
+      });
+    }
+
+    const processedTransactions = upload.metadata?.processedTransactions || [];
+
+    // Keep the row index so the client can send per-row resolutions to /confirm
+    const duplicates = processedTransactions
+      .map((transaction, index) => ({ index, transaction }))
+      .filter(({ transaction }) => transaction.isDuplicate);
+
+    // Load the existing transactions each row matched
+    const existingTransactions = await Transaction.findAll({
+      where: {
+        id: {
+          [Op.in]: duplicates.map(({ transaction }) => transaction.duplicateOf)
+        }
+      }
+    });
+    const existingById = {};
+    existingTransactions.forEach(tx => {
+      existingById[tx.id] = tx;
+    });
+
+    return res.json({
+      uploadId,
+      transactionCount: processedTransactions.length,
+      duplicateCount: duplicates.length,
+      duplicates: duplicates.map(({ index, transaction }) => ({
+        index,
+        transaction,
+        existingTransaction: existingById[transaction.duplicateOf] || null
+      }))
+    });
+  } catch (error) {
+    console.error('Error getting upload duplicates:', error);
+    return res.status(500).json({
+      error: 'Failed to get duplicates for this upload',
+      details: error.message
+    });
+  }
+});
+
 /**
  * @route GET /uploads/:uploadId/batches/:batchId
  * @desc Get a specific batch with its transactions
@@ -473,50 +336,22 @@ router.get('/:uploadId/batches/:batchId', async (req, res) => {
       });
     }
 
-    // Check if we're dealing with new UUIDs or old string format IDs
-    const isUUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(batchId);
-
-    // Declare batch outside the if blocks to make it accessible throughout the function
-    let batch;
-
-    // For UUID batches, use the model's association
-    // For string format IDs (upload_XXX_batch_Y), use raw query to avoid type conversion issues
-    if (isUUID) {
-      // Use standard Sequelize query for UUID formatted IDs
-      batch = await Batch.findOne({
-        where: {
-          id: batchId,
-          uploadId: uploadId
-        },
-        include: [
-          {
-            model: Transaction,
-            as: 'transactions',
-            required: false,
-            include: [
-              {
-                model: Category,
-                as: 'category',
-                attributes: ['id', 'name', 'type', 'color']
-              }
-            ]
-          }
-        ]
+    if (!UUID_PATTERN.test(uploadId) || !UUID_PATTERN.test(batchId)) {
+      return res.status(400).json({
+        error: 'Upload ID and Batch ID must be UUIDs'
       });
-    } else {
-      console.log(`Looking for batch with uploadId=${uploadId}, batchId=${batchId} (string format)`);
+    }
 
-      try {
-        // For string IDs like "upload_1743221430232_batch_2", we need a completely different approach
-        // Skip the batch lookup in the batches table - go straight to finding transactions
-        console.log('Checking for transactions with this batchId');
-
-        // Check if any transactions exist with this batchId
-        const transactions = await Transaction.findAll({
-          where: {
-            uploadId: uploadId,
-            batchId: batchId
-          },
+    const batch = await Batch.findOne({
+      where: {
+        id: batchId,
+        uploadId: uploadId
+      },
+      include: [
+        {
+          model: Transaction,
+          as: 'transactions',
+          required: false,
           include: [
             {
               model: Category,
@@ -524,96 +359,9 @@ router.get('/:uploadId/batches/:batchId', async (req, res) => {
               attributes: ['id', 'name', 'type', 'color']
             }
           ]
-        });
-
-        console.log(`Found ${transactions.length} transactions with batchId=${batchId}`);
-
-        if (transactions.length > 0) {
-          // Create a "virtual" batch from the transactions
-          // Calculate batch statistics
-          let totalAmount = 0;
-          let startDate = null;
-          let endDate = null;
-          let merchantCounts = {};
-
-          transactions.forEach(transaction => {
-            totalAmount += parseFloat(transaction.amount);
-
-            const txDate = new Date(transaction.date);
-            if (!startDate || txDate < startDate) startDate = txDate;
-            if (!endDate || txDate > endDate) endDate = txDate;
-
-            const merchant = transaction.merchant || 'Unknown';
-            merchantCounts[merchant] = (merchantCounts[merchant] || 0) + 1;
-          });
-
-          // Find dominant merchant (if any)
-          let dominantMerchant = null;
-          let maxCount = 0;
-          Object.entries(merchantCounts).forEach(([merchant, count]) => {
-            if (count > maxCount) {
-              maxCount = count;
-              dominantMerchant = merchant;
-            }
-          });
-
-          // Create a virtual batch object with a toJSON method to mimic a Sequelize model
-          batch = {
-            id: batchId,
-            uploadId: uploadId,
-            title: 'Virtual Batch',
-            type: 'custom',
-            startDate: startDate ? startDate.toISOString().split('T')[0] : null,
-            endDate: endDate ? endDate.toISOString().split('T')[0] : null,
-            transactionCount: transactions.length,
-            totalAmount,
-            dominantMerchant,
-            transactions,
-            isVirtual: true, // Flag to indicate this is not a real batch record
-            toJSON: function() {
-              return {
-                id: this.id,
-                uploadId: this.uploadId,
-                title: this.title,
-                type: this.type,
-                startDate: this.startDate,
-                endDate: this.endDate,
-                transactionCount: this.transactionCount,
-                totalAmount: this.totalAmount,
-                dominantMerchant: this.dominantMerchant,
-                transactions: this.transactions,
-                isVirtual: this.isVirtual
-              };
-            },
-            update: async function(fields) {
-              // No-op update method since this is a virtual object
-              console.log('Cannot update virtual batch, but would update these fields:', fields);
-              // We can still update the in-memory object for the current request
-              if (fields.title) {
-                this.title = fields.title;
-              }
-              return this;
-            }
-          };
-        } else {
-          console.log('No transactions found with this batch ID');
-
-          // Try a more flexible search to understand what's in the database
-          const sampleTransactions = await Transaction.findAll({
-            where: {
-              uploadId: uploadId
-            },
-            attributes: ['id', 'batchId'],
-            limit: 5
-          });
-
-          console.log('Sample transactions from this upload:', 
-            sampleTransactions.map(t => ({ id: t.id, batchId: t.batchId })));
         }
-      } catch (error) {
-        console.error('Error during batch or transaction lookup:', error);
-      }
-    }
+      ]
+    });
 
     if (!batch) {
       return res.status(404).json({
@@ -622,7 +370,7 @@ router.get('/:uploadId/batches/:batchId', async (req, res) => {
     }
 
     // Generate a summary if one isn't already set
-    if (!batch.title || batch.title === 'Untitled Batch' || batch.title === 'Virtual Batch') {
+    if (!batch.title || batch.title === 'Untitled Batch') {
       console.log(`Generating summary for batch with title: "${batch.title}"`);
 
       const summary = await generateBatchSummary(batch.transactions);
@@ -633,15 +381,7 @@ router.get('/:uploadId/batches/:batchId', async (req, res) => {
         try {
           console.log(`Updating batch title to: "${summary.summary}"`);
 
-          if (batch.isVirtual) {
-            console.log(`Updating virtual batch title in response only to: "${summary.summary}"`);
-            // For virtual batches, just update the title in the response
-            batch.title = summary.summary;
-          } else {
-            // For real batches, update in the database
-            await batch.update({ title: summary.summary });
-            batch.title = summary.summary;
-          }
+          await batch.update({ title: summary.summary });
         } catch (updateError) {
           console.error(`Error updating batch title: ${updateError.message}`);
           // Continue even if update fails
@@ -760,7 +500,7 @@ router.post('/', upload.single('file'), async (req, res) => {
   try {
     // Get the database models after initialization
     const sequelize = getDB();
-    const { Upload } = sequelize.models;
+    const { Upload, Account } = sequelize.models;
 
     // Check if file was uploaded
     if (!req.file) {
@@ -786,6 +526,10 @@ router.post('/', upload.single('file'), async (req, res) => {
       fileType = 'xlsx';
     }
 
+    // Recognise the account from the filename (e.g. "chase-checking-1234.csv")
+    const accounts = await Account.findAll({ where: { isActive: true } });
+    const accountMatch = matchAccount(accounts, { filename: originalname });
+
     // Create upload record in database
     const upload = await Upload.create({
       filename,
@@ -793,14 +537,20 @@ router.post('/', upload.single('file'), async (req, res) => {
       fileType,
       fileSize: size,
       status: 'pending',
-      importSource: 'User Upload'
+      importSource: 'User Upload',
+      ...(accountMatch ? {
+        accountId: accountMatch.account.id,
+        accountName: accountMatch.account.name,
+        accountType: accountMatch.account.type
+      } : {})
     });
 
     // Return the upload record
     return res.status(201).json({
       message: 'File uploaded successfully',
       uploadId: upload.id,
-      upload
+      upload,
+      accountMatchReasons: accountMatch ? accountMatch.reasons : null
     });
   } catch (error) {
     console.error('Error uploading file:', error);
@@ -851,14 +601,16 @@ router.post('/dummy', async (req, res) => {
 
 /**
  * @route POST /uploads/:uploadId/process
- * @desc Process an uploaded file, extracting transactions
+ * @desc Queue processing of an uploaded file (parsing, rules, account matching
+ *       and duplicate detection). Poll GET /jobs/:jobId for progress; the job
+ *       result holds the preview.
  * @access Public
  */
 router.post('/:uploadId/process', async (req, res) => {
   try {
     // Get the database models after initialization
     const sequelize = getDB();
-    const { Upload, Transaction, Batch } = sequelize.models;
+    const { Upload, Account, ImportProfile, Job } = sequelize.models;
 
     const { uploadId } = req.params;
 
@@ -877,43 +629,40 @@ router.post('/:uploadId/process', async (req, res) => {
       });
     }
 
-    // Update upload status to processing
-    await upload.update({ status: 'processing' });
+    const accountId = req.body.accountId || upload.accountId;
+    if (accountId && !(await Account.findByPk(accountId))) {
+      return res.status(404).json({
+        error: 'Account not found'
+      });
+    }
 
-    // Process the file based on its type
-    // This would typically be handled by a dedicated file parser service
-    // In real implementation, parse the file and extract transactions
-    const processedTransactions = [ /* ... processing logic to get transactions ... */ ];
-    
-    // Generate sample data for preview if real transactions not available
-    const sampleData = {
-      transactionCount: 8,
-      dateRange: {
-        start: '2024-03-01',
-        end: '2024-03-31'
-      }
-    };
+    if (req.body.importProfileId && !(await ImportProfile.findByPk(req.body.importProfileId))) {
+      return res.status(404).json({
+        error: 'Import profile not found'
+      });
+    }
 
-    // Store processed transactions temporarily with the upload record
-    // But DO NOT save to transaction database yet
-    await upload.update({
-      status: 'processed',
-      accountName: req.body.accountName || 'Default Account',
-      accountType: req.body.accountType || 'bank',
-      metadata: {
-        ...upload.metadata,
-        processedTransactions: processedTransactions,
-        previewStats: sampleData
-      }
-    });
+    // Processing the same upload twice at once would race on its metadata
+    let job = await findActiveJob(Job, 'upload.process', uploadId);
+    if (!job) {
+      await upload.update({ status: 'processing' });
+      job = await enqueueJob(Job, 'upload.process', {
+        uploadId,
+        options: {
+          accountId: req.body.accountId,
+          accountName: req.body.accountName,
+          accountType: req.body.accountType,
+          importProfileId: req.body.importProfileId
+        }
+      }, { uploadId });
+    }
 
-    // Return preview info without saving transactions yet
-    return res.json({
-      message: 'Upload processed. Transactions ready for review.',
+    return res.status(202).json({
+      message: 'Upload queued for processing',
       uploadId,
-      transactionCount: sampleData.transactionCount,
-      dateRange: sampleData.dateRange,
-      status: 'processed'
+      jobId: job.id,
+      job: formatJob(job),
+      status: 'processing'
     });
   } catch (error) {
     console.error('Error processing upload:', error);
@@ -1045,14 +794,15 @@ router.post('/:uploadId/batches', async (req, res) => {
 
 /**
  * @route POST /uploads/:uploadId/auto-batches
- * @desc Automatically organize transactions into batches
+ * @desc Queue automatic organization of transactions into batches. Poll
+ *       GET /jobs/:jobId for progress; the job result lists the new batches.
  * @access Public
  */
 router.post('/:uploadId/auto-batches', async (req, res) => {
   try {
     // Get the database models after initialization
     const sequelize = getDB();
-    const { Upload, Batch, Transaction } = sequelize.models;
+    const { Upload, Job } = sequelize.models;
 
     const { uploadId } = req.params;
 
@@ -1071,32 +821,23 @@ router.post('/:uploadId/auto-batches', async (req, res) => {
       });
     }
 
-    // Get all transactions for this upload that don't already have a batch
-    const transactions = await Transaction.findAll({
-      where: {
-        uploadId: uploadId.toString(),
-        batchId: null
-      },
-      order: [['date', 'ASC']]
-    });
-
-    if (transactions.length === 0) {
-      return res.status(200).json({
-        message: 'No transactions available for batching',
-        batches: []
-      });
-    }
-
-    // Simple logic for organizing batches (by merchant and close dates)
-    const batches = [];
-    const transactionsByMerchant = {};
+    const job = await findActiveJob(Job, 'upload.auto-batches', uploadId)
+      || await enqueueJob(Job, 'upload.auto-batches', { uploadId }, { uploadId });
 
-    // Group transactions by merchant
-    transactions.forEach(transaction => {
-      const merchant = transaction.merchant || 'Unknown';
-      if (!transactionsByMerchant[merchant]) {
-        transactionsByMerchant[merchant] = [];
-      }
+    return res.status(202).json({
+      message: 'Automatic batching queued',
+      uploadId,
+      jobId: job.id,
+      job: formatJob(job)
+    });
+  } catch (error) {
+    console.error('Error creating automatic batches:', error);
+    return res.status(500).json({
+      error: 'Failed to create automatic batches',
+      details: error.message
+    });
+  }
+});
 
 /**
  * @route POST /uploads/:uploadId/confirm
@@ -1107,7 +848,7 @@ router.post('/:uploadId/confirm', async (req, res) => {
   try {
     // Get the database models after initialization
     const sequelize = getDB();
-    const { Upload, Transaction, Batch } = sequelize.models;
+    const { Upload } = sequelize.models;
 
     const { uploadId } = req.params;
     
@@ -1140,6 +881,13 @@ router.post('/:uploadId/confirm', async (req, res) => {
       });
     }
     
+    // The processing job is still writing the rows
+    if (upload.status === 'processing') {
+      return res.status(409).json({
+        error: 'Upload is still being processed'
+      });
+    }
+
     // Get the temporarily stored transactions from metadata
     const tempTransactions = upload.metadata?.processedTransactions || [];
     
@@ -1151,54 +899,90 @@ router.post('/:uploadId/confirm', async (req, res) => {
     }
 
     console.log(`🔍 [SERVER] Saving ${tempTransactions.length} transactions for upload ${uploadId}`);
-    
-    // Now actually save the transactions to the database
-    const createdTransactions = [];
-    for (const transaction of tempTransactions) {
-      try {
-        const newTransaction = await Transaction.create({
-          ...transaction,
-          uploadId: uploadId
-        });
-        createdTransactions.push(newTransaction);
-      } catch (error) {
-        console.error('Error creating transaction:', error);
-        // Continue with other transactions
+
+    // Rows flagged as duplicates during processing are skipped by default.
+    // `duplicateAction` sets the default ('skip', 'merge' or 'import') and
+    // `duplicateResolutions` overrides it per row index. Everything is saved
+    // in one database transaction: either every row is stored or none is.
+    let confirmation;
+    try {
+      confirmation = await confirmUpload(sequelize, upload, {
+        duplicateAction: req.body.duplicateAction,
+        duplicateResolutions: req.body.duplicateResolutions,
+        skipInvalidRows: req.body.skipInvalidRows === true
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message });
       }
+
+      // Nothing was written; keep the rows so the confirm can be retried
+      console.error(`⚠️ [SERVER] Confirm of upload ${uploadId} rolled back:`, error);
+      await upload.update({
+        metadata: {
+          ...upload.metadata,
+          confirmError: { message: error.message, failedAt: new Date().toISOString() }
+        }
+      });
+      return res.status(500).json({
+        error: 'Failed to confirm upload. No transactions were saved; the upload can be confirmed again.',
+        details: error.message,
+        uploadId,
+        status: upload.status
+      });
     }
 
-    console.log(`✅ [SERVER] Created ${createdTransactions.length} transactions for upload ${uploadId}`);
+    const { created, mergedIds, skippedDuplicateIds, rowErrors, batch } = confirmation;
 
-    // Create a batch for all transactions
-    const batch = await Batch.create({
-      title: 'Upload Batch',
-      uploadId: uploadId,
-      transactionCount: createdTransactions.length,
-      status: 'pending'
-    });
+    if (!created) {
+      return res.status(400).json({
+        error: 'Validation error',
+        message: `${rowErrors.length} rows are invalid. No transactions were saved; resend with skipInvalidRows=true to save the valid rows.`,
+        details: rowErrors.flatMap(row => row.errors.map(item => ({
+          field: `rows[${row.index}]${item.field ? `.${item.field}` : ''}`,
+          message: item.message
+        }))),
+        rowErrors
+      });
+    }
 
-    // Associate transactions with the batch
-    await Transaction.update(
-      { batchId: batch.id },
-      {
-        where: {
-          uploadId: uploadId
-        }
+    console.log(`✅ [SERVER] Created ${created.length} transactions for upload ${uploadId} (${skippedDuplicateIds.length} duplicates skipped, ${mergedIds.length} merged, ${rowErrors.length} invalid rows skipped)`);
+
+    // Pair transfers between the new transactions and other accounts
+    let transfersDetected = 0;
+    if (created.length > 0) {
+      try {
+        const dates = created.map(tx => tx.date).sort();
+        const pairs = await detectTransfers(sequelize, {
+          startDate: dates[0],
+          endDate: dates[dates.length - 1]
+        });
+        transfersDetected = pairs.length;
+      } catch (error) {
+        console.error('Error detecting transfers:', error);
+        // Transfers can still be paired later via /api/transfers/detect
       }
-    );
 
-    // Update upload status
-    await upload.update({ 
-      status: 'completed',
-      transactionCount: createdTransactions.length
-    });
+      // Refresh recurring series now that new charges have arrived
+      try {
+        await detectRecurring(sequelize);
+      } catch (error) {
+        console.error('Error detecting recurring transactions:', error);
+        // Series can still be refreshed later via /api/recurring/detect
+      }
+    }
 
     console.log(`✅ [SERVER] Upload ${uploadId} completed successfully with batch ${batch.id}`);
 
     return res.json({
-      message: `Upload confirmed. ${createdTransactions.length} transactions saved.`,
+      message: `Upload confirmed. ${created.length} transactions saved.`,
       uploadId,
-      transactionCount: createdTransactions.length,
+      transactionCount: created.length,
+      skippedDuplicates: skippedDuplicateIds.length,
+      mergedDuplicates: mergedIds.length,
+      skippedInvalidRows: rowErrors.length,
+      rowErrors,
+      transfersDetected,
       batchId: batch.id
     });
   } catch (error) {
@@ -1211,11 +995,12 @@ router.post('/:uploadId/confirm', async (req, res) => {
 });
 
 /**
- * @route POST /uploads/:uploadId/cancel
- * @desc Cancel an upload, removing the upload record
+ * @route POST /uploads/:uploadId/undo
+ * @desc Undo a confirmed upload: delete every transaction and batch it created
+ *       and return it to review so it can be confirmed again
  * @access Public
  */
-router.post('/:uploadId/cancel', async (req, res) => {
+router.post('/:uploadId/undo', async (req, res) => {
   try {
     // Get the database models after initialization
     const sequelize = getDB();
@@ -1223,12 +1008,6 @@ router.post('/:uploadId/cancel', async (req, res) => {
 
     const { uploadId } = req.params;
 
-    if (!uploadId) {
-      return res.status(400).json({
-        error: 'Upload ID is required'
-      });
-    }
-
     // Find the upload record
     const upload = await Upload.findByPk(uploadId);
 
@@ -1238,126 +1017,83 @@ router.post('/:uploadId/cancel', async (req, res) => {
       });
     }
 
-    // Delete the upload
-    await upload.destroy();
+    // Deleting reconciled transactions would break the statement balance
+    const locked = await findUploadReconciliation(sequelize.models, uploadId);
+    if (locked && !isConfirmed(req.body.confirmReconciled)) {
+      return res.status(409).json({
+        error: 'Some of this upload\'s transactions fall inside a reconciled period. Resend with confirmReconciled=true to delete them.',
+        requiresConfirmation: true,
+        reconciliation: {
+          id: locked.id,
+          periodStart: locked.periodStart,
+          periodEnd: locked.periodEnd
+        }
+      });
+    }
+
+    const result = await undoUpload(sequelize, upload);
+
+    // Recurring series may have lost charges
+    try {
+      await detectRecurring(sequelize);
+    } catch (error) {
+      console.error('Error detecting recurring transactions:', error);
+    }
 
     return res.json({
-      message: 'Upload canceled successfully',
-      uploadId
+      message: `Upload undone. ${result.deletedTransactions} transactions deleted.`,
+      uploadId,
+      ...result,
+      status: upload.status
     });
   } catch (error) {
-    console.error('Error canceling upload:', error);
+    console.error('Error undoing upload:', error);
     return res.status(500).json({
-      error: 'Failed to cancel upload',
+      error: 'Failed to undo upload',
       details: error.message
     });
   }
 });
 
-      transactionsByMerchant[merchant].push(transaction);
-    });
-
-    // Create batches for merchants with multiple transactions
-    for (const [merchant, merchantTransactions] of Object.entries(transactionsByMerchant)) {
-      if (merchantTransactions.length >= 2) {
-        // Calculate batch statistics
-        let totalAmount = 0;
-        let startDate = null;
-        let endDate = null;
-
-        merchantTransactions.forEach(transaction => {
-          totalAmount += parseFloat(transaction.amount);
-
-          const txDate = new Date(transaction.date);
-          if (!startDate || txDate < startDate) startDate = txDate;
-          if (!endDate || txDate > endDate) endDate = txDate;
-        });
-
-        // Create a batch for this merchant
-        const batch = await Batch.create({
-          title: `${merchant} Transactions`,
-          type: 'merchant',
-          uploadId: uploadId.toString(),
-          startDate: startDate ? startDate.toISOString().split('T')[0] : null,
-          endDate: endDate ? endDate.toISOString().split('T')[0] : null,
-          transactionCount: merchantTransactions.length,
-          totalAmount,
-          dominantMerchant: merchant,
-          metadata: {}
-        });
+/**
+ * @route POST /uploads/:uploadId/cancel
+ * @desc Cancel an upload, removing the upload record
+ * @access Public
+ */
+router.post('/:uploadId/cancel', async (req, res) => {
+  try {
+    // Get the database models after initialization
+    const sequelize = getDB();
+    const { Upload } = sequelize.models;
 
-        // Update transactions to associate with this batch
-        await Transaction.update(
-          { batchId: batch.id },
-          {
-            where: {
-              id: {
-                [Op.in]: merchantTransactions.map(t => t.id)
-              }
-            }
-          }
-        );
+    const { uploadId } = req.params;
 
-        batches.push(batch);
-      }
+    if (!uploadId) {
+      return res.status(400).json({
+        error: 'Upload ID is required'
+      });
     }
 
-    // Handle remaining transactions (create a "Miscellaneous" batch)
-    const remainingTransactions = await Transaction.findAll({
-      where: {
-        uploadId: uploadId.toString(),
-        batchId: null
-      }
-    });
-
-    if (remainingTransactions.length > 0) {
-      let totalAmount = 0;
-      let startDate = null;
-      let endDate = null;
-
-      remainingTransactions.forEach(transaction => {
-        totalAmount += parseFloat(transaction.amount);
-
-        const txDate = new Date(transaction.date);
-        if (!startDate || txDate < startDate) startDate = txDate;
-        if (!endDate || txDate > endDate) endDate = txDate;
-      });
+    // Find the upload record
+    const upload = await Upload.findByPk(uploadId);
 
-      const batch = await Batch.create({
-        title: 'Miscellaneous Transactions',
-        type: 'miscellaneous',
-        uploadId: uploadId.toString(),
-        startDate: startDate ? startDate.toISOString().split('T')[0] : null,
-        endDate: endDate ? endDate.toISOString().split('T')[0] : null,
-        transactionCount: remainingTransactions.length,
-        totalAmount,
-        dominantMerchant: null,
-        metadata: {}
+    if (!upload) {
+      return res.status(404).json({
+        error: 'Upload not found'
       });
-
-      await Transaction.update(
-        { batchId: batch.id },
-        {
-          where: {
-            id: {
-              [Op.in]: remainingTransactions.map(t => t.id)
-            }
-          }
-        }
-      );
-
-      batches.push(batch);
     }
 
-    return res.status(201).json({
-      message: 'Batches created successfully',
-      batchCount: batches.length,
-      batches
+    // Delete the upload
+    await upload.destroy();
+
+    return res.json({
+      message: 'Upload canceled successfully',
+      uploadId
     });
   } catch (error) {
-    console.error('Error creating automatic batches:', error);
+    console.error('Error canceling upload:', error);
     return res.status(500).json({
-      error: 'Failed to create automatic batches',
+      error: 'Failed to cancel upload',
       details: error.message
     });
   }
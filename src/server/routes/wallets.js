@@ -0,0 +1,255 @@
+const express = require('express');
+const router = express.Router();
+const { getDB } = require('../db/sequelize');
+const WalletRules = require('../models/wallet');
+const { createWallet } = require('../services/auth');
+const { runInWalletScope } = require('../services/walletScope');
+const { roleAllows } = require('../middleware/auth');
+
+// Get the Sequelize models
+const getModels = () => {
+  const sequelize = getDB();
+  return sequelize.models;
+};
+
+const WALLET_FIELDS = ['name', 'description', 'budget', 'currency', 'icon', 'color'];
+
+const pickWalletFields = (data) => WALLET_FIELDS.reduce((fields, field) => {
+  if (data[field] !== undefined) fields[field] = data[field];
+  return fields;
+}, {});
+
+// The requesting user's membership of a wallet, or null
+const findMembership = (walletId, userId) => getModels().WalletMember.findOne({ where: { walletId, userId } });
+
+// Rows are deleted children first so foreign keys never block
+const DELETE_ORDER = ['Job', 'Transaction', 'Batch', 'Upload', 'Budget', 'Rule', 'RecurringSeries',
+  'ImportProfile', 'Account', 'Merchant', 'AiCacheEntry', 'Category', 'Settings', 'AuditLog'];
+
+// Get the wallets the user belongs to, with their role
+router.get('/', async (req, res) => {
+  try {
+    const { WalletMember, Wallet } = getModels();
+    const memberships = await WalletMember.findAll({
+      where: { userId: req.user.id },
+      include: [{ model: Wallet, as: 'wallet' }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json(memberships.map(membership => ({ ...membership.wallet.toJSON(), role: membership.role })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a wallet owned by the user
+router.post('/', async (req, res) => {
+  try {
+    const fields = pickWalletFields(req.body);
+    const { isValid, errors } = WalletRules.validate(fields);
+    if (!isValid) {
+      return res.status(400).json({ error: 'Validation error', details: errors.map(message => ({ field: 'wallet', message })) });
+    }
+
+    const sequelize = getDB();
+    const wallet = await sequelize.transaction(async (transaction) =>
+      createWallet(sequelize.models, req.user, {
+        ...fields,
+        color: fields.color || WalletRules.generateRandomColor()
+      }, { transaction }));
+
+    res.status(201).json({ ...wallet.toJSON(), role: 'owner' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a wallet with its members
+router.get('/:id', async (req, res) => {
+  try {
+    const { Wallet, WalletMember, User } = getModels();
+    const membership = await findMembership(req.params.id, req.user.id);
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Wallet not found' });
+    }
+
+    const wallet = await Wallet.findByPk(req.params.id, {
+      include: [{
+        model: WalletMember,
+        as: 'members',
+        include: [{ model: User, as: 'user', attributes: ['id', 'name', 'email'] }]
+      }]
+    });
+
+    res.json({ ...wallet.toJSON(), role: membership.role });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a wallet (owners only)
+router.put('/:id', async (req, res) => {
+  try {
+    const { Wallet } = getModels();
+    const membership = await findMembership(req.params.id, req.user.id);
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Wallet not found' });
+    }
+    if (!roleAllows(membership.role, 'manage')) {
+      return res.status(403).json({ error: 'Only wallet owners can change the wallet' });
+    }
+
+    const wallet = await Wallet.findByPk(req.params.id);
+    const fields = pickWalletFields(req.body);
+    const { isValid, errors } = WalletRules.validate({ ...wallet.get({ plain: true }), ...fields });
+    if (!isValid) {
+      return res.status(400).json({ error: 'Validation error', details: errors.map(message => ({ field: 'wallet', message })) });
+    }
+
+    await wallet.update(fields);
+
+    res.json({ ...wallet.toJSON(), role: membership.role });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete a wallet and all of its data (owners only)
+router.delete('/:id', async (req, res) => {
+  try {
+    const sequelize = getDB();
+    const { Wallet, WalletMember, User } = sequelize.models;
+    const membership = await findMembership(req.params.id, req.user.id);
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Wallet not found' });
+    }
+    if (!roleAllows(membership.role, 'manage')) {
+      return res.status(403).json({ error: 'Only wallet owners can delete the wallet' });
+    }
+    if (req.query.confirm !== 'true') {
+      return res.status(409).json({
+        error: 'Deleting a wallet deletes all of its transactions, categories and settings. Resend with confirm=true to delete it.',
+        requiresConfirmation: true
+      });
+    }
+
+    const walletId = req.params.id;
+    await runInWalletScope(walletId, () => sequelize.transaction(async (transaction) => {
+      for (const name of DELETE_ORDER) {
+        await sequelize.models[name].destroy({ where: {}, transaction, audit: false });
+      }
+      await User.update({ defaultWalletId: null }, { where: { defaultWalletId: walletId }, transaction });
+      await WalletMember.destroy({ where: { walletId }, transaction });
+      await Wallet.destroy({ where: { id: walletId }, transaction });
+    }));
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add a registered user to a wallet (owners only)
+router.post('/:id/members', async (req, res) => {
+  try {
+    const { User, WalletMember } = getModels();
+    const membership = await findMembership(req.params.id, req.user.id);
+    const role = req.body.role || 'viewer';
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Wallet not found' });
+    }
+    if (!roleAllows(membership.role, 'manage')) {
+      return res.status(403).json({ error: 'Only wallet owners can add members' });
+    }
+    if (!WalletMember.WALLET_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Validation error', details: [{ field: 'role', message: `Role must be one of: ${WalletMember.WALLET_ROLES.join(', ')}` }] });
+    }
+
+    const user = await User.findOne({ where: { email: String(req.body.email || '').trim().toLowerCase() } });
+    if (!user) {
+      return res.status(404).json({ error: 'No user with this email. They need to register first.' });
+    }
+    if (await findMembership(req.params.id, user.id)) {
+      return res.status(409).json({ error: 'User is already a member of this wallet' });
+    }
+
+    const member = await WalletMember.create({ walletId: req.params.id, userId: user.id, role });
+
+    res.status(201).json({ ...member.toJSON(), user: { id: user.id, name: user.name, email: user.email } });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Count a wallet's owners, to keep at least one
+const countOwners = (walletId) => getModels().WalletMember.count({ where: { walletId, role: 'owner' } });
+
+// Change a member's role (owners only)
+router.put('/:id/members/:userId', async (req, res) => {
+  try {
+    const { WalletMember } = getModels();
+    const membership = await findMembership(req.params.id, req.user.id);
+    const { role } = req.body;
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Wallet not found' });
+    }
+    if (!roleAllows(membership.role, 'manage')) {
+      return res.status(403).json({ error: 'Only wallet owners can change roles' });
+    }
+    if (!WalletMember.WALLET_ROLES.includes(role)) {
+      return res.status(400).json({ error: 'Validation error', details: [{ field: 'role', message: `Role must be one of: ${WalletMember.WALLET_ROLES.join(', ')}` }] });
+    }
+
+    const member = await findMembership(req.params.id, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (member.role === 'owner' && role !== 'owner' && (await countOwners(req.params.id)) === 1) {
+      return res.status(409).json({ error: 'A wallet needs at least one owner' });
+    }
+
+    await member.update({ role });
+
+    res.json(member);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a member (owners), or leave a wallet (any member removing themselves)
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    const { User } = getModels();
+    const membership = await findMembership(req.params.id, req.user.id);
+    const isSelf = req.params.userId === req.user.id;
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Wallet not found' });
+    }
+    if (!isSelf && !roleAllows(membership.role, 'manage')) {
+      return res.status(403).json({ error: 'Only wallet owners can remove members' });
+    }
+
+    const member = isSelf ? membership : await findMembership(req.params.id, req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (member.role === 'owner' && (await countOwners(req.params.id)) === 1) {
+      return res.status(409).json({ error: 'A wallet needs at least one owner. Delete the wallet instead.' });
+    }
+
+    await member.destroy();
+    await User.update({ defaultWalletId: null }, { where: { id: member.userId, defaultWalletId: req.params.id } });
+
+    res.status(204).send();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,306 @@
+/**
+ * Account resolution, upload-to-account matching, balances and merging
+ */
+const { Op, fn, col, where: whereFn } = require('sequelize');
+
+// Filename words that hint at an account type
+const TYPE_KEYWORDS = {
+  credit_card: ['credit', 'card', 'visa', 'mastercard', 'amex'],
+  bank: ['checking', 'savings', 'chequing', 'current'],
+  investment: ['brokerage', 'investment', 'ira', '401k']
+};
+
+// Minimum score for an automatic match
+const MIN_MATCH_SCORE = 3;
+
+/**
+ * Normalize an account name for case-insensitive comparison
+ * @param {string} name - Account name
+ * @returns {string} Normalized name
+ */
+function normalizeAccountName(name) {
+  return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// Lowercase text with separators turned into spaces ("chase_checking-1234.csv" → "chase checking 1234 csv")
+function searchableText(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function containsPhrase(text, phrase) {
+  const needle = searchableText(phrase);
+  return needle.length > 0 && ` ${text} `.includes(` ${needle} `);
+}
+
+/**
+ * Find an account by name, ignoring case and extra whitespace
+ * @param {Model} Account - Sequelize Account model
+ * @param {string} name - Account name
+ * @param {Object} options - Sequelize options (e.g. transaction)
+ * @returns {Promise<Model|null>} The account or null
+ */
+async function findAccountByName(Account, name, options = {}) {
+  const normalized = normalizeAccountName(name);
+  if (!normalized) return null;
+
+  return Account.findOne({
+    where: whereFn(fn('lower', col('name')), normalized),
+    ...options
+  });
+}
+
+/**
+ * Resolve account details to an Account, creating one when a new name is given
+ * @param {Model} Account - Sequelize Account model
+ * @param {Object} details - { accountId, accountName, accountType }
+ * @param {Object} options - Sequelize options (e.g. transaction)
+ * @returns {Promise<Model|null>} The account, or null when no details were given
+ */
+async function resolveAccount(Account, details = {}, options = {}) {
+  const { accountId, accountName, accountType } = details;
+
+  if (accountId) {
+    const account = await Account.findByPk(accountId, options);
+    if (!account) {
+      throw new Error(`Account ${accountId} not found`);
+    }
+    return account;
+  }
+
+  const name = String(accountName || '').replace(/\s+/g, ' ').trim();
+  if (!name) return null;
+
+  const existing = await findAccountByName(Account, name, options);
+  if (existing) return existing;
+
+  return Account.create({
+    name,
+    type: Account.ACCOUNT_TYPES.includes(accountType) ? accountType : 'other'
+  }, options);
+}
+
+/**
+ * Score how well an account matches an upload
+ * @param {Object} account - Account instance or plain object
+ * @param {Object} upload - { filename, metadata, transactions }
+ * @returns {Object} { score, reasons }
+ */
+function scoreAccountMatch(account, upload) {
+  const metadata = upload.metadata || {};
+  const text = searchableText([
+    upload.filename,
+    metadata.accountName,
+    metadata.institution,
+    metadata.bankName
+  ].filter(Boolean).join(' '));
+
+  let score = 0;
+  const reasons = [];
+
+  if (account.last4) {
+    // Account numbers from the filename, statement metadata or OFX ACCTID fields
+    const numbers = [
+      ...(text.match(/\d{4,}/g) || []),
+      metadata.accountNumber,
+      ...(upload.transactions || []).map(tx => tx.account)
+    ].map(value => String(value || '').replace(/\D/g, ''));
+
+    if (numbers.some(number => number.length >= 4 && number.endsWith(account.last4))) {
+      score += 5;
+      reasons.push('last4');
+    }
+  }
+
+  if (containsPhrase(text, account.name)) {
+    score += 4;
+    reasons.push('name');
+  }
+
+  if (account.institution && containsPhrase(text, account.institution)) {
+    score += 2;
+    reasons.push('institution');
+  }
+
+  const patterns = Array.isArray(account.matchPatterns) ? account.matchPatterns : [];
+  if (patterns.some(pattern => containsPhrase(text, pattern))) {
+    score += 3;
+    reasons.push('pattern');
+  }
+
+  if ((TYPE_KEYWORDS[account.type] || []).some(keyword => containsPhrase(text, keyword))) {
+    score += 1;
+    reasons.push('type');
+  }
+
+  return { score, reasons };
+}
+
+/**
+ * Pick the account an upload most likely belongs to
+ * @param {Array} accounts - Candidate accounts
+ * @param {Object} upload - { filename, metadata, transactions }
+ * @returns {Object|null} { account, score, reasons }, or null when there is no clear winner
+ */
+function matchAccount(accounts, upload) {
+  const scored = accounts
+    .map(account => ({ account, ...scoreAccountMatch(account, upload) }))
+    .filter(candidate => candidate.score >= MIN_MATCH_SCORE)
+    .sort((a, b) => b.score - a.score);
+
+  if (scored.length === 0) return null;
+
+  // A tie between the top two is ambiguous, so leave the choice to the user
+  if (scored.length > 1 && scored[0].score === scored[1].score) return null;
+
+  return scored[0];
+}
+
+/**
+ * Compute an account's balance from its opening balance and transactions
+ * @param {Model} account - Account instance
+ * @param {Model} Transaction - Sequelize Transaction model
+ * @param {Object} options - Options
+ * @param {string} [options.asOf] - Only include transactions on or before this date
+ * @returns {Promise<number>} The balance
+ */
+async function getAccountBalance(account, Transaction, options = {}) {
+  const where = { accountId: account.id };
+  if (account.openingBalanceDate || options.asOf) {
+    where.date = {};
+    if (account.openingBalanceDate) where.date[Op.gte] = account.openingBalanceDate;
+    if (options.asOf) where.date[Op.lte] = options.asOf;
+  }
+
+  const totals = await Transaction.findAll({
+    attributes: ['type', 'transferDirection', [fn('SUM', col('amount')), 'total']],
+    where,
+    group: ['type', 'transferDirection'],
+    raw: true
+  });
+
+  const balance = totals.reduce((sum, row) => {
+    const amount = Math.abs(parseFloat(row.total) || 0);
+    const isInflow = row.type === 'income' || (row.type === 'transfer' && row.transferDirection === 'inflow');
+    return isInflow ? sum + amount : sum - amount;
+  }, parseFloat(account.openingBalance) || 0);
+
+  return Math.round(balance * 100) / 100;
+}
+
+/**
+ * Merge one account into another: move its transactions and uploads, keep
+ * its name as a match pattern, then delete it
+ * @param {Model} source - Account being merged away
+ * @param {Model} target - Account that remains
+ * @param {Object} models - Sequelize models
+ * @param {Object} options - Sequelize options (e.g. transaction)
+ * @returns {Promise<Object>} { transactionsMoved, uploadsMoved }
+ */
+async function mergeAccounts(source, target, models, options = {}) {
+  const { Transaction, Upload, RecurringSeries, Reconciliation } = models;
+
+  const [transactionsMoved] = await Transaction.update(
+    { accountId: target.id, account: target.name },
+    { where: { accountId: source.id }, ...options }
+  );
+
+  const [uploadsMoved] = await Upload.update(
+    { accountId: target.id, accountName: target.name },
+    { where: { accountId: source.id }, ...options }
+  );
+
+  if (RecurringSeries) {
+    await RecurringSeries.update(
+      { account: target.name },
+      { where: { account: source.name }, ...options }
+    );
+  }
+
+  // The merged account's reconciled periods no longer describe the combined account
+  if (Reconciliation) {
+    await Reconciliation.destroy({ where: { accountId: source.id }, ...options });
+  }
+
+  // Keep the merged account's identifiers so future uploads still match
+  const patterns = Array.isArray(target.matchPatterns) ? target.matchPatterns : [];
+  const sourcePatterns = Array.isArray(source.matchPatterns) ? source.matchPatterns : [];
+  await target.update({
+    institution: target.institution || source.institution,
+    last4: target.last4 || source.last4,
+    matchPatterns: [...new Set([...patterns, ...sourcePatterns, source.name])]
+  }, options);
+
+  await source.destroy(options);
+
+  return { transactionsMoved, uploadsMoved };
+}
+
+/**
+ * Create accounts for the free-text account names already on transactions
+ * and uploads, linking rows whose names differ only in case or spacing
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @returns {Promise<Array>} Array of { account, names, transactionCount }
+ */
+async function backfillAccounts(sequelize) {
+  const { Account, Transaction, Upload } = sequelize.models;
+
+  const rows = await Transaction.findAll({
+    attributes: ['account', 'accountType', [fn('COUNT', col('id')), 'count']],
+    where: {
+      accountId: null,
+      // NULL != '' is not true in SQL, so this also skips rows without an account
+      account: { [Op.ne]: '' }
+    },
+    group: ['account', 'accountType'],
+    raw: true
+  });
+
+  // Group spellings of the same name, most used spelling first
+  const groups = new Map();
+  rows.sort((a, b) => parseInt(b.count) - parseInt(a.count)).forEach(row => {
+    const key = normalizeAccountName(row.account);
+    if (!key) return;
+    if (!groups.has(key)) {
+      groups.set(key, { names: new Set(), accountType: row.accountType, count: 0 });
+    }
+    const group = groups.get(key);
+    group.names.add(row.account);
+    group.count += parseInt(row.count);
+  });
+
+  const results = [];
+  await sequelize.transaction(async (t) => {
+    for (const group of groups.values()) {
+      const names = [...group.names];
+      const account = await resolveAccount(Account, {
+        accountName: names[0],
+        accountType: group.accountType
+      }, { transaction: t });
+
+      await Transaction.update(
+        { accountId: account.id, account: account.name },
+        { where: { accountId: null, account: { [Op.in]: names } }, transaction: t }
+      );
+
+      await Upload.update(
+        { accountId: account.id, accountName: account.name },
+        { where: { accountId: null, accountName: { [Op.in]: names } }, transaction: t }
+      );
+
+      results.push({ account, names, transactionCount: group.count });
+    }
+  });
+
+  return results;
+}
+
+module.exports = {
+  normalizeAccountName,
+  findAccountByName,
+  resolveAccount,
+  scoreAccountMatch,
+  matchAccount,
+  getAccountBalance,
+  mergeAccounts,
+  backfillAccounts
+};
@@ -0,0 +1,266 @@
+/**
+ * Cache for AI categorization answers: an in-memory map in front of the
+ * ai_cache_entries table, so answers survive restarts and are not paid for
+ * twice. Keys cover the wallet, provider, model and prompt version as well as
+ * the transaction text, so switching any of them never reuses a stale answer.
+ *
+ * applyAiCache connects the cache to the database at startup and makes
+ * category renames and deletions drop the answers that point at the category.
+ * Until then (and whenever the database fails) only the memory level is used.
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { currentWalletId } = require('./walletScope');
+
+// Bump whenever the categorization prompts change
+const PROMPT_VERSION = 1;
+
+// Entries kept in memory
+const MEMORY_LIMIT = 1000;
+
+// How long an answer stays valid (AI_CACHE_TTL_DAYS, default 30 days)
+const TTL_MS = (parseFloat(process.env.AI_CACHE_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const memory = new Map();
+let CacheEntry = null;
+
+const stats = {
+  memoryHits: 0,
+  persistentHits: 0,
+  misses: 0,
+  writes: 0,
+  invalidations: 0,
+  errors: 0
+};
+
+const normalizeName = (name) => (typeof name === 'string' && name.trim() ? name.trim().toLowerCase() : null);
+
+/**
+ * Build the cache key of a categorization request
+ * @param {string} text - Normalized transaction text (description, amount, type)
+ * @param {Object} provider - Active provider ({ name, model })
+ * @returns {string} Hex key
+ */
+function buildCacheKey(text, provider) {
+  return crypto.createHash('sha256')
+    .update([currentWalletId() || '', provider.name, provider.model, PROMPT_VERSION, text].join('\u0000'))
+    .digest('hex');
+}
+
+/**
+ * Keep an answer in memory, dropping the oldest tenth when the map is full
+ * @param {string} key - Cache key
+ * @param {Object} entry - { value, walletId, categoryId, categoryName, expiresAt }
+ */
+function remember(key, entry) {
+  if (memory.size >= MEMORY_LIMIT) {
+    [...memory.keys()].slice(0, Math.ceil(MEMORY_LIMIT * 0.1)).forEach(oldKey => memory.delete(oldKey));
+  }
+  memory.set(key, entry);
+}
+
+/**
+ * Look up an answer, first in memory and then in the database
+ * @param {string} key - Key from buildCacheKey
+ * @returns {Promise<Object|null>} Cached answer or null
+ */
+async function getCachedAnswer(key) {
+  const cached = memory.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    stats.memoryHits++;
+    return cached.value;
+  }
+  memory.delete(key);
+
+  if (CacheEntry) {
+    try {
+      const entry = await CacheEntry.findOne({
+        where: { key, expiresAt: { [Op.gt]: new Date() } }
+      });
+      if (entry) {
+        stats.persistentHits++;
+        remember(key, {
+          value: entry.response,
+          walletId: entry.walletId,
+          categoryId: entry.categoryId,
+          categoryName: entry.categoryName,
+          expiresAt: new Date(entry.expiresAt).getTime()
+        });
+        return entry.response;
+      }
+    } catch (error) {
+      stats.errors++;
+      console.error('[AICache] Lookup failed:', error.message);
+    }
+  }
+
+  stats.misses++;
+  return null;
+}
+
+/**
+ * Store an answer in memory and in the database
+ * @param {string} key - Key from buildCacheKey
+ * @param {Object} value - Categorization result ({ categoryName, categoryId, ... })
+ * @param {Object} provider - Provider that produced it ({ name, model })
+ */
+async function storeAnswer(key, value, provider) {
+  const entry = {
+    value,
+    walletId: currentWalletId(),
+    categoryId: value.categoryId || null,
+    categoryName: normalizeName(value.categoryName),
+    expiresAt: Date.now() + TTL_MS
+  };
+  remember(key, entry);
+  stats.writes++;
+
+  if (!CacheEntry) return;
+
+  try {
+    const values = {
+      provider: provider.name,
+      model: provider.model,
+      promptVersion: PROMPT_VERSION,
+      response: value,
+      categoryId: entry.categoryId,
+      categoryName: entry.categoryName,
+      expiresAt: new Date(entry.expiresAt),
+      walletId: entry.walletId
+    };
+    const existing = await CacheEntry.findOne({ where: { key } });
+    if (existing) {
+      await existing.update(values);
+    } else {
+      await CacheEntry.create({ key, ...values });
+    }
+  } catch (error) {
+    stats.errors++;
+    console.error('[AICache] Write failed:', error.message);
+  }
+}
+
+/**
+ * Drop the answers that refer to a category, by ID or by any of the given names
+ * @param {Object} category - Category instance
+ * @param {Array} names - Category names (old and new name on a rename)
+ * @param {Object} [options] - Sequelize options (e.g. transaction)
+ * @returns {Promise<number>} Number of stored entries removed
+ */
+async function invalidateCategory(category, names, options = {}) {
+  const nameKeys = names.map(normalizeName).filter(Boolean);
+  const refersToCategory = (entry) => entry.categoryId === category.id || nameKeys.includes(entry.categoryName);
+
+  memory.forEach((entry, key) => {
+    if ((entry.walletId || null) === (category.walletId || null) && refersToCategory(entry)) {
+      memory.delete(key);
+    }
+  });
+
+  if (!CacheEntry) return 0;
+
+  const removed = await CacheEntry.destroy({
+    where: {
+      walletId: category.walletId || null,
+      [Op.or]: [
+        { categoryId: category.id },
+        ...(nameKeys.length > 0 ? [{ categoryName: { [Op.in]: nameKeys } }] : [])
+      ]
+    },
+    transaction: options.transaction
+  });
+  stats.invalidations += removed;
+  return removed;
+}
+
+/**
+ * Remove every cached answer (of the current wallet inside a request)
+ * @returns {Promise<number>} Number of stored entries removed
+ */
+async function clearAiCache() {
+  const walletId = currentWalletId();
+  memory.forEach((entry, key) => {
+    if (!walletId || entry.walletId === walletId) {
+      memory.delete(key);
+    }
+  });
+
+  return CacheEntry ? CacheEntry.destroy({ where: {} }) : 0;
+}
+
+/**
+ * Delete stored answers whose TTL has passed
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function purgeExpiredAnswers() {
+  if (!CacheEntry) return 0;
+  return CacheEntry.destroy({ where: { expiresAt: { [Op.lte]: new Date() } } });
+}
+
+/**
+ * Number of stored answers (of the current wallet inside a request)
+ * @returns {Promise<number|null>} Count, or null without a database
+ */
+async function countStoredAnswers() {
+  return CacheEntry ? CacheEntry.count() : null;
+}
+
+/**
+ * Cache hit/miss counters
+ * @returns {Object} Metrics
+ */
+function getCacheMetrics() {
+  const hits = stats.memoryHits + stats.persistentHits;
+  const lookups = hits + stats.misses;
+  return {
+    ...stats,
+    hits,
+    hitRate: lookups > 0 ? Math.round((hits / lookups) * 100) : 0,
+    memoryEntries: memory.size,
+    persistent: !!CacheEntry,
+    ttlDays: TTL_MS / (24 * 60 * 60 * 1000),
+    promptVersion: PROMPT_VERSION
+  };
+}
+
+/**
+ * Reset the cache hit/miss counters
+ */
+function resetCacheMetrics() {
+  Object.keys(stats).forEach(name => {
+    stats[name] = 0;
+  });
+}
+
+/**
+ * Connect the cache to the database and install the category hooks that
+ * invalidate it. Bulk Category.update/destroy calls bypass the hooks unless
+ * they pass individualHooks.
+ * @param {Object} models - Sequelize models
+ */
+function applyAiCache(models) {
+  CacheEntry = models.AiCacheEntry;
+
+  models.Category.addHook('afterUpdate', 'aiCache', (category, options) => {
+    if (category.changed('name')) {
+      return invalidateCategory(category, [category.previous('name'), category.name], options);
+    }
+  });
+  models.Category.addHook('afterDestroy', 'aiCache', (category, options) => (
+    invalidateCategory(category, [category.name], options)
+  ));
+}
+
+module.exports = {
+  PROMPT_VERSION,
+  buildCacheKey,
+  getCachedAnswer,
+  storeAnswer,
+  invalidateCategory,
+  clearAiCache,
+  purgeExpiredAnswers,
+  countStoredAnswers,
+  getCacheMetrics,
+  resetCacheMetrics,
+  applyAiCache
+};
@@ -0,0 +1,235 @@
+/**
+ * Edit history for transactions and categories. applyAuditLog installs model
+ * hooks that append an AuditLog entry for every create, update and delete, in
+ * the same database transaction as the change.
+ *
+ * Callers say where a change came from with an `audit` option, e.g.
+ * `transaction.update(values, { audit: { source: 'ai' } })`. Without it a
+ * change counts as 'manual' inside a signed-in request and 'system' otherwise.
+ * Bulk Model.update/destroy/bulkCreate calls are only recorded when they pass
+ * `audit` (which makes Sequelize run the per-row hooks); `audit: false` turns
+ * recording off for any call.
+ */
+const { createError } = require('../utils/errorHandler');
+const { currentUserId } = require('./walletScope');
+
+// Bookkeeping fields left out of the recorded changes
+const IGNORED_FIELDS = ['id', 'walletId', 'createdAt', 'updatedAt'];
+
+// Entity type -> model name
+const AUDITED_MODELS = {
+  transaction: 'Transaction',
+  category: 'Category'
+};
+
+const toAuditValue = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+const isSameValue = (a, b) => JSON.stringify(toAuditValue(a)) === JSON.stringify(toAuditValue(b));
+
+/**
+ * Field changes made by a create, update or delete
+ * @param {Model} instance - Changed instance
+ * @param {string} action - 'create', 'update' or 'delete'
+ * @returns {Object} { field: { old, new } }
+ */
+function getChanges(instance, action) {
+  const changes = {};
+  const fields = action === 'update'
+    ? instance.changed() || []
+    : Object.keys(instance.constructor.rawAttributes);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const oldValue = action === 'create' ? null : toAuditValue(action === 'update' ? instance.previous(field) : instance.get(field));
+    const newValue = action === 'delete' ? null : toAuditValue(instance.get(field));
+    if (isSameValue(oldValue, newValue)) continue;
+
+    changes[field] = { old: oldValue, new: newValue };
+  }
+
+  return changes;
+}
+
+const getSource = (options) => (options.audit && options.audit.source) || (currentUserId() ? 'manual' : 'system');
+
+/**
+ * Append entries for changed instances
+ * @param {string} entityType - 'transaction' or 'category'
+ * @param {Array} instances - Changed instances
+ * @param {string} action - 'create', 'update' or 'delete'
+ * @param {Object} options - Options of the Sequelize call that made the change
+ */
+async function recordChanges(entityType, instances, action, options) {
+  if (options.audit === false || instances.length === 0) return;
+
+  const entries = instances.map(instance => ({
+    entityType,
+    entityId: instance.id,
+    action,
+    source: getSource(options),
+    changes: getChanges(instance, action),
+    userId: currentUserId(),
+    revertOf: (options.audit && options.audit.revertOf) || null,
+    walletId: instance.walletId || null
+  })).filter(entry => action !== 'update' || Object.keys(entry.changes).length > 0);
+
+  if (entries.length === 0) return;
+
+  const { AuditLog } = instances[0].constructor.sequelize.models;
+  await AuditLog.bulkCreate(entries, { transaction: options.transaction });
+}
+
+/**
+ * Install the hooks that record a model's changes in the audit log
+ * @param {Model} model - Sequelize model
+ * @param {string} entityType - Entity type stored on the entries
+ */
+function applyAuditLog(model, entityType) {
+  // Bulk changes are recorded row by row, so only when asked for
+  const recordRows = (options) => {
+    if (options.audit) {
+      options.individualHooks = true;
+    }
+  };
+
+  model.addHook('afterCreate', 'auditLog', (instance, options) => recordChanges(entityType, [instance], 'create', options));
+  model.addHook('afterUpdate', 'auditLog', (instance, options) => recordChanges(entityType, [instance], 'update', options));
+  model.addHook('afterDestroy', 'auditLog', (instance, options) => recordChanges(entityType, [instance], 'delete', options));
+  model.addHook('afterBulkCreate', 'auditLog', (instances, options) => {
+    if (!options.audit || options.individualHooks) return;
+    return recordChanges(entityType, instances, 'create', options);
+  });
+  model.addHook('beforeBulkUpdate', 'auditLog', recordRows);
+  model.addHook('beforeBulkDestroy', 'auditLog', recordRows);
+}
+
+/**
+ * Field values that undo an entry
+ * @param {Model} entry - AuditLog entry
+ * @returns {Object} { field: value }
+ */
+function getRevertValues(entry) {
+  return Object.entries(entry.changes || {}).reduce((values, [field, change]) => {
+    values[field] = change.old;
+    return values;
+  }, {});
+}
+
+/**
+ * Fields changed again since an update entry, which a revert would overwrite
+ * @param {Model} record - Current record
+ * @param {Model} entry - AuditLog update entry
+ * @returns {Array} Array of { field, expected, current }
+ */
+function findRevertConflicts(record, entry) {
+  return Object.entries(entry.changes || {})
+    .filter(([field, change]) => !isSameValue(record.get(field), change.new))
+    .map(([field, change]) => ({ field, expected: change.new, current: toAuditValue(record.get(field)) }));
+}
+
+/**
+ * Undo a single change: restore the old values of an update, delete a created
+ * record or recreate a deleted one. The revert is itself recorded, pointing
+ * back at the entry.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Model} entry - AuditLog entry
+ * @param {Object} options - { force } to overwrite fields changed since
+ * @returns {Promise<Model|null>} The restored record (null when it was deleted)
+ */
+async function revertChange(sequelize, entry, options = {}) {
+  const { AuditLog } = sequelize.models;
+  const model = sequelize.models[AUDITED_MODELS[entry.entityType]];
+  if (!model) {
+    throw createError(`Changes to ${entry.entityType} records cannot be reverted`, 400);
+  }
+
+  if (await AuditLog.count({ where: { revertOf: entry.id } }) > 0) {
+    throw createError('This change has already been reverted', 409);
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const audit = { source: 'manual', revertOf: entry.id };
+    const record = await model.findByPk(entry.entityId, { transaction });
+    const values = getRevertValues(entry);
+
+    if (entry.action === 'delete') {
+      if (record) {
+        throw createError(`The ${entry.entityType} already exists`, 409);
+      }
+      return model.create({ ...values, id: entry.entityId }, { transaction, audit });
+    }
+
+    if (!record) {
+      throw createError(`The ${entry.entityType} no longer exists`, 409);
+    }
+
+    if (entry.action === 'create') {
+      await record.destroy({ transaction, audit });
+      return null;
+    }
+
+    const conflicts = findRevertConflicts(record, entry);
+    if (conflicts.length > 0 && !options.force) {
+      const error = createError('These fields have changed since. Resend with force=true to overwrite them.', 409);
+      error.conflicts = conflicts;
+      throw error;
+    }
+
+    return record.update(values, { transaction, audit });
+  });
+}
+
+/**
+ * Format entries for the API, marking the ones that have been reverted
+ * @param {Model} AuditLog - Sequelize AuditLog model
+ * @param {Array} entries - AuditLog entries (optionally with their user)
+ * @returns {Promise<Array>} Plain entries with revertedBy (ID of the reverting entry or null)
+ */
+async function formatEntries(AuditLog, entries) {
+  const reverts = entries.length === 0 ? [] : await AuditLog.findAll({
+    where: { revertOf: entries.map(entry => entry.id) },
+    attributes: ['id', 'revertOf']
+  });
+  const revertedBy = new Map(reverts.map(revert => [revert.revertOf, revert.id]));
+
+  return entries.map(entry => {
+    const plain = entry.get({ plain: true });
+    return {
+      ...plain,
+      user: plain.user ? { id: plain.user.id, name: plain.user.name, email: plain.user.email } : null,
+      revertedBy: revertedBy.get(entry.id) || null
+    };
+  });
+}
+
+/**
+ * Change history of one record, newest first
+ * @param {Object} models - Sequelize models (AuditLog, User)
+ * @param {string} entityType - 'transaction' or 'category'
+ * @param {string} entityId - Record ID
+ * @returns {Promise<Array>} Formatted entries
+ */
+async function getHistory(models, entityType, entityId) {
+  const entries = await models.AuditLog.findAll({
+    where: { entityType, entityId },
+    include: [{ model: models.User, as: 'user', required: false }],
+    order: [['createdAt', 'DESC']]
+  });
+  return formatEntries(models.AuditLog, entries);
+}
+
+module.exports = {
+  AUDITED_MODELS,
+  applyAuditLog,
+  getChanges,
+  getRevertValues,
+  findRevertConflicts,
+  revertChange,
+  formatEntries,
+  getHistory
+};
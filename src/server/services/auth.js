@@ -0,0 +1,189 @@
+/**
+ * Local accounts: password hashing, session tokens and registration
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { WALLET_SCOPED_MODELS, createDefaultCategories } = require('../db/sequelize');
+const { runWithoutWalletScope } = require('./walletScope');
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+const scrypt = (password, salt) => new Promise((resolve, reject) => {
+  crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => (error ? reject(error) : resolve(key)));
+});
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} 'scrypt$<salt>$<hash>' (hex)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scrypt(password, salt);
+  return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Value from hashPassword
+ * @returns {Promise<boolean>} Whether the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const key = await scrypt(String(password), salt);
+  const expected = Buffer.from(hash, 'hex');
+  return expected.length === key.length && crypto.timingSafeEqual(expected, key);
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Start a session for a user
+ * @param {Model} Session - Sequelize Session model
+ * @param {Model} user - User instance
+ * @param {Object} options - { userAgent }
+ * @returns {Promise<Object>} { token, expiresAt }; the token is only returned here
+ */
+async function createSession(Session, user, options = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+  await Session.create({
+    userId: user.id,
+    tokenHash: hashToken(token),
+    expiresAt,
+    lastUsedAt: new Date(),
+    userAgent: options.userAgent ? String(options.userAgent).slice(0, 255) : null
+  });
+
+  return { token, expiresAt };
+}
+
+/**
+ * Look up the session for a token
+ * @param {Object} models - Sequelize models (Session, User)
+ * @param {string} token - Session token
+ * @returns {Promise<Model|null>} Session with its user, or null when unknown or expired
+ */
+async function findSession(models, token) {
+  if (!token) return null;
+
+  const session = await models.Session.findOne({
+    where: {
+      tokenHash: hashToken(token),
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    include: [{ model: models.User, as: 'user' }]
+  });
+
+  if (!session || !session.user || !session.user.isActive) return null;
+  return session;
+}
+
+/**
+ * End a session
+ * @param {Model} Session - Sequelize Session model
+ * @param {string} token - Session token
+ * @returns {Promise<number>} Number of sessions removed
+ */
+async function revokeSession(Session, token) {
+  return Session.destroy({ where: { tokenHash: hashToken(token) } });
+}
+
+/**
+ * Validate registration fields
+ * @param {Object} data - { email, password, name }
+ * @returns {Array} Array of { field, message } errors (empty when valid)
+ */
+function validateRegistration(data) {
+  const errors = [];
+
+  if (!data.email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(data.email).trim())) {
+    errors.push({ field: 'email', message: 'A valid email address is required' });
+  }
+  if (!data.name || !String(data.name).trim()) {
+    errors.push({ field: 'name', message: 'Name is required' });
+  }
+  if (!data.password || String(data.password).length < MIN_PASSWORD_LENGTH) {
+    errors.push({ field: 'password', message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+
+  return errors;
+}
+
+/**
+ * Create a wallet owned by a user, with the default categories
+ * @param {Object} models - Sequelize models
+ * @param {Model} user - Owner
+ * @param {Object} fields - Wallet fields (name, description, currency, ...)
+ * @param {Object} options - Sequelize options (e.g. transaction)
+ * @returns {Promise<Model>} The wallet
+ */
+async function createWallet(models, user, fields, options = {}) {
+  const wallet = await models.Wallet.create({ ...fields, ownerUserId: user.id }, options);
+  await models.WalletMember.create({ walletId: wallet.id, userId: user.id, role: 'owner' }, options);
+  await createDefaultCategories(wallet.id, options);
+  return wallet;
+}
+
+/**
+ * Register a user with a personal wallet. The first user to register also
+ * takes over all data created before accounts existed.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Object} data - { email, password, name }
+ * @returns {Promise<Object>} { user, wallet, claimedExistingData }
+ */
+async function registerUser(sequelize, data) {
+  const models = sequelize.models;
+  const passwordHash = await hashPassword(String(data.password));
+
+  // Registration acts on no wallet; creating the wallet must not be filtered
+  return runWithoutWalletScope(() => sequelize.transaction(async (transaction) => {
+    const isFirstUser = (await models.User.count({ transaction })) === 0;
+
+    const user = await models.User.create({
+      email: data.email,
+      name: String(data.name).trim(),
+      passwordHash
+    }, { transaction });
+
+    const walletFields = { name: `${user.name}'s Wallet` };
+    let wallet;
+    if (isFirstUser) {
+      wallet = await models.Wallet.create({ ...walletFields, ownerUserId: user.id }, { transaction });
+      await models.WalletMember.create({ walletId: wallet.id, userId: user.id, role: 'owner' }, { transaction });
+      // Plain UPDATEs: model hooks would refuse to touch the append-only
+      // audit log and would log every claimed row as a change
+      const queryInterface = sequelize.getQueryInterface();
+      for (const name of WALLET_SCOPED_MODELS) {
+        await queryInterface.bulkUpdate(models[name].getTableName(), { wallet_id: wallet.id }, { wallet_id: null }, { transaction });
+      }
+      if ((await models.Category.count({ where: { walletId: wallet.id }, transaction })) === 0) {
+        await createDefaultCategories(wallet.id, { transaction });
+      }
+    } else {
+      wallet = await createWallet(models, user, walletFields, { transaction });
+    }
+
+    await user.update({ defaultWalletId: wallet.id }, { transaction });
+
+    return { user, wallet, claimedExistingData: isFirstUser };
+  }));
+}
+
+module.exports = {
+  SESSION_TTL_MS,
+  hashPassword,
+  verifyPassword,
+  createSession,
+  findSession,
+  revokeSession,
+  validateRegistration,
+  createWallet,
+  registerUser
+};
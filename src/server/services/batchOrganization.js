@@ -1,3 +1,5 @@
+const { transactionMerchantKey, transactionMerchantName } = require('./merchants');
+
 /**
  * Organize transactions into logical batches
  * @param {Array} transactions - Transactions to organize
@@ -9,36 +11,33 @@ function organizeIntoBatches(transactions) {
   const processedTransactions = new Set();
   const batches = [];
 
-  // STEP 1: Group by merchant + type where there's a dominant merchant
+  // STEP 1: Group by merchant + type where there's a dominant merchant.
+  // Different spellings of a merchant share its key, so "SQ *BLUE BOTTLE 1234"
+  // and "Blue Bottle Coffee #12" land in the same group
   const merchantGroups = {};
 
   transactions.forEach(tx => {
     if (!tx.merchant || !tx.date) return;
 
     const type = tx.type || 'expense';
-    const merchant = tx.merchant;
-    const key = `merchant_${type}_${merchant.replace(/\s+/g, '_')}`;
+    const merchantKey = transactionMerchantKey(tx);
+    if (!merchantKey) return;
+    const key = `merchant_${type}_${merchantKey}`;
 
     if (!merchantGroups[key]) {
-      merchantGroups[key] = [];
+      merchantGroups[key] = { type, merchant: transactionMerchantName(tx), transactions: [] };
     }
 
-    merchantGroups[key].push(tx);
+    merchantGroups[key].transactions.push(tx);
   });
 
   // Process merchant groups
-  Object.keys(merchantGroups).forEach(key => {
-    const group = merchantGroups[key];
+  Object.values(merchantGroups).forEach(({ type, merchant, transactions: group }) => {
     // Only create merchant groups if we have enough similar transactions
     if (group.length >= 3) {
       // Mark these transactions as processed
       group.forEach(tx => processedTransactions.add(tx.id));
 
-      // Extract key information
-      const parts = key.split('_');
-      const type = parts[1];
-      const merchant = parts.slice(2).join(' ');
-
       // Get date range
       const dateRange = getDateRange(group);
       const formattedDateRange = getFormattedDateRange(dateRange);
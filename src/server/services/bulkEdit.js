@@ -0,0 +1,254 @@
+/**
+ * Bulk edits: apply the same change (or deletion) to many transactions in a
+ * single database transaction
+ */
+const { Op } = require('sequelize');
+const { buildTransactionFilters } = require('./transactionQuery');
+const { findLockedReconciliation } = require('./reconciliation');
+const { typeForDirection } = require('./transferDetection');
+const { assignMerchants } = require('./merchants');
+const { validateCategoryAssignment } = require('./categoryAssignment');
+
+const MAX_BULK_IDS = 5000;
+
+// Fields set to the same value on every selected transaction
+const SET_FIELDS = ['categoryId', 'subcategoryId', 'merchant', 'notes', 'accountId', 'needsReview'];
+const NULLABLE_FIELDS = ['subcategoryId', 'merchant', 'notes', 'accountId'];
+
+const toTagList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(tag => String(tag).trim())
+  .filter(Boolean);
+
+/**
+ * Validate which transactions a bulk edit targets
+ * @param {Object} body - { ids } or { filter } (filter takes the GET /transactions parameters)
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @returns {Object} { where, errors }
+ */
+function buildBulkSelection(body, sequelize) {
+  const { ids, filter } = body;
+
+  if (ids !== undefined && filter !== undefined) {
+    return { where: null, errors: [{ field: 'ids', message: 'Send either ids or filter, not both' }] };
+  }
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return { where: null, errors: [{ field: 'ids', message: 'ids must be a non-empty array' }] };
+    }
+    if (ids.length > MAX_BULK_IDS) {
+      return { where: null, errors: [{ field: 'ids', message: `At most ${MAX_BULK_IDS} ids can be edited at once` }] };
+    }
+    return { where: { id: { [Op.in]: ids.map(String) } }, errors: [] };
+  }
+
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return { where: null, errors: [{ field: 'ids', message: 'Send ids or a filter object' }] };
+  }
+
+  const { where, errors } = buildTransactionFilters(filter, sequelize);
+  // An empty filter would select every transaction
+  if (errors.length === 0 && Reflect.ownKeys(where).length === 0) {
+    errors.push({ field: 'filter', message: 'Filter must contain at least one condition' });
+  }
+  return { where, errors };
+}
+
+/**
+ * Validate the changes of a bulk edit
+ * @param {Object} body - { changes, delete }
+ * @returns {Object} { changes, remove, errors } where changes holds the fields
+ *   to set plus addTags/removeTags
+ */
+function validateBulkChanges(body) {
+  const errors = [];
+  const remove = body.delete === true;
+  const input = body.changes || {};
+  const changes = {};
+
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { changes, remove, errors: [{ field: 'changes', message: 'changes must be an object' }] };
+  }
+
+  const unknown = Object.keys(input).filter(field => !SET_FIELDS.includes(field) && !['addTags', 'removeTags'].includes(field));
+  unknown.forEach(field => errors.push({ field, message: 'Field cannot be edited in bulk' }));
+
+  SET_FIELDS.forEach(field => {
+    if (input[field] === undefined) return;
+    if (input[field] === null && !NULLABLE_FIELDS.includes(field)) {
+      errors.push({ field, message: 'Field cannot be cleared' });
+      return;
+    }
+    changes[field] = input[field];
+  });
+
+  if (changes.needsReview !== undefined && typeof changes.needsReview !== 'boolean') {
+    errors.push({ field: 'needsReview', message: 'needsReview must be true or false' });
+  }
+  ['merchant', 'notes'].forEach(field => {
+    if (typeof changes[field] === 'string') {
+      changes[field] = changes[field].trim() || null;
+    }
+  });
+
+  ['addTags', 'removeTags'].forEach(field => {
+    if (input[field] === undefined) return;
+    const tags = toTagList(input[field]);
+    if (tags.length === 0) {
+      errors.push({ field, message: 'At least one tag is required' });
+    } else {
+      changes[field] = tags;
+    }
+  });
+
+  if (remove && Object.keys(changes).length > 0) {
+    errors.push({ field: 'delete', message: 'A bulk delete cannot also change fields' });
+  }
+  if (!remove && Object.keys(changes).length === 0 && errors.length === 0) {
+    errors.push({ field: 'changes', message: 'No changes given' });
+  }
+
+  return { changes, remove, errors };
+}
+
+/**
+ * Check that the categories and account a bulk edit points at exist and fit
+ * the selected transactions (as a single edit checks them), and resolve the
+ * account and merchant they name
+ * @param {Object} models - Sequelize models
+ * @param {Object} changes - Validated changes
+ * @param {Object} where - Selection from buildBulkSelection
+ * @returns {Promise<Array>} Array of { field, message } errors
+ */
+async function validateBulkReferences(models, changes, where) {
+  const errors = [];
+
+  if (changes.categoryId || changes.subcategoryId) {
+    const transactions = await models.Transaction.findAll({ where, attributes: ['type', 'categoryId'], raw: true });
+    errors.push(...await validateCategoryAssignment(models.Category, changes, transactions));
+  }
+  if (changes.accountId) {
+    const account = await models.Account.findByPk(changes.accountId);
+    if (!account) {
+      errors.push({ field: 'accountId', message: 'Account not found' });
+    } else {
+      changes.account = account.name;
+    }
+  } else if (changes.accountId === null) {
+    changes.account = null;
+  }
+
+  // A merchant name is linked to an existing merchant when one matches
+  if (typeof changes.merchant === 'string') {
+    const [row] = await assignMerchants([{ merchant: changes.merchant }], models.Merchant);
+    changes.merchant = row.merchant;
+    changes.merchantId = row.merchantId;
+  } else if (changes.merchant === null) {
+    changes.merchantId = null;
+  }
+
+  return errors;
+}
+
+/**
+ * Find the selected transactions that sit inside a reconciled period and
+ * would be affected. Only account moves and deletions change balances.
+ * @param {Object} models - Sequelize models
+ * @param {Array} transactions - Selected transactions
+ * @param {Object} changes - Validated changes
+ * @param {boolean} remove - Whether the transactions are deleted
+ * @returns {Promise<Array>} Array of { transactionId, reconciliationId }
+ */
+async function findLockedTransactions(models, transactions, changes, remove) {
+  if (!remove && changes.accountId === undefined) return [];
+
+  const locked = [];
+  for (const transaction of transactions) {
+    const reconciliation = await findLockedReconciliation(
+      models.Reconciliation,
+      transaction,
+      remove ? null : { accountId: changes.accountId, account: changes.account }
+    );
+    if (reconciliation) {
+      locked.push({ transactionId: transaction.id, reconciliationId: reconciliation.id });
+    }
+  }
+  return locked;
+}
+
+const mergeTags = (current, changes) => {
+  const tags = new Set(current || []);
+  (changes.addTags || []).forEach(tag => tags.add(tag));
+  (changes.removeTags || []).forEach(tag => tags.delete(tag));
+  return [...tags];
+};
+
+/**
+ * Apply a bulk edit. With dryRun nothing is written and the counts say what
+ * would happen.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Object} where - Selection from buildBulkSelection
+ * @param {Object} changes - Changes from validateBulkChanges
+ * @param {Object} options - { remove, dryRun, confirmReconciled }
+ * @returns {Promise<Object>} { dryRun, matched, updated, deleted, locked }
+ */
+async function applyBulkEdit(sequelize, where, changes, options = {}) {
+  const { Transaction } = sequelize.models;
+  const { remove = false, dryRun = false, confirmReconciled = false } = options;
+
+  const transactions = await Transaction.findAll({ where, attributes: ['id', 'date', 'amount', 'type', 'transferDirection', 'accountId', 'account', 'tags'] });
+  const locked = await findLockedTransactions(sequelize.models, transactions, changes, remove);
+  const result = { dryRun, matched: transactions.length, updated: 0, deleted: 0, locked };
+
+  if (dryRun || transactions.length === 0 || (locked.length > 0 && !confirmReconciled)) {
+    return result;
+  }
+
+  const ids = transactions.map(transaction => transaction.id);
+  const audit = { source: 'bulk' };
+
+  await sequelize.transaction(async (dbTransaction) => {
+    if (remove) {
+      // Transfers paired with a deleted transaction go back to income/expense
+      const counterparts = await Transaction.findAll({
+        where: { transferPairId: { [Op.in]: ids }, id: { [Op.notIn]: ids } },
+        transaction: dbTransaction
+      });
+      for (const counterpart of counterparts) {
+        await counterpart.update({
+          type: typeForDirection(counterpart.transferDirection),
+          transferDirection: null,
+          transferPairId: null
+        }, { transaction: dbTransaction, audit });
+      }
+
+      result.deleted = await Transaction.destroy({ where: { id: { [Op.in]: ids } }, transaction: dbTransaction, audit });
+      return;
+    }
+
+    const { addTags, removeTags, ...values } = changes;
+    if (Object.keys(values).length > 0) {
+      const [updated] = await Transaction.update(values, { where: { id: { [Op.in]: ids } }, transaction: dbTransaction, audit });
+      result.updated = updated;
+    }
+
+    // Tags differ per transaction, so they are merged row by row
+    if (addTags || removeTags) {
+      const rows = await Transaction.findAll({ where: { id: { [Op.in]: ids } }, transaction: dbTransaction });
+      for (const row of rows) {
+        await row.update({ tags: mergeTags(row.tags, changes) }, { transaction: dbTransaction, audit });
+      }
+      result.updated = rows.length;
+    }
+  });
+
+  return result;
+}
+
+module.exports = {
+  MAX_BULK_IDS,
+  buildBulkSelection,
+  validateBulkChanges,
+  validateBulkReferences,
+  applyBulkEdit
+};
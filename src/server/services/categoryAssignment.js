@@ -0,0 +1,61 @@
+/**
+ * Checks on the category and subcategory given to transactions, shared by
+ * single and bulk edits
+ */
+
+// Transaction types whose category must be of the same type; transfers can
+// take any category
+const TYPED_TRANSACTIONS = ['income', 'expense'];
+
+/**
+ * Check a category and subcategory change against the transactions it is
+ * applied to: both must exist, the subcategory must sit under the category
+ * each transaction ends up with, and the category's type must match the
+ * transactions' type
+ * @param {Model} Category - Sequelize Category model
+ * @param {Object} changes - { categoryId, subcategoryId }; an undefined field is
+ *   left as it is, null clears it
+ * @param {Array} transactions - Array of { type, categoryId } as they will be
+ *   apart from these changes
+ * @returns {Promise<Array>} Array of { field, message } errors (empty when valid)
+ */
+async function validateCategoryAssignment(Category, changes, transactions) {
+  const errors = [];
+  const { categoryId, subcategoryId } = changes;
+
+  const category = categoryId ? await Category.findByPk(categoryId) : null;
+  if (categoryId && !category) {
+    errors.push({ field: 'categoryId', message: 'Category not found' });
+  }
+  const subcategory = subcategoryId ? await Category.findByPk(subcategoryId) : null;
+  if (subcategoryId && !subcategory) {
+    errors.push({ field: 'subcategoryId', message: 'Category not found' });
+  }
+  if (errors.length > 0) return errors;
+
+  if (category) {
+    const mismatched = transactions.find(tx => TYPED_TRANSACTIONS.includes(tx.type) && tx.type !== category.type);
+    if (mismatched) {
+      errors.push({
+        field: 'categoryId',
+        message: `"${category.name}" is an ${category.type} category but the transaction is ${mismatched.type}`
+      });
+    }
+  }
+
+  if (subcategory) {
+    const outside = transactions.some(tx => {
+      const effectiveCategoryId = categoryId !== undefined ? categoryId : tx.categoryId;
+      return !effectiveCategoryId || String(subcategory.parentId) !== String(effectiveCategoryId);
+    });
+    if (outside) {
+      errors.push({ field: 'subcategoryId', message: `"${subcategory.name}" is not a subcategory of the transaction's category` });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateCategoryAssignment
+};
@@ -0,0 +1,203 @@
+/**
+ * Category merges: everything that points at a source category is moved to a
+ * target category and the source is deleted, in one database transaction.
+ * Deleting a category with a reassignment target is the same operation.
+ */
+const { Op } = require('sequelize');
+
+// Transaction and split columns holding a category
+const TRANSACTION_COLUMNS = ['categoryId', 'subcategoryId', 'suggestedCategoryId'];
+const SPLIT_COLUMNS = ['categoryId', 'subcategoryId'];
+
+const ruleRefersTo = (rule, categoryId) => {
+  const actions = rule.actions || {};
+  return actions.categoryId === categoryId || actions.subcategoryId === categoryId;
+};
+
+/**
+ * Check that a category can be merged into another one
+ * @param {Model} Category - Category model
+ * @param {Object} source - Category that disappears
+ * @param {Object} target - Category that receives its rows
+ * @returns {Promise<Array>} Array of { field, message } errors
+ */
+async function validateCategoryMerge(Category, source, target) {
+  if (source.id === target.id) {
+    return [{ field: 'targetId', message: 'A category cannot be merged into itself' }];
+  }
+  if (source.type !== target.type) {
+    return [{ field: 'targetId', message: `Target must also be an ${source.type} category` }];
+  }
+
+  // Moving the children to one of their own descendants would create a cycle
+  const seen = new Set();
+  let parentId = target.parentId;
+  while (parentId && !seen.has(parentId)) {
+    if (parentId === source.id) {
+      return [{ field: 'targetId', message: 'A category cannot be merged into one of its own subcategories' }];
+    }
+    seen.add(parentId);
+    const parent = await Category.findByPk(parentId, { attributes: ['id', 'parentId'] });
+    parentId = parent ? parent.parentId : null;
+  }
+
+  return [];
+}
+
+/**
+ * Count the rows that a merge of source into target would move
+ * @param {Object} models - Sequelize models
+ * @param {Object} source - Category that disappears
+ * @param {Object} target - Category that receives its rows
+ * @param {Object} [options] - Sequelize options (e.g. transaction)
+ * @returns {Promise<Object>} { moved: counts per kind of row, budgetsDropped }
+ */
+async function previewCategoryMerge(models, source, target, options = {}) {
+  const { Category, Transaction, TransactionSplit, Budget, RecurringSeries, Merchant, Rule } = models;
+  const { transaction } = options;
+  const count = (model, where) => (model ? model.count({ where, transaction }) : 0);
+
+  const [transactions, subcategoryReferences, suggestedReferences] = await Promise.all(
+    TRANSACTION_COLUMNS.map(column => count(Transaction, { [column]: source.id }))
+  );
+  const splits = await count(TransactionSplit, {
+    [Op.or]: SPLIT_COLUMNS.map(column => ({ [column]: source.id }))
+  });
+  const childCategories = await count(Category, { parentId: source.id });
+  const recurringSeries = await count(RecurringSeries, { categoryId: source.id });
+  const merchants = await count(Merchant, { defaultCategoryId: source.id });
+  const rules = Rule
+    ? (await Rule.findAll({ attributes: ['id', 'actions'], transaction })).filter(rule => ruleRefersTo(rule, source.id)).length
+    : 0;
+
+  // Budgets are unique per category and period; the target's own budget wins
+  let budgets = 0;
+  let budgetsDropped = 0;
+  if (Budget) {
+    const targetPeriods = new Set((await Budget.findAll({ where: { categoryId: target.id }, transaction }))
+      .map(budget => budget.period));
+    (await Budget.findAll({ where: { categoryId: source.id }, transaction })).forEach(budget => {
+      if (targetPeriods.has(budget.period)) {
+        budgetsDropped++;
+      } else {
+        budgets++;
+      }
+    });
+  }
+
+  return {
+    moved: {
+      transactions,
+      subcategoryReferences,
+      suggestedReferences,
+      splits,
+      childCategories,
+      budgets,
+      recurringSeries,
+      merchants,
+      rules
+    },
+    budgetsDropped
+  };
+}
+
+/**
+ * Move everything that points at source to target, then delete source. With
+ * dryRun nothing is written and the counts say what would move.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Object} source - Category that disappears
+ * @param {Object} target - Category that receives its rows
+ * @param {Object} [options] - { dryRun }
+ * @returns {Promise<Object>} { dryRun, source, target, moved, budgetsDropped }
+ */
+async function mergeCategories(sequelize, source, target, options = {}) {
+  const { Category, Transaction, TransactionSplit, Budget, RecurringSeries, Merchant, Rule } = sequelize.models;
+  const summary = (category) => ({ id: category.id, name: category.name });
+
+  if (options.dryRun) {
+    return {
+      dryRun: true,
+      source: summary(source),
+      target: summary(target),
+      ...await previewCategoryMerge(sequelize.models, source, target)
+    };
+  }
+
+  const result = await sequelize.transaction(async (t) => {
+    // Counted inside the transaction so the numbers match what is moved
+    const preview = await previewCategoryMerge(sequelize.models, source, target, { transaction: t });
+    const audit = { source: 'bulk' };
+
+    for (const column of TRANSACTION_COLUMNS) {
+      await Transaction.update(
+        { [column]: target.id },
+        { where: { [column]: source.id }, transaction: t, audit }
+      );
+    }
+    // A transaction whose category and subcategory both became the target only needs the category
+    await Transaction.update(
+      { subcategoryId: null },
+      { where: { categoryId: target.id, subcategoryId: target.id }, transaction: t, audit }
+    );
+
+    if (TransactionSplit) {
+      for (const column of SPLIT_COLUMNS) {
+        await TransactionSplit.update({ [column]: target.id }, { where: { [column]: source.id }, transaction: t });
+      }
+      await TransactionSplit.update(
+        { subcategoryId: null },
+        { where: { categoryId: target.id, subcategoryId: target.id }, transaction: t }
+      );
+    }
+
+    await Category.update({ parentId: target.id }, { where: { parentId: source.id }, transaction: t, audit });
+
+    if (Budget) {
+      const targetPeriods = new Set((await Budget.findAll({ where: { categoryId: target.id }, transaction: t }))
+        .map(budget => budget.period));
+      for (const budget of await Budget.findAll({ where: { categoryId: source.id }, transaction: t })) {
+        if (targetPeriods.has(budget.period)) {
+          await budget.destroy({ transaction: t });
+        } else {
+          await budget.update({ categoryId: target.id }, { transaction: t });
+        }
+      }
+    }
+
+    if (RecurringSeries) {
+      await RecurringSeries.update({ categoryId: target.id }, { where: { categoryId: source.id }, transaction: t });
+    }
+    if (Merchant) {
+      await Merchant.update({ defaultCategoryId: target.id }, { where: { defaultCategoryId: source.id }, transaction: t });
+    }
+    if (Rule) {
+      for (const rule of await Rule.findAll({ transaction: t })) {
+        if (ruleRefersTo(rule, source.id)) {
+          const actions = { ...rule.actions };
+          ['categoryId', 'subcategoryId'].forEach(field => {
+            if (actions[field] === source.id) {
+              actions[field] = target.id;
+            }
+          });
+          await rule.update({ actions }, { transaction: t });
+        }
+      }
+    }
+
+    await source.destroy({ transaction: t });
+    return preview;
+  });
+
+  return {
+    dryRun: false,
+    source: summary(source),
+    target: summary(target),
+    ...result
+  };
+}
+
+module.exports = {
+  validateCategoryMerge,
+  previewCategoryMerge,
+  mergeCategories
+};
@@ -2,6 +2,7 @@ const natural = require('natural');
 const { getModels } = require('../db/sequelize');
 const { Op } = require('sequelize');
 const openaiService = require('./openai');
+const { matchMerchant } = require('./merchants');
 
 /**
  * Service to suggest categories for transactions based on their descriptions with confidence scoring
@@ -11,17 +12,6 @@ class CategorySuggestionService {
     this.tokenizer = new natural.WordTokenizer();
     this.classifier = new natural.BayesClassifier();
     this.trained = false;
-    this.categoryCache = new Map(); // Cache for suggestions
-    
-    // Check if OpenAI is available safely
-    try {
-      this.useOpenAI = openaiService && 
-                       typeof openaiService.isAvailable === 'function' && 
-                       openaiService.isAvailable();
-    } catch (error) {
-      console.warn('[CategorySuggestion] Error checking OpenAI availability:', error.message);
-      this.useOpenAI = false;
-    }
 
     // Set up keyword-based fallback categorization
     this.setupKeywordMatcher();
@@ -33,6 +23,20 @@ class CategorySuggestionService {
     }
   }
   
+  /**
+   * Whether the AI provider can be used right now. Checked on every use, as
+   * the provider can be switched while the server runs.
+   * @returns {boolean}
+   */
+  get useOpenAI() {
+    try {
+      return openaiService.isAvailable();
+    } catch (error) {
+      console.warn('[CategorySuggestion] Error checking OpenAI availability:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Setup keyword-based matcher for fallback categorization
    */
@@ -211,14 +215,57 @@ class CategorySuggestionService {
     return tokens.join(' ');
   }
 
+  /**
+   * Suggest a category from the merchant a description belongs to
+   * @param {string} description - Transaction description
+   * @returns {Promise<Object|null>} Suggestion, or null when the merchant is unknown or has no usual category
+   */
+  async suggestFromMerchant(description) {
+    const { Merchant, Transaction } = getModels();
+    if (!Merchant) return null;
+
+    const merchant = matchMerchant(await Merchant.findAll(), description);
+    if (!merchant) return null;
+
+    if (merchant.defaultCategoryId) {
+      return {
+        categoryId: merchant.defaultCategoryId,
+        confidence: 0.95,
+        suggestionSource: 'merchant-default',
+        reasoning: `Default category of merchant "${merchant.name}"`
+      };
+    }
+
+    const recent = await Transaction.findAll({
+      where: { merchantId: merchant.id, categoryId: { [Op.not]: null } },
+      attributes: ['categoryId'],
+      order: [['date', 'DESC']],
+      limit: 20
+    });
+    if (recent.length === 0) return null;
+
+    const counts = recent.reduce((acc, tx) => acc.set(tx.categoryId, (acc.get(tx.categoryId) || 0) + 1), new Map());
+    const [categoryId, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    return {
+      categoryId,
+      confidence: Math.min(0.9, 0.6 + 0.3 * (count / recent.length)),
+      suggestionSource: 'merchant-history',
+      reasoning: `${count} of ${recent.length} recent "${merchant.name}" transactions use this category`
+    };
+  }
+
   /**
    * Suggest a category for a transaction based on its description
    * @param {string} description - Transaction description
    * @param {number} amount - Transaction amount (optional)
    * @param {string} type - Transaction type (optional)
+   * @param {Object} options - Suggestion options
+   * @param {boolean} options.forceProvider - Ask the AI provider first, before
+   *   the merchant and history matches (still only when it is available)
    * @returns {Promise<{categoryId: string, confidence: number, suggestionSource: string, reasoning: string}>} Suggested category and confidence
    */
-  async suggestCategory(description, amount = null, type = 'expense') {
+  async suggestCategory(description, amount = null, type = 'expense', options = {}) {
+    const forceProvider = Boolean(options.forceProvider);
     try {
       console.log('[CategorySuggestion] Starting suggestion for:', { description, amount, type });
 
@@ -240,8 +287,15 @@ class CategorySuggestionService {
         throw new Error(`Failed to initialize database models: ${modelError.message}`);
       }
 
+      // The merchant's default category, or what its transactions are usually
+      // filed under, beats any guess from the description's wording
+      const merchantSuggestion = forceProvider ? null : await this.suggestFromMerchant(description);
+      if (merchantSuggestion) {
+        return merchantSuggestion;
+      }
+
       // Check if we're a new user (less than 10 categorized transactions)
-      const categorizedCount = await Transaction.count({
+      const categorizedCount = forceProvider ? 0 : await Transaction.count({
         where: {
           categoryId: {
             [Op.not]: null
@@ -249,10 +303,10 @@ class CategorySuggestionService {
         }
       });
 
-      // For new users, try AI first
+      // For new users, or when asked to, try AI first
       if (categorizedCount < 10 && this.useOpenAI) {
         try {
-          console.log('New user detected, trying OpenAI first');
+          console.log(forceProvider ? 'Provider requested, trying OpenAI first' : 'New user detected, trying OpenAI first');
           const categories = await Category.findAll();
           const openaiSuggestion = await openaiService.categorizeTransaction(
             description,
@@ -289,7 +343,7 @@ class CategorySuggestionService {
               categoryId,
               confidence: finalConfidence,
               openaiSuggestion: openaiSuggestion.categoryName,
-              suggestionSource: 'openai-new-user',
+              suggestionSource: forceProvider ? 'openai-forced' : 'openai-new-user',
               reasoning: openaiSuggestion.reasoning
             };
           }
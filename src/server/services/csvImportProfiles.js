@@ -0,0 +1,407 @@
+/**
+ * CSV parsing driven by saved import profiles: explicit column mapping, date
+ * format, decimal separator and sign convention per institution, plus
+ * automatic profile selection by header signature
+ */
+const fs = require('fs');
+const path = require('path');
+const { parse: csvParse } = require('csv-parse/sync');
+const Transaction = require('../models/transaction');
+
+const MAPPABLE_FIELDS = ['date', 'description', 'amount', 'debit', 'credit', 'type',
+  'balance', 'merchant', 'reference', 'currency'];
+const SIGN_CONVENTIONS = ['negative_expense', 'positive_expense', 'debit_credit', 'type_column'];
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+// Type column values that mean money left the account
+const EXPENSE_TYPE_VALUES = ['debit', 'dr', 'expense', 'withdrawal', 'payment', 'purchase', 'sale'];
+
+/**
+ * Normalize a header cell for comparison
+ * @param {string} header - Header text
+ * @returns {string} Lowercased, trimmed header with collapsed whitespace
+ */
+function normalizeHeader(header) {
+  return String(header || '').replace(/^\uFEFF/, '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build the signature identifying a CSV layout from its header row
+ * @param {Array} headers - Header cells
+ * @returns {string} Signature string
+ */
+function headerSignature(headers) {
+  return (headers || []).map(normalizeHeader).filter(Boolean).join('|');
+}
+
+/**
+ * Validate profile data
+ * @param {Object} data - Profile fields
+ * @returns {Array} Array of { field, message } errors (empty when valid)
+ */
+function validateProfile(data) {
+  const errors = [];
+  const mapping = data.columnMapping || {};
+
+  Object.keys(mapping).forEach(field => {
+    if (!MAPPABLE_FIELDS.includes(field)) {
+      errors.push({ field: `columnMapping.${field}`, message: `Field must be one of: ${MAPPABLE_FIELDS.join(', ')}` });
+    }
+  });
+
+  if (mapping.date === undefined) {
+    errors.push({ field: 'columnMapping.date', message: 'A date column is required' });
+  }
+  if (mapping.description === undefined) {
+    errors.push({ field: 'columnMapping.description', message: 'A description column is required' });
+  }
+
+  const convention = data.signConvention || 'negative_expense';
+  if (!SIGN_CONVENTIONS.includes(convention)) {
+    errors.push({ field: 'signConvention', message: `Sign convention must be one of: ${SIGN_CONVENTIONS.join(', ')}` });
+  } else if (convention === 'debit_credit') {
+    if (mapping.debit === undefined || mapping.credit === undefined) {
+      errors.push({ field: 'columnMapping', message: 'Debit and credit columns are required for the debit_credit convention' });
+    }
+  } else if (mapping.amount === undefined) {
+    errors.push({ field: 'columnMapping.amount', message: 'An amount column is required' });
+  }
+  if (convention === 'type_column' && mapping.type === undefined) {
+    errors.push({ field: 'columnMapping.type', message: 'A type column is required for the type_column convention' });
+  }
+
+  if (data.dateFormat !== undefined && !/(YY|M|D)/.test(data.dateFormat)) {
+    errors.push({ field: 'dateFormat', message: 'Date format must contain YYYY/YY, MM/MMM/M and DD/D tokens' });
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a date string according to a format such as DD/MM/YYYY or D MMM YYYY
+ * @param {string} value - Date text
+ * @param {string} format - Format using YYYY, YY, MMM, MM, M, DD, D tokens
+ * @param {number} [defaultYear] - Year used when the format has no year (e.g. MM/DD)
+ * @returns {string|null} Date in YYYY-MM-DD format, or null when it does not match
+ */
+function parseDate(value, format, defaultYear) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const tokens = [];
+  const pattern = String(format || 'YYYY-MM-DD')
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/YYYY|YY|MMM|MM|M|DD|D/g, token => {
+      tokens.push(token);
+      if (token === 'MMM') return '([A-Za-z]{3,})';
+      if (token === 'YYYY') return '(\\d{4})';
+      return token.length === 1 ? '(\\d{1,2})' : '(\\d{2})';
+    });
+
+  const match = text.match(new RegExp(`^${pattern}`));
+  if (!match) return null;
+
+  let year;
+  let month;
+  let day;
+  tokens.forEach((token, index) => {
+    const part = match[index + 1];
+    if (token === 'YYYY') year = parseInt(part);
+    else if (token === 'YY') year = 2000 + parseInt(part);
+    else if (token === 'MMM') month = MONTHS[part.slice(0, 3).toLowerCase()];
+    else if (token.startsWith('M')) month = parseInt(part);
+    else day = parseInt(part);
+  });
+  year = year || defaultYear;
+
+  if (!year || !month || !day || month > 12) return null;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1) return null; // e.g. 31/02
+
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse an amount using the profile's decimal separator. Handles currency
+ * symbols, thousands separators, parentheses and trailing minus signs.
+ * @param {string|number} value - Amount text
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {number|null} Signed amount, or null when the cell is empty or not a number
+ */
+function parseAmount(value, decimalSeparator = '.') {
+  if (typeof value === 'number') return value;
+
+  let text = String(value || '').trim();
+  if (!text) return null;
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  if (/-$/.test(text)) {
+    negative = true;
+    text = text.slice(0, -1);
+  }
+
+  text = text.replace(/[^\d.,-]/g, '');
+  text = decimalSeparator === ','
+    ? text.replace(/\./g, '').replace(',', '.')
+    : text.replace(/,/g, '');
+
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return null;
+
+  return negative ? -Math.abs(amount) : amount;
+}
+
+/**
+ * Find the index of a mapped column
+ * @param {Array} headers - Header cells
+ * @param {string|number} ref - Header name or zero-based index
+ * @returns {number} Column index, or -1 when not found
+ */
+function columnIndex(headers, ref) {
+  if (typeof ref === 'number') return ref;
+  if (/^\d+$/.test(String(ref))) return parseInt(ref);
+  return headers.map(normalizeHeader).indexOf(normalizeHeader(ref));
+}
+
+/**
+ * Split CSV content into the header row and data rows for a profile
+ * @param {string} content - CSV text
+ * @param {Object} profile - Import profile
+ * @returns {Object} { headers, rows, firstRowNumber }
+ */
+function readRows(content, profile) {
+  const records = csvParse(String(content).replace(/^\uFEFF/, ''), {
+    delimiter: profile.delimiter || ',',
+    relax_column_count: true,
+    relax_quotes: true,
+    skip_empty_lines: true,
+    trim: true
+  });
+
+  const headerIndex = profile.headerRowOffset || 0;
+  const firstRow = headerIndex + 1 + (profile.skipRows || 0);
+
+  return {
+    headers: records[headerIndex] || [],
+    rows: records.slice(firstRow),
+    // 1-based line number of the first data row, for error messages
+    firstRowNumber: firstRow + 1
+  };
+}
+
+/**
+ * Turn one CSV record into transaction data using a profile
+ * @param {Array} record - Row cells
+ * @param {Array} headers - Header cells
+ * @param {Object} profile - Import profile
+ * @returns {Object} Transaction data
+ */
+function mapRecord(record, headers, profile) {
+  const mapping = profile.columnMapping || {};
+  const cell = (field) => {
+    if (mapping[field] === undefined || mapping[field] === null || mapping[field] === '') return '';
+    const index = columnIndex(headers, mapping[field]);
+    return index >= 0 && index < record.length ? record[index] : '';
+  };
+
+  const date = parseDate(cell('date'), profile.dateFormat);
+  if (!date) {
+    throw new Error(`Date "${cell('date')}" does not match format ${profile.dateFormat}`);
+  }
+
+  const description = cell('description');
+  if (!description) {
+    throw new Error('Description is empty');
+  }
+
+  const decimalSeparator = profile.decimalSeparator || '.';
+  let amount;
+  let type;
+
+  switch (profile.signConvention || 'negative_expense') {
+    case 'debit_credit': {
+      const debit = parseAmount(cell('debit'), decimalSeparator);
+      const credit = parseAmount(cell('credit'), decimalSeparator);
+      if (debit) {
+        amount = Math.abs(debit);
+        type = 'expense';
+      } else if (credit) {
+        amount = Math.abs(credit);
+        type = 'income';
+      }
+      break;
+    }
+    case 'type_column': {
+      amount = parseAmount(cell('amount'), decimalSeparator);
+      const typeValue = String(cell('type')).toLowerCase();
+      type = EXPENSE_TYPE_VALUES.some(value => typeValue.includes(value)) ? 'expense' : 'income';
+      break;
+    }
+    case 'positive_expense':
+      amount = parseAmount(cell('amount'), decimalSeparator);
+      type = amount !== null && amount > 0 ? 'expense' : 'income';
+      break;
+    default:
+      amount = parseAmount(cell('amount'), decimalSeparator);
+      type = amount !== null && amount < 0 ? 'expense' : 'income';
+  }
+
+  if (amount === null || amount === undefined || isNaN(amount)) {
+    throw new Error('Amount is missing or not a number');
+  }
+
+  const balance = parseAmount(cell('balance'), decimalSeparator);
+
+  return {
+    date,
+    description,
+    amount: Math.abs(amount),
+    type,
+    balance: balance === null ? null : balance,
+    merchant: cell('merchant') || '',
+    reference: cell('reference') || null,
+    currency: cell('currency') || 'USD'
+  };
+}
+
+/**
+ * Parse CSV content with a profile
+ * @param {string} content - CSV text
+ * @param {Object} profile - Import profile (instance or plain object)
+ * @param {Object} options - Options
+ * @param {number} [options.limit] - Only parse the first N data rows
+ * @param {string} [options.fileName] - File name recorded as importSource
+ * @returns {Object} { headers, transactions, errors } where errors are { row, message }
+ */
+function parseWithProfile(content, profile, options = {}) {
+  const { headers, rows, firstRowNumber } = readRows(content, profile);
+  const selected = options.limit ? rows.slice(0, options.limit) : rows;
+
+  const transactions = [];
+  const errors = [];
+  selected.forEach((record, index) => {
+    try {
+      transactions.push(new Transaction({
+        ...mapRecord(record, headers, profile),
+        source: 'csv',
+        importSource: options.fileName || null
+      }));
+    } catch (error) {
+      errors.push({ row: firstRowNumber + index, message: error.message });
+    }
+  });
+
+  return { headers, transactions, errors };
+}
+
+/**
+ * Pick the profile whose saved header signature matches a file. An exact
+ * signature wins; otherwise the profile whose mapped columns all exist and
+ * whose saved headers overlap the most (at least 80%). PDF profiles are ignored.
+ * @param {Array} profiles - Saved profiles
+ * @param {string} content - CSV text
+ * @returns {Object|null} The matching profile or null
+ */
+function selectProfile(profiles, content) {
+  let best = null;
+  let bestScore = 0;
+
+  profiles.forEach(profile => {
+    if (profile.fileType === 'pdf') return;
+
+    let headers;
+    try {
+      headers = readRows(content, profile).headers;
+    } catch (error) {
+      return;
+    }
+    if (headers.length === 0) return;
+
+    if (profile.headerSignature && profile.headerSignature === headerSignature(headers)) {
+      if (bestScore < 2) {
+        best = profile;
+        bestScore = 2;
+      }
+      return;
+    }
+
+    const mapping = profile.columnMapping || {};
+    const allMapped = Object.values(mapping)
+      .filter(ref => ref !== undefined && ref !== null && ref !== '')
+      .every(ref => columnIndex(headers, ref) >= 0 && columnIndex(headers, ref) < headers.length);
+    if (!allMapped) return;
+
+    const saved = (profile.headers || []).map(normalizeHeader);
+    const found = headers.map(normalizeHeader);
+    const overlap = saved.length === 0 ? 0 :
+      saved.filter(header => found.includes(header)).length / Math.max(saved.length, found.length);
+
+    if (overlap >= 0.8 && overlap > bestScore) {
+      best = profile;
+      bestScore = overlap;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Parse a CSV file with an explicit profile or the best matching saved
+ * profile. Returns null when no profile applies, so callers can fall back to
+ * FileParser's column guessing.
+ * @param {string} filePath - Path to the CSV file
+ * @param {Model} ImportProfile - Sequelize ImportProfile model
+ * @param {Object} options - Options
+ * @param {string} [options.profileId] - Use this profile instead of auto-selection
+ * @param {string} [options.fileName] - Original file name (stored files may lack the .csv extension)
+ * @returns {Promise<Object|null>} { profile, transactions, errors } or null
+ */
+async function parseFileWithProfile(filePath, ImportProfile, options = {}) {
+  const fileName = options.fileName || path.basename(filePath);
+  if (path.extname(fileName).toLowerCase() !== '.csv' && !options.profileId) {
+    return null;
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  let profile;
+  if (options.profileId) {
+    profile = await ImportProfile.findByPk(options.profileId);
+    if (!profile) {
+      throw new Error(`Import profile ${options.profileId} not found`);
+    }
+    if (profile.fileType === 'pdf') {
+      throw new Error(`Import profile ${profile.name} is for PDF statements`);
+    }
+  } else {
+    profile = selectProfile(await ImportProfile.findAll(), content);
+    if (!profile) return null;
+  }
+
+  const { transactions, errors } = parseWithProfile(content, profile, { fileName });
+
+  return { profile, transactions, errors };
+}
+
+module.exports = {
+  MAPPABLE_FIELDS,
+  SIGN_CONVENTIONS,
+  normalizeHeader,
+  headerSignature,
+  validateProfile,
+  parseDate,
+  parseAmount,
+  readRows,
+  parseWithProfile,
+  selectProfile,
+  parseFileWithProfile
+};
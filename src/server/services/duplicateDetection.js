@@ -0,0 +1,154 @@
+/**
+ * Duplicate transaction detection for overlapping statement uploads
+ */
+const { Op } = require('sequelize');
+
+/**
+ * Normalize a transaction description for fingerprinting
+ * Lowercases, strips punctuation and collapses whitespace so that
+ * "AMAZON.COM*1234 " and "Amazon.com 1234" compare equal
+ * @param {string} description - Raw transaction description
+ * @returns {string} Normalized description
+ */
+function normalizeDescription(description) {
+  return String(description || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize a date value to YYYY-MM-DD
+ * @param {string|Date} date - Date value
+ * @returns {string} Date in YYYY-MM-DD format (or empty string)
+ */
+function normalizeDate(date) {
+  if (!date) return '';
+  if (date instanceof Date) {
+    return isNaN(date.getTime()) ? '' : date.toISOString().split('T')[0];
+  }
+  return String(date).split('T')[0];
+}
+
+/**
+ * Build a fingerprint for a transaction from its date, signed amount,
+ * normalized description and account
+ * @param {Object} transaction - Parsed row or Transaction instance
+ * @returns {string} Fingerprint string
+ */
+function generateFingerprint(transaction) {
+  const amount = Math.abs(parseFloat(transaction.amount) || 0).toFixed(2);
+  const isInflow = transaction.type === 'income' ||
+    (transaction.type === 'transfer' && transaction.transferDirection === 'inflow');
+  const signedAmount = isInflow ? amount : `-${amount}`;
+  const account = String(transaction.account || '').toLowerCase().trim();
+
+  return [
+    normalizeDate(transaction.date),
+    signedAmount,
+    normalizeDescription(transaction.description),
+    account
+  ].join('|');
+}
+
+/**
+ * Flag parsed rows that match transactions already stored in the database.
+ * Each existing transaction can only be matched once, so a file that legitimately
+ * contains two identical rows is only flagged as far as the database has copies.
+ * @param {Array} transactions - Parsed transaction rows
+ * @param {Model} Transaction - Sequelize Transaction model
+ * @param {Object} options - Options
+ * @param {string} [options.excludeUploadId] - Ignore stored rows from this upload
+ * @returns {Promise<Array>} Rows with fingerprint, isDuplicate and duplicateOf set
+ */
+async function flagDuplicates(transactions, Transaction, options = {}) {
+  if (!transactions || transactions.length === 0) {
+    return [];
+  }
+
+  const dates = transactions
+    .map(tx => normalizeDate(tx.date))
+    .filter(Boolean)
+    .sort();
+
+  const where = {};
+  if (dates.length > 0) {
+    where.date = { [Op.between]: [dates[0], dates[dates.length - 1]] };
+  }
+  if (options.excludeUploadId) {
+    where[Op.or] = [
+      { uploadId: null },
+      { uploadId: { [Op.ne]: options.excludeUploadId.toString() } }
+    ];
+  }
+
+  const existing = await Transaction.findAll({
+    where,
+    attributes: ['id', 'date', 'amount', 'type', 'transferDirection', 'description', 'account', 'uploadId']
+  });
+
+  // Index existing transactions by fingerprint
+  const existingByFingerprint = new Map();
+  existing.forEach(tx => {
+    const fingerprint = generateFingerprint(tx);
+    if (!existingByFingerprint.has(fingerprint)) {
+      existingByFingerprint.set(fingerprint, []);
+    }
+    existingByFingerprint.get(fingerprint).push(tx);
+  });
+
+  return transactions.map(tx => {
+    const fingerprint = generateFingerprint(tx);
+    const matches = existingByFingerprint.get(fingerprint);
+    const match = matches && matches.length > 0 ? matches.shift() : null;
+
+    return {
+      ...tx,
+      fingerprint,
+      isDuplicate: !!match,
+      duplicateOf: match ? match.id : null,
+      duplicateUploadId: match ? match.uploadId : null
+    };
+  });
+}
+
+/**
+ * Merge fields from a duplicate row into the existing transaction, filling
+ * gaps without overwriting data that was already reviewed
+ * @param {Model} existing - Existing Transaction instance
+ * @param {Object} row - Duplicate parsed row
+ * @param {Object} options - Sequelize options (e.g. transaction)
+ * @returns {Promise<Model>} The updated transaction
+ */
+async function mergeDuplicate(existing, row, options = {}) {
+  const updates = {};
+
+  ['merchant', 'notes', 'balance', 'accountType', 'categoryId', 'subcategoryId'].forEach(field => {
+    const current = existing[field];
+    if ((current === null || current === undefined || current === '') &&
+        row[field] !== null && row[field] !== undefined && row[field] !== '') {
+      updates[field] = row[field];
+    }
+  });
+
+  const existingTags = Array.isArray(existing.tags) ? existing.tags : [];
+  const rowTags = Array.isArray(row.tags) ? row.tags : [];
+  const mergedTags = [...new Set([...existingTags, ...rowTags])];
+  if (mergedTags.length !== existingTags.length) {
+    updates.tags = mergedTags;
+  }
+
+  if (Object.keys(updates).length === 0) {
+    return existing;
+  }
+
+  return existing.update(updates, options);
+}
+
+module.exports = {
+  normalizeDescription,
+  generateFingerprint,
+  flagDuplicates,
+  mergeDuplicate
+};
@@ -0,0 +1,246 @@
+/**
+ * Exchange rates: validation, CSV import and conversion of transaction
+ * amounts into the settings base currency at the transaction date
+ */
+const { Op } = require('sequelize');
+const { parse: csvParse } = require('csv-parse/sync');
+const { normalizeHeader, parseDate } = require('./csvImportProfiles');
+const { dayDifferenceSql } = require('../db/sqlDialect');
+const { walletCondition } = require('./walletScope');
+
+const DEFAULT_CURRENCY = 'USD';
+
+// Accepted CSV header names for each rate field
+const CSV_COLUMNS = {
+  date: ['date', 'day', 'as of'],
+  fromCurrency: ['from', 'from currency', 'currency', 'base', 'source'],
+  toCurrency: ['to', 'to currency', 'quote', 'target'],
+  rate: ['rate', 'exchange rate', 'value', 'close']
+};
+
+/**
+ * Normalize a currency code
+ * @param {string} value - Currency code
+ * @returns {string} Uppercased, trimmed code
+ */
+function normalizeCurrency(value) {
+  return String(value || '').trim().toUpperCase();
+}
+
+/**
+ * Get the currency reports are converted into
+ * @param {Model} Settings - Sequelize Settings model
+ * @returns {Promise<string>} Base currency code
+ */
+async function getBaseCurrency(Settings) {
+  const settings = await Settings.findOne();
+  return normalizeCurrency(settings && settings.currency) || DEFAULT_CURRENCY;
+}
+
+/**
+ * Validate exchange rate data
+ * @param {Object} data - { date, fromCurrency, toCurrency, rate }
+ * @returns {Array} Array of { field, message } errors (empty when valid)
+ */
+function validateRate(data) {
+  const errors = [];
+  const fromCurrency = normalizeCurrency(data.fromCurrency);
+  const toCurrency = normalizeCurrency(data.toCurrency);
+
+  if (!data.date || !/^\d{4}-\d{2}-\d{2}$/.test(data.date) || isNaN(new Date(data.date).getTime())) {
+    errors.push({ field: 'date', message: 'Date must be in YYYY-MM-DD format' });
+  }
+  if (!/^[A-Z]{3}$/.test(fromCurrency)) {
+    errors.push({ field: 'fromCurrency', message: 'Currency must be a three-letter code' });
+  }
+  if (!/^[A-Z]{3}$/.test(toCurrency)) {
+    errors.push({ field: 'toCurrency', message: 'Currency must be a three-letter code' });
+  } else if (fromCurrency === toCurrency) {
+    errors.push({ field: 'toCurrency', message: 'Currencies must differ' });
+  }
+  if (!(parseFloat(data.rate) > 0)) {
+    errors.push({ field: 'rate', message: 'Rate must be a number greater than zero' });
+  }
+
+  return errors;
+}
+
+/**
+ * Parse exchange rates from CSV text with a header row such as
+ * "date,from,to,rate". The "to" column may be omitted when every rate is
+ * quoted in the same currency (options.toCurrency).
+ * @param {string} content - CSV text
+ * @param {Object} options - Options
+ * @param {string} [options.toCurrency] - Currency to use when there is no "to" column
+ * @param {string} [options.dateFormat] - Date format of the date column (default YYYY-MM-DD)
+ * @returns {Object} { rates, errors } where errors are { row, message }
+ */
+function parseRatesCsv(content, options = {}) {
+  const records = csvParse(String(content).replace(/^\uFEFF/, ''), {
+    delimiter: options.delimiter || ',',
+    relax_column_count: true,
+    skip_empty_lines: true,
+    trim: true
+  });
+
+  const headers = (records[0] || []).map(normalizeHeader);
+  const columns = {};
+  Object.entries(CSV_COLUMNS).forEach(([field, names]) => {
+    columns[field] = headers.findIndex(header => names.includes(header));
+  });
+
+  const missing = ['date', 'fromCurrency', 'rate'].filter(field => columns[field] < 0);
+  if (columns.toCurrency < 0 && !options.toCurrency) {
+    missing.push('toCurrency');
+  }
+  if (missing.length > 0) {
+    return { rates: [], errors: [{ row: 1, message: `Missing column(s): ${missing.join(', ')}` }] };
+  }
+
+  const rates = [];
+  const errors = [];
+  records.slice(1).forEach((record, index) => {
+    const row = index + 2;
+    const data = {
+      date: parseDate(record[columns.date], options.dateFormat || 'YYYY-MM-DD'),
+      fromCurrency: normalizeCurrency(record[columns.fromCurrency]),
+      toCurrency: normalizeCurrency(columns.toCurrency >= 0 ? record[columns.toCurrency] : options.toCurrency),
+      rate: String(record[columns.rate] || '').replace(',', '.'),
+      source: 'csv'
+    };
+
+    const rowErrors = validateRate(data);
+    if (rowErrors.length > 0) {
+      errors.push({ row, message: rowErrors.map(error => error.message).join('; ') });
+      return;
+    }
+    rates.push({ ...data, rate: parseFloat(data.rate) });
+  });
+
+  return { rates, errors };
+}
+
+/**
+ * Insert rates, replacing any existing rate for the same currency pair and date
+ * @param {Model} ExchangeRate - Sequelize ExchangeRate model
+ * @param {Array} rates - Validated rate data
+ * @param {Object} options - Sequelize query options (e.g. { transaction })
+ * @returns {Promise<Array>} Saved ExchangeRate instances
+ */
+async function upsertRates(ExchangeRate, rates, options = {}) {
+  if (rates.length === 0) return [];
+
+  return ExchangeRate.bulkCreate(rates.map(rate => ({
+    ...rate,
+    fromCurrency: normalizeCurrency(rate.fromCurrency),
+    toCurrency: normalizeCurrency(rate.toCurrency)
+  })), {
+    updateOnDuplicate: ['rate', 'source', 'updatedAt'],
+    ...options
+  });
+}
+
+/**
+ * Find the rate converting one currency into another on a date: the latest
+ * rate on or before the date, else the earliest one after it. Rates stored
+ * for the inverse pair count too (inverted); on equal dates the direct pair wins.
+ * @param {Model} ExchangeRate - Sequelize ExchangeRate model
+ * @param {string} fromCurrency - Currency of the amount
+ * @param {string} toCurrency - Target currency
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} { rate, date, inverted } or null when no rate is known
+ */
+async function findRate(ExchangeRate, fromCurrency, toCurrency, date) {
+  const from = normalizeCurrency(fromCurrency);
+  const to = normalizeCurrency(toCurrency);
+  if (from === to) {
+    return { rate: 1, date, inverted: false };
+  }
+
+  const candidates = await Promise.all([
+    [from, to, { [Op.lte]: date }, 'DESC'],
+    [to, from, { [Op.lte]: date }, 'DESC'],
+    [from, to, { [Op.gt]: date }, 'ASC'],
+    [to, from, { [Op.gt]: date }, 'ASC']
+  ].map(([pairFrom, pairTo, dateCondition, direction]) => ExchangeRate.findOne({
+    where: { fromCurrency: pairFrom, toCurrency: pairTo, date: dateCondition },
+    order: [['date', direction]]
+  })));
+
+  const [before, beforeInverse, after, afterInverse] = candidates;
+  const pick = (direct, inverse, closer) => {
+    if (direct && inverse) {
+      if (direct.date === inverse.date) return direct;
+      return closer(direct.date, inverse.date) ? direct : inverse;
+    }
+    return direct || inverse;
+  };
+  const match = pick(before, beforeInverse, (a, b) => a > b) || pick(after, afterInverse, (a, b) => a < b);
+  if (!match) return null;
+
+  const inverted = match.fromCurrency !== from;
+  const rate = parseFloat(match.rate);
+  return { rate: inverted ? 1 / rate : rate, date: match.date, inverted };
+}
+
+/**
+ * Convert an amount into another currency at a date
+ * @param {Model} ExchangeRate - Sequelize ExchangeRate model
+ * @param {number|string} amount - Amount
+ * @param {string} fromCurrency - Currency of the amount
+ * @param {string} toCurrency - Target currency
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} { amount, rate, rateDate } or null when no rate is known
+ */
+async function convertAmount(ExchangeRate, amount, fromCurrency, toCurrency, date) {
+  const found = await findRate(ExchangeRate, fromCurrency, toCurrency, date);
+  if (!found) return null;
+
+  return {
+    amount: Math.round(parseFloat(amount) * found.rate * 100) / 100,
+    rate: found.rate,
+    rateDate: found.date
+  };
+}
+
+/**
+ * SQL expression for the rate converting a transaction row into the base
+ * currency (bound as :baseCurrency), following the same rules as findRate.
+ * Only the current wallet's rates are used, so the query needs
+ * walletReplacements(). Evaluates to NULL when no rate is known.
+ * @param {Sequelize} sequelize - Sequelize instance the query runs on
+ * @param {string} alias - Alias of the transactions table in the query
+ * @returns {string} SQL expression
+ */
+function exchangeRateSql(sequelize, alias = 't') {
+  // The sort keys are computed in a derived table because SQLite does not
+  // resolve outer columns in a subquery's ORDER BY
+  return `(CASE WHEN ${alias}.currency = :baseCurrency THEN 1 ELSE (
+    SELECT candidates.rate
+    FROM (
+      SELECT
+        CASE WHEN r.from_currency = ${alias}.currency THEN r.rate ELSE 1.0 / r.rate END AS rate,
+        (r.date > ${alias}.date) AS is_later,
+        ABS(${dayDifferenceSql(sequelize, 'r.date', `${alias}.date`)}) AS distance,
+        (r.from_currency = ${alias}.currency) AS is_direct
+      FROM exchange_rates r
+      WHERE ((r.from_currency = ${alias}.currency AND r.to_currency = :baseCurrency)
+         OR (r.from_currency = :baseCurrency AND r.to_currency = ${alias}.currency))
+        AND ${walletCondition(sequelize, 'r.wallet_id')}
+    ) candidates
+    ORDER BY candidates.is_later, candidates.distance, candidates.is_direct DESC
+    LIMIT 1
+  ) END)`;
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  normalizeCurrency,
+  getBaseCurrency,
+  validateRate,
+  parseRatesCsv,
+  upsertRates,
+  findRate,
+  convertAmount,
+  exchangeRateSql
+};
@@ -2,9 +2,9 @@ const fs = require('fs');
 const { parse: csvParse } = require('csv-parse');
 const xml2js = require('xml2js');
 const XLSX = require('xlsx');
-const pdfParse = require('pdf-parse');
 const Transaction = require('../models/transaction');
 const path = require('path');
+const { parseStatementBuffer } = require('./pdfStatementParser');
 
 /**
  * Helper function to format OFX date format (YYYYMMDD) to standard format (YYYY-MM-DD)
@@ -392,74 +392,18 @@ class FileParser {
   }
   
   /**
-   * Parse a PDF file into an array of transaction objects 
+   * Parse a PDF file into an array of transaction objects. Statement tables are
+   * read by column position (see pdfStatementParser); PDFs without a table
+   * fall back to matching lines that contain a date and an amount.
    * @param {string} filePath - Path to the PDF file
    * @returns {Promise<Transaction[]>} Array of transaction objects
    */
   static async parsePDF(filePath) {
     try {
       const dataBuffer = fs.readFileSync(filePath);
-      const pdfData = await pdfParse(dataBuffer);
-      
-      // Extract text content
-      const text = pdfData.text;
-      
-      // This is a simplified approach that attempts to identify transaction patterns in the text
-      // A more robust implementation would need to handle various bank statement formats
-      
-      const transactions = [];
-      const lines = text.split('\n').filter(line => line.trim().length > 0);
-      
-      // Try to identify transaction lines using regex patterns
-      // This is a simplified example - real implementation would need more sophistication
-      const datePattern = /\d{1,2}[\/.-]\d{1,2}[\/.-]\d{2,4}/;  // Matches common date formats
-      const amountPattern = /[$€£]?\s*-?\d+[.,]\d{2}/;  // Matches currency amounts
-      
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        
-        // If line contains a date and an amount, it might be a transaction
-        if (datePattern.test(line) && amountPattern.test(line)) {
-          try {
-            // Extract date
-            const dateMatch = line.match(datePattern);
-            const date = dateMatch ? dateMatch[0] : '';
-            
-            // Extract amount 
-            const amountMatch = line.match(amountPattern);
-            let amount = amountMatch ? amountMatch[0].replace(/[$€£\s]/g, '') : '0';
-            
-            // Remove date and amount to get description
-            let description = line
-              .replace(datePattern, '')
-              .replace(amountPattern, '')
-              .trim();
-              
-            // Remove multiple spaces
-            description = description.replace(/\s+/g, ' ');
-            
-            // Determine transaction type based on amount
-            const isNegative = amount.includes('-');
-            const type = isNegative ? 'expense' : 'income';
-            
-            // Create transaction object
-            const transaction = new Transaction({
-              date,
-              description,
-              amount: Math.abs(parseFloat(amount.replace(',', '.'))),
-              type,
-              source: 'pdf',
-              sourceFileName: path.basename(filePath)
-            });
-            
-            transactions.push(transaction);
-          } catch (error) {
-            console.error('Error processing PDF line:', error);
-            // Continue processing other lines
-          }
-        }
-      }
-      
+      const { transactions } = await parseStatementBuffer(dataBuffer, null, {
+        fileName: path.basename(filePath)
+      });
       return transactions;
     } catch (error) {
       throw new Error(`PDF parsing error: ${error.message}`);
@@ -0,0 +1,286 @@
+/**
+ * Database-backed job queue with an in-process worker loop. Jobs survive
+ * restarts; failed attempts are retried with exponential backoff.
+ */
+const { Op } = require('sequelize');
+const { runInWalletScope, runWithoutWalletScope } = require('./walletScope');
+
+// Job type -> async handler(job, { reportProgress, models })
+const handlers = {};
+
+let worker = null;
+
+const BASE_RETRY_DELAY_MS = 5000;
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type - Job type, e.g. 'upload.process'
+ * @param {Function} handler - async (job, context) => result; context has
+ *   reportProgress(percent, message) and models
+ */
+function registerJobHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Delay before the next attempt of a failed job
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Errors with a 4xx statusCode (see utils/errorHandler createError) describe
+ * bad input and will fail the same way again, so they are not retried
+ * @param {Error} error - Error thrown by a handler
+ * @returns {boolean} Whether another attempt can help
+ */
+function isRetryable(error) {
+  return !(error.statusCode >= 400 && error.statusCode < 500);
+}
+
+/**
+ * Add a job to the queue
+ * @param {Model} Job - Sequelize Job model
+ * @param {string} type - Job type
+ * @param {Object} payload - Handler input
+ * @param {Object} options - { uploadId, maxAttempts, transaction }
+ * @returns {Promise<Model>} The queued job
+ */
+async function enqueueJob(Job, type, payload = {}, options = {}) {
+  const job = await Job.create({
+    type,
+    payload,
+    uploadId: options.uploadId ? String(options.uploadId) : null,
+    ...(options.maxAttempts ? { maxAttempts: options.maxAttempts } : {})
+  }, options.transaction ? { transaction: options.transaction } : {});
+
+  // Start right away instead of waiting for the next poll. The worker must not
+  // inherit the wallet scope of the request that queued the job
+  if (worker) {
+    runWithoutWalletScope(() => setImmediate(worker.wake));
+  }
+
+  return job;
+}
+
+/**
+ * Find a queued or running job of a type for an upload, so the same work is
+ * not queued twice
+ * @param {Model} Job - Sequelize Job model
+ * @param {string} type - Job type
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Model|null>} The active job or null
+ */
+async function findActiveJob(Job, type, uploadId) {
+  return Job.findOne({
+    where: {
+      type,
+      uploadId: String(uploadId),
+      status: { [Op.in]: ['queued', 'running'] }
+    },
+    order: [['createdAt', 'DESC']]
+  });
+}
+
+/**
+ * Take the next due job and mark it running. Row locking keeps two workers
+ * (e.g. two server processes) from claiming the same job.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @returns {Promise<Model|null>} The claimed job or null when none is due
+ */
+async function claimNextJob(sequelize) {
+  const { Job } = sequelize.models;
+
+  return sequelize.transaction(async (transaction) => {
+    const job = await Job.findOne({
+      where: {
+        status: 'queued',
+        runAt: { [Op.lte]: new Date() }
+      },
+      order: [['runAt', 'ASC'], ['createdAt', 'ASC']],
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction
+    });
+
+    if (!job) return null;
+
+    await job.update({
+      status: 'running',
+      attempts: job.attempts + 1,
+      startedAt: new Date()
+    }, { transaction });
+
+    return job;
+  });
+}
+
+/**
+ * Run a claimed job and record its outcome
+ * @param {Model} job - Job in the running state
+ * @param {Object} models - Sequelize models passed to the handler
+ * @returns {Promise<Model>} The updated job
+ */
+async function runJob(job, models) {
+  const handler = handlers[job.type];
+  if (!handler) {
+    return job.update({
+      status: 'failed',
+      error: `No handler registered for job type "${job.type}"`,
+      finishedAt: new Date()
+    });
+  }
+
+  const reportProgress = async (percent, message) => {
+    await job.update({
+      progress: Math.max(0, Math.min(100, Math.round(percent))),
+      ...(message !== undefined ? { progressMessage: message } : {})
+    });
+  };
+
+  try {
+    // Handlers only see the data of the wallet the job was queued for
+    const run = () => handler(job, { reportProgress, models });
+    const result = await (job.walletId ? runInWalletScope(job.walletId, run) : run());
+    return job.update({
+      status: 'completed',
+      progress: 100,
+      result: result === undefined ? null : result,
+      error: null,
+      finishedAt: new Date()
+    });
+  } catch (error) {
+    console.error(`[jobQueue] Job ${job.id} (${job.type}) attempt ${job.attempts} failed:`, error.message);
+
+    if (job.attempts < job.maxAttempts && isRetryable(error)) {
+      return job.update({
+        status: 'queued',
+        error: error.message,
+        runAt: new Date(Date.now() + retryDelay(job.attempts))
+      });
+    }
+
+    return job.update({
+      status: 'failed',
+      error: error.message,
+      finishedAt: new Date()
+    });
+  }
+}
+
+/**
+ * Requeue jobs left running by a previous server process
+ * @param {Model} Job - Sequelize Job model
+ * @returns {Promise<number>} Number of jobs requeued
+ */
+async function recoverInterruptedJobs(Job) {
+  const [count] = await Job.update(
+    { status: 'queued', runAt: new Date(), progressMessage: 'Restarted after server restart' },
+    { where: { status: 'running' } }
+  );
+  return count;
+}
+
+/**
+ * Cancel a job that has not started yet
+ * @param {Model} job - Job instance
+ * @returns {Promise<boolean>} Whether the job was cancelled
+ */
+async function cancelJob(job) {
+  if (job.status !== 'queued') return false;
+
+  await job.update({ status: 'cancelled', finishedAt: new Date() });
+  return true;
+}
+
+/**
+ * Start polling for due jobs. Jobs run one at a time.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Object} options - { pollInterval } in milliseconds
+ * @returns {Promise<void>}
+ */
+async function startWorker(sequelize, options = {}) {
+  if (worker) return;
+
+  const recovered = await recoverInterruptedJobs(sequelize.models.Job);
+  if (recovered > 0) {
+    console.log(`[jobQueue] Requeued ${recovered} interrupted job(s)`);
+  }
+
+  const state = { busy: false, timer: null, wake: null };
+  state.wake = async () => {
+    if (state.busy || worker !== state) return;
+    state.busy = true;
+    try {
+      let job = await claimNextJob(sequelize);
+      while (job) {
+        await runJob(job, sequelize.models);
+        job = worker === state ? await claimNextJob(sequelize) : null;
+      }
+    } catch (error) {
+      console.error('[jobQueue] Worker error:', error.message);
+    } finally {
+      state.busy = false;
+    }
+  };
+
+  state.timer = setInterval(state.wake, options.pollInterval || 2000);
+  // Do not keep the process alive just for polling
+  if (typeof state.timer.unref === 'function') {
+    state.timer.unref();
+  }
+  worker = state;
+  setImmediate(state.wake);
+}
+
+/**
+ * Stop polling. A job that is already running finishes on its own.
+ */
+function stopWorker() {
+  if (!worker) return;
+  clearInterval(worker.timer);
+  worker = null;
+}
+
+/**
+ * Shape a job for API responses
+ * @param {Model} job - Job instance
+ * @returns {Object} Job data
+ */
+function formatJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    progressMessage: job.progressMessage,
+    uploadId: job.uploadId,
+    result: job.result,
+    error: job.error,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    runAt: job.runAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    createdAt: job.createdAt
+  };
+}
+
+module.exports = {
+  registerJobHandler,
+  retryDelay,
+  isRetryable,
+  enqueueJob,
+  findActiveJob,
+  claimNextJob,
+  runJob,
+  recoverInterruptedJobs,
+  cancelJob,
+  startWorker,
+  stopWorker,
+  formatJob
+};
@@ -0,0 +1,249 @@
+/**
+ * Chat-completion providers behind the AI service (services/openai.js). Every
+ * provider takes an OpenAI-style request and returns an OpenAI-style
+ * completion, so prompts, caching, metrics and retries stay in one place.
+ *
+ * - openai: the OpenAI API (OPENAI_API_KEY)
+ * - local: any OpenAI-compatible server such as llama.cpp or Ollama
+ *   (LLM_BASE_URL, e.g. http://localhost:11434/v1)
+ * - mock: deterministic answers without a network call, for tests
+ *
+ * The provider is picked with LLM_PROVIDER (default: openai) and LLM_MODEL,
+ * and can be switched at runtime through configureProvider().
+ */
+const OpenAI = require('openai');
+
+const PROVIDER_NAMES = ['openai', 'local', 'mock'];
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o',
+  local: 'llama3.1',
+  mock: 'mock'
+};
+
+/**
+ * Provider sending requests to the OpenAI API
+ * @param {Object} config - { apiKey, model }
+ * @returns {Object} Provider
+ */
+function createOpenAIProvider(config = {}) {
+  const model = config.model || DEFAULT_MODELS.openai;
+  const client = config.apiKey ? new OpenAI({ apiKey: config.apiKey }) : null;
+
+  return {
+    name: 'openai',
+    model,
+    baseUrl: null,
+    isConfigured: () => !!client,
+    unavailableReason: 'OpenAI API not available. Please configure your OPENAI_API_KEY.',
+    createChatCompletion: (request) => client.chat.completions.create({ ...request, model })
+  };
+}
+
+/**
+ * Provider sending requests to an OpenAI-compatible local server
+ * @param {Object} config - { baseUrl, model, apiKey, jsonMode }; jsonMode false
+ *   leaves out response_format for servers that do not support it
+ * @returns {Object} Provider
+ */
+function createLocalProvider(config = {}) {
+  const model = config.model || DEFAULT_MODELS.local;
+  // Local servers ignore the key, but the client requires one
+  const client = config.baseUrl
+    ? new OpenAI({ apiKey: config.apiKey || 'local', baseURL: config.baseUrl })
+    : null;
+
+  return {
+    name: 'local',
+    model,
+    baseUrl: config.baseUrl || null,
+    isConfigured: () => !!client,
+    unavailableReason: 'Local AI provider not available. Please configure LLM_BASE_URL.',
+    createChatCompletion: (request) => {
+      const { response_format: responseFormat, ...rest } = request;
+      return client.chat.completions.create({
+        ...rest,
+        ...(config.jsonMode === false ? {} : { response_format: responseFormat }),
+        model
+      });
+    }
+  };
+}
+
+const completion = (content) => ({
+  choices: [{ message: { role: 'assistant', content: JSON.stringify(content) } }]
+});
+
+/**
+ * Pick the category a mock answer uses: the first category of the right
+ * type whose name shares a word with the description, else the first of the type
+ * @param {Object} transaction - { description, type }
+ * @param {Array} categories - Categories offered in the prompt
+ * @returns {string} Category name
+ */
+function mockCategory(transaction, categories) {
+  const type = transaction.type || 'expense';
+  const candidates = categories.filter(category => category.type === type);
+  const words = String(transaction.description || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+  const match = candidates.find(category => category.name.toLowerCase().split(/[^a-z0-9]+/)
+    .some(word => word && words.includes(word)));
+  return (match || candidates[0] || { name: 'Uncategorized' }).name;
+}
+
+/**
+ * Provider answering every request from the request context alone, so tests
+ * get the same result for the same input
+ * @param {Object} config - { model }
+ * @returns {Object} Provider
+ */
+function createMockProvider(config = {}) {
+  return {
+    name: 'mock',
+    model: config.model || DEFAULT_MODELS.mock,
+    baseUrl: null,
+    isConfigured: () => true,
+    unavailableReason: 'Mock AI provider not available.',
+    createChatCompletion: async (request, context = {}) => {
+      const categories = context.categories || [];
+      const transactions = context.transactions || [];
+
+      if (context.task === 'categorizeTransaction') {
+        return completion({
+          category: mockCategory(transactions[0] || {}, categories),
+          confidence: 0.5,
+          reasoning: 'Mock provider answer'
+        });
+      }
+
+      if (context.task === 'categorizeBatch') {
+        return completion({
+          results: transactions.map((transaction, transactionIndex) => ({
+            transactionIndex,
+            category: mockCategory(transaction, categories),
+            confidence: 0.5,
+            reasoning: 'Mock provider answer'
+          }))
+        });
+      }
+
+      if (context.task === 'batchSummary') {
+        const total = transactions.reduce((sum, t) => sum + (parseFloat(t.amount) || 0), 0);
+        return completion({
+          summary: `${transactions.length} transactions`,
+          insights: [`Total amount: ${total.toFixed(2)}`]
+        });
+      }
+
+      throw new Error(`Mock provider has no answer for task "${context.task}"`);
+    }
+  };
+}
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  mock: createMockProvider
+};
+
+/**
+ * Provider configuration from the environment
+ * @returns {Object} { provider, apiKey, baseUrl, model, jsonMode }
+ */
+function configFromEnv() {
+  return {
+    provider: process.env.LLM_PROVIDER || 'openai',
+    apiKey: process.env.LLM_PROVIDER === 'local' ? process.env.LLM_API_KEY : process.env.OPENAI_API_KEY,
+    baseUrl: process.env.LLM_BASE_URL,
+    model: process.env.LLM_MODEL,
+    jsonMode: process.env.LLM_JSON_MODE !== 'false'
+  };
+}
+
+/**
+ * Check a provider configuration
+ * @param {Object} config - { provider, apiKey, baseUrl, model }
+ * @returns {Array} Array of { field, message } errors
+ */
+function validateProviderConfig(config) {
+  const errors = [];
+
+  if (!PROVIDER_NAMES.includes(config.provider)) {
+    errors.push({ field: 'provider', message: `Provider must be one of: ${PROVIDER_NAMES.join(', ')}` });
+    return errors;
+  }
+  if (config.provider === 'openai' && config.apiKey && !String(config.apiKey).startsWith('sk-')) {
+    errors.push({ field: 'apiKey', message: 'Invalid API key format. OpenAI API keys start with "sk-"' });
+  }
+  if (config.provider === 'local') {
+    let url = null;
+    try {
+      url = new URL(config.baseUrl);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      errors.push({ field: 'baseUrl', message: 'Base URL must be an http(s) URL, e.g. http://localhost:11434/v1' });
+    }
+  }
+  if (config.model !== undefined && config.model !== null && (typeof config.model !== 'string' || !config.model.trim())) {
+    errors.push({ field: 'model', message: 'Model must be a non-empty string' });
+  }
+
+  return errors;
+}
+
+/**
+ * Build a provider
+ * @param {Object} config - { provider, apiKey, baseUrl, model, jsonMode }
+ * @returns {Object} Provider
+ */
+function createProvider(config) {
+  const factory = FACTORIES[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown AI provider "${config.provider}"`);
+  }
+  return factory(config);
+}
+
+let activeProvider = null;
+
+/**
+ * The provider requests currently go to
+ * @returns {Object} Provider
+ */
+function getProvider() {
+  if (!activeProvider) {
+    const config = configFromEnv();
+    activeProvider = createProvider(PROVIDER_NAMES.includes(config.provider) ? config : { ...config, provider: 'openai' });
+  }
+  return activeProvider;
+}
+
+/**
+ * Switch provider for the running server (not persisted)
+ * @param {Object} config - { provider, apiKey, baseUrl, model, jsonMode }
+ * @returns {Object} The new provider
+ */
+function configureProvider(config) {
+  activeProvider = createProvider(config);
+  return activeProvider;
+}
+
+/**
+ * Go back to the provider configured in the environment
+ * @returns {Object} The provider
+ */
+function resetProvider() {
+  activeProvider = null;
+  return getProvider();
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  DEFAULT_MODELS,
+  validateProviderConfig,
+  createProvider,
+  getProvider,
+  configureProvider,
+  resetProvider
+};
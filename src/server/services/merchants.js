@@ -0,0 +1,387 @@
+/**
+ * Merchant directory: cleaning raw statement descriptions into merchant names
+ * and matching them to the canonical Merchant records, so that
+ * "SQ *BLUE BOTTLE 1234 SAN FRAN" and "BLUE BOTTLE COFFEE #12" end up as the
+ * same merchant
+ */
+const { Op } = require('sequelize');
+const { hasTransferKeyword } = require('./transferDetection');
+
+// Card processors and payment apps that put their own code in front of the
+// merchant name, e.g. "SQ *", "TST* ", "PAYPAL *"
+const PROCESSOR_PREFIX = /^(?:SQ|SQU|TST|PAYPAL|PP|SP|IC|PY|BT|CKO|FS|WPY|GOOGLE|APPLE\.COM)\s?\*\s*/i;
+
+// Card network / bank wording before the merchant name
+const LEADING_NOISE = /^(?:(?:POS|DEBIT CARD|DEBIT|PURCHASE AUTHORIZED ON|PURCHASE|RECURRING PAYMENT|RECURRING|CHECKCARD(?:\s+\d{4})?|VISA|MC)\s+|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\s+)+/i;
+
+const US_STATES = new Set(['AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL',
+  'IN', 'IA', 'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
+  'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY']);
+
+// Words that say what kind of business it is rather than which one; dropped
+// from the end of a key so "Blue Bottle Coffee" matches "Blue Bottle"
+const GENERIC_SUFFIXES = new Set(['coffee', 'cafe', 'restaurant', 'bar', 'grill', 'store', 'stores', 'shop',
+  'market', 'mkt', 'inc', 'llc', 'ltd', 'co', 'corp', 'company', 'com']);
+
+// Shortest key that may match as a prefix of a longer name
+const MIN_PREFIX_KEY_LENGTH = 4;
+
+// Rows an unknown name needs before a merchant is created for it, so one-off
+// payees do not fill the directory
+const MIN_ROWS_FOR_NEW_MERCHANT = 2;
+
+const MERCHANT_COLORS = ['#E11D48', '#DB2777', '#9333EA', '#4F46E5', '#2563EB', '#0891B2', '#0D9488',
+  '#059669', '#65A30D', '#CA8A04', '#EA580C', '#DC2626', '#475569'];
+
+// A token that is a store number, reference or phone number rather than part of the name
+const isStoreNumber = (token) => /^#/.test(token) || /\d{3,}/.test(token) || /^\d+$/.test(token);
+
+const titleCase = (text) => text
+  .toLowerCase()
+  .replace(/(^|[\s\-/&])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+
+/**
+ * Clean a raw description into a merchant name: strips processor prefixes,
+ * card wording, store numbers, references and trailing state codes
+ * @param {string} raw - Raw description or merchant text
+ * @returns {string} Cleaned name (empty when nothing usable remains)
+ */
+function cleanMerchantName(raw) {
+  let text = String(raw || '').trim();
+
+  text = text.replace(LEADING_NOISE, '').replace(PROCESSOR_PREFIX, '');
+
+  // Columns separated by wide gaps: the name comes first
+  text = text.split(/\s{2,}/)[0];
+
+  // Anything after a remaining '*' is an order reference ("AMAZON.COM*AB12CD")
+  const star = text.indexOf('*');
+  if (star > 0) {
+    text = text.slice(0, star);
+  }
+
+  const tokens = text.replace(/\s+/g, ' ').trim().split(' ').filter(Boolean);
+  const cut = tokens.findIndex((token, index) => index > 0 && isStoreNumber(token));
+  const nameTokens = cut === -1 ? tokens : tokens.slice(0, cut);
+
+  while (nameTokens.length > 1 && US_STATES.has(nameTokens[nameTokens.length - 1].toUpperCase())) {
+    nameTokens.pop();
+  }
+
+  const name = nameTokens.join(' ').replace(/[\s\-,.]+$/, '');
+  if (!/[a-z]/i.test(name)) return '';
+
+  // Statements shout; keep names that already have their own capitalization
+  return /[a-z]/.test(name) ? name : titleCase(name);
+}
+
+/**
+ * Normalized key of a merchant name, used for matching
+ * @param {string} name - Merchant name (cleaned or not)
+ * @returns {string} Key such as "blue bottle" (empty when nothing usable remains)
+ */
+function merchantKey(name) {
+  const tokens = String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/'/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+
+  if (tokens.length > 1 && tokens[0] === 'the') tokens.shift();
+  while (tokens.length > 1 && GENERIC_SUFFIXES.has(tokens[tokens.length - 1])) {
+    tokens.pop();
+  }
+
+  return tokens.join(' ');
+}
+
+/**
+ * Stable logo color for a merchant key
+ * @param {string} key - Merchant key
+ * @returns {string} Hex color
+ */
+function merchantColor(key) {
+  let hash = 0;
+  for (const char of String(key || '')) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return MERCHANT_COLORS[hash % MERCHANT_COLORS.length];
+}
+
+// Keys a merchant is known by: its own and those of its aliases
+const knownKeys = (merchant) => [merchant.key, ...(merchant.aliases || []).map(merchantKey)].filter(Boolean);
+
+/**
+ * Find the merchant a description belongs to: a matching pattern wins, then
+ * an exact key match, then the longest known key the cleaned name starts
+ * with (so "Blue Bottle San Fran" still finds "Blue Bottle")
+ * @param {Array} merchants - Merchant records
+ * @param {string} text - Raw description or merchant text
+ * @returns {Model|null} The matching merchant or null
+ */
+function matchMerchant(merchants, text) {
+  if (!text) return null;
+
+  const byPattern = merchants.find(merchant => (merchant.patterns || []).some(pattern => {
+    try {
+      return new RegExp(pattern, 'i').test(text);
+    } catch (error) {
+      return false;
+    }
+  }));
+  if (byPattern) return byPattern;
+
+  const key = merchantKey(cleanMerchantName(text));
+  if (!key) return null;
+
+  const exact = merchants.find(merchant => knownKeys(merchant).includes(key));
+  if (exact) return exact;
+
+  let best = null;
+  let bestLength = 0;
+  merchants.forEach(merchant => {
+    knownKeys(merchant).forEach(candidate => {
+      if (candidate.length >= MIN_PREFIX_KEY_LENGTH && candidate.length > bestLength && key.startsWith(`${candidate} `)) {
+        best = merchant;
+        bestLength = candidate.length;
+      }
+    });
+  });
+  return best;
+}
+
+/**
+ * Find the merchant a transaction belongs to, trying its merchant text
+ * before its description
+ * @param {Array} merchants - Merchant records
+ * @param {Object} row - Transaction data
+ * @returns {Model|null} The matching merchant or null
+ */
+function matchTransactionMerchant(merchants, row) {
+  return matchMerchant(merchants, row.merchant) || matchMerchant(merchants, row.description);
+}
+
+/**
+ * Grouping key of a transaction's merchant. Linked transactions carry the
+ * canonical name, others are cleaned first, so both group together.
+ * @param {Object} transaction - Transaction data
+ * @returns {string} Merchant key (empty when there is no usable name)
+ */
+function transactionMerchantKey(transaction) {
+  return merchantKey(cleanMerchantName(transaction.merchant || transaction.description));
+}
+
+/**
+ * Display name of a transaction's merchant: the canonical name when linked,
+ * otherwise the cleaned merchant text or description
+ * @param {Object} transaction - Transaction data
+ * @returns {string|null} Merchant name
+ */
+function transactionMerchantName(transaction) {
+  if (transaction.merchantId) return transaction.merchant;
+  return cleanMerchantName(transaction.merchant || transaction.description) || transaction.merchant || null;
+}
+
+// Transfers and card payments move money between accounts; they have no merchant
+const isTransferRow = (row) => row.type === 'transfer' || Boolean(row.transferPairId) ||
+  hasTransferKeyword(row.description) || hasTransferKeyword(row.merchant);
+
+/**
+ * Count the merchant keys of transactions not linked to a merchant, for
+ * deciding which names recur
+ * @param {Model} Transaction - Sequelize Transaction model
+ * @param {Object} options - { excludeId, transaction }
+ * @returns {Promise<Map>} Merchant key -> number of transactions
+ */
+async function countUnlinkedMerchantKeys(Transaction, options = {}) {
+  const { excludeId, transaction } = options;
+  const where = { merchantId: null };
+  if (excludeId) where.id = { [Op.ne]: excludeId };
+
+  const transactions = await Transaction.findAll({
+    where,
+    attributes: ['description', 'merchant', 'type', 'transferPairId'],
+    raw: true,
+    transaction
+  });
+
+  const counts = new Map();
+  transactions.filter(tx => !isTransferRow(tx)).forEach(tx => {
+    const key = transactionMerchantKey(tx);
+    if (key) counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+}
+
+/**
+ * Link transaction rows to their merchants. Matched rows get the merchant's
+ * canonical name and, when uncategorized, its default category; unmatched rows
+ * get a cleaned name. With create, a new merchant is made for an unmatched
+ * name that recurs (across the rows plus the seen counts) and is not a
+ * transfer or payment; other rows stay unlinked until the user adds the
+ * merchant.
+ * @param {Array} rows - Transaction data (changed in place)
+ * @param {Model} Merchant - Sequelize Merchant model
+ * @param {Object} options - { create, seen, transaction }; seen maps merchant
+ *   keys to their number of unlinked transactions outside the rows
+ * @returns {Promise<Array>} The rows
+ */
+async function assignMerchants(rows, Merchant, options = {}) {
+  const { create = false, seen = new Map(), transaction } = options;
+  const merchants = await Merchant.findAll({ transaction });
+
+  const counts = new Map(seen);
+  if (create) {
+    rows.filter(row => !isTransferRow(row)).forEach(row => {
+      const key = transactionMerchantKey(row);
+      if (key) counts.set(key, (counts.get(key) || 0) + 1);
+    });
+  }
+
+  for (const row of rows) {
+    let merchant = matchTransactionMerchant(merchants, row);
+    const name = cleanMerchantName(row.merchant || row.description);
+    const key = merchantKey(name);
+
+    if (!merchant && create && key && !isTransferRow(row) && (counts.get(key) || 0) >= MIN_ROWS_FOR_NEW_MERCHANT) {
+      merchant = await Merchant.create({ name, key, color: merchantColor(key) }, { transaction });
+      merchants.push(merchant);
+    }
+
+    if (merchant) {
+      row.merchantId = merchant.id;
+      row.merchant = merchant.name;
+      if (!row.categoryId && merchant.defaultCategoryId) {
+        row.categoryId = merchant.defaultCategoryId;
+      }
+    } else {
+      row.merchantId = null;
+      row.merchant = name || row.merchant || null;
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Find the merchant with a name's key
+ * @param {Model} Merchant - Sequelize Merchant model
+ * @param {string} name - Merchant name
+ * @param {Object} options - Extra query options (e.g. transaction)
+ * @returns {Promise<Model|null>} The merchant or null
+ */
+async function findMerchantByName(Merchant, name, options = {}) {
+  const key = merchantKey(name);
+  if (!key) return null;
+  return Merchant.findOne({ where: { key }, ...options });
+}
+
+/**
+ * Merge one merchant into another: its transactions move over and its name,
+ * aliases and patterns are kept as the target's aliases and patterns
+ * @param {Model} source - Merchant being merged away
+ * @param {Model} target - Merchant kept
+ * @param {Object} models - Sequelize models
+ * @param {Object} options - Extra query options (e.g. transaction)
+ * @returns {Promise<Object>} { transactionsMoved }
+ */
+async function mergeMerchants(source, target, models, options = {}) {
+  const { Transaction } = models;
+
+  const [transactionsMoved] = await Transaction.update(
+    { merchantId: target.id, merchant: target.name },
+    { where: { merchantId: source.id }, ...options }
+  );
+
+  const aliases = [...(target.aliases || []), source.name, ...(source.aliases || [])]
+    .filter(alias => merchantKey(alias) !== target.key);
+  await target.update({
+    aliases: [...new Set(aliases)],
+    patterns: [...new Set([...(target.patterns || []), ...(source.patterns || [])])],
+    defaultCategoryId: target.defaultCategoryId || source.defaultCategoryId,
+    color: target.color || source.color
+  }, options);
+
+  await source.destroy(options);
+
+  return { transactionsMoved };
+}
+
+/**
+ * Link existing transactions without a merchant to their merchants, creating
+ * merchants for recurring names not seen before
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @returns {Promise<Object>} { linked, categorized, merchantsCreated }
+ */
+async function backfillMerchants(sequelize) {
+  const { Merchant, Transaction } = sequelize.models;
+
+  const transactions = await Transaction.findAll({
+    where: { merchantId: null },
+    attributes: ['id', 'description', 'merchant', 'categoryId', 'type', 'transferPairId'],
+    raw: true
+  });
+
+  return sequelize.transaction(async (t) => {
+    const merchantCount = await Merchant.count({ transaction: t });
+    const uncategorized = new Set(transactions.filter(tx => !tx.categoryId).map(tx => tx.id));
+    const rows = transactions.map(tx => ({ ...tx }));
+    await assignMerchants(rows, Merchant, { create: true, transaction: t });
+
+    // One update per merchant, plus one for the rows given its default category
+    const groups = new Map();
+    rows.filter(row => row.merchantId).forEach(row => {
+      if (!groups.has(row.merchantId)) {
+        groups.set(row.merchantId, { merchant: row.merchant, ids: [], categoryId: null, categorizedIds: [] });
+      }
+      const group = groups.get(row.merchantId);
+      group.ids.push(row.id);
+      if (row.categoryId && uncategorized.has(row.id)) {
+        group.categoryId = row.categoryId;
+        group.categorizedIds.push(row.id);
+      }
+    });
+
+    let linked = 0;
+    let categorized = 0;
+    for (const [merchantId, group] of groups) {
+      const [updated] = await Transaction.update(
+        { merchantId, merchant: group.merchant },
+        { where: { id: { [Op.in]: group.ids } }, transaction: t, audit: { source: 'system' } }
+      );
+      linked += updated;
+
+      if (group.categorizedIds.length > 0) {
+        const [categorizedCount] = await Transaction.update(
+          { categoryId: group.categoryId },
+          { where: { id: { [Op.in]: group.categorizedIds }, categoryId: null }, transaction: t, audit: { source: 'rule' } }
+        );
+        categorized += categorizedCount;
+      }
+    }
+
+    return {
+      linked,
+      categorized,
+      merchantsCreated: (await Merchant.count({ transaction: t })) - merchantCount
+    };
+  });
+}
+
+module.exports = {
+  cleanMerchantName,
+  merchantKey,
+  merchantColor,
+  matchMerchant,
+  matchTransactionMerchant,
+  transactionMerchantKey,
+  transactionMerchantName,
+  countUnlinkedMerchantKeys,
+  assignMerchants,
+  findMerchantByName,
+  mergeMerchants,
+  backfillMerchants
+};
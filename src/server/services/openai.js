@@ -1,10 +1,11 @@
 
-const OpenAI = require('openai');
-
-// Configure OpenAI client with error handling
-const openai = process.env.OPENAI_API_KEY ? 
-  new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : 
-  null;
+/**
+ * AI service for categorization and batch summaries. Requests go to the
+ * active provider from llmProviders (OpenAI, a local OpenAI-compatible server
+ * or the mock provider); caching, metrics and retries apply to all of them.
+ */
+const llmProviders = require('./llmProviders');
+const aiCache = require('./aiCache');
 
 // Configuration flag for testing
 const SIMULATE_FAILURE = process.env.SIMULATE_OPENAI_FAILURE === 'true';
@@ -12,18 +13,27 @@ const SIMULATE_FAILURE = process.env.SIMULATE_OPENAI_FAILURE === 'true';
 // Rate limit configuration in milliseconds (1 minute)
 const RATE_LIMIT_WINDOW = 60000; 
 
-// Check if OpenAI API key is configured
-const API_KEY_CONFIGURED = !!process.env.OPENAI_API_KEY;
-
-// Flag to indicate if OpenAI is available
-const OPENAI_AVAILABLE = API_KEY_CONFIGURED && !SIMULATE_FAILURE;
-
 /**
- * Check if OpenAI is properly configured
- * @returns {boolean} Whether OpenAI is properly configured
+ * Check if the active AI provider is properly configured
+ * @returns {boolean} Whether the provider is properly configured
  */
 function isOpenAIConfigured() {
-  return !!openai;
+  return llmProviders.getProvider().isConfigured();
+}
+
+/**
+ * Send a chat completion request to the active provider
+ * @param {Object} requestConfig - OpenAI-style request
+ * @param {Object} context - { task, transactions, categories } for providers
+ *   that answer without a model (the mock provider)
+ * @returns {Promise<Object>} OpenAI-style completion
+ */
+async function createChatCompletion(requestConfig, context) {
+  const provider = llmProviders.getProvider();
+  if (!provider.isConfigured()) {
+    throw new Error('AI provider client not available');
+  }
+  return provider.createChatCompletion(requestConfig, context);
 }
 
 /**
@@ -72,7 +82,7 @@ async function generateBatchSummary(transactions, timeoutMs = 15000) {
     console.log(`[OpenAI] API not available for batch summary`);
     return {
       summary: "Transactions Batch",
-      insights: ["OpenAI API not available for generating insights."],
+      insights: [llmProviders.getProvider().unavailableReason],
       timedOut: false,
       error: true,
       errorType: "api_not_configured"
@@ -133,12 +143,7 @@ async function generateBatchSummary(transactions, timeoutMs = 15000) {
     // Process function that makes the API call with retry logic
     const processSummary = async () => {
       const completion = await callWithRetry(
-        async () => {
-          if (!openai) {
-            throw new Error('OpenAI client not available');
-          }
-          return await openai.chat.completions.create(requestConfig);
-        }
+        () => createChatCompletion(requestConfig, { task: 'batchSummary', transactions })
       );
       
       // Parse the JSON response
@@ -210,7 +215,7 @@ async function generateBatchSummary(transactions, timeoutMs = 15000) {
   }
 }
 
-// Tracking metrics and cache to optimize API usage
+// Tracking metrics to optimize API usage
 const metrics = {
   apiCalls: 0,
   cacheHits: 0,
@@ -229,72 +234,42 @@ const metrics = {
   successfulCalls: 0
 };
 
-// Simple in-memory cache for OpenAI responses
-// Key: transaction description + amount + type
-// Value: categorization response
-const responseCache = new Map();
-
-// Cache size limit (items)
-const CACHE_SIZE_LIMIT = 1000;
-
-// Cache TTL (24 hours in milliseconds)
-const CACHE_TTL = 24 * 60 * 60 * 1000;
-
 // Rate limiting settings
 const MAX_RETRIES = 3;
 const INITIAL_RETRY_DELAY = 1000; // 1 second
 
 /**
- * Add an item to the cache with TTL
+ * Store an answer in the AI cache
  * @param {string} key - Cache key
  * @param {Object} value - Value to cache
  */
-function addToCache(key, value) {
-  // If cache is at capacity, remove oldest entries
-  if (responseCache.size >= CACHE_SIZE_LIMIT) {
-    // Get oldest entries to remove (10% of capacity)
-    const entriesToRemove = Math.ceil(CACHE_SIZE_LIMIT * 0.1);
-    const keys = [...responseCache.keys()].slice(0, entriesToRemove);
-    keys.forEach(key => responseCache.delete(key));
-  }
-  
-  responseCache.set(key, {
-    value,
-    timestamp: Date.now()
-  });
+async function addToCache(key, value) {
+  await aiCache.storeAnswer(key, value, llmProviders.getProvider());
 }
 
 /**
- * Get an item from cache if it exists and is not expired
+ * Get an answer from the AI cache if it exists and is not expired
  * @param {string} key - Cache key
- * @returns {Object|null} Cached value or null if not found/expired
+ * @returns {Promise<Object|null>} Cached value or null if not found/expired
  */
-function getFromCache(key) {
-  const cached = responseCache.get(key);
-  
-  if (!cached) {
-    return null;
-  }
-  
-  // Check if cache entry is expired
-  if (Date.now() - cached.timestamp > CACHE_TTL) {
-    responseCache.delete(key);
-    return null;
+async function getFromCache(key) {
+  const cached = await aiCache.getCachedAnswer(key);
+  if (cached) {
+    metrics.cacheHits++;
   }
-  
-  metrics.cacheHits++;
-  return cached.value;
+  return cached;
 }
 
 /**
- * Generate a cache key for a transaction
+ * Generate a cache key for a transaction. The key also covers the wallet,
+ * the active provider and model, and the prompt version.
  * @param {string} description - Transaction description
  * @param {number} amount - Transaction amount
  * @param {string} type - Transaction type
  * @returns {string} Cache key
  */
 function generateCacheKey(description, amount, type) {
-  return `${description}_${amount}_${type}`.toLowerCase();
+  return aiCache.buildCacheKey(`${description}_${amount}_${type}`.toLowerCase(), llmProviders.getProvider());
 }
 
 /**
@@ -312,7 +287,7 @@ async function categorizeTransaction(description, amount, type = 'expense', exis
     return {
       categoryName: null,
       confidence: 0,
-      reasoning: "OpenAI API not available. Please configure your OPENAI_API_KEY.",
+      reasoning: llmProviders.getProvider().unavailableReason,
       error: true,
       errorType: "api_not_configured"
     };
@@ -322,7 +297,7 @@ async function categorizeTransaction(description, amount, type = 'expense', exis
   const cacheKey = generateCacheKey(description, amount, type);
   
   // Check cache first
-  const cachedResult = getFromCache(cacheKey);
+  const cachedResult = await getFromCache(cacheKey);
   if (cachedResult) {
     console.log(`[OpenAI] Cache hit for transaction: "${description}"`);
     return {
@@ -370,12 +345,11 @@ async function categorizeTransaction(description, amount, type = 'expense', exis
     
     // Make API call with retry logic
     const completion = await callWithRetry(
-      async () => {
-        if (!openai) {
-          throw new Error('OpenAI client not available');
-        }
-        return await openai.chat.completions.create(requestConfig);
-      }
+      () => createChatCompletion(requestConfig, {
+        task: 'categorizeTransaction',
+        transactions: [{ description, amount, type }],
+        categories: existingCategories
+      })
     );
     
     // Parse the JSON response
@@ -408,7 +382,7 @@ async function categorizeTransaction(description, amount, type = 'expense', exis
       }
       
       // Add to cache
-      addToCache(cacheKey, result);
+      await addToCache(cacheKey, result);
       
       return result;
     } catch (parseError) {
@@ -423,7 +397,7 @@ async function categorizeTransaction(description, amount, type = 'expense', exis
       };
       
       // Even with parsing error, cache the result to avoid repeated API calls
-      addToCache(cacheKey, result);
+      await addToCache(cacheKey, result);
       
       return result;
     }
@@ -587,7 +561,7 @@ async function categorizeBatch(transactions, existingCategories = []) {
       transactionId: transaction.id,
       categoryName: null,
       confidence: 0,
-      reasoning: "OpenAI API not available. Please configure your OPENAI_API_KEY.",
+      reasoning: llmProviders.getProvider().unavailableReason,
       error: true,
       errorType: "api_not_configured"
     }));
@@ -642,12 +616,11 @@ async function categorizeBatch(transactions, existingCategories = []) {
       
       // Make API call with retry logic
       const completion = await callWithRetry(
-        async () => {
-          if (!openai) {
-            throw new Error('OpenAI client not available');
-          }
-          return await openai.chat.completions.create(requestConfig);
-        }
+        () => createChatCompletion(requestConfig, {
+          task: 'categorizeBatch',
+          transactions: batch,
+          categories: existingCategories
+        })
       );
       
       metrics.apiCalls++;
@@ -682,7 +655,7 @@ async function categorizeBatch(transactions, existingCategories = []) {
               };
               
               // Add to cache
-              addToCache(cacheKey, result);
+              await addToCache(cacheKey, result);
               
               // Add to results with transaction reference
               results.push({
@@ -713,7 +686,7 @@ async function categorizeBatch(transactions, existingCategories = []) {
               };
               
               // Add to cache
-              addToCache(cacheKey, result);
+              await addToCache(cacheKey, result);
               
               // Add to results with transaction reference
               results.push({
@@ -750,7 +723,7 @@ async function categorizeBatch(transactions, existingCategories = []) {
               );
               
               // Add to cache
-              addToCache(cacheKey, result);
+              await addToCache(cacheKey, result);
               
               // Add to results with transaction reference
               results.push({
@@ -797,7 +770,7 @@ async function categorizeBatch(transactions, existingCategories = []) {
           transaction.type || 'expense'
         );
         
-        const cachedResult = getFromCache(cacheKey);
+        const cachedResult = await getFromCache(cacheKey);
         
         if (cachedResult) {
           results.push({
@@ -869,9 +842,9 @@ async function categorizeBatch(transactions, existingCategories = []) {
  * @returns {boolean} Whether requests should be blocked
  */
 function isRateLimited() {
-  // If OpenAI client is not available, treat as rate limited
-  if (!openai) {
-    console.log('[OpenAI] OpenAI client not available');
+  // If the provider is not configured, treat as rate limited
+  if (!isOpenAIConfigured()) {
+    console.log('[OpenAI] AI provider client not available');
     return true;
   }
   
@@ -910,9 +883,9 @@ async function callWithRetry(apiFn, ...args) {
   let retryCount = 0;
   let lastError = null;
   
-  // Check if OpenAI client is available
-  if (!openai) {
-    const error = new Error('OpenAI client not available');
+  // Check if the provider is configured
+  if (!isOpenAIConfigured()) {
+    const error = new Error('AI provider client not available');
     error.code = 'api_key_missing';
     error.type = 'configuration_error';
     throw error;
@@ -1021,7 +994,7 @@ function getMetrics() {
     ...metrics,
     runtimeMs,
     runtimeMinutes: Math.round(runtimeMs / 60000 * 10) / 10,
-    cacheSize: responseCache.size,
+    cacheSize: aiCache.getCacheMetrics().memoryEntries,
     cacheHitRate: metrics.apiCalls > 0 
       ? Math.round((metrics.cacheHits / (metrics.apiCalls + metrics.cacheHits)) * 100) 
       : 0,
@@ -1046,6 +1019,7 @@ function resetMetrics() {
   metrics.timeoutErrors = 0;
   metrics.parseFailed = 0;
   metrics.successfulCalls = 0;
+  aiCache.resetCacheMetrics();
   // Keeping error tracking for debugging
   metrics.lastError = `Reset at ${new Date().toISOString()}`;
   metrics.lastErrorTime = Date.now();
@@ -1053,11 +1027,29 @@ function resetMetrics() {
 }
 
 /**
- * Clear the response cache
+ * Clear the response cache, in memory and in the database
+ * @returns {Promise<number>} Number of stored answers removed
  */
-function clearCache() {
-  responseCache.clear();
+async function clearCache() {
+  const removed = await aiCache.clearAiCache();
   console.log('[OpenAI] Response cache cleared');
+  return removed;
+}
+
+/**
+ * Switch the AI provider for the running server. Rate limit state belongs to
+ * the previous provider and is cleared; cached answers are keyed by provider
+ * and model, so they are kept for when it is switched back.
+ * @param {Object|null} config - { provider, apiKey, baseUrl, model, jsonMode };
+ *   null goes back to the provider configured in the environment
+ * @returns {Object} The active provider
+ */
+function setProvider(config) {
+  const provider = config ? llmProviders.configureProvider(config) : llmProviders.resetProvider();
+  metrics.lastRateLimitTime = 0;
+  metrics.isRateLimited = false;
+  console.log(`[OpenAI] Using AI provider "${provider.name}" (model ${provider.model})`);
+  return provider;
 }
 
 /**
@@ -1066,8 +1058,8 @@ function clearCache() {
  * @returns {boolean} Whether OpenAI is available
  */
 function isAvailable(forceCheck = false) {
-  // Quick check if simulation is enabled or no API key configured
-  if (SIMULATE_FAILURE || !API_KEY_CONFIGURED) {
+  // Quick check if simulation is enabled or the provider is not configured
+  if (SIMULATE_FAILURE || !isOpenAIConfigured()) {
     return false;
   }
   
@@ -1083,7 +1075,7 @@ function isAvailable(forceCheck = false) {
     return false;
   }
   
-  return !!openai;
+  return isOpenAIConfigured();
 }
 
 /**
@@ -1095,13 +1087,21 @@ function getStatus(forceCheck = false) {
   // Do a thorough check for availability
   const available = isAvailable(forceCheck);
   
+  const provider = llmProviders.getProvider();
+  
   return {
     available,
+    provider: {
+      name: provider.name,
+      model: provider.model,
+      baseUrl: provider.baseUrl
+    },
     apiKeyConfigured: !!process.env.OPENAI_API_KEY,
     clientConfigured: isOpenAIConfigured(),
     simulatingFailure: SIMULATE_FAILURE,
     rateLimited: isRateLimited(),
     metricsSnapshot: getMetrics(),
+    cache: aiCache.getCacheMetrics(),
     readyForUse: available && !isRateLimited(),
     lastError: metrics.lastError ? {
       time: metrics.lastErrorTime,
@@ -1124,5 +1124,6 @@ module.exports = {
   callWithRetry,
   isAvailable,
   getStatus,
-  isOpenAIConfigured
+  isOpenAIConfigured,
+  setProvider
 };
@@ -0,0 +1,678 @@
+/**
+ * Bank statement PDFs. Rows are rebuilt from the position of every piece of
+ * text instead of plain text lines, so wrapped descriptions are joined and
+ * debit, credit and running-balance columns are told apart.
+ *
+ * Columns come from a PDF import profile or, without one, from the table's
+ * header row ("Date", "Description", "Withdrawals", "Deposits", "Balance").
+ * A PDF profile is an ImportProfile with fileType 'pdf' and a pdfLayout:
+ *
+ *   {
+ *     identifiers: ['Example Bank'],    // text on the statement that selects the profile
+ *     columns: {                        // x-ranges in PDF points from the left edge
+ *       date: [30, 80], description: [80, 330],
+ *       debit: [330, 420], credit: [420, 500], balance: [500, 580]
+ *     }
+ *   }
+ *
+ * plus the profile's dateFormat, decimalSeparator and signConvention. Dates
+ * without a year ("MM/DD") take it from the statement period. The period,
+ * opening/closing balances and account number are returned for Upload.metadata.
+ */
+const fs = require('fs');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const Transaction = require('../models/transaction');
+const { SIGN_CONVENTIONS, parseDate, parseAmount } = require('./csvImportProfiles');
+
+const LAYOUT_COLUMNS = ['date', 'description', 'amount', 'debit', 'credit', 'balance'];
+const AMOUNT_COLUMNS = ['amount', 'debit', 'credit'];
+
+// Date formats tried when no profile gives one (month before day, as on US statements)
+const DATE_FORMATS = ['M/D/YYYY', 'M/D/YY', 'YYYY-MM-DD', 'M-D-YYYY', 'D MMM YYYY', 'MMM D, YYYY',
+  'MMM D YYYY', 'M/D', 'MMM D', 'D MMM'];
+
+// Header cells naming each column; the first matching pattern wins
+const HEADER_PATTERNS = [
+  ['date', /^((trans(action)?|post(ing)?|posted|value)\s+)?date\b/i],
+  ['balance', /^(running\s+|daily\s+)?balance\b/i],
+  ['amount', /^amount\b/i],
+  ['debit', /^(debits?|withdrawals?|payments?|money out|paid out|charges)\b/i],
+  ['credit', /^(credits?|deposits?|money in|paid in)\b/i],
+  ['description', /^(description|details|transactions?|payee|particulars|narrative|memo)\b/i]
+];
+
+// Lines in the table that summarize rather than record a transaction
+const SUMMARY_LINE = /^(total\b|subtotal\b|(opening|beginning|starting|previous|closing|ending|new)\s+balance\b|balance\s+(brought|carried)?\s*forward\b)/i;
+
+const MONTH_NAME = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?';
+const DATE_IN_TEXT = `(\\d{1,2}\\/\\d{1,2}(?:\\/\\d{2,4})?|\\d{4}-\\d{2}-\\d{2}|${MONTH_NAME}\\s+\\d{1,2}(?:,?\\s+\\d{4})?|\\d{1,2}\\s+${MONTH_NAME}(?:\\s+\\d{4})?)`;
+const PERIOD_PATTERN = new RegExp(`${DATE_IN_TEXT}\\s*(?:-|–|—|to|through|thru)\\s*${DATE_IN_TEXT}`, 'i');
+const AMOUNT_IN_TEXT = /\(?-?[$€£]?\s?\d{1,3}(?:[,.\s]?\d{3})*[.,]\d{2}\)?-?(?:\s?(?:CR|DR))?/gi;
+const OPENING_BALANCE = /\b(opening|beginning|starting|previous)\s+balance\b/i;
+const CLOSING_BALANCE = /\b(closing|ending|new)\s+balance\b/i;
+const ACCOUNT_NUMBER = /\b(?:account\s*(?:number|no\.?|#)?|acct\.?\s*#?|ending\s+in)\s*:?\s*[x*•.\s-]*(\d[\d\s-]{2,}\d)/i;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate the PDF-specific fields of an import profile
+ * @param {Object} data - Profile fields
+ * @returns {Array} Array of { field, message } errors (empty when valid)
+ */
+function validatePdfProfile(data) {
+  const errors = [];
+  const layout = data.pdfLayout || {};
+
+  if (typeof layout !== 'object' || Array.isArray(layout)) {
+    return [{ field: 'pdfLayout', message: 'PDF layout must be an object' }];
+  }
+
+  if (layout.identifiers !== undefined &&
+      (!Array.isArray(layout.identifiers) || layout.identifiers.some(text => typeof text !== 'string' || !text.trim()))) {
+    errors.push({ field: 'pdfLayout.identifiers', message: 'Identifiers must be a list of non-empty strings' });
+  }
+
+  if (layout.columns !== undefined) {
+    const columns = layout.columns || {};
+    Object.entries(columns).forEach(([field, range]) => {
+      if (!LAYOUT_COLUMNS.includes(field)) {
+        errors.push({ field: `pdfLayout.columns.${field}`, message: `Column must be one of: ${LAYOUT_COLUMNS.join(', ')}` });
+      } else if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isFinite) || range[0] >= range[1]) {
+        errors.push({ field: `pdfLayout.columns.${field}`, message: 'Column must be an [x0, x1] range with x0 < x1' });
+      }
+    });
+
+    if (!columns.date) {
+      errors.push({ field: 'pdfLayout.columns.date', message: 'A date column is required' });
+    }
+    if (!columns.description) {
+      errors.push({ field: 'pdfLayout.columns.description', message: 'A description column is required' });
+    }
+    if ((data.signConvention || 'negative_expense') === 'debit_credit') {
+      if (!columns.debit || !columns.credit) {
+        errors.push({ field: 'pdfLayout.columns', message: 'Debit and credit columns are required for the debit_credit convention' });
+      }
+    } else if (!columns.amount && !(columns.debit && columns.credit)) {
+      errors.push({ field: 'pdfLayout.columns.amount', message: 'An amount column (or debit and credit columns) is required' });
+    }
+  }
+
+  if (data.signConvention !== undefined && !SIGN_CONVENTIONS.includes(data.signConvention)) {
+    errors.push({ field: 'signConvention', message: `Sign convention must be one of: ${SIGN_CONVENTIONS.join(', ')}` });
+  } else if (data.signConvention === 'type_column') {
+    errors.push({ field: 'signConvention', message: 'PDF statements do not have a type column' });
+  }
+
+  if (data.dateFormat !== undefined && !/(M|D)/.test(data.dateFormat)) {
+    errors.push({ field: 'dateFormat', message: 'Date format must contain MM/MMM/M and DD/D tokens' });
+  }
+
+  return errors;
+}
+
+/**
+ * Read the positioned text of every page
+ * @param {Buffer} buffer - PDF file content
+ * @returns {Promise<Object>} { pages, text } where pages are arrays of lines
+ *   ({ y, height, items: [{ str, x, width }] }) from top to bottom
+ */
+async function readPdfPages(buffer) {
+  const pages = [];
+
+  const pagerender = async (pageData) => {
+    const content = await pageData.getTextContent({ normalizeWhitespace: true, disableCombineTextItems: false });
+    const items = content.items
+      .filter(item => item.str && item.str.trim())
+      .map(item => ({
+        str: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+        width: item.width || 0,
+        height: item.height || Math.abs(item.transform[3]) || 10
+      }))
+      .sort((a, b) => b.y - a.y || a.x - b.x);
+
+    // Items whose baselines are within a fraction of the font size share a line
+    const lines = [];
+    items.forEach(item => {
+      const line = lines.find(candidate => Math.abs(candidate.y - item.y) <= Math.max(2, candidate.height * 0.3));
+      if (line) {
+        line.items.push(item);
+      } else {
+        lines.push({ y: item.y, height: item.height, items: [item] });
+      }
+    });
+    lines.forEach(line => line.items.sort((a, b) => a.x - b.x));
+
+    pages.push(lines);
+    return lines.map(line => lineText(line)).join('\n');
+  };
+
+  // pdf.js reads the whole ArrayBuffer behind a Buffer, and small files are
+  // read into a slice of Node's shared buffer pool, so hand it a copy
+  const pdfData = await pdfParse(new Uint8Array(buffer), { pagerender });
+  return { pages, text: pdfData.text };
+}
+
+/**
+ * Merge the items of a line into chunks: runs of text separated by about a
+ * space belong to the same cell
+ * @param {Object} line - Line from readPdfPages
+ * @returns {Array} Array of { str, x0, x1, height }
+ */
+function lineChunks(line) {
+  const chunks = [];
+  line.items.forEach(item => {
+    const last = chunks[chunks.length - 1];
+    const gap = last ? item.x - last.x1 : Infinity;
+    if (last && gap < item.height * 0.4) {
+      last.str += (gap > item.height * 0.1 && !last.str.endsWith(' ') && !item.str.startsWith(' ') ? ' ' : '') + item.str;
+      last.x1 = Math.max(last.x1, item.x + item.width);
+    } else {
+      chunks.push({ str: item.str, x0: item.x, x1: item.x + item.width, height: item.height });
+    }
+  });
+  chunks.forEach(chunk => {
+    chunk.str = chunk.str.replace(/\s+/g, ' ').trim();
+  });
+  return chunks.filter(chunk => chunk.str);
+}
+
+const lineText = (line) => lineChunks(line).map(chunk => chunk.str).join('  ');
+
+/**
+ * Recognise a table header line and derive column ranges from it. Each
+ * column reaches halfway to its neighbours.
+ * @param {Array} chunks - Chunks of the line
+ * @returns {Object|null} Column ranges ({ date: [x0, x1], ... }) or null
+ */
+function headerColumns(chunks) {
+  const found = [];
+  chunks.forEach(chunk => {
+    const match = HEADER_PATTERNS.find(([, pattern]) => pattern.test(chunk.str));
+    if (match && !found.some(column => column.field === match[0])) {
+      found.push({ field: match[0], x0: chunk.x0, x1: chunk.x1, height: chunk.height });
+    }
+  });
+
+  const fields = found.map(column => column.field);
+  if (!fields.includes('date') || !AMOUNT_COLUMNS.some(field => fields.includes(field)) || found.length < 3) {
+    return null;
+  }
+
+  const columns = {};
+  found.sort((a, b) => a.x0 - b.x0).forEach((column, index) => {
+    const previous = found[index - 1];
+    const next = found[index + 1];
+    columns[column.field] = [
+      previous ? (previous.x1 + column.x0) / 2 : -Infinity,
+      next ? (column.x1 + next.x0) / 2 : Infinity
+    ];
+  });
+
+  // Without a header of its own the description sits right of the date,
+  // which keeps only a little room beyond its header text
+  if (!columns.description) {
+    const dateIndex = found.findIndex(column => column.field === 'date');
+    const date = found[dateIndex];
+    const next = found[dateIndex + 1];
+    const split = next ? date.x1 + (next.x0 - date.x1) * 0.25 : date.x1 + date.height * 4;
+    const end = next ? next.x0 - (next.x0 - date.x1) * 0.1 : Infinity;
+    columns.date[1] = split;
+    columns.description = [split, end];
+    if (next) {
+      columns[next.field][0] = end;
+    }
+  }
+    return columns;
+}
+
+/**
+ * Split a line's chunks into cells by column
+ * @param {Array} chunks - Chunks of the line
+ * @param {Object} columns - Column ranges
+ * @returns {Object} { cells, outside } where cells maps column -> text and
+ *   outside counts chunks that fall in no column
+ */
+function assignCells(chunks, columns) {
+  const cells = {};
+  let outside = 0;
+  chunks.forEach(chunk => {
+    const center = (chunk.x0 + chunk.x1) / 2;
+    const field = Object.keys(columns).find(name => center >= columns[name][0] && center < columns[name][1]);
+    if (field) {
+      cells[field] = cells[field] ? `${cells[field]} ${chunk.str}` : chunk.str;
+    } else {
+      outside++;
+    }
+  });
+  return { cells, outside };
+}
+
+/**
+ * Parse a statement date. Formats without a year are read with a
+ * placeholder year that is replaced once the statement period is known.
+ * @param {string} text - Date cell text
+ * @param {string|null} format - Profile date format, or null to try DATE_FORMATS
+ * @returns {Object|null} { month, day, year } with year null when the text has none
+ */
+function readStatementDate(text, format) {
+  const value = String(text || '').replace(/([A-Za-z])\./g, '$1').trim();
+  if (!value) return null;
+
+  for (const candidate of format ? [format] : DATE_FORMATS) {
+    const hasYear = /Y/.test(candidate);
+    const parsed = parseDate(value, candidate, hasYear ? undefined : 2000);
+    if (parsed) {
+      const [year, month, day] = parsed.split('-').map(Number);
+      return { month, day, year: hasYear ? year : null };
+    }
+  }
+  return null;
+}
+
+const toISODate = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).toISOString().split('T')[0];
+
+/**
+ * Give a year-less date the year that puts it inside (or closest to) the
+ * statement period, so a December-January statement gets both years right
+ * @param {Object} date - { month, day, year }
+ * @param {Object} period - { start, end } as YYYY-MM-DD, either may be null
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+function resolveYear(date, period) {
+  if (date.year) return toISODate(date.year, date.month, date.day);
+
+  const end = period.end ? new Date(period.end) : new Date();
+  const start = period.start ? new Date(period.start) : new Date(end.getTime() - 31 * DAY_MS);
+  const candidates = [...new Set([end.getUTCFullYear(), start.getUTCFullYear(), end.getUTCFullYear() - 1])];
+
+  const distance = (year) => {
+    const time = Date.UTC(year, date.month - 1, date.day);
+    if (time < start.getTime()) return start.getTime() - time;
+    if (time > end.getTime()) return time - end.getTime();
+    return 0;
+  };
+
+  const year = candidates.reduce((best, candidate) => (distance(candidate) < distance(best) ? candidate : best));
+  return toISODate(year, date.month, date.day);
+}
+
+/**
+ * Parse an amount cell, honouring CR/DR suffixes
+ * @param {string} text - Amount text
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {Object|null} { value, marker } where marker is 'CR', 'DR' or null
+ */
+function readAmount(text, decimalSeparator) {
+  if (!text) return null;
+  const markerMatch = String(text).trim().match(/\s*\b(CR|DR)$/i);
+  const marker = markerMatch ? markerMatch[1].toUpperCase() : null;
+  const value = parseAmount(markerMatch ? text.trim().slice(0, -markerMatch[0].length) : text, decimalSeparator);
+  return value === null ? null : { value, marker };
+}
+
+/**
+ * Find the statement period, balances and account number in the page text
+ * @param {Array} lines - Text of every line
+ * @param {string} decimalSeparator - '.' or ','
+ * @returns {Object} { periodStart, periodEnd, openingBalance, closingBalance, accountNumber }
+ */
+function extractStatementInfo(lines, decimalSeparator) {
+  const info = {
+    periodStart: null,
+    periodEnd: null,
+    openingBalance: null,
+    closingBalance: null,
+    accountNumber: null
+  };
+
+  const lastAmount = (line, label) => {
+    const after = line.slice(line.search(label));
+    const matches = after.match(AMOUNT_IN_TEXT);
+    const amount = matches ? readAmount(matches[matches.length - 1], decimalSeparator) : null;
+    return amount ? (amount.marker === 'DR' ? -Math.abs(amount.value) : amount.value) : null;
+  };
+
+  lines.forEach(line => {
+    if (!info.periodEnd) {
+      const match = line.match(PERIOD_PATTERN);
+      if (match) {
+        const end = readStatementDate(match[2], null);
+        const start = readStatementDate(match[1], null);
+        if (start && end && end.year) {
+          info.periodEnd = toISODate(end.year, end.month, end.day);
+          let startYear = start.year || end.year;
+          if (!start.year && (start.month > end.month || (start.month === end.month && start.day > end.day))) {
+            startYear--;
+          }
+          info.periodStart = toISODate(startYear, start.month, start.day);
+        }
+      }
+    }
+    if (info.openingBalance === null && OPENING_BALANCE.test(line)) {
+      info.openingBalance = lastAmount(line, OPENING_BALANCE);
+    }
+    if (info.closingBalance === null && CLOSING_BALANCE.test(line)) {
+      info.closingBalance = lastAmount(line, CLOSING_BALANCE);
+    }
+    if (!info.accountNumber) {
+      const match = line.match(ACCOUNT_NUMBER);
+      if (match) {
+        info.accountNumber = match[1].replace(/\D/g, '');
+      }
+    }
+  });
+
+  return info;
+}
+
+/**
+ * Pick the PDF profile whose identifiers (or institution name) appear in the
+ * statement text; the profile matching the most identifiers wins
+ * @param {Array} profiles - Saved PDF profiles
+ * @param {string} text - Statement text
+ * @returns {Object|null} The matching profile or null
+ */
+function selectPdfProfile(profiles, text) {
+  const haystack = String(text || '').toLowerCase();
+  let best = null;
+  let bestScore = 0;
+
+  profiles.forEach(profile => {
+    const layout = profile.pdfLayout || {};
+    const identifiers = (layout.identifiers && layout.identifiers.length > 0)
+      ? layout.identifiers
+      : [profile.institution].filter(Boolean);
+    const score = identifiers.filter(identifier => haystack.includes(identifier.toLowerCase())).length;
+    if (score > bestScore) {
+      best = profile;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Turn the collected rows into transactions
+ * @param {Array} rows - { page, line, date, description, cells }
+ * @param {Object} context - { profile, period, decimalSeparator, openingBalance, fileName }
+ * @returns {Object} { transactions, errors }
+ */
+function buildTransactions(rows, context) {
+  const { profile, period, decimalSeparator, fileName } = context;
+  const convention = profile ? (profile.signConvention || 'negative_expense') : null;
+  const transactions = [];
+  const errors = [];
+  let previousBalance = context.openingBalance;
+
+  rows.forEach(row => {
+    const debit = readAmount(row.cells.debit, decimalSeparator);
+    const credit = readAmount(row.cells.credit, decimalSeparator);
+    const amount = readAmount(row.cells.amount, decimalSeparator);
+    const balanceCell = readAmount(row.cells.balance, decimalSeparator);
+    const balance = balanceCell ? (balanceCell.marker === 'DR' ? -Math.abs(balanceCell.value) : balanceCell.value) : null;
+
+    let value;
+    let type;
+    if (debit && debit.value) {
+      value = Math.abs(debit.value);
+      type = 'expense';
+    } else if (credit && credit.value) {
+      value = Math.abs(credit.value);
+      type = 'income';
+    } else if (amount) {
+      value = Math.abs(amount.value);
+      if (amount.marker) {
+        type = amount.marker === 'CR' ? 'income' : 'expense';
+      } else if (!profile && amount.value > 0 && balance !== null && previousBalance !== null &&
+                 Math.abs(Math.abs(balance - previousBalance) - value) < 0.005) {
+        // Unsigned amounts next to a running balance: the balance says which way money moved
+        type = balance < previousBalance ? 'expense' : 'income';
+      } else if (convention === 'positive_expense') {
+        type = amount.value > 0 ? 'expense' : 'income';
+      } else {
+        type = amount.value < 0 ? 'expense' : 'income';
+      }
+    }
+
+    if (balance !== null) {
+      previousBalance = balance;
+    }
+
+    if (value === undefined) {
+      errors.push({ row: `page ${row.page}, line ${row.line}`, message: 'No amount found' });
+      return;
+    }
+    if (!row.description) {
+      errors.push({ row: `page ${row.page}, line ${row.line}`, message: 'Description is empty' });
+      return;
+    }
+
+    transactions.push(new Transaction({
+      date: resolveYear(row.date, period),
+      description: row.description,
+      amount: value,
+      type,
+      balance,
+      source: 'pdf',
+      sourceFileName: fileName
+    }));
+  });
+
+  return { transactions, errors };
+}
+
+/**
+ * Line-by-line fallback for PDFs without a recognisable table: any line with
+ * a date and an amount is taken as a transaction
+ * @param {string} text - Extracted text
+ * @param {string} fileName - File name recorded with the transactions
+ * @returns {Array} Array of transaction objects
+ */
+function parseTextLines(text, fileName) {
+  const transactions = [];
+  const lines = text.split('\n').filter(line => line.trim().length > 0);
+
+  const datePattern = /\d{1,2}[\/.-]\d{1,2}[\/.-]\d{2,4}/;  // Matches common date formats
+  const amountPattern = /[$€£]?\s*-?\d+[.,]\d{2}/;  // Matches currency amounts
+
+  lines.forEach(line => {
+    if (!datePattern.test(line) || !amountPattern.test(line)) return;
+
+    try {
+      const date = line.match(datePattern)[0];
+      const amount = line.match(amountPattern)[0].replace(/[$€£\s]/g, '');
+      const description = line
+        .replace(datePattern, '')
+        .replace(amountPattern, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      transactions.push(new Transaction({
+        date,
+        description,
+        amount: Math.abs(parseFloat(amount.replace(',', '.'))),
+        type: amount.includes('-') ? 'expense' : 'income',
+        source: 'pdf',
+        sourceFileName: fileName
+      }));
+    } catch (error) {
+      console.error('Error processing PDF line:', error);
+    }
+  });
+
+  return transactions;
+}
+
+/**
+ * Parse a statement PDF
+ * @param {Buffer} buffer - PDF file content
+ * @param {Object|null} profile - PDF import profile, or null for header detection
+ * @param {Object} options - { fileName }
+ * @returns {Promise<Object>} { transactions, errors, statement, text }
+ */
+async function parseStatementBuffer(buffer, profile, options = {}) {
+  const fileName = options.fileName || null;
+  const { pages, text } = await readPdfPages(buffer);
+  const layout = (profile && profile.pdfLayout) || {};
+  const decimalSeparator = (profile && profile.decimalSeparator) || '.';
+  const dateFormat = profile && layout.columns ? profile.dateFormat : null;
+
+  const rows = [];
+  const allLines = [];
+  let columns = layout.columns || null;
+  let layoutSource = columns ? 'profile' : null;
+
+  pages.forEach((lines, pageIndex) => {
+    let current = null;
+
+    lines.forEach((line, lineIndex) => {
+      const chunks = lineChunks(line);
+      allLines.push(chunks.map(chunk => chunk.str).join('  '));
+
+      // Without a profile, every page's table header (re)defines the columns
+      if (!layout.columns) {
+        const header = headerColumns(chunks);
+        if (header) {
+          columns = header;
+          layoutSource = 'header';
+          current = null;
+          return;
+        }
+      }
+      if (!columns) return;
+
+      const { cells, outside } = assignCells(chunks, columns);
+      const date = cells.date ? readStatementDate(cells.date, dateFormat) : null;
+      const hasAmount = AMOUNT_COLUMNS.some(field => readAmount(cells[field], decimalSeparator));
+      const description = cells.description || '';
+
+      if (SUMMARY_LINE.test(description)) {
+        current = null;
+        return;
+      }
+
+      if (date) {
+        current = {
+          page: pageIndex + 1,
+          line: lineIndex + 1,
+          date,
+          description,
+          cells,
+          y: line.y,
+          height: line.height
+        };
+        rows.push(current);
+        return;
+      }
+
+      // A line below a row with only description text (or the amounts the row
+      // was still missing) continues that row
+      const closeBelow = current && current.y - line.y <= current.height * 2.5;
+      const currentHasAmount = current && AMOUNT_COLUMNS.some(field => current.cells[field]);
+      const onlyDescription = outside === 0 && Object.keys(cells).every(field => field === 'description' ||
+        (!currentHasAmount && [...AMOUNT_COLUMNS, 'balance'].includes(field)));
+
+      if (closeBelow && description && onlyDescription) {
+        current.description = `${current.description} ${description}`.trim();
+        if (!currentHasAmount && hasAmount) {
+          [...AMOUNT_COLUMNS, 'balance'].forEach(field => {
+            if (cells[field]) current.cells[field] = cells[field];
+          });
+        }
+        current.y = line.y;
+        return;
+      }
+
+      current = null;
+    });
+  });
+
+  const info = extractStatementInfo(allLines, decimalSeparator);
+  const period = { start: info.periodStart, end: info.periodEnd };
+
+  let transactions;
+  let errors = [];
+  if (layoutSource) {
+    ({ transactions, errors } = buildTransactions(rows, {
+      profile,
+      period,
+      decimalSeparator,
+      openingBalance: info.openingBalance,
+      fileName
+    }));
+  } else {
+    transactions = parseTextLines(text, fileName);
+    layoutSource = 'text';
+  }
+
+  // Opening balance plus the rows should give the closing balance
+  let balanceCheck = null;
+  if (info.openingBalance !== null && info.closingBalance !== null) {
+    const net = transactions.reduce((sum, tx) => sum + (tx.type === 'income' ? tx.amount : -tx.amount), 0);
+    const difference = Math.round((info.openingBalance + net - info.closingBalance) * 100) / 100;
+    balanceCheck = { difference, balanced: Math.abs(difference) < 0.01 };
+  }
+
+  return {
+    transactions,
+    errors,
+    statement: {
+      ...info,
+      institution: profile ? profile.institution || null : null,
+      layout: layoutSource,
+      balanceCheck
+    },
+    text
+  };
+}
+
+/**
+ * Parse a statement PDF with an explicit profile or the saved PDF profile
+ * whose identifiers appear in it (header detection otherwise)
+ * @param {string} filePath - Path to the PDF file
+ * @param {Model} ImportProfile - Sequelize ImportProfile model
+ * @param {Object} options - { profileId, fileName }
+ * @returns {Promise<Object>} { profile, transactions, errors, statement }
+ */
+async function parseStatementFile(filePath, ImportProfile, options = {}) {
+  const buffer = fs.readFileSync(filePath);
+  const fileName = options.fileName || path.basename(filePath);
+
+  let profile = null;
+  if (options.profileId) {
+    profile = await ImportProfile.findByPk(options.profileId);
+    if (!profile) {
+      throw new Error(`Import profile ${options.profileId} not found`);
+    }
+  }
+
+  let result = await parseStatementBuffer(buffer, profile, { fileName });
+
+  if (!profile) {
+    const profiles = await ImportProfile.findAll({ where: { fileType: 'pdf' } });
+    profile = selectPdfProfile(profiles, result.text);
+    if (profile) {
+      result = await parseStatementBuffer(buffer, profile, { fileName });
+    }
+  }
+
+  const { transactions, errors, statement } = result;
+  return { profile, transactions, errors, statement };
+}
+
+module.exports = {
+  LAYOUT_COLUMNS,
+  validatePdfProfile,
+  readPdfPages,
+  resolveYear,
+  extractStatementInfo,
+  selectPdfProfile,
+  buildTransactions,
+  parseTextLines,
+  parseStatementBuffer,
+  parseStatementFile
+};
@@ -0,0 +1,219 @@
+/**
+ * Account reconciliation against statement balances, running-balance
+ * continuity checks and reconciled-period locking
+ */
+const { Op } = require('sequelize');
+const { getAccountBalance } = require('./accountMatching');
+
+// Transaction fields whose change alters an account balance
+const BALANCE_FIELDS = ['date', 'amount', 'type', 'transferDirection', 'accountId', 'account'];
+
+/**
+ * Credit card statements report the amount owed, which is the negative of
+ * the account's computed (asset) balance
+ * @param {Object} account - Account instance
+ * @returns {number} 1 or -1
+ */
+function statementSign(account) {
+  return account.type === 'credit_card' ? -1 : 1;
+}
+
+/**
+ * Get the signed effect of a transaction on its account's statement balance
+ * @param {Object} transaction - Transaction data
+ * @param {number} sign - Result of statementSign for the account
+ * @returns {number} Signed amount
+ */
+function signedAmount(transaction, sign = 1) {
+  const amount = Math.abs(parseFloat(transaction.amount) || 0);
+  const isInflow = transaction.type === 'income' ||
+    (transaction.type === 'transfer' && transaction.transferDirection === 'inflow');
+  return (isInflow ? amount : -amount) * sign;
+}
+
+function roundCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function nextDay(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().split('T')[0];
+}
+
+function walkBalances(rows, previous, sign) {
+  const breaks = [];
+  let runningBalance = previous;
+
+  rows.forEach(row => {
+    const expected = runningBalance === null ? null : roundCents(runningBalance + signedAmount(row, sign));
+
+    if (row.balance === null || row.balance === undefined) {
+      runningBalance = expected;
+      return;
+    }
+
+    const imported = parseFloat(row.balance);
+    if (expected !== null && Math.abs(expected - imported) >= 0.005) {
+      breaks.push({
+        transaction: row,
+        previousBalance: runningBalance,
+        expectedBalance: expected,
+        importedBalance: imported,
+        difference: roundCents(imported - expected)
+      });
+    }
+    runningBalance = imported;
+  });
+
+  return { breaks, runningBalance };
+}
+
+/**
+ * Find rows whose imported running balance does not follow from the previous
+ * row's balance plus the row's amount. Statements list same-day rows in either
+ * order, so each day is checked in both import orders and the better fit kept.
+ * @param {Array} transactions - One account's transactions, sorted by date then import order
+ * @param {Object} options - Options
+ * @param {number} [options.sign] - Result of statementSign for the account
+ * @returns {Array} Array of { transaction, previousBalance, expectedBalance, importedBalance, difference }
+ */
+function findBalanceBreaks(transactions, options = {}) {
+  const sign = options.sign || 1;
+
+  const days = [];
+  transactions.forEach(tx => {
+    const last = days[days.length - 1];
+    if (last && last.date === tx.date) {
+      last.rows.push(tx);
+    } else {
+      days.push({ date: tx.date, rows: [tx] });
+    }
+  });
+
+  const breaks = [];
+  let runningBalance = null;
+  days.forEach(day => {
+    const forward = walkBalances(day.rows, runningBalance, sign);
+    const reverse = walkBalances([...day.rows].reverse(), runningBalance, sign);
+    const best = reverse.breaks.length < forward.breaks.length ? reverse : forward;
+
+    breaks.push(...best.breaks);
+    runningBalance = best.runningBalance;
+  });
+
+  return breaks;
+}
+
+/**
+ * Compare a statement closing balance with the balance computed from transactions
+ * @param {Model} account - Account instance
+ * @param {Object} models - Sequelize models
+ * @param {Object} statement - { statementDate, statementBalance }
+ * @returns {Promise<Object>} Expected balance, difference, continuity breaks and period
+ */
+async function reconcileAccount(account, models, statement) {
+  const { Transaction, Reconciliation } = models;
+  const { statementDate } = statement;
+  const statementBalance = parseFloat(statement.statementBalance);
+  const sign = statementSign(account);
+
+  const previous = await Reconciliation.findOne({
+    where: { accountId: account.id, periodEnd: { [Op.lt]: statementDate } },
+    order: [['periodEnd', 'DESC']]
+  });
+  const periodStart = previous ? nextDay(previous.periodEnd) : (account.openingBalanceDate || null);
+
+  const computedBalance = roundCents(
+    (await getAccountBalance(account, Transaction, { asOf: statementDate })) * sign
+  );
+
+  const where = { accountId: account.id, date: { [Op.lte]: statementDate } };
+  if (periodStart) {
+    where.date[Op.gte] = periodStart;
+  }
+
+  const transactions = await Transaction.findAll({
+    where,
+    attributes: ['id', 'date', 'description', 'amount', 'type', 'transferDirection', 'balance'],
+    order: [['date', 'ASC'], ['createdAt', 'ASC']]
+  });
+
+  return {
+    accountId: account.id,
+    periodStart,
+    periodEnd: statementDate,
+    statementBalance,
+    computedBalance,
+    difference: roundCents(statementBalance - computedBalance),
+    transactionCount: transactions.length,
+    balanceBreaks: findBalanceBreaks(transactions.map(tx => tx.get({ plain: true })), { sign })
+  };
+}
+
+/**
+ * Find the reconciled period (if any) covering an account and date
+ * @param {Model} Reconciliation - Sequelize Reconciliation model
+ * @param {string} accountId - Account ID
+ * @param {string} date - Transaction date (YYYY-MM-DD)
+ * @returns {Promise<Model|null>} The reconciliation or null
+ */
+async function findReconciledPeriod(Reconciliation, accountId, date) {
+  if (!accountId || !date) return null;
+
+  return Reconciliation.findOne({
+    where: {
+      accountId,
+      periodEnd: { [Op.gte]: date },
+      [Op.or]: [
+        { periodStart: null },
+        { periodStart: { [Op.lte]: date } }
+      ]
+    },
+    order: [['periodEnd', 'ASC']]
+  });
+}
+
+/**
+ * Check whether an edit to a transaction touches a reconciled period, either
+ * where the transaction is now or where the changes would move it
+ * @param {Model} Reconciliation - Sequelize Reconciliation model
+ * @param {Object|null} transaction - Current transaction (null when creating)
+ * @param {Object|null} changes - Incoming field changes (null when deleting)
+ * @returns {Promise<Model|null>} The affected reconciliation or null
+ */
+async function findLockedReconciliation(Reconciliation, transaction, changes) {
+  if (transaction && changes) {
+    const touchesBalance = BALANCE_FIELDS.some(field => {
+      if (changes[field] === undefined) return false;
+      if (field === 'amount') {
+        return Math.abs(parseFloat(changes.amount) - parseFloat(transaction.amount)) >= 0.005;
+      }
+      return String(changes[field]) !== String(transaction[field]);
+    });
+    if (!touchesBalance) return null;
+  }
+
+  if (transaction) {
+    const current = await findReconciledPeriod(Reconciliation, transaction.accountId, transaction.date);
+    if (current) return current;
+  }
+
+  if (changes) {
+    const accountId = changes.accountId !== undefined ? changes.accountId : transaction && transaction.accountId;
+    const date = changes.date !== undefined ? changes.date : transaction && transaction.date;
+    return findReconciledPeriod(Reconciliation, accountId, date);
+  }
+
+  return null;
+}
+
+module.exports = {
+  BALANCE_FIELDS,
+  statementSign,
+  signedAmount,
+  findBalanceBreaks,
+  reconcileAccount,
+  findReconciledPeriod,
+  findLockedReconciliation
+};
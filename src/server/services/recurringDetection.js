@@ -0,0 +1,332 @@
+/**
+ * Recurring transaction detection: finds subscriptions and other regular
+ * charges by scanning each merchant's history for a steady cadence with
+ * similar amounts
+ */
+const { Op } = require('sequelize');
+const { normalizeDescription } = require('./duplicateDetection');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Supported cadences: nominal interval, allowed deviation and how late a
+// charge may be before it is reported as missing (all in days)
+const CADENCES = {
+  weekly: { days: 7, tolerance: 2, grace: 3, minOccurrences: 3 },
+  biweekly: { days: 14, tolerance: 3, grace: 4, minOccurrences: 3 },
+  monthly: { days: 30.4, tolerance: 4, grace: 7, months: 1, minOccurrences: 3 },
+  quarterly: { days: 91, tolerance: 10, grace: 14, months: 3, minOccurrences: 3 },
+  annual: { days: 365, tolerance: 15, grace: 30, months: 12, minOccurrences: 2 }
+};
+
+// Share of intervals/amounts that must fit the pattern
+const REGULARITY_THRESHOLD = 0.75;
+
+// Amounts within this fraction of the median count as "similar"
+const AMOUNT_TOLERANCE = 0.25;
+
+// Consecutive amounts differing by more than this fraction are a price change
+const PRICE_CHANGE_THRESHOLD = 0.01;
+
+/**
+ * Build the grouping key for a transaction: the normalized merchant (or
+ * description) with reference numbers and other digit-bearing tokens removed
+ * so "NETFLIX.COM 8472" and "NETFLIX.COM 9913" group together
+ * @param {Object} transaction - Transaction data
+ * @returns {string} Merchant key (empty when nothing usable remains)
+ */
+function merchantKey(transaction) {
+  return normalizeDescription(transaction.merchant || transaction.description)
+    .split(' ')
+    .filter(token => token && !/\d/.test(token))
+    .join(' ');
+}
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function parseDate(value) {
+  return new Date(`${String(value).split('T')[0]}T00:00:00Z`);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  values.filter(value => value).forEach(value => {
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+
+  let best = null;
+  counts.forEach((count, value) => {
+    if (best === null || count > counts.get(best)) best = value;
+  });
+  return best;
+}
+
+/**
+ * Add one cadence interval to a date. Month-based cadences keep the day of
+ * month, clamped to the end of shorter months.
+ * @param {string|Date} date - Start date
+ * @param {string} cadence - Cadence name
+ * @returns {string} Next date in YYYY-MM-DD format
+ */
+function addCadence(date, cadence) {
+  const config = CADENCES[cadence];
+  const start = parseDate(date instanceof Date ? toDateString(date) : date);
+
+  if (!config.months) {
+    return toDateString(new Date(start.getTime() + config.days * DAY_MS));
+  }
+
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + config.months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return toDateString(new Date(Date.UTC(year, month, Math.min(start.getUTCDate(), lastDay))));
+}
+
+/**
+ * Get the cadence whose interval matches a typical gap between charges
+ * @param {number} interval - Median days between charges
+ * @returns {string|null} Cadence name or null when none fits
+ */
+function matchCadence(interval) {
+  return Object.keys(CADENCES).find(name =>
+    Math.abs(interval - CADENCES[name].days) <= CADENCES[name].tolerance
+  ) || null;
+}
+
+/**
+ * Get the live status of a series as of a reference date
+ * @param {Object} series - RecurringSeries instance or plain series data
+ * @param {Date} referenceDate - Date to evaluate against (default today)
+ * @returns {Object} { status, daysOverdue }
+ */
+function getSeriesStatus(series, referenceDate = new Date()) {
+  if (series.status === 'ignored') {
+    return { status: 'ignored', daysOverdue: 0 };
+  }
+
+  const today = parseDate(toDateString(referenceDate));
+  const daysOverdue = Math.floor((today - parseDate(series.nextExpectedDate)) / DAY_MS);
+  const grace = CADENCES[series.cadence] ? CADENCES[series.cadence].grace : 7;
+
+  return {
+    status: daysOverdue > grace ? 'missed' : 'active',
+    daysOverdue: Math.max(daysOverdue, 0)
+  };
+}
+
+/**
+ * Get the approximate monthly cost of a series
+ * @param {Object} series - Series with cadence and expectedAmount
+ * @returns {number} Monthly equivalent amount
+ */
+function monthlyEquivalent(series) {
+  const config = CADENCES[series.cadence];
+  if (!config) return 0;
+  return Math.round(parseFloat(series.expectedAmount) * (30.4 / config.days) * 100) / 100;
+}
+
+/**
+ * Check whether a merchant's transactions form a recurring series
+ * @param {Array} transactions - One merchant's transactions (any order)
+ * @param {Object} options - Options
+ * @param {Date} [options.referenceDate] - Date used to judge missing charges
+ * @returns {Object|null} Series data, or null when no regular pattern is found
+ */
+function analyzeSeries(transactions, options = {}) {
+  if (transactions.length < 2) return null;
+
+  const sorted = [...transactions].sort((a, b) => parseDate(a.date) - parseDate(b.date));
+
+  const intervals = [];
+  for (let i = 1; i < sorted.length; i++) {
+    intervals.push((parseDate(sorted[i].date) - parseDate(sorted[i - 1].date)) / DAY_MS);
+  }
+
+  const cadence = matchCadence(median(intervals));
+  if (!cadence) return null;
+
+  const config = CADENCES[cadence];
+  if (sorted.length < config.minOccurrences) return null;
+
+  const regularIntervals = intervals.filter(interval =>
+    Math.abs(interval - config.days) <= config.tolerance
+  );
+  if (regularIntervals.length / intervals.length < REGULARITY_THRESHOLD) return null;
+
+  const amounts = sorted.map(tx => Math.abs(parseFloat(tx.amount)));
+  const medianAmount = median(amounts);
+  const similarAmounts = amounts.filter(amount =>
+    Math.abs(amount - medianAmount) <= medianAmount * AMOUNT_TOLERANCE
+  );
+  if (medianAmount === 0 || similarAmounts.length / amounts.length < REGULARITY_THRESHOLD) return null;
+
+  const priceChanges = [];
+  for (let i = 1; i < sorted.length; i++) {
+    const previousAmount = amounts[i - 1];
+    const newAmount = amounts[i];
+    if (Math.abs(newAmount - previousAmount) > previousAmount * PRICE_CHANGE_THRESHOLD) {
+      priceChanges.push({
+        date: String(sorted[i].date).split('T')[0],
+        previousAmount,
+        newAmount
+      });
+    }
+  }
+
+  const last = sorted[sorted.length - 1];
+  const lastDate = String(last.date).split('T')[0];
+  const series = {
+    merchantKey: merchantKey(last),
+    name: last.merchant || last.description,
+    type: last.type,
+    cadence,
+    account: mostCommon(sorted.map(tx => tx.account)),
+    categoryId: mostCommon(sorted.map(tx => tx.categoryId)),
+    expectedAmount: amounts[amounts.length - 1],
+    averageAmount: Math.round((amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length) * 100) / 100,
+    lastDate,
+    nextExpectedDate: addCadence(lastDate, cadence),
+    transactionCount: sorted.length,
+    priceChanges,
+    transactionIds: sorted.map(tx => tx.id)
+  };
+  series.status = getSeriesStatus(series, options.referenceDate).status;
+
+  return series;
+}
+
+/**
+ * Find recurring series among a set of transactions
+ * @param {Array} transactions - Income/expense transactions
+ * @param {Object} options - Options passed to analyzeSeries
+ * @returns {Array} Detected series
+ */
+function findRecurringSeries(transactions, options = {}) {
+  const groups = new Map();
+  transactions.forEach(tx => {
+    if (tx.type !== 'income' && tx.type !== 'expense') return;
+
+    const key = merchantKey(tx);
+    if (!key) return;
+
+    const groupKey = `${key}|${tx.type}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, []);
+    }
+    groups.get(groupKey).push(tx);
+  });
+
+  const detected = [];
+  groups.forEach(group => {
+    const series = analyzeSeries(group, options);
+    if (series) detected.push(series);
+  });
+
+  return detected;
+}
+
+/**
+ * Scan stored transactions for recurring series, mark the matching rows
+ * recurring and save a RecurringSeries record for each series.
+ * Series the user has marked as ignored are left untouched.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Object} options - Options
+ * @param {number} [options.lookbackMonths] - How much history to scan (default 24)
+ * @param {Date} [options.referenceDate] - Date used to judge missing charges (default today)
+ * @param {boolean} [options.dryRun] - Return the series without saving them
+ * @returns {Promise<Array>} The detected series
+ */
+async function detectRecurring(sequelize, options = {}) {
+  const { Transaction, RecurringSeries } = sequelize.models;
+  const referenceDate = options.referenceDate || new Date();
+  const lookbackMonths = options.lookbackMonths || 24;
+
+  const since = new Date(Date.UTC(
+    referenceDate.getUTCFullYear(),
+    referenceDate.getUTCMonth() - lookbackMonths,
+    referenceDate.getUTCDate()
+  ));
+
+  const transactions = await Transaction.findAll({
+    where: {
+      type: { [Op.in]: ['income', 'expense'] },
+      date: { [Op.gte]: toDateString(since) }
+    },
+    attributes: ['id', 'date', 'description', 'merchant', 'amount', 'type', 'account', 'categoryId'],
+    order: [['date', 'ASC']]
+  });
+
+  const detected = findRecurringSeries(transactions, { referenceDate });
+
+  if (options.dryRun || detected.length === 0) {
+    return detected;
+  }
+
+  await sequelize.transaction(async (t) => {
+    for (const data of detected) {
+      const { transactionIds, ...fields } = data;
+
+      let series = await RecurringSeries.findOne({
+        where: { merchantKey: fields.merchantKey, type: fields.type },
+        transaction: t
+      });
+
+      if (series && series.status === 'ignored') {
+        data.status = 'ignored';
+        continue;
+      }
+
+      if (series) {
+        await series.update(fields, { transaction: t });
+      } else {
+        series = await RecurringSeries.create(fields, { transaction: t });
+      }
+      data.id = series.id;
+
+      await Transaction.update(
+        { isRecurring: true, recurringSeriesId: series.id },
+        { where: { id: { [Op.in]: transactionIds } }, transaction: t }
+      );
+    }
+  });
+
+  return detected;
+}
+
+/**
+ * Remove a series, clearing the recurring flag from its transactions
+ * @param {Model} series - RecurringSeries instance
+ * @param {Model} Transaction - Sequelize Transaction model
+ * @param {Object} options - Sequelize options (e.g. transaction)
+ * @returns {Promise<number>} Number of transactions unmarked
+ */
+async function removeSeries(series, Transaction, options = {}) {
+  const [unmarked] = await Transaction.update(
+    { isRecurring: false, recurringSeriesId: null },
+    { where: { recurringSeriesId: series.id }, ...options }
+  );
+
+  await series.destroy(options);
+
+  return unmarked;
+}
+
+module.exports = {
+  CADENCES,
+  merchantKey,
+  addCadence,
+  matchCadence,
+  getSeriesStatus,
+  monthlyEquivalent,
+  analyzeSeries,
+  findRecurringSeries,
+  detectRecurring,
+  removeSeries
+};
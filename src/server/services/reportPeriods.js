@@ -0,0 +1,328 @@
+/**
+ * Report periods: turn the `from`/`to`, `period`, `compare`, `accountId` and
+ * `tags` query parameters shared by the report endpoints into a date range,
+ * an optional comparison range and the account/tag filters.
+ *
+ * Named periods are calendar based except the budget periods, which start on
+ * Settings.budgetStart. Settings.customPeriods adds periods by name:
+ *
+ *   [
+ *     { name: 'Trip 2024', startDate: '2024-06-01', endDate: '2024-06-21' },   // fixed range
+ *     { name: 'Fiscal year', startMonth: 4, startDay: 1, months: 12 }          // repeats every 12 months
+ *   ]
+ */
+const Budget = require('../models/sequelize/Budget');
+
+const NAMED_PERIODS = ['this-month', 'last-month', 'this-quarter', 'last-quarter', 'this-year', 'last-year',
+  'ytd', 'last-30-days', 'last-90-days', 'last-12-months', 'budget-period', 'last-budget-period'];
+const COMPARE_MODES = ['previous', 'year'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+// Accept repeated parameters (?tags=a&tags=b) as well as comma-separated lists
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+const parseDay = (value) => new Date(`${value}T00:00:00Z`);
+const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Day `day` of a month, moved back to the month's last day when it is shorter
+const clampedDate = (year, month, day) => {
+  const first = new Date(Date.UTC(year, month, 1));
+  const lastDay = lastDayOfMonth(first.getUTCFullYear(), first.getUTCMonth());
+  return new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), Math.min(day, lastDay)));
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const monthRange = (year, month, months) => ({
+  from: toDateString(new Date(Date.UTC(year, month, 1))),
+  to: toDateString(new Date(Date.UTC(year, month + months, 0)))
+});
+
+/**
+ * Move a date range by whole months. A range ending on the last day of a
+ * month keeps ending on the last day of the target month.
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @param {number} months - Months to move (negative moves back)
+ * @returns {Object} { from, to }
+ */
+function shiftRangeByMonths(range, months) {
+  const shift = (value) => {
+    const date = parseDay(value);
+    const isMonthEnd = date.getUTCDate() === lastDayOfMonth(date.getUTCFullYear(), date.getUTCMonth());
+    const target = clampedDate(date.getUTCFullYear(), date.getUTCMonth() + months, isMonthEnd ? 31 : date.getUTCDate());
+    return toDateString(target);
+  };
+  return { from: shift(range.from), to: shift(range.to) };
+}
+
+/**
+ * The range of the same length that ends the day before a range starts
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @returns {Object} { from, to }
+ */
+function precedingRange(range) {
+  const from = parseDay(range.from);
+  const days = Math.round((parseDay(range.to) - from) / DAY_MS) + 1;
+  return { from: toDateString(addDays(from, -days)), to: toDateString(addDays(from, -1)) };
+}
+
+/**
+ * The previous equivalent of an explicit range: the same number of whole
+ * months before it when it covers whole months, otherwise the same number of days
+ * @param {Object} range - { from, to } as YYYY-MM-DD
+ * @returns {Object} { from, to }
+ */
+function previousRange(range) {
+  const from = parseDay(range.from);
+  const to = parseDay(range.to);
+  if (from.getUTCDate() === 1 && to.getUTCDate() === lastDayOfMonth(to.getUTCFullYear(), to.getUTCMonth())) {
+    const months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth() + 1;
+    return shiftRangeByMonths(range, -months);
+  }
+  return precedingRange(range);
+}
+
+/**
+ * Check Settings.customPeriods
+ * @param {*} periods - Value to check
+ * @returns {Array} Array of { field, message } errors (empty when valid)
+ */
+function validateCustomPeriods(periods) {
+  if (periods === null) return [];
+  if (!Array.isArray(periods)) {
+    return [{ field: 'customPeriods', message: 'Custom periods must be a list' }];
+  }
+
+  const errors = [];
+  const names = new Set();
+  periods.forEach((period, index) => {
+    const field = `customPeriods[${index}]`;
+    if (!period || typeof period !== 'object') {
+      errors.push({ field, message: 'Custom period must be an object' });
+      return;
+    }
+
+    const name = typeof period.name === 'string' ? period.name.trim().toLowerCase() : '';
+    if (!name) {
+      errors.push({ field: `${field}.name`, message: 'Name is required' });
+    } else if (NAMED_PERIODS.includes(name)) {
+      errors.push({ field: `${field}.name`, message: `"${period.name}" is a built-in period` });
+    } else if (names.has(name)) {
+      errors.push({ field: `${field}.name`, message: `Duplicate period name "${period.name}"` });
+    }
+    names.add(name);
+
+    if (period.startDate !== undefined || period.endDate !== undefined) {
+      if (!isDate(period.startDate) || !isDate(period.endDate)) {
+        errors.push({ field, message: 'startDate and endDate must be in YYYY-MM-DD format' });
+      } else if (period.startDate > period.endDate) {
+        errors.push({ field, message: 'startDate must not be after endDate' });
+      }
+    } else {
+      const startMonth = Number(period.startMonth);
+      const startDay = period.startDay === undefined ? 1 : Number(period.startDay);
+      const months = period.months === undefined ? 12 : Number(period.months);
+      if (!Number.isInteger(startMonth) || startMonth < 1 || startMonth > 12) {
+        errors.push({ field: `${field}.startMonth`, message: 'startMonth must be between 1 and 12' });
+      }
+      if (!Number.isInteger(startDay) || startDay < 1 || startDay > 31) {
+        errors.push({ field: `${field}.startDay`, message: 'startDay must be between 1 and 31' });
+      }
+      if (!Number.isInteger(months) || months < 1 || months > 120) {
+        errors.push({ field: `${field}.months`, message: 'months must be between 1 and 120' });
+      }
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Resolve a period name to its range and to the range before it
+ * @param {string} name - Built-in or custom period name
+ * @param {Object} settings - { budgetStart, customPeriods }
+ * @param {Date} today - Reference date
+ * @returns {Object|null} { from, to, previous } or null for an unknown name
+ */
+function resolveNamedPeriod(name, settings, today) {
+  const year = today.getUTCFullYear();
+  const month = today.getUTCMonth();
+  const quarter = Math.floor(month / 3) * 3;
+  const todayString = toDateString(today);
+  const withPrevious = (range, months) => ({ ...range, previous: shiftRangeByMonths(range, -months) });
+  const lastDays = (days) => {
+    const range = { from: toDateString(addDays(today, 1 - days)), to: todayString };
+    return { ...range, previous: precedingRange(range) };
+  };
+
+  switch (name) {
+    case 'this-month': return withPrevious(monthRange(year, month, 1), 1);
+    case 'last-month': return withPrevious(monthRange(year, month - 1, 1), 1);
+    case 'this-quarter': return withPrevious(monthRange(year, quarter, 3), 3);
+    case 'last-quarter': return withPrevious(monthRange(year, quarter - 3, 3), 3);
+    case 'this-year': return withPrevious(monthRange(year, 0, 12), 12);
+    case 'last-year': return withPrevious(monthRange(year - 1, 0, 12), 12);
+    // Year to date compares with the same days of last year
+    case 'ytd': return withPrevious({ from: `${year}-01-01`, to: todayString }, 12);
+    case 'last-30-days': return lastDays(30);
+    case 'last-90-days': return lastDays(90);
+    case 'last-12-months': return withPrevious({ ...monthRange(year, month - 11, 12), to: todayString }, 12);
+    case 'budget-period':
+    case 'last-budget-period': {
+      const budgetStart = settings.budgetStart || 1;
+      const reference = name === 'budget-period'
+        ? today
+        : parseDay(Budget.getPreviousPeriodRange('monthly', budgetStart, today).startDate);
+      const current = Budget.getPeriodRange('monthly', budgetStart, reference);
+      const previous = Budget.getPreviousPeriodRange('monthly', budgetStart, reference);
+      return {
+        from: current.startDate,
+        to: current.endDate,
+        previous: { from: previous.startDate, to: previous.endDate }
+      };
+    }
+    default:
+      break;
+  }
+
+  const custom = (settings.customPeriods || [])
+    .find(period => period && typeof period.name === 'string' && period.name.trim().toLowerCase() === name);
+  if (!custom) return null;
+
+  if (custom.startDate) {
+    const range = { from: custom.startDate, to: custom.endDate };
+    return { ...range, previous: previousRange(range) };
+  }
+
+  // Recurring custom period: the occurrence containing today
+  const months = Number(custom.months) || 12;
+  const startDay = Number(custom.startDay) || 1;
+  let start = clampedDate(year, Number(custom.startMonth) - 1, startDay);
+  while (start > today) {
+    start = clampedDate(start.getUTCFullYear(), start.getUTCMonth() - months, startDay);
+  }
+  let next = clampedDate(start.getUTCFullYear(), start.getUTCMonth() + months, startDay);
+  while (next <= today) {
+    start = next;
+    next = clampedDate(start.getUTCFullYear(), start.getUTCMonth() + months, startDay);
+  }
+  const previousStart = clampedDate(start.getUTCFullYear(), start.getUTCMonth() - months, startDay);
+  return {
+    from: toDateString(start),
+    to: toDateString(addDays(next, -1)),
+    previous: { from: toDateString(previousStart), to: toDateString(addDays(start, -1)) }
+  };
+}
+
+/**
+ * Read the report scope from query parameters:
+ * - from, to: YYYY-MM-DD bounds (either may be left open)
+ * - period: a named period (NAMED_PERIODS or a Settings.customPeriods name)
+ * - compare: 'previous' (the equivalent period before) or 'year' (a year earlier)
+ * - accountId: account IDs; tags (with tagsMode=all to require every tag)
+ * @param {Object} query - Request query parameters
+ * @param {Model} Settings - Settings model, read only for budget and custom periods
+ * @param {Date} [today] - Reference date
+ * @returns {Promise<Object>} { scope, errors } where scope is
+ *   { period, from, to, comparison: { from, to } | null, accountIds, tags, tagsMode }
+ */
+async function resolveReportScope(query, Settings, today = new Date()) {
+  const errors = [];
+  const scope = {
+    period: null,
+    from: null,
+    to: null,
+    comparison: null,
+    accountIds: toList(query.accountId),
+    tags: toList(query.tags),
+    tagsMode: query.tagsMode === 'all' ? 'all' : 'any'
+  };
+  let previous = null;
+
+  const period = query.period ? String(query.period).trim().toLowerCase() : '';
+  if (period && (query.from || query.to)) {
+    errors.push({ field: 'period', message: 'Use either period or from/to' });
+  } else if (period) {
+    const needsSettings = period.includes('budget') || !NAMED_PERIODS.includes(period);
+    const settings = needsSettings ? ((await Settings.findOne()) || {}) : {};
+    const range = resolveNamedPeriod(period, settings, today);
+    if (range) {
+      scope.period = period;
+      scope.from = range.from;
+      scope.to = range.to;
+      previous = range.previous;
+    } else {
+      errors.push({
+        field: 'period',
+        message: `Period must be one of: ${NAMED_PERIODS.join(', ')}, or the name of a custom period`
+      });
+    }
+  } else {
+    ['from', 'to'].forEach(field => {
+      if (query[field] === undefined || query[field] === '') return;
+      if (isDate(query[field])) scope[field] = query[field];
+      else errors.push({ field, message: 'Date must be in YYYY-MM-DD format' });
+    });
+    if (scope.from && scope.to && scope.from > scope.to) {
+      errors.push({ field: 'from', message: 'from must not be after to' });
+    }
+    if (scope.from && scope.to) {
+      previous = previousRange(scope);
+    }
+  }
+
+  if (query.compare !== undefined && query.compare !== '' && query.compare !== 'none') {
+    if (!COMPARE_MODES.includes(query.compare)) {
+      errors.push({ field: 'compare', message: `Compare must be one of: ${COMPARE_MODES.join(', ')}` });
+    } else if (!scope.from || !scope.to) {
+      errors.push({ field: 'compare', message: 'Comparing needs a period or both from and to' });
+    } else {
+      scope.comparison = query.compare === 'year' ? shiftRangeByMonths(scope, -12) : previous;
+    }
+  }
+
+  return { scope, errors };
+}
+
+/**
+ * The same scope over its comparison range
+ * @param {Object} scope - Scope from resolveReportScope
+ * @returns {Object} Scope whose from/to are the comparison range
+ */
+function comparisonScope(scope) {
+  return { ...scope, period: null, from: scope.comparison.from, to: scope.comparison.to, comparison: null };
+}
+
+/**
+ * Difference between a value and the value of the comparison period
+ * @param {number} current - Value in the report period
+ * @param {number} previous - Value in the comparison period
+ * @returns {Object} { previous, change, changePercent } (changePercent is null when previous is 0)
+ */
+function compareValues(current, previous) {
+  const change = current - previous;
+  return {
+    previous,
+    change,
+    changePercent: previous !== 0 ? (change / Math.abs(previous)) * 100 : null
+  };
+}
+
+module.exports = {
+  NAMED_PERIODS,
+  COMPARE_MODES,
+  validateCustomPeriods,
+  resolveNamedPeriod,
+  resolveReportScope,
+  comparisonScope,
+  compareValues,
+  shiftRangeByMonths
+};
@@ -0,0 +1,207 @@
+/**
+ * Deterministic categorization rules, evaluated before any AI suggestion
+ */
+
+const STRING_FIELDS = ['description', 'merchant', 'account', 'type'];
+const NUMBER_FIELDS = ['amount'];
+const STRING_OPERATORS = ['contains', 'equals', 'startsWith', 'endsWith', 'regex'];
+const NUMBER_OPERATORS = ['equals', 'between', 'gt', 'gte', 'lt', 'lte'];
+const ACTION_FIELDS = ['categoryId', 'subcategoryId', 'merchant', 'tags', 'needsReview'];
+
+/**
+ * Validate rule data
+ * @param {Object} data - Rule data (name, conditions, actions, ...)
+ * @returns {Array} Array of { field, message } errors (empty when valid)
+ */
+function validateRule(data) {
+  const errors = [];
+
+  if (!Array.isArray(data.conditions) || data.conditions.length === 0) {
+    errors.push({ field: 'conditions', message: 'At least one condition is required' });
+  } else {
+    data.conditions.forEach((condition, index) => {
+      const field = `conditions[${index}]`;
+      if (STRING_FIELDS.includes(condition.field)) {
+        if (!STRING_OPERATORS.includes(condition.operator)) {
+          errors.push({ field, message: `Operator must be one of: ${STRING_OPERATORS.join(', ')}` });
+        } else if (condition.value === undefined || condition.value === null || condition.value === '') {
+          errors.push({ field, message: 'A value is required' });
+        } else if (condition.operator === 'regex') {
+          try {
+            new RegExp(condition.value, 'i');
+          } catch (e) {
+            errors.push({ field, message: `Invalid regular expression: ${e.message}` });
+          }
+        }
+      } else if (NUMBER_FIELDS.includes(condition.field)) {
+        if (!NUMBER_OPERATORS.includes(condition.operator)) {
+          errors.push({ field, message: `Operator must be one of: ${NUMBER_OPERATORS.join(', ')}` });
+        } else if (isNaN(parseFloat(condition.value)) ||
+                   (condition.operator === 'between' && isNaN(parseFloat(condition.value2)))) {
+          errors.push({ field, message: 'Numeric value(s) required' });
+        }
+      } else {
+        errors.push({
+          field,
+          message: `Field must be one of: ${[...STRING_FIELDS, ...NUMBER_FIELDS].join(', ')}`
+        });
+      }
+    });
+  }
+
+  const actions = data.actions || {};
+  if (!ACTION_FIELDS.some(field => actions[field] !== undefined)) {
+    errors.push({ field: 'actions', message: `At least one action is required (${ACTION_FIELDS.join(', ')})` });
+  }
+  if (actions.tags !== undefined && !Array.isArray(actions.tags)) {
+    errors.push({ field: 'actions.tags', message: 'Tags must be an array' });
+  }
+
+  return errors;
+}
+
+/**
+ * Check whether a single condition matches a transaction
+ * @param {Object} condition - { field, operator, value, value2 }
+ * @param {Object} transaction - Transaction data
+ * @returns {boolean} True when the condition matches
+ */
+function matchesCondition(condition, transaction) {
+  const { field, operator, value, value2 } = condition;
+
+  if (NUMBER_FIELDS.includes(field)) {
+    const amount = Math.abs(parseFloat(transaction[field]));
+    if (isNaN(amount)) return false;
+
+    const a = parseFloat(value);
+    const b = parseFloat(value2);
+    switch (operator) {
+      case 'equals': return Math.abs(amount - a) < 0.005;
+      case 'between': return amount >= Math.min(a, b) && amount <= Math.max(a, b);
+      case 'gt': return amount > a;
+      case 'gte': return amount >= a;
+      case 'lt': return amount < a;
+      case 'lte': return amount <= a;
+      default: return false;
+    }
+  }
+
+  const actual = String(transaction[field] || '').toLowerCase().trim();
+  const expected = String(value || '').toLowerCase().trim();
+  switch (operator) {
+    case 'contains': return actual.includes(expected);
+    case 'equals': return actual === expected;
+    case 'startsWith': return actual.startsWith(expected);
+    case 'endsWith': return actual.endsWith(expected);
+    case 'regex':
+      try {
+        return new RegExp(value, 'i').test(transaction[field] || '');
+      } catch (e) {
+        return false;
+      }
+    default: return false;
+  }
+}
+
+/**
+ * Check whether a rule matches a transaction
+ * @param {Object} rule - Rule instance or plain object
+ * @param {Object} transaction - Transaction data
+ * @returns {boolean} True when the rule matches
+ */
+function matchesRule(rule, transaction) {
+  const conditions = Array.isArray(rule.conditions) ? rule.conditions : [];
+  if (conditions.length === 0) return false;
+
+  return rule.matchType === 'any'
+    ? conditions.some(condition => matchesCondition(condition, transaction))
+    : conditions.every(condition => matchesCondition(condition, transaction));
+}
+
+/**
+ * Build the field updates a rule's actions make to a transaction
+ * @param {Object} rule - The matching rule
+ * @param {Object} transaction - Transaction data (for merging tags)
+ * @returns {Object} Field updates
+ */
+function getRuleUpdates(rule, transaction) {
+  const actions = rule.actions || {};
+  const updates = {};
+
+  if (actions.categoryId) {
+    updates.categoryId = actions.categoryId;
+    updates.categoryConfidence = 1;
+  }
+  if (actions.subcategoryId) {
+    updates.subcategoryId = actions.subcategoryId;
+  }
+  if (actions.merchant) {
+    updates.merchant = actions.merchant;
+  }
+  if (Array.isArray(actions.tags) && actions.tags.length > 0) {
+    const existingTags = Array.isArray(transaction.tags) ? transaction.tags : [];
+    updates.tags = [...new Set([...existingTags, ...actions.tags])];
+  }
+  if (typeof actions.needsReview === 'boolean') {
+    updates.needsReview = actions.needsReview;
+  }
+
+  return updates;
+}
+
+/**
+ * Find the first matching rule (rules must already be sorted by priority)
+ * @param {Array} rules - Active rules sorted by priority
+ * @param {Object} transaction - Transaction data
+ * @returns {Object|null} { rule, updates } or null when no rule matches
+ */
+function evaluateRules(rules, transaction) {
+  const rule = rules.find(candidate => matchesRule(candidate, transaction));
+  if (!rule) return null;
+
+  return { rule, updates: getRuleUpdates(rule, transaction) };
+}
+
+/**
+ * Load the active rules in evaluation order
+ * @param {Model} Rule - Sequelize Rule model
+ * @returns {Promise<Array>} Active rules sorted by priority
+ */
+async function loadActiveRules(Rule) {
+  return Rule.findAll({
+    where: { isActive: true },
+    order: [['priority', 'ASC'], ['createdAt', 'ASC']]
+  });
+}
+
+/**
+ * Apply the active rules to an array of transaction rows (e.g. freshly parsed upload rows)
+ * @param {Array} transactions - Plain transaction objects
+ * @param {Model} Rule - Sequelize Rule model
+ * @returns {Promise<Array>} Rows with rule updates applied and ruleId set when matched
+ */
+async function applyRulesToRows(transactions, Rule) {
+  const rules = await loadActiveRules(Rule);
+  if (rules.length === 0) return transactions;
+
+  return transactions.map(transaction => {
+    const match = evaluateRules(rules, transaction);
+    if (!match) return transaction;
+
+    return {
+      ...transaction,
+      ...match.updates,
+      ruleId: match.rule.id
+    };
+  });
+}
+
+module.exports = {
+  validateRule,
+  matchesCondition,
+  matchesRule,
+  getRuleUpdates,
+  evaluateRules,
+  loadActiveRules,
+  applyRulesToRows
+};
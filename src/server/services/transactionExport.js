@@ -0,0 +1,280 @@
+/**
+ * Write transactions out as CSV, XLSX or OFX. Column names follow what
+ * FileParser reads, so exported files can be imported again.
+ */
+const XLSX = require('xlsx');
+const { literal } = require('sequelize');
+const { signedAmount } = require('./reconciliation');
+const { modelColumnSql } = require('../db/sqlDialect');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  ofx: { contentType: 'application/x-ofx', extension: 'ofx' }
+};
+
+const EXPORT_COLUMNS = ['Date', 'Description', 'Merchant', 'Amount', 'Type', 'Currency', 'Category',
+  'Subcategory', 'Tags', 'Notes', 'Account', 'Account Type', 'Reference'];
+
+// Rows fetched per query while streaming an export
+const BATCH_SIZE = 1000;
+
+/**
+ * Flatten a transaction (with category, subcategory and accountRecord
+ * associations loaded) into an export row keyed by EXPORT_COLUMNS
+ * @param {Object} transaction - Transaction instance or plain object
+ * @returns {Object} Export row
+ */
+function toExportRow(transaction) {
+  const tx = typeof transaction.get === 'function' ? transaction.get({ plain: true }) : transaction;
+
+  return {
+    Date: tx.date,
+    Description: tx.description,
+    Merchant: tx.merchant || '',
+    // Money leaving the account is negative, as bank exports do
+    Amount: signedAmount(tx),
+    Type: tx.type,
+    Currency: tx.currency || '',
+    Category: tx.category ? tx.category.name : '',
+    Subcategory: tx.subcategory ? tx.subcategory.name : '',
+    Tags: Array.isArray(tx.tags) ? tx.tags.join('; ') : '',
+    Notes: tx.notes || '',
+    Account: tx.accountRecord ? tx.accountRecord.name : (tx.account || ''),
+    'Account Type': tx.accountRecord ? tx.accountRecord.type : (tx.accountType || ''),
+    Reference: tx.id
+  };
+}
+
+/**
+ * Quote a CSV value when needed. Text starting with =, +, -, @ or a tab
+ * (e.g. a bank description) gets a leading ' so spreadsheets do not run it
+ * as a formula; numbers such as negative amounts are written as they are.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build one CSV line
+ * @param {Array} values - Cell values
+ * @returns {string} Line including the trailing newline
+ */
+function csvLine(values) {
+  return `${values.map(csvCell).join(',')}\r\n`;
+}
+
+/**
+ * Build an XLSX workbook from export rows
+ * @param {Array} rows - Rows from toExportRow
+ * @returns {Buffer} XLSX file contents
+ */
+function toXlsx(rows) {
+  const sheet = XLSX.utils.json_to_sheet(rows, { header: EXPORT_COLUMNS });
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, 'Transactions');
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+const escapeXml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const ofxDate = (value) => String(value || '').replace(/-/g, '').slice(0, 8);
+
+const ofxNow = () => new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+
+/**
+ * OFX 2 (XML) document header and sign-on block
+ * @returns {string} OFX text up to the opening of the banking message set
+ */
+function ofxHeader() {
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+    `<DTSERVER>${ofxNow()}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+    '<BANKMSGSRSV1>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * OFX statement opening for one account
+ * @param {Object} row - First export row of the account
+ * @param {number} index - Statement number within the file
+ * @returns {string} OFX text
+ */
+function ofxStatementStart(row, index) {
+  const accountType = row['Account Type'] === 'credit_card' ? 'CREDITLINE' : 'CHECKING';
+  return [
+    `<STMTTRNRS><TRNUID>${index + 1}</TRNUID><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>`,
+    `<STMTRS><CURDEF>${escapeXml(row.Currency || 'USD')}</CURDEF>`,
+    '<BANKACCTFROM><BANKID>0</BANKID>',
+    `<ACCTID>${escapeXml(row.Account || 'UNASSIGNED')}</ACCTID><ACCTTYPE>${accountType}</ACCTTYPE></BANKACCTFROM>`,
+    '<BANKTRANLIST>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * One OFX transaction. Category, tags and notes have no standard OFX element,
+ * so they go in proprietary (APP.NAME) elements that OFX readers skip.
+ * @param {Object} row - Export row
+ * @returns {string} OFX text
+ */
+function ofxTransaction(row) {
+  const trnType = row.Type === 'transfer' ? 'XFER' : (row.Amount < 0 ? 'DEBIT' : 'CREDIT');
+  const extensions = [
+    ['CATEGORY', row.Category],
+    ['SUBCATEGORY', row.Subcategory],
+    ['TAGS', row.Tags],
+    ['NOTES', row.Notes]
+  ].filter(([, value]) => value).map(([name, value]) => `<FINANCE.${name}>${escapeXml(value)}</FINANCE.${name}>`);
+
+  return [
+    '<STMTTRN>',
+    `<TRNTYPE>${trnType}</TRNTYPE>`,
+    `<DTPOSTED>${ofxDate(row.Date)}</DTPOSTED>`,
+    `<TRNAMT>${Number(row.Amount).toFixed(2)}</TRNAMT>`,
+    `<FITID>${escapeXml(row.Reference)}</FITID>`,
+    `<NAME>${escapeXml(String(row.Merchant || row.Description).slice(0, 32))}</NAME>`,
+    `<MEMO>${escapeXml(row.Description)}</MEMO>`,
+    ...extensions,
+    '</STMTTRN>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * OFX statement closing for one account
+ * @returns {string} OFX text
+ */
+function ofxStatementEnd() {
+  return '</BANKTRANLIST></STMTRS></STMTTRNRS>\n';
+}
+
+/**
+ * OFX document closing
+ * @returns {string} OFX text
+ */
+function ofxFooter() {
+  return '</BANKMSGSRSV1>\n</OFX>\n';
+}
+
+/**
+ * Account an OFX statement groups a transaction under: its linked account,
+ * else the account name from the statement it was imported from
+ * @param {Object} transaction - Transaction instance or plain object
+ * @returns {string} Statement key (without the currency)
+ */
+function ofxAccountKey(transaction) {
+  return transaction.accountId ? `id:${transaction.accountId}` : `name:${transaction.account || ''}`;
+}
+
+/**
+ * Order for an OFX export, keeping each statement's rows (ofxAccountKey and
+ * currency) together and in date order
+ * @param {Model} Transaction - Sequelize Transaction model
+ * @returns {Array} Sequelize order
+ */
+function ofxOrder(Transaction) {
+  const accountId = modelColumnSql(Transaction, 'accountId');
+  return [
+    ['accountId', 'ASC'],
+    [literal(`CASE WHEN ${accountId} IS NULL THEN ${modelColumnSql(Transaction, 'account')} END`), 'ASC'],
+    ['currency', 'ASC'],
+    ['date', 'ASC'],
+    ['id', 'ASC']
+  ];
+}
+
+/**
+ * Iterate over transactions in batches so large exports are not loaded at once
+ * @param {Model} Transaction - Sequelize Transaction model
+ * @param {Object} options - findAll options (where, include, order)
+ * @returns {AsyncGenerator<Array>} Batches of Transaction instances
+ */
+async function* iterateTransactions(Transaction, options) {
+  for (let offset = 0; ; offset += BATCH_SIZE) {
+    const batch = await Transaction.findAll({ ...options, limit: BATCH_SIZE, offset });
+    if (batch.length === 0) return;
+    yield batch;
+    if (batch.length < BATCH_SIZE) return;
+  }
+}
+
+/**
+ * Write an export to a writable stream (e.g. an Express response)
+ * @param {string} format - 'csv', 'xlsx' or 'ofx'
+ * @param {Model} Transaction - Sequelize Transaction model
+ * @param {Object} options - findAll options (where, include, order)
+ * @param {Object} stream - Writable stream
+ * @returns {Promise<number>} Number of transactions written
+ */
+async function writeExport(format, Transaction, options, stream) {
+  let count = 0;
+
+  if (format === 'xlsx') {
+    // The xlsx writer needs the whole sheet in memory
+    const rows = [];
+    for await (const batch of iterateTransactions(Transaction, options)) {
+      rows.push(...batch.map(toExportRow));
+    }
+    stream.end(toXlsx(rows));
+    return rows.length;
+  }
+
+  if (format === 'csv') {
+    stream.write(csvLine(EXPORT_COLUMNS));
+    for await (const batch of iterateTransactions(Transaction, options)) {
+      stream.write(batch.map(tx => {
+        const row = toExportRow(tx);
+        return csvLine(EXPORT_COLUMNS.map(column => row[column]));
+      }).join(''));
+      count += batch.length;
+    }
+    stream.end();
+    return count;
+  }
+
+  // OFX: one statement per account, so rows must be in ofxOrder
+  stream.write(ofxHeader());
+  let currentAccount = null;
+  let statements = 0;
+  for await (const batch of iterateTransactions(Transaction, options)) {
+    batch.forEach(tx => {
+      const row = toExportRow(tx);
+      const account = `${ofxAccountKey(tx)}|${row.Currency}`;
+      if (account !== currentAccount) {
+        if (currentAccount !== null) stream.write(ofxStatementEnd());
+        stream.write(ofxStatementStart(row, statements));
+        currentAccount = account;
+        statements += 1;
+      }
+      stream.write(ofxTransaction(row));
+      count += 1;
+    });
+  }
+  if (currentAccount !== null) stream.write(ofxStatementEnd());
+  stream.end(ofxFooter());
+  return count;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  toExportRow,
+  csvLine,
+  toXlsx,
+  ofxOrder,
+  writeExport
+};
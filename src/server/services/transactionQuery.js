@@ -0,0 +1,228 @@
+/**
+ * Translate transaction list query parameters (filters, search, sorting and
+ * pagination) into Sequelize query options
+ */
+const { Op, literal } = require('sequelize');
+const { tagsWhere, likeWhere } = require('../db/sqlDialect');
+
+const SORT_FIELDS = ['date', 'amount', 'description', 'merchant', 'type', 'createdAt', 'updatedAt'];
+// Keyset pagination needs a sort column without NULLs
+const CURSOR_SORT_FIELDS = ['date', 'amount', 'description', 'type', 'createdAt', 'updatedAt'];
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// Accept repeated parameters (?type=a&type=b) as well as comma-separated lists
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, match => `\\${match}`);
+
+/**
+ * Encode the position after a row for cursor pagination
+ * @param {Object} row - Last transaction of a page
+ * @param {string} sortField - Field the list is sorted by
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(row, sortField) {
+  const value = row[sortField] instanceof Date ? row[sortField].toISOString() : row[sortField];
+  return Buffer.from(JSON.stringify({ s: sortField, v: value, id: row.id })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object|null} { s, v, id } or null when malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return data && data.id && data.s ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the where clause for transaction filters
+ * @param {Object} query - Request query parameters
+ * @param {Object} sequelize - Sequelize instance (for its Transaction model and escaping subqueries)
+ * @returns {Object} { where, errors } where errors are { field, message }
+ */
+function buildTransactionFilters(query, sequelize) {
+  const { Transaction } = sequelize.models;
+  const errors = [];
+  const conditions = [];
+
+  if (query.startDate !== undefined || query.endDate !== undefined) {
+    const date = {};
+    if (query.startDate !== undefined) {
+      if (isDate(query.startDate)) date[Op.gte] = query.startDate;
+      else errors.push({ field: 'startDate', message: 'Date must be in YYYY-MM-DD format' });
+    }
+    if (query.endDate !== undefined) {
+      if (isDate(query.endDate)) date[Op.lte] = query.endDate;
+      else errors.push({ field: 'endDate', message: 'Date must be in YYYY-MM-DD format' });
+    }
+    conditions.push({ date });
+  }
+
+  // Categories match the transaction's own category or any of its splits
+  const categoryIds = toList(query.categoryId);
+  if (categoryIds.length > 0) {
+    const ids = categoryIds.filter(id => id !== 'uncategorized');
+    const options = [];
+    if (categoryIds.includes('uncategorized')) {
+      options.push({ categoryId: null });
+    }
+    if (ids.length > 0) {
+      options.push({ categoryId: { [Op.in]: ids } });
+      options.push({
+        id: {
+          [Op.in]: literal(`(SELECT transaction_id FROM transaction_splits WHERE category_id IN (${ids.map(id => sequelize.escape(id)).join(', ')}))`)
+        }
+      });
+    }
+    conditions.push({ [Op.or]: options });
+  }
+
+  const subcategoryIds = toList(query.subcategoryId);
+  if (subcategoryIds.length > 0) {
+    conditions.push({ subcategoryId: { [Op.in]: subcategoryIds } });
+  }
+
+  const accountIds = toList(query.accountId);
+  if (accountIds.length > 0) {
+    conditions.push({ accountId: { [Op.in]: accountIds } });
+  }
+  if (query.account) {
+    conditions.push(likeWhere(Transaction, 'account', escapeLike(String(query.account))));
+  }
+
+  const types = toList(query.type);
+  if (types.length > 0) {
+    const invalid = types.filter(type => !TRANSACTION_TYPES.includes(type));
+    if (invalid.length > 0) {
+      errors.push({ field: 'type', message: `Type must be one of: ${TRANSACTION_TYPES.join(', ')}` });
+    } else {
+      conditions.push({ type: { [Op.in]: types } });
+    }
+  }
+
+  if (query.minAmount !== undefined || query.maxAmount !== undefined) {
+    const amount = {};
+    [['minAmount', Op.gte], ['maxAmount', Op.lte]].forEach(([field, operator]) => {
+      if (query[field] === undefined) return;
+      const value = parseFloat(query[field]);
+      if (isNaN(value)) errors.push({ field, message: 'Amount must be a number' });
+      else amount[operator] = value;
+    });
+    conditions.push({ amount });
+  }
+
+  // Tags match any of the given tags unless tagsMode=all
+  const tags = toList(query.tags);
+  if (tags.length > 0) {
+    conditions.push(tagsWhere(Transaction, tags, query.tagsMode === 'all' ? 'all' : 'any'));
+  }
+
+  if (query.needsReview !== undefined) {
+    conditions.push({ needsReview: query.needsReview === true || query.needsReview === 'true' });
+  }
+
+  if (query.uploadId) {
+    conditions.push({ uploadId: query.uploadId });
+  }
+
+  // Every search word has to appear in the description or the merchant
+  const words = String(query.search || '').trim().split(/\s+/).filter(Boolean);
+  words.forEach(word => {
+    const pattern = `%${escapeLike(word)}%`;
+    conditions.push({
+      [Op.or]: [
+        likeWhere(Transaction, 'description', pattern),
+        likeWhere(Transaction, 'merchant', pattern)
+      ]
+    });
+  });
+
+  return { where: conditions.length > 0 ? { [Op.and]: conditions } : {}, errors };
+}
+
+/**
+ * Build Sequelize options for a page of transactions
+ * @param {Object} query - Request query parameters (filters plus sort, order,
+ *   limit, offset, page and cursor)
+ * @param {Object} sequelize - Sequelize instance
+ * @returns {Object} { where, order, limit, offset, sortField, direction, paginated, errors }
+ */
+function buildTransactionQuery(query, sequelize) {
+  const { where, errors } = buildTransactionFilters(query, sequelize);
+
+  const sortField = query.sort || 'date';
+  if (!SORT_FIELDS.includes(sortField)) {
+    errors.push({ field: 'sort', message: `Sort must be one of: ${SORT_FIELDS.join(', ')}` });
+  }
+  const direction = String(query.order || 'desc').toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+
+  const paginated = ['limit', 'offset', 'page', 'cursor'].some(param => query[param] !== undefined);
+  let limit = parseInt(query.limit, 10) || DEFAULT_LIMIT;
+  limit = Math.min(Math.max(limit, 1), MAX_LIMIT);
+
+  let offset = 0;
+  if (query.offset !== undefined) {
+    offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+  } else if (query.page !== undefined) {
+    offset = (Math.max(parseInt(query.page, 10) || 1, 1) - 1) * limit;
+  }
+
+  if (query.cursor !== undefined) {
+    const cursor = decodeCursor(query.cursor);
+    if (!CURSOR_SORT_FIELDS.includes(sortField)) {
+      errors.push({ field: 'cursor', message: `Cursor pagination needs sort to be one of: ${CURSOR_SORT_FIELDS.join(', ')}` });
+    } else if (!cursor || cursor.s !== sortField) {
+      errors.push({ field: 'cursor', message: 'Invalid cursor for this sort order' });
+    } else {
+      const operator = direction === 'ASC' ? Op.gt : Op.lt;
+      where[Op.and] = [
+        ...(where[Op.and] || []),
+        {
+          [Op.or]: [
+            { [sortField]: { [operator]: cursor.v } },
+            { [sortField]: cursor.v, id: { [operator]: cursor.id } }
+          ]
+        }
+      ];
+      offset = 0;
+    }
+  }
+
+  return {
+    where,
+    // Tie-break on id so pages are stable
+    order: [[sortField, direction], ['id', direction]],
+    limit,
+    offset,
+    sortField,
+    direction,
+    paginated,
+    errors
+  };
+}
+
+module.exports = {
+  SORT_FIELDS,
+  CURSOR_SORT_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  buildTransactionFilters,
+  buildTransactionQuery
+};
@@ -0,0 +1,71 @@
+/**
+ * Splitting a transaction into per-category allocations
+ */
+
+/**
+ * Validate split allocations against their parent transaction's amount.
+ * Split amounts are positive; together they must equal the absolute parent amount.
+ * @param {number|string} parentAmount - Amount of the parent transaction
+ * @param {Array} splits - Array of { categoryId, subcategoryId, amount, notes }
+ * @returns {Array} Array of { field, message } errors (empty when valid)
+ */
+function validateSplits(parentAmount, splits) {
+  const errors = [];
+
+  if (!Array.isArray(splits) || splits.length < 2) {
+    errors.push({ field: 'splits', message: 'At least two splits are required' });
+    return errors;
+  }
+
+  let total = 0;
+  splits.forEach((split, index) => {
+    const field = `splits[${index}]`;
+    if (!split || !split.categoryId) {
+      errors.push({ field: `${field}.categoryId`, message: 'Category is required' });
+    }
+
+    const amount = parseFloat(split && split.amount);
+    if (isNaN(amount) || amount <= 0) {
+      errors.push({ field: `${field}.amount`, message: 'Amount must be a positive number' });
+    } else {
+      total += amount;
+    }
+  });
+
+  const expected = Math.abs(parseFloat(parentAmount) || 0);
+  if (errors.length === 0 && Math.abs(total - expected) >= 0.005) {
+    errors.push({
+      field: 'splits',
+      message: `Splits total ${total.toFixed(2)} but the transaction amount is ${expected.toFixed(2)}`
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Replace all splits of a transaction
+ * @param {Model} transaction - Parent Transaction instance
+ * @param {Array} splits - Validated split data
+ * @param {Object} models - Sequelize models
+ * @param {Object} options - Sequelize query options (e.g. { transaction })
+ * @returns {Promise<Array>} Created TransactionSplit instances
+ */
+async function replaceSplits(transaction, splits, models, options = {}) {
+  const { TransactionSplit } = models;
+
+  await TransactionSplit.destroy({ where: { transactionId: transaction.id }, ...options });
+
+  return TransactionSplit.bulkCreate(splits.map(split => ({
+    transactionId: transaction.id,
+    categoryId: split.categoryId,
+    subcategoryId: split.subcategoryId || null,
+    amount: Math.round(parseFloat(split.amount) * 100) / 100,
+    notes: split.notes || null
+  })), { validate: true, ...options });
+}
+
+module.exports = {
+  validateSplits,
+  replaceSplits
+};
@@ -0,0 +1,232 @@
+/**
+ * Transfer detection: pairs equal-and-opposite transactions across accounts
+ * (e.g. a credit card payment from checking) so they can be excluded from
+ * income and expense totals
+ */
+const { Op } = require('sequelize');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words that make a pairing more likely to be a real transfer
+const TRANSFER_KEYWORDS = ['transfer', 'payment', 'autopay', 'xfer', 'thank you', 'online pmt', 'ach'];
+
+// Whole words only, so 'ach' does not match "Beach Cafe"
+const TRANSFER_KEYWORD_PATTERN = new RegExp(`\\b(?:${TRANSFER_KEYWORDS.join('|')})s?\\b`, 'i');
+
+/**
+ * Get the transfer direction implied by an income/expense type
+ * @param {string} type - 'income' or 'expense'
+ * @returns {string} 'inflow' or 'outflow'
+ */
+function directionForType(type) {
+  return type === 'income' ? 'inflow' : 'outflow';
+}
+
+/**
+ * Get the income/expense type to restore when a transfer is unlinked
+ * @param {string} direction - 'inflow' or 'outflow'
+ * @returns {string} 'income' or 'expense'
+ */
+function typeForDirection(direction) {
+  return direction === 'inflow' ? 'income' : 'expense';
+}
+
+function normalizeAccount(account) {
+  return String(account || '').toLowerCase().trim();
+}
+
+// Linked account when there is one, else the account name from the statement
+function accountKey(tx) {
+  return tx.accountId ? `id:${tx.accountId}` : (normalizeAccount(tx.account) ? `name:${normalizeAccount(tx.account)}` : '');
+}
+
+function daysBetween(a, b) {
+  return Math.abs(new Date(a).getTime() - new Date(b).getTime()) / DAY_MS;
+}
+
+/**
+ * Whether a description uses transfer or payment wording
+ * @param {string} description - Transaction description
+ * @returns {boolean}
+ */
+function hasTransferKeyword(description) {
+  return TRANSFER_KEYWORD_PATTERN.test(String(description || ''));
+}
+
+// Money leaving a bank account for a credit card is a card payment
+function isCardPayment(outflow, inflow) {
+  return outflow.accountType === 'bank' && inflow.accountType === 'credit_card';
+}
+
+/**
+ * Find likely transfer pairs among income and expense transactions.
+ * A pair is an expense in one account and an income of the same amount in a
+ * different account within `maxDays`. Equal amounts alone are too common
+ * (a refund and a purchase), so a pair also needs transfer evidence: a
+ * transfer-like description on either side, or a bank outflow paying into a
+ * credit card. Closest dates win; transfer-like descriptions break ties.
+ * Each transaction is used at most once.
+ * @param {Array} transactions - Transactions (plain objects or model instances)
+ * @param {Object} options - Options
+ * @param {number} options.maxDays - Maximum days between the two sides (default 3)
+ * @returns {Array} Array of { outflow, inflow, daysApart, score }
+ */
+function findTransferPairs(transactions, options = {}) {
+  const maxDays = options.maxDays !== undefined ? options.maxDays : 3;
+
+  const outflows = transactions.filter(tx => tx.type === 'expense' && accountKey(tx));
+  const inflows = transactions.filter(tx => tx.type === 'income' && accountKey(tx));
+
+  // Index inflows by amount in cents for quick lookup
+  const inflowsByAmount = new Map();
+  inflows.forEach(tx => {
+    const cents = Math.round(Math.abs(parseFloat(tx.amount)) * 100);
+    if (!inflowsByAmount.has(cents)) {
+      inflowsByAmount.set(cents, []);
+    }
+    inflowsByAmount.get(cents).push(tx);
+  });
+
+  const candidates = [];
+  outflows.forEach(outflow => {
+    const cents = Math.round(Math.abs(parseFloat(outflow.amount)) * 100);
+    if (cents === 0) return;
+
+    (inflowsByAmount.get(cents) || []).forEach(inflow => {
+      if (accountKey(inflow) === accountKey(outflow)) return;
+
+      const daysApart = daysBetween(outflow.date, inflow.date);
+      if (daysApart > maxDays) return;
+
+      const outflowKeyword = hasTransferKeyword(outflow.description);
+      const inflowKeyword = hasTransferKeyword(inflow.description);
+      if (!outflowKeyword && !inflowKeyword && !isCardPayment(outflow, inflow)) return;
+
+      let score = 1 - (daysApart / (maxDays + 1));
+      if (outflowKeyword) score += 0.25;
+      if (inflowKeyword) score += 0.25;
+
+      candidates.push({ outflow, inflow, daysApart, score });
+    });
+  });
+
+  // Greedily take the best-scoring pairs, using each transaction once
+  candidates.sort((a, b) => b.score - a.score);
+  const used = new Set();
+  const pairs = [];
+  candidates.forEach(candidate => {
+    if (used.has(candidate.outflow.id) || used.has(candidate.inflow.id)) return;
+    used.add(candidate.outflow.id);
+    used.add(candidate.inflow.id);
+    pairs.push(candidate);
+  });
+
+  return pairs;
+}
+
+/**
+ * Link two transactions as the two sides of a transfer
+ * @param {Model} outflow - Transaction money left from
+ * @param {Model} inflow - Transaction money arrived in
+ * @param {Object} options - Sequelize options (e.g. transaction)
+ * @returns {Promise<void>}
+ */
+async function linkTransfer(outflow, inflow, options = {}) {
+  await outflow.update({
+    type: 'transfer',
+    transferDirection: 'outflow',
+    transferPairId: inflow.id
+  }, options);
+
+  await inflow.update({
+    type: 'transfer',
+    transferDirection: 'inflow',
+    transferPairId: outflow.id
+  }, options);
+}
+
+/**
+ * Unlink a transfer, restoring both sides to income/expense
+ * @param {Model} transaction - Either side of the transfer
+ * @param {Model} Transaction - Sequelize Transaction model
+ * @param {Object} options - Sequelize options (e.g. transaction)
+ * @returns {Promise<Array>} The transactions that were unlinked
+ */
+async function unlinkTransfer(transaction, Transaction, options = {}) {
+  const sides = [transaction];
+  if (transaction.transferPairId) {
+    const pair = await Transaction.findByPk(transaction.transferPairId, options);
+    if (pair) sides.push(pair);
+  }
+
+  for (const side of sides) {
+    await side.update({
+      type: typeForDirection(side.transferDirection),
+      transferDirection: null,
+      transferPairId: null
+    }, options);
+  }
+
+  return sides;
+}
+
+/**
+ * Run the automatic pairing pass over stored transactions
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Object} options - Options
+ * @param {string} [options.startDate] - Only consider transactions on or after this date
+ * @param {string} [options.endDate] - Only consider transactions on or before this date
+ * @param {number} [options.maxDays] - Maximum days between the two sides (default 3)
+ * @param {boolean} [options.dryRun] - Return the pairs without saving them
+ * @returns {Promise<Array>} The detected pairs
+ */
+async function detectTransfers(sequelize, options = {}) {
+  const { Transaction } = sequelize.models;
+  const maxDays = options.maxDays !== undefined ? options.maxDays : 3;
+
+  const where = {
+    type: { [Op.in]: ['income', 'expense'] },
+    transferPairId: null,
+    [Op.or]: [{ account: { [Op.ne]: null } }, { accountId: { [Op.ne]: null } }]
+  };
+
+  // Widen the window so a transfer straddling the range edge can still pair
+  if (options.startDate || options.endDate) {
+    where.date = {};
+    if (options.startDate) {
+      where.date[Op.gte] = new Date(new Date(options.startDate).getTime() - maxDays * DAY_MS)
+        .toISOString().split('T')[0];
+    }
+    if (options.endDate) {
+      where.date[Op.lte] = new Date(new Date(options.endDate).getTime() + maxDays * DAY_MS)
+        .toISOString().split('T')[0];
+    }
+  }
+
+  const transactions = await Transaction.findAll({
+    where,
+    order: [['date', 'ASC']]
+  });
+
+  const pairs = findTransferPairs(transactions, { maxDays });
+
+  if (!options.dryRun && pairs.length > 0) {
+    await sequelize.transaction(async (t) => {
+      for (const pair of pairs) {
+        await linkTransfer(pair.outflow, pair.inflow, { transaction: t, audit: { source: 'system' } });
+      }
+    });
+  }
+
+  return pairs;
+}
+
+module.exports = {
+  directionForType,
+  typeForDirection,
+  hasTransferKeyword,
+  findTransferPairs,
+  linkTransfer,
+  unlinkTransfer,
+  detectTransfers
+};
@@ -0,0 +1,247 @@
+/**
+ * Saving an upload's reviewed rows as transactions (all or nothing) and
+ * undoing a confirmed upload
+ */
+const { Op } = require('sequelize');
+const { mergeDuplicate } = require('./duplicateDetection');
+const { typeForDirection } = require('./transferDetection');
+const { findReconciledPeriod } = require('./reconciliation');
+const { assignMerchants, countUnlinkedMerchantKeys } = require('./merchants');
+const { createError } = require('../utils/errorHandler');
+
+const DUPLICATE_ACTIONS = ['skip', 'merge', 'import'];
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer'];
+
+/**
+ * Check one processed row against the Transaction model before inserting it
+ * @param {Model} Transaction - Sequelize Transaction model
+ * @param {Object} row - Transaction fields
+ * @returns {Promise<Array>} Array of { field, message } errors (empty when valid)
+ */
+async function validateRow(Transaction, row) {
+  const errors = [];
+
+  try {
+    await Transaction.build(row).validate();
+  } catch (error) {
+    (error.errors || [{ path: null, message: error.message }]).forEach(item => {
+      errors.push({ field: item.path, message: item.message });
+    });
+  }
+
+  // Types the model's validation does not check
+  if (row.amount !== undefined && row.amount !== null && isNaN(parseFloat(row.amount))) {
+    errors.push({ field: 'amount', message: 'Amount must be a number' });
+  }
+  if (row.date && isNaN(new Date(row.date).getTime())) {
+    errors.push({ field: 'date', message: 'Date is not a valid date' });
+  }
+  if (row.type && !TRANSACTION_TYPES.includes(row.type)) {
+    errors.push({ field: 'type', message: `Type must be one of: ${TRANSACTION_TYPES.join(', ')}` });
+  }
+
+  return errors;
+}
+
+/**
+ * Save an upload's processed rows as transactions in a single database
+ * transaction, linked to their merchants. Rows are validated first; unless skipInvalidRows is set, one
+ * invalid row aborts the whole confirm and nothing is written, so the upload
+ * stays 'processed' and can be fixed and confirmed again.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Model} upload - Upload instance with metadata.processedTransactions
+ * @param {Object} options - Options
+ * @param {string} [options.duplicateAction] - 'skip', 'merge' or 'import' for duplicate rows
+ * @param {Object} [options.duplicateResolutions] - Per-row overrides keyed by row index
+ * @param {boolean} [options.skipInvalidRows] - Save the valid rows and report the rest
+ * @returns {Promise<Object>} { created, mergedIds, skippedDuplicateIds, rowErrors, batch };
+ *   when invalid rows abort the confirm, only { rowErrors } with created = null
+ */
+async function confirmUpload(sequelize, upload, options = {}) {
+  const { Transaction, Batch, Merchant } = sequelize.models;
+  const uploadId = upload.id;
+  const rows = upload.metadata?.processedTransactions || [];
+  const duplicateAction = options.duplicateAction || 'skip';
+  const duplicateResolutions = options.duplicateResolutions || {};
+
+  if (!DUPLICATE_ACTIONS.includes(duplicateAction)) {
+    throw createError(`Invalid duplicateAction. Must be one of: ${DUPLICATE_ACTIONS.join(', ')}`, 400);
+  }
+
+  // Decide what happens to every row and validate the ones to insert
+  const toInsert = [];
+  const toMerge = [];
+  const skippedDuplicateIds = [];
+  const rowErrors = [];
+  for (const [index, row] of rows.entries()) {
+    const { fingerprint, isDuplicate, duplicateOf, duplicateUploadId, ...transactionData } = row;
+    const action = isDuplicate ? (duplicateResolutions[index] || duplicateAction) : 'import';
+
+    if (action === 'skip') {
+      skippedDuplicateIds.push(duplicateOf);
+      continue;
+    }
+
+    const data = { ...transactionData, uploadId: String(uploadId) };
+    if (action === 'merge') {
+      toMerge.push({ index, duplicateOf, data });
+      continue;
+    }
+
+    const errors = await validateRow(Transaction, data);
+    if (errors.length > 0) {
+      rowErrors.push({ index, date: row.date, description: row.description, amount: row.amount, errors });
+    } else {
+      toInsert.push({ index, data });
+    }
+  }
+
+  if (rowErrors.length > 0 && !options.skipInvalidRows) {
+    return { created: null, rowErrors };
+  }
+
+  const result = await sequelize.transaction(async (dbTransaction) => {
+    const mergedIds = [];
+    for (const item of toMerge) {
+      const existing = await Transaction.findByPk(item.duplicateOf, { transaction: dbTransaction });
+      if (existing) {
+        await mergeDuplicate(existing, item.data, { transaction: dbTransaction, audit: { source: 'import' } });
+        mergedIds.push(item.duplicateOf);
+      } else {
+        // The original was deleted since processing, so import the row instead
+        toInsert.push(item);
+      }
+    }
+
+    const batch = await Batch.create({
+      title: 'Upload Batch',
+      uploadId,
+      transactionCount: toInsert.length,
+      status: 'pending'
+    }, { transaction: dbTransaction });
+
+    // Merchants that recur in this upload, or with earlier unlinked rows, are
+    // created with it
+    const newRows = await assignMerchants(toInsert.map(item => ({ ...item.data })), Merchant, {
+      create: true,
+      seen: await countUnlinkedMerchantKeys(Transaction, { transaction: dbTransaction }),
+      transaction: dbTransaction
+    });
+
+    const created = await Transaction.bulkCreate(
+      newRows.map(row => ({ ...row, batchId: batch.id })),
+      { validate: true, transaction: dbTransaction, audit: { source: 'import' } }
+    );
+
+    await upload.update({
+      status: 'completed',
+      transactionCount: created.length,
+      metadata: {
+        ...upload.metadata,
+        confirmError: null,
+        confirmation: {
+          confirmedAt: new Date().toISOString(),
+          batchId: batch.id,
+          transactionCount: created.length,
+          mergedTransactionIds: mergedIds,
+          skippedRows: rowErrors.map(item => item.index)
+        }
+      }
+    }, { transaction: dbTransaction });
+
+    return { created, mergedIds, batch };
+  });
+
+  return { ...result, skippedDuplicateIds, rowErrors };
+}
+
+/**
+ * Find a reconciled period that one of an upload's transactions falls in
+ * @param {Object} models - Sequelize models
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Model|null>} The first affected reconciliation or null
+ */
+async function findUploadReconciliation(models, uploadId) {
+  const { Transaction, Reconciliation } = models;
+
+  const periods = await Transaction.findAll({
+    where: { uploadId: String(uploadId), accountId: { [Op.ne]: null } },
+    attributes: ['accountId', 'date'],
+    group: ['accountId', 'date'],
+    raw: true
+  });
+
+  for (const { accountId, date } of periods) {
+    const reconciliation = await findReconciledPeriod(Reconciliation, accountId, date);
+    if (reconciliation) return reconciliation;
+  }
+
+  return null;
+}
+
+/**
+ * Delete every transaction and batch created by an upload and put the upload
+ * back in review ('processed') so it can be confirmed again. Transfers paired
+ * with the deleted transactions are unlinked on the other side. Rows merged
+ * into existing transactions at confirm time are left as they are.
+ * @param {Sequelize} sequelize - Sequelize instance
+ * @param {Model} upload - Upload instance
+ * @returns {Promise<Object>} { deletedTransactions, deletedBatches, unlinkedTransfers }
+ */
+async function undoUpload(sequelize, upload) {
+  const { Transaction, Batch } = sequelize.models;
+  const uploadId = String(upload.id);
+
+  return sequelize.transaction(async (dbTransaction) => {
+    const transactions = await Transaction.findAll({
+      where: { uploadId },
+      attributes: ['id'],
+      transaction: dbTransaction
+    });
+    const ids = transactions.map(tx => tx.id);
+
+    // Transfers paired with a transaction from another upload go back to
+    // plain income/expense on the surviving side
+    const counterparts = ids.length > 0 ? await Transaction.findAll({
+      where: {
+        transferPairId: { [Op.in]: ids },
+        id: { [Op.notIn]: ids }
+      },
+      transaction: dbTransaction
+    }) : [];
+    for (const counterpart of counterparts) {
+      await counterpart.update({
+        type: typeForDirection(counterpart.transferDirection),
+        transferDirection: null,
+        transferPairId: null
+      }, { transaction: dbTransaction, audit: { source: 'import' } });
+    }
+
+    const deletedTransactions = await Transaction.destroy({
+      where: { uploadId },
+      transaction: dbTransaction,
+      audit: { source: 'import' }
+    });
+    const deletedBatches = await Batch.destroy({ where: { uploadId: upload.id }, transaction: dbTransaction });
+
+    const { confirmation, ...metadata } = upload.metadata || {};
+    await upload.update({
+      status: 'processed',
+      transactionCount: 0,
+      metadata: {
+        ...metadata,
+        undoneAt: new Date().toISOString()
+      }
+    }, { transaction: dbTransaction });
+
+    return { deletedTransactions, deletedBatches, unlinkedTransfers: counterparts.length };
+  });
+}
+
+module.exports = {
+  DUPLICATE_ACTIONS,
+  validateRow,
+  confirmUpload,
+  findUploadReconciliation,
+  undoUpload
+};
@@ -0,0 +1,448 @@
+/**
+ * Long-running upload work (parsing, automatic batching and AI batch
+ * summaries), run as background jobs by the job queue
+ */
+const path = require('path');
+const fs = require('fs');
+const { Op } = require('sequelize');
+const openaiService = require('./openai');
+const FileParser = require('./fileParser');
+const { flagDuplicates } = require('./duplicateDetection');
+const { applyRulesToRows } = require('./rulesEngine');
+const { resolveAccount, matchAccount } = require('./accountMatching');
+const { assignMerchants, transactionMerchantKey, transactionMerchantName } = require('./merchants');
+const { parseFileWithProfile } = require('./csvImportProfiles');
+const { parseStatementFile } = require('./pdfStatementParser');
+const { registerJobHandler, isRetryable } = require('./jobQueue');
+const { createError } = require('../utils/errorHandler');
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+// Reporting progress is a no-op when called outside a job
+const noProgress = async () => {};
+
+/**
+ * Generate a summary for a batch based on its transactions
+ * @param {Array} transactions - Array of transactions in the batch
+ * @returns {Object} Summary object with title and insights
+ */
+async function generateBatchSummary(transactions) {
+  try {
+    if (!transactions || transactions.length === 0) {
+      return { summary: 'Empty Batch', insights: [] };
+    }
+
+    // Format transactions for OpenAI processing
+    const transactionData = transactions.map(tx => ({
+      date: tx.date,
+      description: tx.description,
+      amount: tx.amount,
+      type: tx.type,
+      merchant: tx.merchant || 'Unknown',
+      category: tx.category ? tx.category.name : 'Uncategorized'
+    }));
+
+    // Use OpenAI to generate a summary if available
+    if (openaiService && openaiService.generateBatchSummary) {
+      try {
+        const summary = await openaiService.generateBatchSummary(transactionData);
+        return summary;
+      } catch (error) {
+        console.error('Error generating batch summary with OpenAI:', error);
+        // Continue with fallback
+      }
+    }
+
+    // Fallback: Generate a basic summary based on transaction metadata
+    // Get date range
+    const dates = transactions.map(tx => new Date(tx.date)).sort((a, b) => a - b);
+    const startDate = dates[0];
+    const endDate = dates[dates.length - 1];
+
+    // Format dates
+    const formatDate = (date) => {
+      const options = { month: 'short', day: 'numeric' };
+      return date.toLocaleDateString('en-US', options);
+    };
+
+    // Count merchants
+    const merchantCounts = {};
+    transactions.forEach(tx => {
+      const merchant = tx.merchant || 'Unknown';
+      merchantCounts[merchant] = (merchantCounts[merchant] || 0) + 1;
+    });
+
+    // Get dominant merchant if one accounts for >50% of transactions
+    let dominantMerchant = null;
+    Object.entries(merchantCounts).forEach(([merchant, count]) => {
+      if (count / transactions.length > 0.5) {
+        dominantMerchant = merchant;
+      }
+    });
+
+    // Generate a title
+    let title = '';
+    if (dominantMerchant && dominantMerchant !== 'Unknown') {
+      title = `${dominantMerchant}`;
+    } else {
+      title = `${transactions.length} Transactions`;
+    }
+
+    return {
+      summary: title,
+      insights: [
+        `${transactions.length} transactions from ${formatDate(startDate)} to ${formatDate(endDate)}`,
+        `Includes merchants: ${Object.keys(merchantCounts).slice(0, 3).join(', ')}${Object.keys(merchantCounts).length > 3 ? '...' : ''}`
+      ]
+    };
+  } catch (error) {
+    console.error('Error generating batch summary:', error);
+    return { summary: 'Transaction Batch', insights: [] };
+  }
+}
+
+/**
+ * Date range and total of a group of transactions
+ * @param {Array} transactions - Transactions
+ * @returns {Object} { totalAmount, startDate, endDate } with dates as YYYY-MM-DD
+ */
+function summarizeDates(transactions) {
+  let totalAmount = 0;
+  let startDate = null;
+  let endDate = null;
+
+  transactions.forEach(transaction => {
+    totalAmount += parseFloat(transaction.amount);
+
+    const txDate = new Date(transaction.date);
+    if (!startDate || txDate < startDate) startDate = txDate;
+    if (!endDate || txDate > endDate) endDate = txDate;
+  });
+
+  return {
+    totalAmount,
+    startDate: startDate ? startDate.toISOString().split('T')[0] : null,
+    endDate: endDate ? endDate.toISOString().split('T')[0] : null
+  };
+}
+
+/**
+ * Parse an upload's file, apply rules, match the account and merchants and
+ * flag duplicates.
+ * The rows are stored in the upload's metadata for review; nothing is saved
+ * as a transaction until the upload is confirmed.
+ * @param {Object} models - Sequelize models
+ * @param {string} uploadId - Upload ID
+ * @param {Object} options - { accountId, accountName, accountType, importProfileId }
+ * @param {Function} reportProgress - (percent, message) progress callback
+ * @returns {Promise<Object>} Preview of the processed upload
+ */
+async function processUpload(models, uploadId, options = {}, reportProgress = noProgress) {
+  const { Upload, Transaction, Rule, Account, ImportProfile, Merchant } = models;
+
+  const upload = await Upload.findByPk(uploadId);
+  if (!upload) {
+    throw createError('Upload not found', 404);
+  }
+
+  let accountId = options.accountId || upload.accountId;
+  await upload.update({ status: 'processing' });
+
+  // Parse the stored file. Dummy uploads have no file on disk, so fall back to
+  // whatever rows were previously stored with the upload
+  await reportProgress(5, 'Reading file');
+  const filePath = path.join(UPLOADS_DIR, upload.filename);
+  let parsedTransactions = upload.metadata?.processedTransactions || [];
+  let importProfile = null;
+  let parseErrors = [];
+  let statement = upload.metadata?.statement || null;
+  const isPdf = path.extname(upload.originalFilename || upload.filename).toLowerCase() === '.pdf';
+  if (fs.existsSync(filePath) && isPdf) {
+    // Statements are read as a table, with a PDF profile when one applies;
+    // the statement period, balances and account number are kept for review
+    const pdfResult = await parseStatementFile(filePath, ImportProfile, {
+      profileId: options.importProfileId,
+      fileName: upload.originalFilename
+    });
+    importProfile = pdfResult.profile;
+    parsedTransactions = pdfResult.transactions;
+    parseErrors = pdfResult.errors;
+    statement = pdfResult.statement;
+    accountId = accountId || (importProfile && importProfile.accountId);
+  } else if (fs.existsSync(filePath)) {
+    // A saved import profile (chosen, or recognised by the CSV header) takes
+    // precedence over FileParser's column guessing
+    const profileResult = await parseFileWithProfile(filePath, ImportProfile, {
+      profileId: options.importProfileId,
+      fileName: upload.originalFilename
+    });
+
+    if (profileResult) {
+      importProfile = profileResult.profile;
+      parsedTransactions = profileResult.transactions;
+      parseErrors = profileResult.errors;
+      accountId = accountId || importProfile.accountId;
+    } else {
+      parsedTransactions = await FileParser.parseFile(filePath);
+    }
+  }
+
+  // Use the account picked by the user (matching names case-insensitively),
+  // otherwise try to recognise it from the filename and statement metadata
+  await reportProgress(40, `Matching account for ${parsedTransactions.length} rows`);
+  let account = await resolveAccount(Account, {
+    accountId,
+    accountName: options.accountName,
+    accountType: options.accountType
+  });
+  let accountMatch = null;
+  if (!account) {
+    const accounts = await Account.findAll({ where: { isActive: true } });
+    accountMatch = matchAccount(accounts, {
+      filename: upload.originalFilename,
+      metadata: {
+        ...upload.metadata,
+        accountName: upload.accountName,
+        ...(statement && statement.accountNumber ? { accountNumber: statement.accountNumber } : {}),
+        ...(statement && statement.institution ? { institution: statement.institution } : {})
+      },
+      transactions: parsedTransactions
+    });
+    account = accountMatch ? accountMatch.account : null;
+  }
+
+  const accountName = account ? account.name : (upload.accountName || null);
+  const accountType = account ? account.type : (options.accountType || upload.accountType || 'bank');
+
+  const accountRows = parsedTransactions.map(transaction => ({
+    ...transaction,
+    account: accountName || transaction.account || null,
+    accountId: account ? account.id : null,
+    ...(account ? { accountType } : {}),
+    importSource: upload.originalFilename
+  }));
+
+  // User-defined rules run before any AI suggestion; merchants are matched
+  // afterwards so a rule can rename the merchant. New merchants are only
+  // created when the upload is confirmed.
+  await reportProgress(55, 'Applying rules');
+  const rows = await assignMerchants(await applyRulesToRows(accountRows, Rule), Merchant);
+
+  // Fingerprint each row against transactions already in the database so
+  // overlapping statement exports can be skipped or merged at confirm time
+  await reportProgress(70, 'Checking for duplicates');
+  const processedTransactions = await flagDuplicates(rows, Transaction, {
+    excludeUploadId: uploadId
+  });
+
+  const dates = processedTransactions.map(tx => tx.date).filter(Boolean).sort();
+  const duplicateCount = processedTransactions.filter(tx => tx.isDuplicate).length;
+  const previewStats = {
+    transactionCount: processedTransactions.length,
+    duplicateCount,
+    dateRange: {
+      start: dates[0] || null,
+      end: dates[dates.length - 1] || null
+    }
+  };
+
+  // Store processed transactions temporarily with the upload record
+  // But DO NOT save to transaction database yet
+  await reportProgress(90, 'Saving preview');
+  await upload.update({
+    status: 'processed',
+    accountId: account ? account.id : null,
+    accountName: accountName || 'Default Account',
+    accountType,
+    metadata: {
+      ...upload.metadata,
+      processedTransactions,
+      previewStats,
+      importProfileId: importProfile ? importProfile.id : null,
+      parseErrors,
+      statement
+    }
+  });
+
+  return {
+    message: 'Upload processed. Transactions ready for review.',
+    uploadId,
+    transactionCount: previewStats.transactionCount,
+    duplicateCount,
+    dateRange: previewStats.dateRange,
+    account: account ? { id: account.id, name: account.name, type: account.type } : null,
+    accountMatchReasons: accountMatch ? accountMatch.reasons : null,
+    importProfile: importProfile ? { id: importProfile.id, name: importProfile.name } : null,
+    parseErrors,
+    statement,
+    status: 'processed'
+  };
+}
+
+/**
+ * Organize an upload's unbatched transactions into batches: one per merchant
+ * with at least two transactions, plus a "Miscellaneous" batch for the rest
+ * @param {Object} models - Sequelize models
+ * @param {string} uploadId - Upload ID
+ * @param {Function} reportProgress - (percent, message) progress callback
+ * @returns {Promise<Object>} { message, batchCount, batchIds }
+ */
+async function createAutoBatches(models, uploadId, reportProgress = noProgress) {
+  const { Upload, Batch, Transaction } = models;
+
+  const upload = await Upload.findByPk(uploadId);
+  if (!upload) {
+    throw createError('Upload not found', 404);
+  }
+
+  // Get all transactions for this upload that don't already have a batch
+  const transactions = await Transaction.findAll({
+    where: {
+      uploadId: uploadId.toString(),
+      batchId: null
+    },
+    order: [['date', 'ASC']]
+  });
+
+  if (transactions.length === 0) {
+    return {
+      message: 'No transactions available for batching',
+      batchCount: 0,
+      batchIds: []
+    };
+  }
+
+  // Group transactions by merchant; spellings of the same merchant share a key
+  const transactionsByMerchant = {};
+  transactions.forEach(transaction => {
+    const key = transactionMerchantKey(transaction) || 'unknown';
+    if (!transactionsByMerchant[key]) {
+      transactionsByMerchant[key] = { merchant: transactionMerchantName(transaction) || 'Unknown', transactions: [] };
+    }
+    transactionsByMerchant[key].transactions.push(transaction);
+  });
+
+  // Each batch is created with its transactions in one database transaction,
+  // so a retried job never finds a batch without its transactions
+  const createBatch = (fields, batchTransactions) => Batch.sequelize.transaction(async (dbTransaction) => {
+    const batch = await Batch.create({
+      ...fields,
+      ...summarizeDates(batchTransactions),
+      uploadId: uploadId.toString(),
+      transactionCount: batchTransactions.length,
+      metadata: {}
+    }, { transaction: dbTransaction });
+
+    await Transaction.update(
+      { batchId: batch.id },
+      {
+        where: {
+          id: {
+            [Op.in]: batchTransactions.map(t => t.id)
+          }
+        },
+        transaction: dbTransaction
+      }
+    );
+
+    return batch;
+  });
+
+  // Create batches for merchants with multiple transactions
+  const batches = [];
+  const merchantGroups = Object.values(transactionsByMerchant)
+    .filter(group => group.transactions.length >= 2);
+  for (const { merchant, transactions: merchantTransactions } of merchantGroups) {
+    batches.push(await createBatch({
+      title: `${merchant} Transactions`,
+      type: 'merchant',
+      dominantMerchant: merchant
+    }, merchantTransactions));
+    await reportProgress(90 * batches.length / (merchantGroups.length + 1), `Created ${batches.length} batches`);
+  }
+
+  // Handle remaining transactions (create a "Miscellaneous" batch)
+  const remainingTransactions = await Transaction.findAll({
+    where: {
+      uploadId: uploadId.toString(),
+      batchId: null
+    }
+  });
+
+  if (remainingTransactions.length > 0) {
+    batches.push(await createBatch({
+      title: 'Miscellaneous Transactions',
+      type: 'miscellaneous',
+      dominantMerchant: null
+    }, remainingTransactions));
+  }
+
+  return {
+    message: 'Batches created successfully',
+    batchCount: batches.length,
+    batchIds: batches.map(batch => batch.id)
+  };
+}
+
+/**
+ * Title an upload's untitled batches with a generated summary. Each batch is
+ * saved as soon as its summary is ready, so a retry only redoes the rest.
+ * @param {Object} models - Sequelize models
+ * @param {string} uploadId - Upload ID
+ * @param {Function} reportProgress - (percent, message) progress callback
+ * @returns {Promise<Object>} { summarized, batches: [{ id, title, insights }] }
+ */
+async function generateBatchSummaries(models, uploadId, reportProgress = noProgress) {
+  const { Batch, Transaction } = models;
+
+  const batches = await Batch.findAll({
+    where: {
+      uploadId: uploadId.toString(),
+      [Op.or]: [{ title: null }, { title: '' }, { title: 'Untitled Batch' }]
+    },
+    include: [
+      {
+        model: Transaction,
+        as: 'transactions',
+        attributes: ['id', 'description', 'amount', 'date', 'categoryId', 'type', 'merchant']
+      }
+    ]
+  });
+
+  const summarized = [];
+  for (const [index, batch] of batches.entries()) {
+    const summary = await generateBatchSummary(batch.transactions);
+    if (summary && summary.summary) {
+      await batch.update({ title: summary.summary });
+      summarized.push({ id: batch.id, title: summary.summary, insights: summary.insights || [] });
+    }
+    await reportProgress(100 * (index + 1) / batches.length, `Summarized ${index + 1} of ${batches.length} batches`);
+  }
+
+  return { summarized: summarized.length, batches: summarized };
+}
+
+registerJobHandler('upload.process', async (job, { reportProgress, models }) => {
+  try {
+    return await processUpload(models, job.payload.uploadId, job.payload.options, reportProgress);
+  } catch (error) {
+    // Leave the upload in 'processing' while another attempt is coming
+    if (job.attempts >= job.maxAttempts || !isRetryable(error)) {
+      await models.Upload.update({ status: 'failed' }, { where: { id: job.payload.uploadId } });
+    }
+    throw error;
+  }
+});
+
+registerJobHandler('upload.auto-batches', async (job, { reportProgress, models }) =>
+  createAutoBatches(models, job.payload.uploadId, reportProgress));
+
+registerJobHandler('batch.summaries', async (job, { reportProgress, models }) =>
+  generateBatchSummaries(models, job.payload.uploadId, reportProgress));
+
+module.exports = {
+  generateBatchSummary,
+  processUpload,
+  createAutoBatches,
+  generateBatchSummaries
+};
@@ -0,0 +1,129 @@
+/**
+ * Per-wallet data scoping. The auth middleware runs each request inside the
+ * scope of the wallet it acts on; model hooks installed by applyWalletScope
+ * then filter every query on a scoped model to that wallet and stamp the
+ * wallet on new rows, so route handlers do not have to pass it around.
+ * Code running outside a scope (startup, the job worker between jobs) sees
+ * all rows.
+ */
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { Op } = require('sequelize');
+const { uuidParamSql } = require('../db/sqlDialect');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function inside a wallet's scope
+ * @param {string} walletId - Wallet ID
+ * @param {Function} fn - Function to run
+ * @param {Object} [context] - Extra request context, e.g. { userId }
+ * @returns {*} The function's return value
+ */
+function runInWalletScope(walletId, fn, context = {}) {
+  return storage.run({ ...context, walletId }, fn);
+}
+
+/**
+ * Run a function outside any wallet scope
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function runWithoutWalletScope(fn) {
+  return storage.exit(fn);
+}
+
+/**
+ * Wallet of the current scope
+ * @returns {string|null} Wallet ID, or null outside a scope
+ */
+function currentWalletId() {
+  const store = storage.getStore();
+  return store ? store.walletId : null;
+}
+
+/**
+ * Signed-in user of the current scope
+ * @returns {string|null} User ID, or null outside a request
+ */
+function currentUserId() {
+  const store = storage.getStore();
+  return store && store.userId ? store.userId : null;
+}
+
+/**
+ * Keep a request's stream events in the current scope. Multipart bodies are
+ * read by multer after the auth middleware, from socket callbacks that do
+ * not carry the scope, and multer calls the route handler from there.
+ * @param {Object} req - Express request
+ */
+function bindRequestToScope(req) {
+  req.emit = AsyncResource.bind(req.emit.bind(req));
+}
+
+const restrictWhere = (where, condition) => (where ? { [Op.and]: [where, condition] } : condition);
+
+/**
+ * Install the hooks that scope a model to the current wallet. The model needs
+ * a walletId attribute.
+ * @param {Model} model - Sequelize model
+ */
+function applyWalletScope(model) {
+  const restrict = (options) => {
+    const walletId = currentWalletId();
+    if (walletId) {
+      options.where = restrictWhere(options.where, { walletId });
+    }
+  };
+  // destroy() maps attribute names to columns before its hooks run, so its
+  // condition has to name the column
+  const restrictDestroy = (options) => {
+    const walletId = currentWalletId();
+    if (walletId) {
+      options.where = restrictWhere(options.where, { [model.rawAttributes.walletId.field]: walletId });
+    }
+  };
+  const stamp = (instance) => {
+    const walletId = currentWalletId();
+    if (walletId && !instance.walletId) {
+      instance.walletId = walletId;
+    }
+  };
+
+  model.addHook('beforeFind', 'walletScope', restrict);
+  model.addHook('beforeCount', 'walletScope', restrict);
+  model.addHook('beforeBulkUpdate', 'walletScope', restrict);
+  model.addHook('beforeBulkDestroy', 'walletScope', restrictDestroy);
+  model.addHook('beforeValidate', 'walletScope', stamp);
+  model.addHook('beforeBulkCreate', 'walletScope', (instances) => instances.forEach(stamp));
+}
+
+/**
+ * SQL condition limiting a raw query to the current wallet. The query needs
+ * a `walletId` replacement (see walletReplacements).
+ * @param {Sequelize} sequelize - Sequelize instance the query runs on
+ * @param {string} column - Qualified wallet_id column, e.g. 't.wallet_id'
+ * @returns {string} SQL condition
+ */
+function walletCondition(sequelize, column) {
+  const walletId = uuidParamSql(sequelize, 'walletId');
+  return `(${walletId} IS NULL OR ${column} = ${walletId})`;
+}
+
+/**
+ * Replacements for walletCondition
+ * @returns {Object} { walletId }
+ */
+function walletReplacements() {
+  return { walletId: currentWalletId() };
+}
+
+module.exports = {
+  runInWalletScope,
+  runWithoutWalletScope,
+  currentWalletId,
+  currentUserId,
+  bindRequestToScope,
+  applyWalletScope,
+  walletCondition,
+  walletReplacements
+};
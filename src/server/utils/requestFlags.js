@@ -0,0 +1,17 @@
+/**
+ * Helpers for boolean flags sent in request bodies and query strings
+ */
+
+/**
+ * Whether a flag such as dryRun or confirmReconciled is set. JSON bodies send
+ * true, query strings and form fields send 'true'.
+ * @param {*} value - Flag value
+ * @returns {boolean} Whether the flag is set
+ */
+function isConfirmed(value) {
+  return value === true || value === 'true';
+}
+
+module.exports = {
+  isConfirmed
+};
@@ -0,0 +1,99 @@
+/**
+ * Accounts: matching uploads to accounts, balances, merging and creating
+ * accounts from free-text names, against an in-process SQLite database
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const { initDB } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const {
+  resolveAccount,
+  matchAccount,
+  getAccountBalance,
+  mergeAccounts,
+  backfillAccounts
+} = require('../src/server/services/accountMatching');
+
+const WALLET_ID = '6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10';
+
+let sequelize;
+
+const inWallet = (fn) => () => runInWalletScope(WALLET_ID, fn);
+
+beforeAll(async () => {
+  // initDB reports its progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sequelize = await initDB();
+});
+
+afterAll(async () => {
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('matchAccount', () => {
+  const checking = { name: 'Everyday Checking', type: 'bank', institution: 'Chase', last4: '1234' };
+  const visa = { name: 'Sapphire', type: 'credit_card', institution: 'Chase', last4: '9876', matchPatterns: ['sapphire preferred'] };
+
+  test('prefers the account number, then the name or a pattern', () => {
+    expect(matchAccount([checking, visa], { filename: 'chase_statement_xx1234.csv' }).account).toBe(checking);
+    expect(matchAccount([checking, visa], { filename: 'Sapphire-Preferred-2026-01.csv' }).reasons).toEqual(['name', 'pattern']);
+    expect(matchAccount([checking, visa], { filename: 'export.ofx', transactions: [{ account: '000009876' }] }).account).toBe(visa);
+  });
+
+  test('leaves weak or tied matches to the user', () => {
+    expect(matchAccount([checking, visa], { filename: 'chase.csv' })).toBeNull();
+    expect(matchAccount([checking, { ...checking, name: 'Joint', last4: '1234' }], { filename: 'acct_1234.csv' })).toBeNull();
+  });
+});
+
+describe('accounts on SQLite', () => {
+  test('names resolve to one account regardless of case and spacing', inWallet(async () => {
+    const { Account } = sequelize.models;
+    const created = await resolveAccount(Account, { accountName: 'Amex  Gold', accountType: 'credit_card' });
+    const found = await resolveAccount(Account, { accountName: 'amex gold' });
+
+    expect(found.id).toBe(created.id);
+    expect(created.type).toBe('credit_card');
+    expect((await resolveAccount(Account, { accountName: 'Piggy bank', accountType: 'jar' })).type).toBe('other');
+    await expect(resolveAccount(Account, { accountId: '00000000-0000-4000-8000-000000000000' })).rejects.toThrow('not found');
+  }));
+
+  test('balances start from the opening balance and follow transfer directions', inWallet(async () => {
+    const { Account, Transaction } = sequelize.models;
+    const savings = await Account.create({ name: 'Savings', type: 'bank', openingBalance: 100, openingBalanceDate: '2026-01-01' });
+    await Transaction.bulkCreate([
+      { date: '2025-12-31', description: 'Before opening', amount: 999, type: 'income', accountId: savings.id },
+      { date: '2026-01-05', description: 'Interest', amount: 2, type: 'income', accountId: savings.id },
+      { date: '2026-01-10', description: 'From checking', amount: 50, type: 'transfer', transferDirection: 'inflow', accountId: savings.id },
+      { date: '2026-02-01', description: 'To checking', amount: 30, type: 'transfer', transferDirection: 'outflow', accountId: savings.id },
+      { date: '2026-02-02', description: 'Fee', amount: 1.5, type: 'expense', accountId: savings.id }
+    ]);
+
+    expect(await getAccountBalance(savings, Transaction)).toBe(120.5);
+    expect(await getAccountBalance(savings, Transaction, { asOf: '2026-01-31' })).toBe(152);
+  }));
+
+  test('free-text names become accounts and merged accounts keep matching', inWallet(async () => {
+    const { Account, Transaction } = sequelize.models;
+    await Transaction.bulkCreate([
+      { date: '2026-03-01', description: 'Lunch', amount: 12, type: 'expense', account: 'Chase Freedom', accountType: 'credit_card' },
+      { date: '2026-03-02', description: 'Dinner', amount: 30, type: 'expense', account: 'chase  freedom', accountType: 'credit_card' },
+      { date: '2026-03-03', description: 'Snack', amount: 3, type: 'expense', account: 'Freedom card' }
+    ]);
+
+    const results = await backfillAccounts(sequelize);
+    const freedom = results.find(result => result.account.name === 'Chase Freedom');
+    expect(freedom).toMatchObject({ transactionCount: 2 });
+    expect(freedom.names.sort()).toEqual(['Chase Freedom', 'chase  freedom']);
+
+    const card = results.find(result => result.account.name === 'Freedom card').account;
+    const moved = await mergeAccounts(card, freedom.account, sequelize.models);
+
+    expect(moved.transactionsMoved).toBe(1);
+    expect(await Account.findByPk(card.id)).toBeNull();
+    expect(await Transaction.count({ where: { accountId: freedom.account.id } })).toBe(3);
+    await freedom.account.reload();
+    expect(freedom.account.matchPatterns).toEqual(['Freedom card']);
+  }));
+});
@@ -0,0 +1,124 @@
+/**
+ * AI answer cache: keys, the database level and invalidation on category
+ * renames and deletions, against an in-process SQLite database
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const { initDB } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const {
+  PROMPT_VERSION,
+  buildCacheKey,
+  getCachedAnswer,
+  storeAnswer,
+  purgeExpiredAnswers,
+  getCacheMetrics,
+  resetCacheMetrics
+} = require('../src/server/services/aiCache');
+
+const WALLET_ID = '6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10';
+const OTHER_WALLET_ID = '8a2d4f60-1b3c-4e5d-a6f7-2c9e0b1d3f52';
+const PROVIDER = { name: 'openai', model: 'gpt-4o-mini' };
+
+let sequelize;
+
+const inWallet = (fn) => runInWalletScope(WALLET_ID, fn);
+
+// Store an answer for a transaction text in a wallet and return its key
+const store = (walletId, text, value) => runInWalletScope(walletId, async () => {
+  const key = buildCacheKey(text, PROVIDER);
+  await storeAnswer(key, value, PROVIDER);
+  return key;
+});
+
+// An answer stored by an earlier server process, so it is only in the database
+const storeInDatabase = (text, value, expiresAt) => inWallet(async () => {
+  const key = buildCacheKey(text, PROVIDER);
+  await sequelize.models.AiCacheEntry.create({
+    key,
+    provider: PROVIDER.name,
+    model: PROVIDER.model,
+    promptVersion: PROMPT_VERSION,
+    response: value,
+    categoryName: value.categoryName.toLowerCase(),
+    expiresAt
+  });
+  return key;
+});
+
+beforeAll(async () => {
+  // initDB reports its progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sequelize = await initDB();
+});
+
+beforeEach(() => {
+  resetCacheMetrics();
+});
+
+afterAll(async () => {
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('buildCacheKey', () => {
+  test('differs by wallet, provider and model for the same text', () => {
+    const key = inWallet(() => buildCacheKey('coffee|5|expense', PROVIDER));
+
+    expect(inWallet(() => buildCacheKey('coffee|5|expense', PROVIDER))).toBe(key);
+    expect(runInWalletScope(OTHER_WALLET_ID, () => buildCacheKey('coffee|5|expense', PROVIDER))).not.toBe(key);
+    expect(inWallet(() => buildCacheKey('coffee|5|expense', { ...PROVIDER, model: 'gpt-4o' }))).not.toBe(key);
+    expect(inWallet(() => buildCacheKey('coffee|5|expense', { ...PROVIDER, name: 'ollama' }))).not.toBe(key);
+  });
+});
+
+describe('AI cache on SQLite', () => {
+  test('stores answers in the database and reads back ones from an earlier run', async () => {
+    const key = await store(WALLET_ID, 'coffee|5|expense', { categoryName: 'Food', confidence: 0.9 });
+    const stored = await inWallet(() => sequelize.models.AiCacheEntry.findOne({ where: { key } }));
+    expect(stored).toMatchObject({ provider: 'openai', model: 'gpt-4o-mini', categoryName: 'food', walletId: WALLET_ID });
+
+    const earlier = await storeInDatabase('rent|900|expense', { categoryName: 'Housing' }, new Date(Date.now() + 60000));
+    expect(await inWallet(() => getCachedAnswer(earlier))).toEqual({ categoryName: 'Housing' });
+    expect(await inWallet(() => getCachedAnswer(earlier))).toEqual({ categoryName: 'Housing' });
+    expect(await inWallet(() => getCachedAnswer(buildCacheKey('unknown|1|expense', PROVIDER)))).toBeNull();
+
+    expect(getCacheMetrics()).toMatchObject({ persistentHits: 1, memoryHits: 1, misses: 1, hitRate: 67, persistent: true });
+  });
+
+  test('expired answers are misses and are purged', async () => {
+    const key = await storeInDatabase('gym|40|expense', { categoryName: 'Health' }, new Date(Date.now() - 60000));
+
+    expect(await inWallet(() => getCachedAnswer(key))).toBeNull();
+    expect(getCacheMetrics().misses).toBe(1);
+    expect(await purgeExpiredAnswers()).toBe(1);
+  });
+
+  test('renaming a category drops the answers naming it in that wallet only', async () => {
+    const { Category } = sequelize.models;
+    const groceries = await inWallet(() => Category.create({ name: 'Groceries', type: 'expense' }));
+    const ownKey = await store(WALLET_ID, 'grocer|100|expense', { categoryName: 'Groceries' });
+    const otherKey = await store(OTHER_WALLET_ID, 'grocer|100|expense', { categoryName: 'groceries' });
+
+    await inWallet(() => groceries.update({ name: 'Supermarket' }));
+
+    expect(await inWallet(() => getCachedAnswer(ownKey))).toBeNull();
+    expect(await runInWalletScope(OTHER_WALLET_ID, () => getCachedAnswer(otherKey))).toEqual({ categoryName: 'groceries' });
+    expect(getCacheMetrics().invalidations).toBe(1);
+  });
+
+  test('deleting a category drops the answers pointing at it by id', async () => {
+    const { Category, AiCacheEntry } = sequelize.models;
+    const travel = await inWallet(() => Category.create({ name: 'Travel', type: 'expense' }));
+    const key = await store(WALLET_ID, 'airline|300|expense', { categoryName: 'Flights', categoryId: travel.id });
+
+    // Updates that keep the name leave the answers alone
+    await inWallet(() => travel.update({ color: '#123456' }));
+    expect(await inWallet(() => AiCacheEntry.count({ where: { key } }))).toBe(1);
+
+    await inWallet(() => travel.destroy());
+
+    expect(await inWallet(() => AiCacheEntry.count({ where: { key } }))).toBe(0);
+    expect(await inWallet(() => getCachedAnswer(key))).toBeNull();
+  });
+});
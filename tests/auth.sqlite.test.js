@@ -0,0 +1,149 @@
+/**
+ * Registration, sessions and wallet access against an in-process SQLite
+ * database, with the auth middleware mounted as the server mounts it
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const express = require('express');
+const { initDB } = require('../src/server/db/sequelize');
+const { authenticate, authorizeWalletAccess } = require('../src/server/middleware/auth');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const authRoutes = require('../src/server/routes/auth');
+const walletRoutes = require('../src/server/routes/wallets');
+const accountRoutes = require('../src/server/routes/accounts');
+
+let sequelize;
+let server;
+let baseUrl;
+
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/wallets', authenticate, walletRoutes);
+  app.use('/api', authenticate, authorizeWalletAccess);
+  app.use('/api/accounts', accountRoutes);
+  return app;
+};
+
+const request = async (method, path, { token, body, headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...headers
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+const register = (email, name) => request('POST', '/api/auth/register', {
+  body: { email, name, password: 'correct horse battery' }
+});
+
+beforeAll(async () => {
+  // initDB reports its progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sequelize = await initDB();
+
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('auth on SQLite', () => {
+  let owner;
+
+  test('the first user claims the data created before accounts existed', async () => {
+    // Data from before accounts existed, including its audit log entries
+    const { Account, Transaction, AuditLog } = sequelize.models;
+    const checking = await Account.create({ name: 'Checking', type: 'bank', currency: 'USD' });
+    await Transaction.create({ date: '2026-01-05', description: 'Coffee', amount: 4, type: 'expense', accountId: checking.id });
+    expect(await AuditLog.count({ where: { walletId: null } })).toBeGreaterThan(0);
+
+    const { status, body } = await register('owner@example.com', 'Owner');
+
+    expect(status).toBe(201);
+    expect(body.claimedExistingData).toBe(true);
+    owner = body;
+
+    const accounts = await request('GET', '/api/accounts', { token: owner.token });
+    expect(accounts.status).toBe(200);
+    expect(accounts.body.map(account => account.name)).toEqual(['Checking']);
+    expect(await AuditLog.count({ where: { walletId: null } })).toBe(0);
+  });
+
+  test('signs in with the password given at registration', async () => {
+    const wrong = await request('POST', '/api/auth/login', { body: { email: 'owner@example.com', password: 'wrong password' } });
+    expect(wrong.status).toBe(401);
+
+    const { status, body } = await request('POST', '/api/auth/login', {
+      body: { email: 'OWNER@example.com', password: 'correct horse battery' }
+    });
+    expect(status).toBe(200);
+    expect(body.wallets.map(wallet => wallet.role)).toEqual(['owner']);
+
+    const me = await request('GET', '/api/auth/me', { token: body.token });
+    expect(me.status).toBe(200);
+    expect(me.body.user.email).toBe('owner@example.com');
+
+    expect((await request('GET', '/api/accounts')).status).toBe(401);
+  });
+
+  test('a viewer of a shared wallet can read but not write', async () => {
+    const viewer = (await register('viewer@example.com', 'Viewer')).body;
+    expect(viewer.claimedExistingData).toBe(false);
+
+    const walletId = owner.wallets[0].id;
+    const added = await request('POST', `/api/wallets/${walletId}/members`, {
+      token: owner.token,
+      body: { email: 'viewer@example.com', role: 'viewer' }
+    });
+    expect(added.status).toBe(201);
+
+    const headers = { 'x-wallet-id': walletId };
+    const accounts = await request('GET', '/api/accounts', { token: viewer.token, headers });
+    expect(accounts.status).toBe(200);
+    expect(accounts.body.map(account => account.name)).toEqual(['Checking']);
+
+    const created = await request('POST', '/api/accounts', { token: viewer.token, headers, body: { name: 'Savings', type: 'bank' } });
+    expect(created.status).toBe(403);
+
+    // The viewer's own wallet is separate and writable
+    const own = await request('POST', '/api/accounts', { token: viewer.token, body: { name: 'Savings', type: 'bank' } });
+    expect(own.status).toBe(201);
+    expect((await request('GET', '/api/accounts', { token: owner.token })).body.map(account => account.name)).toEqual(['Checking']);
+  });
+
+  test('x-wallet-id cannot reach a wallet the user is not a member of', async () => {
+    const outsider = (await register('outsider@example.com', 'Outsider')).body;
+    const headers = { 'x-wallet-id': owner.wallets[0].id };
+
+    expect((await request('GET', '/api/accounts', { token: outsider.token, headers })).status).toBe(403);
+    expect((await request('POST', '/api/accounts', { token: outsider.token, headers, body: { name: 'Sneaky', type: 'bank' } })).status).toBe(403);
+    expect((await request('GET', `/api/wallets/${owner.wallets[0].id}`, { token: outsider.token })).status).toBe(404);
+  });
+
+  test('bulk deletes stay inside the current wallet', async () => {
+    const { Account } = sequelize.models;
+    const viewerWallet = (await request('POST', '/api/auth/login', {
+      body: { email: 'viewer@example.com', password: 'correct horse battery' }
+    })).body.wallets.find(wallet => wallet.role === 'owner');
+
+    // Both wallets have an account named Savings
+    await runInWalletScope(owner.wallets[0].id, () => Account.create({ name: 'Savings', type: 'bank' }));
+    const deleted = await runInWalletScope(owner.wallets[0].id, () => Account.destroy({ where: { name: 'Savings' } }));
+
+    expect(deleted).toBe(1);
+    expect(await runInWalletScope(viewerWallet.id, () => Account.count({ where: { name: 'Savings' } }))).toBe(1);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Budget periods and the spent-vs-budgeted report against an in-process
+ * SQLite database
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const express = require('express');
+const { initDB } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const budgetRoutes = require('../src/server/routes/budgets');
+const reportRoutes = require('../src/server/routes/reports.sequelize');
+
+const WALLET_ID = '6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10';
+
+let sequelize;
+let server;
+let baseUrl;
+const ids = {};
+
+// Every request acts on WALLET_ID, as the auth middleware would arrange
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => runInWalletScope(WALLET_ID, next));
+  app.use('/api/budgets', budgetRoutes);
+  app.use('/api/reports', reportRoutes);
+  return app;
+};
+
+const request = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const seed = () => runInWalletScope(WALLET_ID, async () => {
+  const { Category, Transaction, TransactionSplit } = sequelize.models;
+
+  ids.food = (await Category.create({ name: 'Food', type: 'expense' })).id;
+  ids.groceries = (await Category.create({ name: 'Groceries', type: 'expense', parentId: ids.food })).id;
+  ids.fun = (await Category.create({ name: 'Fun', type: 'expense' })).id;
+
+  await Transaction.bulkCreate([
+    // January: 150 of the 200 Food budget, so 50 rolls over
+    { date: '2026-01-10', description: 'Restaurant', amount: 150, type: 'expense', categoryId: ids.food },
+    // February: 160 on Food directly and through its subcategory, and a
+    // 20 share of the split transaction below
+    { date: '2026-02-03', description: 'Bistro', amount: 100, type: 'expense', categoryId: ids.food },
+    { date: '2026-02-10', description: 'Grocer', amount: 60, type: 'expense', categoryId: ids.food, subcategoryId: ids.groceries },
+    { date: '2026-02-12', description: 'Refund', amount: 40, type: 'income', categoryId: ids.food },
+    // Outside February
+    { date: '2026-03-01', description: 'Dinner', amount: 75, type: 'expense', categoryId: ids.food }
+  ]);
+
+  const split = await Transaction.create({ date: '2026-02-20', description: 'Market', amount: 50, type: 'expense' });
+  await TransactionSplit.bulkCreate([
+    { transactionId: split.id, categoryId: ids.food, amount: 20 },
+    { transactionId: split.id, categoryId: ids.fun, amount: 30 }
+  ]);
+});
+
+beforeAll(async () => {
+  // initDB reports its progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sequelize = await initDB();
+  await seed();
+
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+afterAll(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('Budget periods', () => {
+  const range = (period, budgetStart, date) => sequelize.models.Budget.getPeriodRange(period, budgetStart, new Date(`${date}T12:00:00Z`));
+
+  test('start on the budget start day, clamped to short months', () => {
+    expect(range('monthly', 1, '2026-02-14')).toEqual({ startDate: '2026-02-01', endDate: '2026-02-28' });
+    expect(range('monthly', 15, '2026-02-14')).toEqual({ startDate: '2026-01-15', endDate: '2026-02-14' });
+    expect(range('monthly', 31, '2026-03-05')).toEqual({ startDate: '2026-02-28', endDate: '2026-03-30' });
+  });
+
+  test('quarterly and yearly periods follow the calendar', () => {
+    expect(range('quarterly', 1, '2026-05-20')).toEqual({ startDate: '2026-04-01', endDate: '2026-06-30' });
+    expect(range('yearly', 1, '2026-05-20')).toEqual({ startDate: '2026-01-01', endDate: '2026-12-31' });
+  });
+});
+
+describe('budgets on SQLite', () => {
+  test('one budget per category and period', async () => {
+    const created = await request('POST', '/budgets', { categoryId: ids.food, amount: 200, period: 'monthly', rollover: true });
+    expect(created.status).toBe(201);
+
+    const again = await request('POST', '/budgets', { categoryId: ids.food, amount: 300, period: 'monthly' });
+    expect(again.status).toBe(409);
+
+    expect((await request('POST', '/budgets', { categoryId: ids.fun, amount: 25, period: 'monthly' })).status).toBe(201);
+  });
+
+  test('the report adds up spending, splits and rollover', async () => {
+    const { status, body } = await request('GET', '/reports/budgets?date=2026-02-15');
+
+    expect(status).toBe(200);
+    const food = body.budgets.find(item => item.categoryId === ids.food);
+    expect(food).toMatchObject({
+      startDate: '2026-02-01',
+      endDate: '2026-02-28',
+      budgeted: 200,
+      rolloverAmount: 50,
+      available: 250,
+      spent: 180,
+      remaining: 70,
+      overBudget: false
+    });
+
+    // Fun only has its 30 share of the split transaction, over its 25
+    const fun = body.budgets.find(item => item.categoryId === ids.fun);
+    expect(fun).toMatchObject({ spent: 30, overBudget: true, warning: true });
+    expect(body.overBudgetCount).toBe(1);
+    expect(body.totals).toMatchObject({ budgeted: 225, available: 275, spent: 210 });
+  });
+});
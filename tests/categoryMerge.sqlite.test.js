@@ -0,0 +1,170 @@
+/**
+ * Category merges and delete-with-reassignment against an in-process SQLite
+ * database, through the category endpoints
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const express = require('express');
+const { initDB } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const categoryRoutes = require('../src/server/routes/categories.sequelize');
+
+const WALLET_ID = '6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10';
+
+let sequelize;
+let server;
+let baseUrl;
+const ids = {};
+
+// Every request acts on WALLET_ID, as the auth middleware would arrange
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => runInWalletScope(WALLET_ID, next));
+  app.use('/api/categories', categoryRoutes);
+  return app;
+};
+
+const request = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+const inWallet = (fn) => runInWalletScope(WALLET_ID, fn);
+
+const transactionNamed = (description) => inWallet(() => sequelize.models.Transaction.findOne({ where: { description } }));
+
+// Eating Out sits under Food and has a Takeaway subcategory; everything that
+// can point at a category points at Eating Out once
+const seed = () => inWallet(async () => {
+  const { Category, Transaction, TransactionSplit, Budget, Merchant, Rule } = sequelize.models;
+
+  ids.food = (await Category.create({ name: 'Food', type: 'expense' })).id;
+  ids.eatingOut = (await Category.create({ name: 'Eating Out', type: 'expense', parentId: ids.food })).id;
+  ids.takeaway = (await Category.create({ name: 'Takeaway', type: 'expense', parentId: ids.eatingOut })).id;
+  ids.coffee = (await Category.create({ name: 'Coffee', type: 'expense' })).id;
+  ids.salary = (await Category.create({ name: 'Salary', type: 'income' })).id;
+
+  await Transaction.bulkCreate([
+    { date: '2026-03-01', description: 'Bistro', amount: 40, type: 'expense', categoryId: ids.eatingOut },
+    { date: '2026-03-02', description: 'Diner', amount: 25, type: 'expense', categoryId: ids.food, subcategoryId: ids.eatingOut },
+    { date: '2026-03-03', description: 'Food truck', amount: 12, type: 'expense', suggestedCategoryId: ids.eatingOut },
+    { date: '2026-03-04', description: 'Espresso bar', amount: 4, type: 'expense', categoryId: ids.coffee }
+  ]);
+  const market = await Transaction.create({ date: '2026-03-05', description: 'Market hall', amount: 30, type: 'expense' });
+  await TransactionSplit.create({ transactionId: market.id, categoryId: ids.food, subcategoryId: ids.eatingOut, amount: 30 });
+
+  await Budget.bulkCreate([
+    { categoryId: ids.eatingOut, amount: 200, period: 'monthly' },
+    { categoryId: ids.eatingOut, amount: 2000, period: 'yearly' },
+    { categoryId: ids.food, amount: 500, period: 'monthly' }
+  ]);
+  ids.merchant = (await Merchant.create({ name: 'Bistro', key: 'bistro', defaultCategoryId: ids.eatingOut })).id;
+  ids.rule = (await Rule.create({
+    name: 'Bistro is eating out',
+    priority: 10,
+    conditions: [{ field: 'description', operator: 'contains', value: 'bistro' }],
+    actions: { categoryId: ids.eatingOut }
+  })).id;
+});
+
+beforeAll(async () => {
+  // initDB reports its progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sequelize = await initDB();
+  await seed();
+
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/categories`;
+});
+
+afterAll(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('category merges on SQLite', () => {
+  test('refuse targets that cannot take the rows', async () => {
+    const details = async (id, body) => {
+      const { status, body: response } = await request('POST', `/${id}/merge`, body);
+      return [status, response.details && response.details[0].message];
+    };
+
+    expect(await details(ids.eatingOut, {})).toEqual([400, 'A target category is required']);
+    expect(await details(ids.eatingOut, { targetId: ids.eatingOut })).toEqual([400, 'A category cannot be merged into itself']);
+    expect(await details(ids.eatingOut, { targetId: ids.salary })).toEqual([400, 'Target must also be an expense category']);
+    expect(await details(ids.food, { targetId: ids.takeaway })).toEqual([400, 'A category cannot be merged into one of its own subcategories']);
+    expect((await request('POST', `/${ids.eatingOut}/merge`, { targetId: '0b7e3c1a-5d2f-4e6a-9c8b-1f3d5a7c9e20' })).status).toBe(404);
+  });
+
+  test('a dry run counts what would move without changing anything', async () => {
+    const { status, body } = await request('POST', `/${ids.eatingOut}/merge`, { targetId: ids.food, dryRun: 'true' });
+
+    expect(status).toBe(200);
+    expect(body).toEqual({
+      dryRun: true,
+      source: { id: ids.eatingOut, name: 'Eating Out' },
+      target: { id: ids.food, name: 'Food' },
+      moved: {
+        transactions: 1,
+        subcategoryReferences: 1,
+        suggestedReferences: 1,
+        splits: 1,
+        childCategories: 1,
+        budgets: 1,
+        recurringSeries: 0,
+        merchants: 1,
+        rules: 1
+      },
+      budgetsDropped: 1
+    });
+    expect((await transactionNamed('Bistro')).categoryId).toBe(ids.eatingOut);
+    expect(await inWallet(() => sequelize.models.Category.findByPk(ids.eatingOut))).not.toBeNull();
+  });
+
+  test('a plain delete refuses a category that is still in use', async () => {
+    const { status, body } = await request('DELETE', `/${ids.eatingOut}`);
+
+    expect(status).toBe(400);
+    expect(body.error).toMatch(/Pass reassignTo/);
+  });
+
+  test('delete with reassignTo moves everything to the target first', async () => {
+    const { Category, TransactionSplit, Budget, Merchant, Rule } = sequelize.models;
+    const { status, body } = await request('DELETE', `/${ids.eatingOut}?reassignTo=${ids.food}`);
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ dryRun: false, moved: { transactions: 1, childCategories: 1 }, budgetsDropped: 1 });
+
+    expect((await transactionNamed('Bistro')).categoryId).toBe(ids.food);
+    // Food was already the category, so the subcategory is dropped rather than set to Food too
+    expect(await transactionNamed('Diner')).toMatchObject({ categoryId: ids.food, subcategoryId: null });
+    expect((await transactionNamed('Food truck')).suggestedCategoryId).toBe(ids.food);
+    expect(await TransactionSplit.findOne()).toMatchObject({ categoryId: ids.food, subcategoryId: null });
+
+    await inWallet(async () => {
+      expect(await Category.findByPk(ids.eatingOut)).toBeNull();
+      expect((await Category.findByPk(ids.takeaway)).parentId).toBe(ids.food);
+      const budgets = await Budget.findAll({ where: { categoryId: ids.food } });
+      expect(budgets.map(budget => [budget.period, parseFloat(budget.amount)]).sort()).toEqual([['monthly', 500], ['yearly', 2000]]);
+      expect((await Merchant.findByPk(ids.merchant)).defaultCategoryId).toBe(ids.food);
+      expect((await Rule.findByPk(ids.rule)).actions).toEqual({ categoryId: ids.food });
+    });
+  });
+
+  test('merge moves the transactions and deletes the source', async () => {
+    const { status, body } = await request('POST', `/${ids.coffee}/merge`, { targetId: ids.food });
+
+    expect(status).toBe(200);
+    expect(body.moved.transactions).toBe(1);
+    expect((await transactionNamed('Espresso bar')).categoryId).toBe(ids.food);
+    expect((await request('GET', `/${ids.coffee}`)).status).toBe(404);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * CSV import profiles: date and amount parsing, sign conventions and
+ * picking the saved profile for a file, against an in-process SQLite database
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { initDB } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const {
+  headerSignature,
+  validateProfile,
+  parseDate,
+  parseAmount,
+  parseWithProfile,
+  selectProfile,
+  parseFileWithProfile
+} = require('../src/server/services/csvImportProfiles');
+
+const WALLET_ID = '6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10';
+
+// A European bank: semicolons, day-first dates, decimal commas and
+// separate debit and credit columns under a title line
+const EURO_CSV = [
+  'Kontoauszug Girokonto',
+  'Buchungstag;Verwendungszweck;Soll;Haben;Saldo',
+  '03.02.2026;REWE SAGT DANKE;1.234,56;;-34,56',
+  '04.02.2026;Gehalt;;2.500,00;2.465,44',
+  '31.02.2026;Broken row;1,00;;'
+].join('\n');
+
+const euroProfile = {
+  name: 'Sparkasse',
+  delimiter: ';',
+  headerRowOffset: 1,
+  dateFormat: 'DD.MM.YYYY',
+  decimalSeparator: ',',
+  signConvention: 'debit_credit',
+  columnMapping: { date: 'Buchungstag', description: 'Verwendungszweck', debit: 'Soll', credit: 'Haben', balance: 'Saldo' }
+};
+
+let sequelize;
+let tmpDir;
+
+beforeAll(async () => {
+  // initDB reports its progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sequelize = await initDB();
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pennydash-profiles-'));
+});
+
+afterAll(async () => {
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('parsing cells', () => {
+  test('dates follow the profile format and reject impossible days', () => {
+    expect(parseDate('03.02.2026', 'DD.MM.YYYY')).toBe('2026-02-03');
+    expect(parseDate('7 Mar 26', 'D MMM YY')).toBe('2026-03-07');
+    expect(parseDate('12/25', 'MM/DD', 2025)).toBe('2025-12-25');
+    expect(parseDate('31.02.2026', 'DD.MM.YYYY')).toBeNull();
+  });
+
+  test('amounts handle separators, symbols, parentheses and trailing minus', () => {
+    expect(parseAmount('1.234,56', ',')).toBe(1234.56);
+    expect(parseAmount('$1,234.56')).toBe(1234.56);
+    expect(parseAmount('(12.00)')).toBe(-12);
+    expect(parseAmount('12,50-', ',')).toBe(-12.5);
+    expect(parseAmount('')).toBeNull();
+  });
+
+  test('profiles need the columns their sign convention reads', () => {
+    expect(validateProfile(euroProfile)).toEqual([]);
+    expect(validateProfile({ ...euroProfile, columnMapping: { date: 0, description: 1, debit: 2 } }).map(error => error.field))
+      .toEqual(['columnMapping']);
+  });
+});
+
+describe('parseWithProfile', () => {
+  test('maps rows and reports the ones that do not parse by line', () => {
+    const { transactions, errors } = parseWithProfile(EURO_CSV, euroProfile, { fileName: 'giro.csv' });
+
+    expect(transactions.map(tx => [tx.date, tx.description, tx.amount, tx.type])).toEqual([
+      ['2026-02-03', 'REWE SAGT DANKE', 1234.56, 'expense'],
+      ['2026-02-04', 'Gehalt', 2500, 'income']
+    ]);
+    expect(transactions[0].balance).toBe(-34.56);
+    expect(errors).toEqual([{ row: 5, message: 'Date "31.02.2026" does not match format DD.MM.YYYY' }]);
+  });
+
+  test('reads the direction from a type column', () => {
+    const csv = 'Date,Details,Amount,Kind\n2026-01-02,Card purchase,9.99,DEBIT\n2026-01-03,Refund,5.00,CREDIT';
+    const { transactions } = parseWithProfile(csv, {
+      signConvention: 'type_column',
+      columnMapping: { date: 'Date', description: 'Details', amount: 'Amount', type: 'Kind' }
+    });
+
+    expect(transactions.map(tx => tx.type)).toEqual(['expense', 'income']);
+  });
+});
+
+describe('import profiles on SQLite', () => {
+  test('a file is parsed with the saved profile whose headers match', () => runInWalletScope(WALLET_ID, async () => {
+    const { ImportProfile } = sequelize.models;
+    const headers = ['Buchungstag', 'Verwendungszweck', 'Soll', 'Haben', 'Saldo'];
+    await ImportProfile.bulkCreate([
+      { ...euroProfile, headers, headerSignature: headerSignature(headers) },
+      { name: 'Other bank', columnMapping: { date: 'Date', description: 'Memo', amount: 'Amount' }, headers: ['Date', 'Memo', 'Amount'] }
+    ]);
+
+    expect(selectProfile(await ImportProfile.findAll(), EURO_CSV).name).toBe('Sparkasse');
+
+    const filePath = path.join(tmpDir, 'upload-1');
+    fs.writeFileSync(filePath, EURO_CSV);
+    const result = await parseFileWithProfile(filePath, ImportProfile, { fileName: 'giro.csv' });
+
+    expect(result.profile.name).toBe('Sparkasse');
+    expect(result.transactions).toHaveLength(2);
+    expect(result.transactions[0].importSource).toBe('giro.csv');
+
+    // No profile fits: the caller falls back to guessing the columns
+    fs.writeFileSync(filePath, 'When,What,How much\n2026-01-01,Tea,3');
+    expect(await parseFileWithProfile(filePath, ImportProfile, { fileName: 'other.csv' })).toBeNull();
+  }));
+});
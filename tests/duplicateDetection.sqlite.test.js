@@ -0,0 +1,80 @@
+/**
+ * Duplicate detection for overlapping statement uploads, against an
+ * in-process SQLite database
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const { initDB } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const { generateFingerprint, flagDuplicates, mergeDuplicate } = require('../src/server/services/duplicateDetection');
+
+const WALLET_ID = '6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10';
+const EARLIER_UPLOAD_ID = '2c4e6a8b-0d1f-4a3c-8e5a-7b9d1f3a5c70';
+const THIS_UPLOAD_ID = '4e6a8c0d-2f3b-4c5e-9a7c-9d1f3b5c7e91';
+
+let sequelize;
+
+const inWallet = (fn) => runInWalletScope(WALLET_ID, fn);
+
+beforeAll(async () => {
+  // initDB reports its progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sequelize = await initDB();
+
+  await inWallet(() => sequelize.models.Transaction.bulkCreate([
+    { date: '2026-01-05', description: 'AMAZON.COM*1234 ', amount: 25, type: 'expense', account: 'Visa', uploadId: EARLIER_UPLOAD_ID },
+    { date: '2026-01-06', description: 'Coffee', amount: 4.5, type: 'expense', account: 'Visa', uploadId: EARLIER_UPLOAD_ID },
+    { date: '2026-01-07', description: 'Refund', amount: 10, type: 'income', account: 'Visa', uploadId: THIS_UPLOAD_ID }
+  ]));
+});
+
+afterAll(async () => {
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('generateFingerprint', () => {
+  test('ignores punctuation, case and spacing but not the direction or account', () => {
+    const row = { date: '2026-01-05', description: 'Amazon.com 1234', amount: '25.00', type: 'expense', account: 'visa' };
+
+    expect(generateFingerprint(row)).toBe(generateFingerprint({ ...row, description: 'AMAZON.COM*1234 ', account: 'Visa ' }));
+    expect(generateFingerprint(row)).not.toBe(generateFingerprint({ ...row, type: 'income' }));
+    expect(generateFingerprint(row)).not.toBe(generateFingerprint({ ...row, account: 'Checking' }));
+  });
+});
+
+describe('duplicate detection on SQLite', () => {
+  test('flags rows already stored, each stored row matching once', async () => {
+    const { Transaction } = sequelize.models;
+    const rows = await inWallet(() => flagDuplicates([
+      { date: '2026-01-05', description: 'Amazon.com 1234', amount: 25, type: 'expense', account: 'Visa' },
+      { date: '2026-01-06', description: 'Coffee', amount: 4.5, type: 'expense', account: 'Visa' },
+      { date: '2026-01-06', description: 'Coffee', amount: 4.5, type: 'expense', account: 'Visa' },
+      { date: '2026-01-06', description: 'Tea', amount: 3, type: 'expense', account: 'Visa' }
+    ], Transaction));
+
+    expect(rows.map(row => row.isDuplicate)).toEqual([true, true, false, false]);
+    expect(rows[0].duplicateUploadId).toBe(EARLIER_UPLOAD_ID);
+  });
+
+  test('does not flag rows against the upload being processed again', async () => {
+    const { Transaction } = sequelize.models;
+    const row = { date: '2026-01-07', description: 'Refund', amount: 10, type: 'income', account: 'Visa' };
+
+    expect((await inWallet(() => flagDuplicates([row], Transaction)))[0].isDuplicate).toBe(true);
+    expect((await inWallet(() => flagDuplicates([row], Transaction, { excludeUploadId: THIS_UPLOAD_ID })))[0].isDuplicate).toBe(false);
+  });
+
+  test('merging fills gaps without overwriting reviewed fields', async () => {
+    const { Transaction } = sequelize.models;
+    const existing = await inWallet(async () => {
+      const coffee = await Transaction.findOne({ where: { description: 'Coffee' } });
+      await coffee.update({ notes: 'Team coffee', tags: ['work'] });
+      return mergeDuplicate(coffee, { notes: 'From statement', merchant: 'Blue Bottle', tags: ['work', 'coffee'] });
+    });
+
+    expect(existing.notes).toBe('Team coffee');
+    expect(existing.merchant).toBe('Blue Bottle');
+    expect(existing.tags).toEqual(['work', 'coffee']);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Exchange rate CSV import, lookup and conversion against an in-process
+ * SQLite database, with rates kept per wallet
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const { initDB } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const { parseRatesCsv, upsertRates, findRate, convertAmount } = require('../src/server/services/exchangeRates');
+
+const WALLET_ID = '6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10';
+const OTHER_WALLET_ID = '8a2d4f60-1b3c-4e5d-a6f7-2c9e0b1d3f52';
+
+let sequelize;
+
+const inWallet = (fn) => runInWalletScope(WALLET_ID, fn);
+
+beforeAll(async () => {
+  // initDB reports its progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sequelize = await initDB();
+
+  await inWallet(() => upsertRates(sequelize.models.ExchangeRate, [
+    { date: '2026-01-01', fromCurrency: 'eur', toCurrency: 'usd', rate: 1.1, source: 'manual' },
+    { date: '2026-01-20', fromCurrency: 'EUR', toCurrency: 'USD', rate: 1.2, source: 'manual' },
+    // Only the inverse pair is known for pounds
+    { date: '2026-01-10', fromCurrency: 'USD', toCurrency: 'GBP', rate: 0.8, source: 'manual' }
+  ]));
+});
+
+afterAll(async () => {
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('parseRatesCsv', () => {
+  test('reads rates, reporting bad rows by their line number', () => {
+    const { rates, errors } = parseRatesCsv([
+      'Date,Base,Close',
+      '15/01/2026,eur,"1,15"',
+      '16/01/2026,EUR,0',
+      '17/01/2026,USD,1'
+    ].join('\n'), { toCurrency: 'usd', dateFormat: 'DD/MM/YYYY' });
+
+    expect(rates).toEqual([{ date: '2026-01-15', fromCurrency: 'EUR', toCurrency: 'USD', rate: 1.15, source: 'csv' }]);
+    expect(errors).toEqual([
+      { row: 3, message: 'Rate must be a number greater than zero' },
+      { row: 4, message: 'Currencies must differ' }
+    ]);
+  });
+
+  test('needs a target currency column unless one is given', () => {
+    const { rates, errors } = parseRatesCsv('date,from,rate\n2026-01-15,EUR,1.15');
+
+    expect(rates).toEqual([]);
+    expect(errors).toEqual([{ row: 1, message: 'Missing column(s): toCurrency' }]);
+  });
+});
+
+describe('exchange rates on SQLite', () => {
+  test('uses the latest rate on or before the date, else the earliest after it', async () => {
+    const { ExchangeRate } = sequelize.models;
+
+    expect(await inWallet(() => findRate(ExchangeRate, 'EUR', 'USD', '2026-01-19'))).toEqual({ rate: 1.1, date: '2026-01-01', inverted: false });
+    expect(await inWallet(() => findRate(ExchangeRate, 'EUR', 'USD', '2026-01-20'))).toEqual({ rate: 1.2, date: '2026-01-20', inverted: false });
+    expect(await inWallet(() => findRate(ExchangeRate, 'EUR', 'USD', '2025-12-01'))).toMatchObject({ rate: 1.1, date: '2026-01-01' });
+    expect(await inWallet(() => findRate(ExchangeRate, 'EUR', 'JPY', '2026-01-19'))).toBeNull();
+  });
+
+  test('inverts a rate stored for the opposite pair', async () => {
+    const found = await inWallet(() => findRate(sequelize.models.ExchangeRate, 'gbp', 'usd', '2026-01-15'));
+
+    expect(found).toMatchObject({ date: '2026-01-10', inverted: true });
+    expect(found.rate).toBeCloseTo(1.25);
+  });
+
+  test('converts amounts rounded to cents', async () => {
+    const { ExchangeRate } = sequelize.models;
+
+    expect(await inWallet(() => convertAmount(ExchangeRate, '10.01', 'EUR', 'USD', '2026-01-25'))).toEqual({ amount: 12.01, rate: 1.2, rateDate: '2026-01-20' });
+    expect(await inWallet(() => convertAmount(ExchangeRate, 5, 'USD', 'USD', '2026-01-25'))).toMatchObject({ amount: 5, rate: 1 });
+    expect(await inWallet(() => convertAmount(ExchangeRate, 5, 'CHF', 'USD', '2026-01-25'))).toBeNull();
+  });
+
+  test('a second import replaces the rate for the same pair and date', async () => {
+    const { ExchangeRate } = sequelize.models;
+    await inWallet(() => upsertRates(ExchangeRate, [{ date: '2026-01-20', fromCurrency: 'EUR', toCurrency: 'USD', rate: 1.25, source: 'csv' }]));
+
+    const rates = await inWallet(() => ExchangeRate.findAll({ where: { fromCurrency: 'EUR', date: '2026-01-20' } }));
+    expect(rates).toHaveLength(1);
+    expect(parseFloat(rates[0].rate)).toBe(1.25);
+    expect(rates[0].source).toBe('csv');
+  });
+
+  test('each wallet keeps its own rates', async () => {
+    const { ExchangeRate } = sequelize.models;
+    await runInWalletScope(OTHER_WALLET_ID, () => upsertRates(ExchangeRate, [
+      { date: '2026-01-20', fromCurrency: 'EUR', toCurrency: 'USD', rate: 2, source: 'manual' }
+    ]));
+
+    expect(await runInWalletScope(OTHER_WALLET_ID, () => findRate(ExchangeRate, 'EUR', 'USD', '2026-01-25'))).toMatchObject({ rate: 2 });
+    expect(await runInWalletScope(OTHER_WALLET_ID, () => findRate(ExchangeRate, 'GBP', 'USD', '2026-01-25'))).toBeNull();
+    expect(await inWallet(() => findRate(ExchangeRate, 'EUR', 'USD', '2026-01-25'))).toMatchObject({ rate: 1.25 });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Background job queue: claiming, running, retries and recovery against an
+ * in-process SQLite database, driven step by step instead of by the worker loop
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const { initDB } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const {
+  registerJobHandler,
+  retryDelay,
+  enqueueJob,
+  findActiveJob,
+  claimNextJob,
+  runJob,
+  recoverInterruptedJobs,
+  cancelJob,
+  formatJob
+} = require('../src/server/services/jobQueue');
+
+const WALLET_ID = '6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10';
+const OTHER_WALLET_ID = '8a2d4f60-1b3c-4e5d-a6f7-2c9e0b1d3f52';
+const UPLOAD_ID = '3b5d7f91-2c4e-4a6b-8d0f-1e3a5c7e9b24';
+
+let sequelize;
+
+const inWallet = (fn) => runInWalletScope(WALLET_ID, fn);
+
+// Claim the next due job and run it, as one pass of the worker loop does
+const runNext = async () => {
+  const job = await claimNextJob(sequelize);
+  return job ? runJob(job, sequelize.models) : null;
+};
+
+beforeAll(async () => {
+  // initDB reports its progress on the console, failed attempts are logged
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  sequelize = await initDB();
+
+  const { Account } = sequelize.models;
+  await inWallet(() => Account.create({ name: 'Checking', type: 'bank' }));
+  await runInWalletScope(OTHER_WALLET_ID, () => Account.create({ name: 'Savings', type: 'bank' }));
+
+  registerJobHandler('test.sum', async (job, { reportProgress, models }) => {
+    await reportProgress(50, 'Halfway');
+    return {
+      total: job.payload.values.reduce((sum, value) => sum + value, 0),
+      accounts: await models.Account.count()
+    };
+  });
+  registerJobHandler('test.timeout', async () => {
+    throw new Error('Timed out');
+  });
+  registerJobHandler('test.invalid', async () => {
+    throw Object.assign(new Error('Upload has no rows'), { statusCode: 400 });
+  });
+});
+
+afterAll(async () => {
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('retryDelay', () => {
+  test('doubles with each attempt up to five minutes', () => {
+    expect([1, 2, 3].map(retryDelay)).toEqual([5000, 10000, 20000]);
+    expect(retryDelay(20)).toBe(5 * 60 * 1000);
+  });
+});
+
+describe('job queue on SQLite', () => {
+  test('runs a job inside the wallet it was queued for', async () => {
+    const queued = await inWallet(() => enqueueJob(sequelize.models.Job, 'test.sum', { values: [1, 2, 3] }));
+    expect(queued.walletId).toBe(WALLET_ID);
+
+    const job = await runNext();
+
+    expect(job.id).toBe(queued.id);
+    expect(formatJob(job)).toMatchObject({
+      status: 'completed',
+      progress: 100,
+      progressMessage: 'Halfway',
+      attempts: 1,
+      error: null,
+      result: { total: 6, accounts: 1 }
+    });
+    expect(await runNext()).toBeNull();
+  });
+
+  test('retries a failed attempt after a delay until the attempts run out', async () => {
+    const { Job } = sequelize.models;
+    const queued = await inWallet(() => enqueueJob(Job, 'test.timeout', {}, { maxAttempts: 2 }));
+
+    const retried = await runNext();
+    expect(retried).toMatchObject({ id: queued.id, status: 'queued', attempts: 1, error: 'Timed out' });
+    expect(retried.runAt.getTime()).toBeGreaterThan(Date.now() + 4000);
+    expect(await runNext()).toBeNull();
+
+    await retried.update({ runAt: new Date(Date.now() - 1000) });
+    const failed = await runNext();
+    expect(failed).toMatchObject({ status: 'failed', attempts: 2, error: 'Timed out' });
+    expect(failed.finishedAt).toBeInstanceOf(Date);
+  });
+
+  test('does not retry bad input or a job type without a handler', async () => {
+    const { Job } = sequelize.models;
+    await inWallet(() => enqueueJob(Job, 'test.invalid'));
+    expect(await runNext()).toMatchObject({ status: 'failed', attempts: 1, error: 'Upload has no rows' });
+
+    await inWallet(() => enqueueJob(Job, 'test.unknown'));
+    expect(await runNext()).toMatchObject({ status: 'failed', error: 'No handler registered for job type "test.unknown"' });
+  });
+
+  test('finds the active job of an upload until it is cancelled', async () => {
+    const { Job } = sequelize.models;
+    const queued = await inWallet(() => enqueueJob(Job, 'test.sum', { values: [] }, { uploadId: UPLOAD_ID }));
+
+    expect((await inWallet(() => findActiveJob(Job, 'test.sum', UPLOAD_ID))).id).toBe(queued.id);
+    expect(await runInWalletScope(OTHER_WALLET_ID, () => findActiveJob(Job, 'test.sum', UPLOAD_ID))).toBeNull();
+
+    expect(await cancelJob(queued)).toBe(true);
+    expect(await cancelJob(queued)).toBe(false);
+    expect(await inWallet(() => findActiveJob(Job, 'test.sum', UPLOAD_ID))).toBeNull();
+    expect(await runNext()).toBeNull();
+  });
+
+  test('requeues jobs left running by a stopped server', async () => {
+    const { Job } = sequelize.models;
+    const queued = await inWallet(() => enqueueJob(Job, 'test.sum', { values: [4] }));
+    await claimNextJob(sequelize);
+
+    expect(await recoverInterruptedJobs(Job)).toBe(1);
+    expect(await Job.findByPk(queued.id)).toMatchObject({ status: 'queued', progressMessage: 'Restarted after server restart' });
+
+    const job = await runNext();
+    expect(job).toMatchObject({ id: queued.id, status: 'completed', attempts: 2 });
+    expect(job.result).toEqual({ total: 4, accounts: 1 });
+  });
+});
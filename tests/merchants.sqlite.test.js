@@ -0,0 +1,98 @@
+/**
+ * Merchant directory: name cleaning, and which unmatched names get a merchant
+ * created for them, against an in-process SQLite database
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const { initDB } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const {
+  cleanMerchantName,
+  assignMerchants,
+  countUnlinkedMerchantKeys,
+  backfillMerchants
+} = require('../src/server/services/merchants');
+
+let sequelize;
+
+// Each test runs in a wallet of its own, so none sees another's merchants
+const inWallet = (walletId, fn) => () => runInWalletScope(walletId, fn);
+
+const merchantNames = async () => (await sequelize.models.Merchant.findAll()).map(merchant => merchant.name).sort();
+
+beforeAll(async () => {
+  // initDB reports its progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sequelize = await initDB();
+});
+
+afterAll(async () => {
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('cleanMerchantName', () => {
+  test('strips processor prefixes, store numbers and state codes', () => {
+    expect(cleanMerchantName('SQ *BLUE BOTTLE 1234 SAN FRAN')).toBe('Blue Bottle');
+    expect(cleanMerchantName('POS DEBIT GREEN GROCER #12 CA')).toBe('Green Grocer');
+    expect(cleanMerchantName('AMAZON.COM*AB12CD')).toBe('Amazon.com');
+  });
+});
+
+describe('assignMerchants on SQLite', () => {
+  test('creates merchants only for names that recur', inWallet('6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10', async () => {
+    const { Merchant } = sequelize.models;
+    const rows = await assignMerchants([
+      { description: 'SQ *BLUE BOTTLE 1234', type: 'expense' },
+      { description: 'BLUE BOTTLE #55', type: 'expense' },
+      { description: 'Garage sale', type: 'expense' }
+    ], Merchant, { create: true });
+
+    expect(await merchantNames()).toEqual(['Blue Bottle']);
+    expect(rows[0].merchantId).toBe(rows[1].merchantId);
+    expect(rows[2]).toMatchObject({ merchantId: null, merchant: 'Garage sale' });
+  }));
+
+  test('never creates merchants for transfers and payments', inWallet('0b7e4d6a-2c11-4b0e-8e0f-5d6c9a1e7f22', async () => {
+    const { Merchant } = sequelize.models;
+    const rows = await assignMerchants([
+      { description: 'ONLINE TRANSFER TO SAVINGS', type: 'expense' },
+      { description: 'ONLINE TRANSFER TO SAVINGS', type: 'expense' },
+      { description: 'VISA PAYMENT THANK YOU', type: 'income' },
+      { description: 'VISA PAYMENT THANK YOU', type: 'income' },
+      { description: 'Move to savings', type: 'transfer' },
+      { description: 'Move to savings', type: 'transfer' }
+    ], Merchant, { create: true });
+
+    expect(await merchantNames()).toEqual([]);
+    expect(rows.every(row => row.merchantId === null)).toBe(true);
+  }));
+
+  test('counts earlier unlinked transactions towards recurring', inWallet('3d9a6c1e-5b2f-4e7a-9c0d-1f2e3a4b5c63', async () => {
+    const { Merchant, Transaction } = sequelize.models;
+    const earlier = await Transaction.create({ date: '2026-01-05', description: 'CORNER DELI 0042', merchant: 'Corner Deli', amount: 9, type: 'expense' });
+
+    const seen = await countUnlinkedMerchantKeys(Transaction);
+    expect(seen.get('corner deli')).toBe(1);
+    expect(await countUnlinkedMerchantKeys(Transaction, { excludeId: earlier.id })).toEqual(new Map());
+
+    const [row] = await assignMerchants([{ description: 'CORNER DELI 0107', type: 'expense' }], Merchant, { create: true, seen });
+    expect(row.merchant).toBe('Corner Deli');
+    expect(row.merchantId).not.toBeNull();
+  }));
+
+  test('backfill links recurring names and leaves one-offs alone', inWallet('9e8d7c6b-5a4f-4e3d-8c2b-1a0f9e8d7c64', async () => {
+    const { Transaction } = sequelize.models;
+    await Transaction.bulkCreate([
+      { date: '2026-01-05', description: 'GREEN GROCER #12', amount: 40, type: 'expense' },
+      { date: '2026-01-12', description: 'GREEN GROCER #14', amount: 35, type: 'expense' },
+      { date: '2026-01-13', description: 'Piano lesson', amount: 60, type: 'expense' }
+    ]);
+
+    const result = await backfillMerchants(sequelize);
+
+    expect(result).toMatchObject({ linked: 2, merchantsCreated: 1 });
+    expect(await merchantNames()).toEqual(['Green Grocer']);
+    expect(await Transaction.count({ where: { merchantId: null } })).toBe(1);
+  }));
+});
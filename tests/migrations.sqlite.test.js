@@ -0,0 +1,162 @@
+/**
+ * Schema migrations against in-memory SQLite databases: applying, rolling
+ * back, and adopting a database that model sync() created before migrations
+ */
+const { QueryTypes } = require('sequelize');
+const { createSequelize } = require('../src/server/db/sequelize');
+const { migrate, rollback, getMigrationStatus, loadMigrations } = require('../src/server/db/migrator');
+const initialSchema = require('../src/server/db/migrations/001-initial-schema');
+
+const MIGRATION_NAMES = loadMigrations().map(migration => migration.name);
+
+const tableNames = async (sequelize) => (await sequelize.getQueryInterface().showAllTables()).sort();
+
+describe('migrator', () => {
+  let sequelize;
+
+  beforeEach(() => {
+    sequelize = createSequelize('sqlite::memory:');
+  });
+
+  afterEach(async () => {
+    await sequelize.close();
+  });
+
+  test('applies every migration in order, then has nothing left to apply', async () => {
+    expect(await migrate(sequelize)).toEqual(MIGRATION_NAMES);
+    expect(await tableNames(sequelize)).toEqual(expect.arrayContaining(['uploads', 'batches', 'transactions', 'jobs']));
+
+    expect(await migrate(sequelize)).toEqual([]);
+
+    const status = await getMigrationStatus(sequelize);
+    expect(status.map(item => [item.name, item.applied])).toEqual(MIGRATION_NAMES.map(name => [name, true]));
+  });
+
+  test('migrates up to a target and reports the rest as pending', async () => {
+    expect(await migrate(sequelize, { to: 1 })).toEqual([MIGRATION_NAMES[0]]);
+
+    const status = await getMigrationStatus(sequelize);
+    expect(status.filter(item => !item.applied).map(item => item.name)).toEqual(MIGRATION_NAMES.slice(1));
+  });
+
+  test('rolls back by steps and back to an empty schema', async () => {
+    await migrate(sequelize);
+
+    expect(await rollback(sequelize)).toEqual([MIGRATION_NAMES[MIGRATION_NAMES.length - 1]]);
+    expect(await rollback(sequelize, { to: 0 })).toEqual(MIGRATION_NAMES.slice(0, -1).reverse());
+    expect(await tableNames(sequelize)).toEqual(['schema_migrations']);
+
+    expect(await migrate(sequelize)).toEqual(MIGRATION_NAMES);
+  });
+
+  test('rejects unknown targets and invalid step counts', async () => {
+    await expect(migrate(sequelize, { to: '999-nope' })).rejects.toThrow('Unknown migration: 999-nope');
+    await expect(rollback(sequelize, { steps: 0 })).rejects.toThrow('steps must be a positive number');
+  });
+
+  test('adopts a synced database and gives legacy upload and batch ids real rows', async () => {
+    const orphanBatchId = '9d7c1f0e-3a5b-4c2d-8e6f-1a2b3c4d5e6f';
+
+    // A transactions table as an older sync() left it, with string ids
+    await sequelize.query(`
+      CREATE TABLE transactions (
+        id UUID PRIMARY KEY, date DATE NOT NULL, description VARCHAR(255) NOT NULL,
+        amount DECIMAL(10,2) NOT NULL, type TEXT NOT NULL DEFAULT 'expense',
+        upload_id VARCHAR(255), batch_id VARCHAR(255), wallet_id UUID,
+        created_at DATETIME NOT NULL, updated_at DATETIME NOT NULL
+      )
+    `);
+    await sequelize.query(`
+      INSERT INTO transactions (id, date, description, amount, upload_id, batch_id, created_at, updated_at) VALUES
+        ('4c0a9f5e-1b2d-4e3f-8a7b-6c5d4e3f2a10', '2026-01-03', 'Coffee', 4.5, 'upload_1712345678901', 'upload_1712345678901_batch_0', '2026-01-03', '2026-01-03'),
+        ('4c0a9f5e-1b2d-4e3f-8a7b-6c5d4e3f2a11', '2026-01-05', 'Tea', 3, 'upload_1712345678901', 'upload_1712345678901_batch_0', '2026-01-05', '2026-01-05'),
+        ('4c0a9f5e-1b2d-4e3f-8a7b-6c5d4e3f2a12', '2026-01-09', 'Rent', 700, 'upload_1712345678901', 'upload_1712345678901_batch_1', '2026-01-09', '2026-01-09'),
+        ('4c0a9f5e-1b2d-4e3f-8a7b-6c5d4e3f2a13', '2026-01-10', 'Lost batch', 10, NULL, '${orphanBatchId}', '2026-01-10', '2026-01-10')
+    `);
+
+    expect(await migrate(sequelize)).toEqual(MIGRATION_NAMES);
+
+    const columns = await sequelize.getQueryInterface().describeTable('transactions');
+    expect(columns).toHaveProperty('category_id');
+    expect(columns).toHaveProperty('enrichment_status');
+
+    const uploads = await sequelize.query('SELECT id, filename, transaction_count FROM uploads', { type: QueryTypes.SELECT });
+    expect(uploads).toEqual([expect.objectContaining({ filename: 'upload_1712345678901', transaction_count: 3 })]);
+
+    const batches = await sequelize.query(
+      'SELECT id, upload_id, transaction_count, start_date, end_date FROM batches ORDER BY start_date',
+      { type: QueryTypes.SELECT }
+    );
+    expect(batches).toEqual([
+      expect.objectContaining({ upload_id: uploads[0].id, transaction_count: 2, start_date: '2026-01-03', end_date: '2026-01-05' }),
+      expect.objectContaining({ upload_id: uploads[0].id, transaction_count: 1, start_date: '2026-01-09', end_date: '2026-01-09' })
+    ]);
+
+    const transactions = await sequelize.query(
+      'SELECT description, upload_id, batch_id FROM transactions ORDER BY date',
+      { type: QueryTypes.SELECT }
+    );
+    expect(transactions).toEqual([
+      { description: 'Coffee', upload_id: uploads[0].id, batch_id: batches[0].id },
+      { description: 'Tea', upload_id: uploads[0].id, batch_id: batches[0].id },
+      { description: 'Rent', upload_id: uploads[0].id, batch_id: batches[1].id },
+      { description: 'Lost batch', upload_id: null, batch_id: null }
+    ]);
+  });
+
+  test('copies shared exchange rates into every wallet', async () => {
+    await migrate(sequelize, { to: 2 });
+    await sequelize.query(`
+      INSERT INTO users (id, email, name, password_hash, is_active, created_at, updated_at)
+      VALUES ('1d4f6a2b-3c5e-4f7a-8b9c-0d1e2f3a4b5c', 'a@example.com', 'A', 'x', 1, '2026-01-01', '2026-01-01')
+    `);
+    await sequelize.query(`
+      INSERT INTO wallets (id, name, budget, owner_user_id, currency, icon, color, created_at, updated_at) VALUES
+        ('2a1b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c01', 'Home', 0, '1d4f6a2b-3c5e-4f7a-8b9c-0d1e2f3a4b5c', 'USD', 'wallet', '#7C3AED', '2026-01-01', '2026-01-01'),
+        ('2a1b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c02', 'Work', 0, '1d4f6a2b-3c5e-4f7a-8b9c-0d1e2f3a4b5c', 'USD', 'wallet', '#7C3AED', '2026-01-01', '2026-01-01')
+    `);
+    await sequelize.query(`
+      INSERT INTO exchange_rates (id, date, from_currency, to_currency, rate, source, created_at, updated_at)
+      VALUES ('3b2c4d5e-6f7a-4b8c-9d0e-1f2a3b4c5d60', '2026-01-01', 'USD', 'EUR', 0.9, 'manual', '2026-01-01', '2026-01-01')
+    `);
+
+    await migrate(sequelize);
+
+    const rates = await sequelize.query(
+      'SELECT wallet_id, from_currency, rate FROM exchange_rates ORDER BY wallet_id',
+      { type: QueryTypes.SELECT }
+    );
+    expect(rates).toEqual([
+      { wallet_id: '2a1b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c01', from_currency: 'USD', rate: 0.9 },
+      { wallet_id: '2a1b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c02', from_currency: 'USD', rate: 0.9 }
+    ]);
+
+    await rollback(sequelize);
+    expect(await sequelize.query('SELECT COUNT(*) AS count FROM exchange_rates', { type: QueryTypes.SELECT }))
+      .toEqual([{ count: 1 }]);
+  });
+
+  test('adds enum values a synced Postgres table is missing', async () => {
+    // No Postgres here: a query interface reporting a synced transactions
+    // table whose enum_transactions_type predates 'transfer'
+    const postgres = { getDialect: () => 'postgres', query: jest.fn() };
+    const queryInterface = {
+      showAllTables: async () => ['transactions'],
+      createTable: jest.fn(),
+      addColumn: jest.fn(),
+      addIndex: jest.fn(),
+      showIndex: async () => [],
+      describeTable: async () => ({
+        type: { type: 'USER-DEFINED', special: ['income', 'expense'] },
+        account_type: { type: 'USER-DEFINED', special: ['bank', 'credit_card', 'investment', 'cash', 'wallet', 'other'] }
+      })
+    };
+
+    await initialSchema.up({ queryInterface, sequelize: postgres, transaction: null });
+
+    expect(postgres.query.mock.calls.map(([sql]) => sql)).toEqual([
+      `ALTER TYPE "enum_transactions_type" ADD VALUE IF NOT EXISTS 'transfer'`
+    ]);
+    expect(queryInterface.addColumn).toHaveBeenCalledWith('transactions', 'transfer_direction', expect.anything(), expect.anything());
+  });
+});
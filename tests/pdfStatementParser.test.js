@@ -0,0 +1,122 @@
+/**
+ * Pure parts of the PDF statement parser: year inference for year-less
+ * dates, statement period and balance extraction, and the sign of unsigned
+ * amounts next to a running balance
+ */
+const {
+  resolveYear,
+  extractStatementInfo,
+  buildTransactions
+} = require('../src/server/services/pdfStatementParser');
+
+const row = (line, date, description, cells) => ({ page: 1, line, date, description, cells });
+
+describe('resolveYear', () => {
+  const period = { start: '2025-12-15', end: '2026-01-14' };
+
+  test('puts December and January of one statement in their own years', () => {
+    expect(resolveYear({ month: 12, day: 28, year: null }, period)).toBe('2025-12-28');
+    expect(resolveYear({ month: 1, day: 5, year: null }, period)).toBe('2026-01-05');
+  });
+
+  test('picks the year closest to the period for dates just outside it', () => {
+    expect(resolveYear({ month: 12, day: 10, year: null }, period)).toBe('2025-12-10');
+    expect(resolveYear({ month: 1, day: 20, year: null }, period)).toBe('2026-01-20');
+  });
+
+  test('keeps a year the date already has', () => {
+    expect(resolveYear({ month: 3, day: 2, year: 2024 }, period)).toBe('2024-03-02');
+  });
+
+  test('uses the month before the period end when only the end is known', () => {
+    expect(resolveYear({ month: 12, day: 31, year: null }, { start: null, end: '2026-01-10' })).toBe('2025-12-31');
+  });
+});
+
+describe('extractStatementInfo', () => {
+  test('reads the period, balances and account number', () => {
+    const info = extractStatementInfo([
+      'Example Bank',
+      'Account number: ****-1234',
+      'Statement period 12/15/2025 - 01/14/2026',
+      'Opening balance $1,000.00',
+      'Closing balance 250.00 DR'
+    ], '.');
+
+    expect(info).toEqual({
+      periodStart: '2025-12-15',
+      periodEnd: '2026-01-14',
+      openingBalance: 1000,
+      closingBalance: -250,
+      accountNumber: '1234'
+    });
+  });
+
+  test('gives a year-less period start the year before a January end', () => {
+    const info = extractStatementInfo(['For Dec 15 to Jan 14, 2026'], '.');
+
+    expect(info.periodStart).toBe('2025-12-15');
+    expect(info.periodEnd).toBe('2026-01-14');
+  });
+
+  test('leaves the period empty without an end year', () => {
+    const info = extractStatementInfo(['For Dec 15 to Jan 14'], '.');
+
+    expect(info.periodStart).toBeNull();
+    expect(info.periodEnd).toBeNull();
+  });
+});
+
+describe('buildTransactions', () => {
+  const context = {
+    profile: null,
+    period: { start: '2026-01-01', end: '2026-01-31' },
+    decimalSeparator: '.',
+    openingBalance: 1000,
+    fileName: 'statement.pdf'
+  };
+
+  test('signs unsigned amounts by the running balance', () => {
+    const { transactions, errors } = buildTransactions([
+      row(1, { month: 1, day: 3, year: null }, 'Grocer', { amount: '50.00', balance: '950.00' }),
+      row(2, { month: 1, day: 4, year: null }, 'Payroll', { amount: '200.00', balance: '1,150.00' })
+    ], context);
+
+    expect(errors).toEqual([]);
+    expect(transactions.map(tx => [tx.date, tx.amount, tx.type])).toEqual([
+      ['2026-01-03', 50, 'expense'],
+      ['2026-01-04', 200, 'income']
+    ]);
+  });
+
+  test('falls back to the amount sign when the balance does not match', () => {
+    const { transactions } = buildTransactions([
+      row(1, { month: 1, day: 3, year: null }, 'Refund', { amount: '50.00', balance: '900.00' })
+    ], context);
+
+    expect(transactions[0].type).toBe('income');
+  });
+
+  test('debit and credit columns and CR/DR markers decide over the balance', () => {
+    const { transactions } = buildTransactions([
+      row(1, { month: 1, day: 3, year: null }, 'Card payment', { debit: '20.00', balance: '1,020.00' }),
+      row(2, { month: 1, day: 4, year: null }, 'Deposit', { credit: '30.00' }),
+      row(3, { month: 1, day: 5, year: null }, 'Fee', { amount: '5.00 DR' })
+    ], context);
+
+    expect(transactions.map(tx => tx.type)).toEqual(['expense', 'income', 'expense']);
+  });
+
+  test('reports rows without an amount or description', () => {
+    const { transactions, errors } = buildTransactions([
+      row(7, { month: 1, day: 3, year: null }, 'Nothing', {}),
+      row(8, { month: 1, day: 3, year: null }, '', { amount: '5.00' })
+    ], context);
+
+    expect(transactions).toEqual([]);
+    expect(errors).toEqual([
+      { row: 'page 1, line 7', message: 'No amount found' },
+      { row: 'page 1, line 8', message: 'Description is empty' }
+    ]);
+  });
+});
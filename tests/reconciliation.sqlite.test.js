@@ -0,0 +1,147 @@
+/**
+ * Statement reconciliation and reconciled-period locking against an
+ * in-process SQLite database, through the account and transaction endpoints
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+// Reconciling needs no AI; the OpenAI service module also does not parse
+// under jest's Babel transform (it declares isRateLimited twice)
+jest.mock('../src/server/services/openai', () => ({
+  isAvailable: () => false,
+  isOpenAIConfigured: () => false,
+  isRateLimited: () => true
+}));
+
+const express = require('express');
+const { initDB } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const { findBalanceBreaks } = require('../src/server/services/reconciliation');
+const accountRoutes = require('../src/server/routes/accounts');
+const transactionRoutes = require('../src/server/routes/transactions.sequelize');
+
+const WALLET_ID = '6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10';
+
+let sequelize;
+let server;
+let baseUrl;
+const ids = {};
+
+// Every request acts on WALLET_ID, as the auth middleware would arrange
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => runInWalletScope(WALLET_ID, next));
+  app.use('/api/accounts', accountRoutes);
+  app.use('/api/transactions', transactionRoutes);
+  return app;
+};
+
+const request = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await response.text();
+  return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+const seed = () => runInWalletScope(WALLET_ID, async () => {
+  const { Account, Transaction } = sequelize.models;
+
+  ids.checking = (await Account.create({ name: 'Checking', type: 'bank', openingBalance: 1000, openingBalanceDate: '2026-01-01' })).id;
+  ids.card = (await Account.create({ name: 'Visa', type: 'credit_card' })).id;
+
+  const [payroll, rent] = await Transaction.bulkCreate([
+    { date: '2026-01-05', description: 'Payroll', amount: 2000, type: 'income', accountId: ids.checking, balance: 3000 },
+    { date: '2026-01-10', description: 'Rent', amount: 1200, type: 'expense', accountId: ids.checking, balance: 1800 },
+    { date: '2026-02-03', description: 'Groceries', amount: 80, type: 'expense', accountId: ids.checking },
+    { date: '2026-01-12', description: 'Dinner', amount: 60, type: 'expense', accountId: ids.card }
+  ]);
+  ids.payroll = payroll.id;
+  ids.rent = rent.id;
+});
+
+beforeAll(async () => {
+  // initDB reports its progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sequelize = await initDB();
+  await seed();
+
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+afterAll(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('findBalanceBreaks', () => {
+  test('reports rows whose running balance does not follow, in either same-day order', () => {
+    const breaks = findBalanceBreaks([
+      { id: 1, date: '2026-01-01', amount: 100, type: 'income', balance: 100 },
+      // Listed newest first on the statement
+      { id: 2, date: '2026-01-02', amount: 10, type: 'expense', balance: 80 },
+      { id: 3, date: '2026-01-02', amount: 10, type: 'expense', balance: 90 },
+      { id: 4, date: '2026-01-03', amount: 5, type: 'expense', balance: 70 }
+    ]);
+
+    expect(breaks).toHaveLength(1);
+    expect(breaks[0]).toMatchObject({ expectedBalance: 75, importedBalance: 70, difference: -5 });
+    expect(breaks[0].transaction.id).toBe(4);
+  });
+});
+
+describe('reconciliation on SQLite', () => {
+  test('compares the statement with the computed balance', async () => {
+    const { status, body } = await request('POST', `/accounts/${ids.checking}/reconcile`, { statementDate: '2026-01-31', statementBalance: 1800 });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ periodStart: '2026-01-01', computedBalance: 1800, difference: 0, transactionCount: 2, balanceBreaks: [] });
+
+    // Card statements show what is owed
+    const card = await request('POST', `/accounts/${ids.card}/reconcile`, { statementDate: '2026-01-31', statementBalance: 60 });
+    expect(card.body).toMatchObject({ computedBalance: 60, difference: 0 });
+  });
+
+  test('a mismatch is only locked in when accepted', async () => {
+    const refused = await request('POST', `/accounts/${ids.card}/reconciliations`, { statementDate: '2026-01-31', statementBalance: 65 });
+    expect(refused.status).toBe(400);
+    expect(refused.body.difference).toBe(5);
+
+    const accepted = await request('POST', `/accounts/${ids.card}/reconciliations`, {
+      statementDate: '2026-01-31',
+      statementBalance: 65,
+      acceptDifference: 'true'
+    });
+    expect(accepted.status).toBe(201);
+  });
+
+  test('a reconciled period refuses balance changes until confirmed', async () => {
+    const locked = await request('POST', `/accounts/${ids.checking}/reconciliations`, { statementDate: '2026-01-31', statementBalance: 1800 });
+    expect(locked.status).toBe(201);
+
+    const changed = await request('PUT', `/transactions/${ids.rent}`, { amount: 1250 });
+    expect(changed.status).toBe(409);
+    expect(changed.body.reconciliation.id).toBe(locked.body.id);
+
+    // Moving a later transaction into the period is a change to it too
+    const groceries = await runInWalletScope(WALLET_ID, () => sequelize.models.Transaction.findOne({ where: { description: 'Groceries' } }));
+    expect((await request('PUT', `/transactions/${groceries.id}`, { date: '2026-01-20' })).status).toBe(409);
+    expect((await request('DELETE', `/transactions/${ids.payroll}`)).status).toBe(409);
+
+    // Fields that leave the balance alone can still be edited
+    expect((await request('PUT', `/transactions/${ids.rent}`, { notes: 'January rent' })).status).toBe(200);
+    expect((await request('PUT', `/transactions/${ids.rent}`, { amount: 1250, confirmReconciled: true })).status).toBe(200);
+  });
+
+  test('undoing a reconciliation unlocks its period', async () => {
+    const [reconciliation] = (await request('GET', `/accounts/${ids.checking}/reconciliations`)).body;
+
+    expect((await request('DELETE', `/accounts/${ids.checking}/reconciliations/${reconciliation.id}`)).status).toBe(204);
+    expect((await request('PUT', `/transactions/${ids.rent}`, { amount: 1200 })).status).toBe(200);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Recurring transaction and subscription detection, and saving the series
+ * found against an in-process SQLite database
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const { initDB } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const {
+  addCadence,
+  getSeriesStatus,
+  monthlyEquivalent,
+  findRecurringSeries,
+  detectRecurring
+} = require('../src/server/services/recurringDetection');
+
+const WALLET_ID = '6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10';
+
+let sequelize;
+let nextId = 1;
+
+const charge = (date, description, amount, fields = {}) => ({ id: nextId++, date, description, amount, type: 'expense', ...fields });
+
+// Netflix monthly with a price rise, a weekly class, and irregular coffee
+const history = () => [
+  charge('2026-01-15', 'NETFLIX.COM 8472', 15.49),
+  charge('2026-02-15', 'NETFLIX.COM 9913', 15.49),
+  charge('2026-03-16', 'NETFLIX.COM 1207', 17.99),
+  charge('2026-04-15', 'NETFLIX.COM 5521', 17.99),
+  charge('2026-03-02', 'Yoga class', 20),
+  charge('2026-03-09', 'Yoga class', 20),
+  charge('2026-03-16', 'Yoga class', 20),
+  charge('2026-01-03', 'Coffee', 4),
+  charge('2026-01-04', 'Coffee', 5),
+  charge('2026-02-20', 'Coffee', 4)
+];
+
+beforeAll(async () => {
+  // initDB reports its progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sequelize = await initDB();
+});
+
+afterAll(async () => {
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('recurring series', () => {
+  test('are found by merchant and cadence, ignoring reference numbers', () => {
+    const series = findRecurringSeries(history(), { referenceDate: new Date('2026-04-20T00:00:00Z') });
+    const byName = Object.fromEntries(series.map(item => [item.merchantKey, item]));
+
+    expect(Object.keys(byName).sort()).toEqual(['netflix com', 'yoga class']);
+    expect(byName['netflix com']).toMatchObject({
+      cadence: 'monthly',
+      expectedAmount: 17.99,
+      nextExpectedDate: '2026-05-15',
+      transactionCount: 4,
+      status: 'active',
+      priceChanges: [{ date: '2026-03-16', previousAmount: 15.49, newAmount: 17.99 }]
+    });
+    expect(byName['yoga class']).toMatchObject({ cadence: 'weekly', nextExpectedDate: '2026-03-23' });
+  });
+
+  test('are missed once a charge is later than the grace period', () => {
+    const series = { cadence: 'weekly', nextExpectedDate: '2026-03-23' };
+
+    expect(getSeriesStatus(series, new Date('2026-03-26T00:00:00Z'))).toEqual({ status: 'active', daysOverdue: 3 });
+    expect(getSeriesStatus(series, new Date('2026-03-27T00:00:00Z'))).toEqual({ status: 'missed', daysOverdue: 4 });
+    expect(getSeriesStatus({ ...series, status: 'ignored' }, new Date('2026-06-01T00:00:00Z')).status).toBe('ignored');
+  });
+
+  test('monthly dates clamp to short months and costs convert to a month', () => {
+    expect(addCadence('2026-01-31', 'monthly')).toBe('2026-02-28');
+    expect(addCadence('2026-11-30', 'quarterly')).toBe('2027-02-28');
+    expect(monthlyEquivalent({ cadence: 'weekly', expectedAmount: 20 })).toBe(86.86);
+  });
+});
+
+describe('recurring detection on SQLite', () => {
+  test('saves series, marks their transactions and leaves ignored series alone', () => runInWalletScope(WALLET_ID, async () => {
+    const { Transaction, RecurringSeries } = sequelize.models;
+    await Transaction.bulkCreate(history().map(({ id, ...fields }) => fields));
+    const referenceDate = new Date('2026-04-20T00:00:00Z');
+
+    const detected = await detectRecurring(sequelize, { referenceDate });
+
+    expect(detected).toHaveLength(2);
+    expect(await RecurringSeries.count()).toBe(2);
+    expect(await Transaction.count({ where: { isRecurring: true } })).toBe(7);
+
+    const yoga = await RecurringSeries.findOne({ where: { merchantKey: 'yoga class' } });
+    await yoga.update({ status: 'ignored' });
+    await Transaction.create({ date: '2026-03-23', description: 'Yoga class', amount: 20, type: 'expense' });
+
+    const again = await detectRecurring(sequelize, { referenceDate });
+    expect(again.find(item => item.merchantKey === 'yoga class').status).toBe('ignored');
+    await yoga.reload();
+    expect(yoga.transactionCount).toBe(3);
+  }));
+});
@@ -0,0 +1,236 @@
+/**
+ * Report endpoints against an in-process SQLite database, to keep the raw
+ * report SQL working on the SQLite fallback as well as on PostgreSQL
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const express = require('express');
+const { QueryTypes } = require('sequelize');
+const { initDB, createDefaultCategories } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const { jsonTextSql, monthSql } = require('../src/server/db/sqlDialect');
+const reportRoutes = require('../src/server/routes/reports.sequelize');
+
+const WALLET_ID = '6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10';
+const OTHER_WALLET_ID = '0b7e4d6a-2c11-4b0e-8e0f-5d6c9a1e7f22';
+
+let sequelize;
+let server;
+let baseUrl;
+const ids = {};
+
+// Every request acts on WALLET_ID, as the auth middleware would arrange
+const createApp = () => {
+  const app = express();
+  app.use((req, res, next) => runInWalletScope(WALLET_ID, next));
+  app.use('/api/reports', reportRoutes);
+  return app;
+};
+
+const getJson = async (path) => {
+  const response = await fetch(`${baseUrl}${path}`);
+  return { status: response.status, body: await response.json() };
+};
+
+const seed = () => runInWalletScope(WALLET_ID, async () => {
+  const { Category, Account, Merchant, Transaction, TransactionSplit, ExchangeRate, Upload } = sequelize.models;
+
+  await createDefaultCategories(WALLET_ID);
+  const categoryId = async (name) => (await Category.findOne({ where: { name } })).id;
+  ids.salary = await categoryId('Salary');
+  ids.food = await categoryId('Food');
+  ids.housing = await categoryId('Housing');
+
+  ids.checking = (await Account.create({ name: 'Checking', type: 'bank', currency: 'USD' })).id;
+  ids.grocer = (await Merchant.create({ name: 'Green Grocer', key: 'green grocer' })).id;
+
+  await Transaction.bulkCreate([
+    { date: '2026-01-10', description: 'Payroll', amount: 1000, type: 'income', categoryId: ids.salary, accountId: ids.checking, tags: ['work'] },
+    { date: '2026-01-12', description: 'GREEN GROCER #12', amount: 100, type: 'expense', categoryId: ids.food, merchant: 'GREEN GROCER #12', merchantId: ids.grocer, tags: ['home', 'weekly'] },
+    { date: '2026-02-03', description: 'Cafe in Paris', amount: 50, currency: 'EUR', type: 'expense', categoryId: ids.food, merchant: 'Cafe', tags: ['trip'] },
+    { date: '2026-02-05', description: 'Rent', amount: 500, type: 'expense', categoryId: ids.housing, accountId: ids.checking, tags: ['home'] },
+    { date: '2026-02-07', description: 'Cafe', amount: 20, type: 'expense', merchant: 'Cafe' },
+    { date: '2026-02-08', description: 'Move to savings', amount: 300, type: 'transfer', transferDirection: 'outflow', accountId: ids.checking }
+  ]);
+
+  const split = await Transaction.create({ date: '2026-02-10', description: 'Market', amount: 60, type: 'expense' });
+  await TransactionSplit.bulkCreate([
+    { transactionId: split.id, categoryId: ids.food, amount: 40 },
+    { transactionId: split.id, categoryId: ids.housing, amount: 20 }
+  ]);
+
+  // 1 USD = 0.8 EUR before February, 0.5 EUR from February on; converting
+  // EUR uses the inverse of the latest rate on or before the date
+  await ExchangeRate.bulkCreate([
+    { date: '2025-12-01', fromCurrency: 'USD', toCurrency: 'EUR', rate: 0.8, source: 'manual' },
+    { date: '2026-02-01', fromCurrency: 'USD', toCurrency: 'EUR', rate: 0.5, source: 'manual' }
+  ]);
+
+  await Upload.create({
+    filename: 'statement.pdf',
+    originalFilename: 'statement.pdf',
+    fileType: 'pdf',
+    fileSize: 1024,
+    metadata: { statement: { accountNumber: '****1234', institution: 'Test Bank' } }
+  });
+
+  // Another wallet's spending never shows up in WALLET_ID's reports
+  await Transaction.create({
+    date: '2026-02-05', description: 'Other wallet', amount: 999, type: 'expense', walletId: OTHER_WALLET_ID, tags: ['home']
+  });
+
+  // Nor do its exchange rates change WALLET_ID's conversions
+  await ExchangeRate.create({
+    date: '2026-02-02', fromCurrency: 'USD', toCurrency: 'EUR', rate: 0.25, source: 'manual', walletId: OTHER_WALLET_ID
+  });
+});
+
+beforeAll(async () => {
+  // initDB reports its progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sequelize = await initDB();
+  await seed();
+
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/reports`;
+});
+
+afterAll(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('report endpoints on SQLite', () => {
+  test('income-vs-expenses converts foreign currency and skips transfers', async () => {
+    const { status, body } = await getJson('/income-vs-expenses');
+
+    expect(status).toBe(200);
+    expect(body.baseCurrency).toBe('USD');
+    expect(body.income).toBe(1000);
+    // 100 + 50 EUR / 0.5 + 500 + 20 + 60
+    expect(body.expenses).toBe(780);
+    expect(body.net).toBe(220);
+
+    const eur = body.currencies.find(item => item.currency === 'EUR');
+    expect(eur).toMatchObject({ originalTotal: 50, convertedTotal: 100, missingRateCount: 0 });
+  });
+
+  test('monthly-totals buckets allocations by month', async () => {
+    const { status, body } = await getJson('/monthly-totals');
+
+    expect(status).toBe(200);
+    expect(body.map(month => month.month)).toEqual(['2026-01', '2026-02']);
+    expect(body[0]).toMatchObject({ income: 1000, expense: 100, net: 900 });
+    expect(body[1]).toMatchObject({ income: 0, expense: 680 });
+  });
+
+  test('by-category spreads split transactions over their categories', async () => {
+    const { status, body } = await getJson('/by-category');
+
+    expect(status).toBe(200);
+    const food = body.categories.find(category => category.id === ids.food);
+    const housing = body.categories.find(category => category.id === ids.housing);
+    expect(food).toMatchObject({ transactionCount: 3, totalAmount: 240 });
+    expect(housing).toMatchObject({ transactionCount: 2, totalAmount: 520 });
+  });
+
+  test('top-merchants groups by canonical merchant name', async () => {
+    const { status, body } = await getJson('/top-merchants?limit=5');
+
+    expect(status).toBe(200);
+    expect(body.map(merchant => merchant.merchant)).toEqual(['Cafe', 'Green Grocer']);
+    expect(body[0]).toMatchObject({ count: 2, total: 120 });
+    expect(body[1]).toMatchObject({ merchantId: ids.grocer, count: 1, total: 100 });
+  });
+
+  test('categorization-status counts the wallet\'s transactions', async () => {
+    const { status, body } = await getJson('/categorization-status');
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ total: 7, categorized: 4, uncategorized: 3 });
+  });
+
+  test('spending-trends returns one series per expense category', async () => {
+    const { status, body } = await getJson('/spending-trends?from=2026-01-01&to=2026-02-28');
+
+    expect(status).toBe(200);
+    expect(body.labels).toEqual(['2026-01', '2026-02']);
+    const food = body.datasets.find(dataset => dataset.categoryId === ids.food);
+    expect(food.data).toEqual([100, 140]);
+  });
+
+  test('dashboard combines the reports for a period', async () => {
+    const { status, body } = await getJson('/dashboard?from=2026-02-01&to=2026-02-28');
+
+    expect(status).toBe(200);
+    expect(body.incomeVsExpenses).toMatchObject({ income: 0, expenses: 680 });
+    expect(body.categorization.total).toBe(5);
+    expect(body.recentTransactions[0].date).toBe('2026-02-10');
+  });
+});
+
+describe('report filters on SQLite', () => {
+  test('tags match any of the given tags by default', async () => {
+    const { body } = await getJson('/income-vs-expenses?tags=home,trip');
+
+    expect(body.expenses).toBe(700);
+  });
+
+  test('tags can be required all at once', async () => {
+    const { body } = await getJson('/income-vs-expenses?tags=home,weekly&tagsMode=all');
+
+    expect(body.expenses).toBe(100);
+  });
+
+  test('tag filters also apply to model queries', async () => {
+    const { body } = await getJson('/dashboard?tags=home');
+
+    expect(body.categorization.total).toBe(2);
+    expect(body.recentTransactions.map(tx => tx.description)).toEqual(['Rent', 'GREEN GROCER #12']);
+  });
+
+  test('account filter limits the report to one account', async () => {
+    const { body } = await getJson(`/income-vs-expenses?accountId=${ids.checking}`);
+
+    expect(body).toMatchObject({ income: 1000, expenses: 500 });
+  });
+
+  test('comparison reports the change against the previous period', async () => {
+    const { body } = await getJson('/income-vs-expenses?from=2026-02-01&to=2026-02-28&compare=previous');
+
+    expect(body.period.comparison).toEqual({ from: '2026-01-01', to: '2026-01-31' });
+    expect(body.comparison.expenses).toMatchObject({ previous: 100, change: 580 });
+  });
+
+  test('invalid periods are rejected', async () => {
+    const { status, body } = await getJson('/income-vs-expenses?period=next-decade');
+
+    expect(status).toBe(400);
+    expect(body.error).toBe('Validation error');
+  });
+});
+
+describe('SQL dialect helpers on SQLite', () => {
+  test('jsonTextSql reads nested JSON fields', async () => {
+    const [row] = await sequelize.query(`
+      SELECT
+        ${jsonTextSql(sequelize, 'metadata', 'statement.accountNumber')} AS account_number,
+        ${jsonTextSql(sequelize, 'metadata', ['statement', 'closingBalance'])} AS closing_balance
+      FROM uploads
+    `, { type: QueryTypes.SELECT });
+
+    expect(row).toEqual({ account_number: '****1234', closing_balance: null });
+  });
+
+  test('jsonTextSql rejects unsafe path segments', () => {
+    expect(() => jsonTextSql(sequelize, 'metadata', "a') OR 1=1 --")).toThrow('Invalid JSON path segment');
+  });
+
+  test('monthSql formats dates as YYYY-MM', async () => {
+    const [row] = await sequelize.query(`SELECT ${monthSql(sequelize, "'2026-03-15'")} AS month`, { type: QueryTypes.SELECT });
+
+    expect(row.month).toBe('2026-03');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Categorization rules: validation and matching, and applying the active
+ * rules in priority order against an in-process SQLite database
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+const { initDB } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const { validateRule, matchesRule, evaluateRules, applyRulesToRows } = require('../src/server/services/rulesEngine');
+
+const WALLET_ID = '6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10';
+const GROCERIES_ID = '8a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c01';
+const COFFEE_ID = '8a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c02';
+
+let sequelize;
+
+beforeAll(async () => {
+  // initDB reports its progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sequelize = await initDB();
+});
+
+afterAll(async () => {
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('validateRule', () => {
+  test('reports bad conditions and missing actions', () => {
+    const errors = validateRule({
+      conditions: [
+        { field: 'description', operator: 'gt', value: 'x' },
+        { field: 'description', operator: 'regex', value: '(' },
+        { field: 'amount', operator: 'between', value: 10 },
+        { field: 'date', operator: 'equals', value: '2026-01-01' }
+      ],
+      actions: {}
+    });
+
+    expect(errors.map(error => error.field)).toEqual(['conditions[0]', 'conditions[1]', 'conditions[2]', 'conditions[3]', 'actions']);
+    expect(validateRule({ conditions: [{ field: 'amount', operator: 'lt', value: '5' }], actions: { needsReview: false } })).toEqual([]);
+  });
+});
+
+describe('matchesRule', () => {
+  const coffee = { description: 'SQ *BLUE BOTTLE 1234', amount: -4.5, type: 'expense' };
+
+  test('compares text case-insensitively and amounts by size', () => {
+    expect(matchesRule({ conditions: [{ field: 'description', operator: 'contains', value: 'blue bottle' }] }, coffee)).toBe(true);
+    expect(matchesRule({ conditions: [{ field: 'description', operator: 'regex', value: '^sq \\*' }] }, coffee)).toBe(true);
+    expect(matchesRule({ conditions: [{ field: 'amount', operator: 'between', value: 5, value2: 3 }] }, coffee)).toBe(true);
+  });
+
+  test('needs every condition unless matchType is any', () => {
+    const conditions = [
+      { field: 'description', operator: 'startsWith', value: 'sq' },
+      { field: 'amount', operator: 'gt', value: 10 }
+    ];
+
+    expect(matchesRule({ conditions }, coffee)).toBe(false);
+    expect(matchesRule({ conditions, matchType: 'any' }, coffee)).toBe(true);
+    expect(matchesRule({ conditions: [] }, coffee)).toBe(false);
+  });
+});
+
+describe('evaluateRules', () => {
+  const coffee = { description: 'SQ *BLUE BOTTLE 1234', amount: -4.5, type: 'expense' };
+
+  test('the first matching rule wins and tags are merged', () => {
+    const rules = [
+      { id: 'first', conditions: [{ field: 'description', operator: 'contains', value: 'bottle' }], actions: { tags: ['coffee'] } },
+      { id: 'second', conditions: [{ field: 'description', operator: 'contains', value: 'blue' }], actions: { categoryId: COFFEE_ID } }
+    ];
+
+    const match = evaluateRules(rules, { ...coffee, tags: ['work'] });
+    expect(match.rule.id).toBe('first');
+    expect(match.updates).toEqual({ tags: ['work', 'coffee'] });
+  });
+});
+
+describe('rules on SQLite', () => {
+  test('apply the active rules in priority order', () => runInWalletScope(WALLET_ID, async () => {
+    const { Rule } = sequelize.models;
+    await Rule.bulkCreate([
+      {
+        name: 'Everything from the grocer',
+        priority: 50,
+        conditions: [{ field: 'description', operator: 'contains', value: 'grocer' }],
+        actions: { categoryId: GROCERIES_ID, merchant: 'Green Grocer' }
+      },
+      {
+        name: 'Small grocer runs are coffee',
+        priority: 10,
+        conditions: [
+          { field: 'description', operator: 'contains', value: 'grocer' },
+          { field: 'amount', operator: 'lt', value: 5 }
+        ],
+        actions: { categoryId: COFFEE_ID }
+      },
+      {
+        name: 'Disabled',
+        priority: 1,
+        isActive: false,
+        conditions: [{ field: 'description', operator: 'contains', value: 'grocer' }],
+        actions: { needsReview: true }
+      }
+    ]);
+
+    const rows = await applyRulesToRows([
+      { description: 'GREEN GROCER #12', amount: 64, type: 'expense' },
+      { description: 'GREEN GROCER #12', amount: 3, type: 'expense' },
+      { description: 'Rent', amount: 900, type: 'expense' }
+    ], Rule);
+
+    expect(rows[0]).toMatchObject({ categoryId: GROCERIES_ID, merchant: 'Green Grocer', categoryConfidence: 1 });
+    expect(rows[1]).toMatchObject({ categoryId: COFFEE_ID });
+    expect(rows[1].needsReview).toBeUndefined();
+    expect(rows[2]).toEqual({ description: 'Rent', amount: 900, type: 'expense' });
+  }));
+});
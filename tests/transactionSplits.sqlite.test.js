@@ -0,0 +1,117 @@
+/**
+ * Split transactions: validating allocations, and replacing them through
+ * the transaction endpoints against an in-process SQLite database
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+// Splitting needs no AI; the OpenAI service module also does not parse under
+// jest's Babel transform (it declares isRateLimited twice)
+jest.mock('../src/server/services/openai', () => ({
+  isAvailable: () => false,
+  isOpenAIConfigured: () => false,
+  isRateLimited: () => true
+}));
+
+const express = require('express');
+const { initDB } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const { validateSplits } = require('../src/server/services/transactionSplits');
+const transactionRoutes = require('../src/server/routes/transactions.sequelize');
+
+const WALLET_ID = '6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10';
+
+let sequelize;
+let server;
+let baseUrl;
+const ids = {};
+
+// Every request acts on WALLET_ID, as the auth middleware would arrange
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => runInWalletScope(WALLET_ID, next));
+  app.use('/api/transactions', transactionRoutes);
+  return app;
+};
+
+const request = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const seed = () => runInWalletScope(WALLET_ID, async () => {
+  const { Category, Transaction } = sequelize.models;
+
+  ids.food = (await Category.create({ name: 'Food', type: 'expense' })).id;
+  ids.household = (await Category.create({ name: 'Household', type: 'expense' })).id;
+  ids.market = (await Transaction.create({ date: '2026-02-10', description: 'Superstore', amount: 90, type: 'expense', categoryId: ids.food })).id;
+  await Transaction.create({ date: '2026-02-11', description: 'Hardware', amount: 15, type: 'expense', categoryId: ids.household });
+});
+
+beforeAll(async () => {
+  // initDB reports its progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sequelize = await initDB();
+  await seed();
+
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/transactions`;
+});
+
+afterAll(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('validateSplits', () => {
+  test('needs two positive splits adding up to the amount', () => {
+    expect(validateSplits(-90, [{ categoryId: 'a', amount: 60 }, { categoryId: 'b', amount: '30.00' }])).toEqual([]);
+    expect(validateSplits(90, [{ categoryId: 'a', amount: 90 }])).toEqual([
+      { field: 'splits', message: 'At least two splits are required' }
+    ]);
+    expect(validateSplits(90, [{ amount: 60 }, { categoryId: 'b', amount: -30 }]).map(error => error.field))
+      .toEqual(['splits[0].categoryId', 'splits[1].amount']);
+    expect(validateSplits(90, [{ categoryId: 'a', amount: 60 }, { categoryId: 'b', amount: 20 }])[0].message)
+      .toBe('Splits total 80.00 but the transaction amount is 90.00');
+  });
+});
+
+describe('splits on SQLite', () => {
+  test('are saved with the transaction and match category filters', async () => {
+    const { status, body } = await request('PUT', `/${ids.market}`, {
+      splits: [
+        { categoryId: ids.food, amount: 60 },
+        { categoryId: ids.household, amount: 30, notes: 'Detergent' }
+      ]
+    });
+
+    expect(status).toBe(200);
+    expect(body.splits.map(split => parseFloat(split.amount))).toEqual([60, 30]);
+
+    const household = await request('GET', `/?categoryId=${ids.household}`);
+    expect(household.body.map(transaction => transaction.description).sort()).toEqual(['Hardware', 'Superstore']);
+  });
+
+  test('an amount change needs new splits, and an empty list unsplits', async () => {
+    const refused = await request('PUT', `/${ids.market}`, { amount: 100 });
+    expect(refused.status).toBe(400);
+    expect(refused.body.details[0].field).toBe('splits');
+
+    const wrongTotal = await request('PUT', `/${ids.market}`, {
+      amount: 100,
+      splits: [{ categoryId: ids.food, amount: 60 }, { categoryId: ids.household, amount: 30 }]
+    });
+    expect(wrongTotal.status).toBe(400);
+
+    const unsplit = await request('PUT', `/${ids.market}`, { amount: 100, splits: [] });
+    expect(unsplit.status).toBe(200);
+    expect(unsplit.body.splits).toEqual([]);
+    expect(await runInWalletScope(WALLET_ID, () => sequelize.models.TransactionSplit.count())).toBe(0);
+  });
+});
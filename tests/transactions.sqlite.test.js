@@ -0,0 +1,262 @@
+/**
+ * Transaction list filters (search, tags, account, dates, amounts), sorting
+ * and pagination against an in-process SQLite database, through the list,
+ * export and bulk edit endpoints that share them
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+// The filters need no AI; the OpenAI service module also does not parse under
+// jest's Babel transform (it declares isRateLimited twice)
+jest.mock('../src/server/services/openai', () => ({
+  isAvailable: () => false,
+  isOpenAIConfigured: () => false,
+  isRateLimited: () => true
+}));
+
+const express = require('express');
+const { initDB } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const transactionRoutes = require('../src/server/routes/transactions.sequelize');
+
+const WALLET_ID = '6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10';
+
+let sequelize;
+let server;
+let baseUrl;
+const ids = {};
+
+// Every request acts on WALLET_ID, as the auth middleware would arrange
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => runInWalletScope(WALLET_ID, next));
+  app.use('/api/transactions', transactionRoutes);
+  return app;
+};
+
+const getJson = async (path) => {
+  const response = await fetch(`${baseUrl}${path}`);
+  return { status: response.status, body: await response.json() };
+};
+
+const descriptions = (transactions) => transactions.map(transaction => transaction.description).sort();
+
+const patchBulk = async (body) => {
+  const response = await fetch(`${baseUrl}/bulk`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const transactionNamed = (description) => runInWalletScope(WALLET_ID, () => sequelize.models.Transaction.findOne({ where: { description } }));
+
+const seed = () => runInWalletScope(WALLET_ID, async () => {
+  const { Transaction, Account, Category } = sequelize.models;
+
+  ids.food = (await Category.create({ name: 'Food', type: 'expense' })).id;
+  ids.groceries = (await Category.create({ name: 'Groceries', type: 'expense', parentId: ids.food })).id;
+  ids.travel = (await Category.create({ name: 'Travel', type: 'expense' })).id;
+  ids.salary = (await Category.create({ name: 'Salary', type: 'income' })).id;
+
+  await Transaction.bulkCreate([
+    { date: '2026-01-10', description: 'Payroll', amount: 1000, type: 'income', account: 'Checking', tags: ['work'] },
+    { date: '2026-01-12', description: 'GREEN GROCER #12', amount: 100, type: 'expense', account: 'Visa', merchant: 'Green Grocer', tags: ['home', 'weekly'] },
+    { date: '2026-01-15', description: 'Coffee', amount: 5, type: 'expense', account: 'Visa', merchant: 'Blue Bottle', tags: ['weekly'] },
+    { date: '2026-01-20', description: '100% cotton shirt', amount: 30, type: 'expense', account: 'Checking_2', tags: [] },
+    { date: '2026-01-21', description: '=1+2', amount: 12, type: 'expense', account: 'Cash', merchant: '@sum', notes: '+notes' }
+  ]);
+
+  // A linked account whose rows carry a stale or no statement account name
+  const savings = await Account.create({ name: 'Savings', type: 'bank', currency: 'USD' });
+  await Transaction.bulkCreate([
+    { date: '2026-01-05', description: 'Interest', amount: 2, type: 'income', accountId: savings.id, account: 'Zeta Savings' },
+    { date: '2026-01-25', description: 'Deposit', amount: 50, type: 'income', accountId: savings.id }
+  ]);
+});
+
+beforeAll(async () => {
+  // initDB reports its progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  sequelize = await initDB();
+  await seed();
+
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/transactions`;
+});
+
+afterAll(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('transaction filters on SQLite', () => {
+  test('search matches description or merchant regardless of case', async () => {
+    const { status, body } = await getJson('/?search=green');
+
+    expect(status).toBe(200);
+    expect(descriptions(body)).toEqual(['GREEN GROCER #12']);
+    expect(descriptions((await getJson('/?search=bottle')).body)).toEqual(['Coffee']);
+  });
+
+  test('search treats % and _ literally', async () => {
+    expect(descriptions((await getJson('/?search=100%25')).body)).toEqual(['100% cotton shirt']);
+    expect(descriptions((await getJson('/?search=10_')).body)).toEqual([]);
+  });
+
+  test('tags match any tag, or all of them with tagsMode=all', async () => {
+    expect(descriptions((await getJson('/?tags=home,work')).body)).toEqual(['GREEN GROCER #12', 'Payroll']);
+    expect(descriptions((await getJson('/?tags=home,weekly&tagsMode=all')).body)).toEqual(['GREEN GROCER #12']);
+  });
+
+  test('account matches the whole name regardless of case', async () => {
+    expect(descriptions((await getJson('/?account=visa')).body)).toEqual(['Coffee', 'GREEN GROCER #12']);
+    expect(descriptions((await getJson('/?account=checking')).body)).toEqual(['Payroll']);
+  });
+
+  test('date range, type and amount filters combine', async () => {
+    const { status, body } = await getJson('/?startDate=2026-01-10&endDate=2026-01-20&type=expense&minAmount=10');
+
+    expect(status).toBe(200);
+    expect(descriptions(body)).toEqual(['100% cotton shirt', 'GREEN GROCER #12']);
+  });
+
+  test('pages by offset or page number with the total count', async () => {
+    const response = await fetch(`${baseUrl}/?sort=amount&order=asc&limit=3&offset=0`);
+    const { transactions, pagination } = await response.json();
+
+    expect(response.headers.get('x-total-count')).toBe('7');
+    expect(transactions.map(transaction => transaction.amount)).toEqual([2, 5, 12]);
+    expect(pagination).toMatchObject({ total: 7, limit: 3, offset: 0, sort: 'amount', order: 'asc', hasMore: true });
+
+    const last = (await getJson('/?sort=amount&order=asc&limit=3&page=3')).body;
+    expect(last.transactions.map(transaction => transaction.amount)).toEqual([1000]);
+    expect(last.pagination).toMatchObject({ offset: 6, hasMore: false });
+  });
+
+  test('a cursor walks every page once, newest first', async () => {
+    const seen = [];
+    let cursor = null;
+    for (let pages = 0; pages < 5; pages++) {
+      const { status, body } = await getJson(`/?sort=date&limit=3${cursor ? `&cursor=${cursor}` : ''}`);
+      expect(status).toBe(200);
+      seen.push(...body.transactions.map(transaction => transaction.date));
+      cursor = body.pagination.nextCursor;
+      if (!cursor) break;
+    }
+
+    expect(seen).toEqual(['2026-01-25', '2026-01-21', '2026-01-20', '2026-01-15', '2026-01-12', '2026-01-10', '2026-01-05']);
+  });
+
+  test('rejects unknown sort fields and malformed filters', async () => {
+    expect((await getJson('/?sort=notes')).status).toBe(400);
+    expect((await getJson('/?type=gift')).status).toBe(400);
+    expect((await getJson('/?startDate=01/02/2026')).status).toBe(400);
+
+    const { status, body } = await getJson('/?sort=merchant&cursor=abc');
+    expect(status).toBe(400);
+    expect(body.details.map(detail => detail.field)).toEqual(['cursor']);
+  });
+
+  test('export applies the same filters', async () => {
+    const response = await fetch(`${baseUrl}/export?format=csv&tags=weekly&search=coffee`);
+    const lines = (await response.text()).trim().split('\n');
+
+    expect(response.status).toBe(200);
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain('Coffee');
+  });
+
+  test('CSV export keeps bank text from running as a formula', async () => {
+    const response = await fetch(`${baseUrl}/export?format=csv&account=cash`);
+    const [, line] = (await response.text()).trim().split('\r\n');
+    const cells = line.split(',');
+
+    // Description, Merchant and Amount; the amount stays a plain negative number
+    expect(cells.slice(1, 4)).toEqual(["'=1+2", "'@sum", '-12']);
+    expect(cells[9]).toBe("'+notes");
+  });
+
+  test('OFX export writes one statement per account', async () => {
+    const response = await fetch(`${baseUrl}/export?format=ofx`);
+    const ofx = await response.text();
+
+    expect(response.status).toBe(200);
+    const accounts = [...ofx.matchAll(/<ACCTID>([^<]*)<\/ACCTID>/g)].map(match => match[1]);
+    expect(accounts.sort()).toEqual(['Cash', 'Checking', 'Checking_2', 'Savings', 'Visa']);
+  });
+
+  test('bulk edit selects by filter', async () => {
+    const { status, body } = await patchBulk({ filter: { account: 'visa', tags: 'weekly' }, changes: { needsReview: true }, dryRun: true });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ dryRun: true, matched: 2 });
+  });
+
+  test('bulk edit refuses a filter without conditions', async () => {
+    const { status, body } = await patchBulk({ filter: {}, changes: { needsReview: true } });
+
+    expect(status).toBe(400);
+    expect(body.details).toEqual([{ field: 'filter', message: 'Filter must contain at least one condition' }]);
+  });
+
+  test('bulk edit sets a category and subcategory on the selected ids', async () => {
+    const grocer = await transactionNamed('GREEN GROCER #12');
+    const coffee = await transactionNamed('Coffee');
+
+    const { status, body } = await patchBulk({
+      ids: [grocer.id, coffee.id],
+      changes: { categoryId: ids.food, subcategoryId: ids.groceries, addTags: ['reviewed'] }
+    });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ dryRun: false, matched: 2, updated: 2 });
+    const updated = await transactionNamed('Coffee');
+    expect(updated.subcategoryId).toBe(ids.groceries);
+    expect(updated.tags).toEqual(['weekly', 'reviewed']);
+  });
+
+  test('bulk edit applies changes to a filter selection', async () => {
+    const { status, body } = await patchBulk({ filter: { account: 'checking_2' }, changes: { notes: 'Clothes' } });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ matched: 1, updated: 1 });
+    expect((await transactionNamed('100% cotton shirt')).notes).toBe('Clothes');
+  });
+
+  test('bulk edit checks the category against the transactions', async () => {
+    const payroll = await transactionNamed('Payroll');
+    const coffee = await transactionNamed('Coffee');
+
+    const wrongType = await patchBulk({ ids: [payroll.id, coffee.id], changes: { categoryId: ids.food } });
+    expect(wrongType.status).toBe(400);
+    expect(wrongType.body.details.map(detail => detail.field)).toEqual(['categoryId']);
+
+    const wrongParent = await patchBulk({ ids: [coffee.id], changes: { categoryId: ids.travel, subcategoryId: ids.groceries } });
+    expect(wrongParent.status).toBe(400);
+    expect(wrongParent.body.details.map(detail => detail.field)).toEqual(['subcategoryId']);
+
+    // Coffee is filed under Food, so Groceries fits without a category change;
+    // the cotton shirt has no category for it to sit under
+    const shirt = await transactionNamed('100% cotton shirt');
+    expect((await patchBulk({ ids: [coffee.id], changes: { subcategoryId: ids.groceries } })).status).toBe(200);
+    expect((await patchBulk({ ids: [shirt.id], changes: { subcategoryId: ids.groceries } })).status).toBe(400);
+    expect((await transactionNamed('Coffee')).categoryId).toBe(ids.food);
+  });
+
+  test('a single edit gets the same category checks', async () => {
+    const payroll = await transactionNamed('Payroll');
+    const put = (body) => fetch(`${baseUrl}/${payroll.id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    expect((await put({ categoryId: ids.food })).status).toBe(400);
+    expect((await put({ categoryId: ids.salary, subcategoryId: ids.groceries })).status).toBe(400);
+    expect((await put({ categoryId: ids.salary })).status).toBe(200);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Transfer pairing: which equal-and-opposite transactions count as the two
+ * sides of a transfer
+ */
+const { findTransferPairs } = require('../src/server/services/transferDetection');
+
+const CHECKING = '5b0d1e2f-3a4b-4c5d-8e6f-7a8b9c0d1e01';
+const SAVINGS = '5b0d1e2f-3a4b-4c5d-8e6f-7a8b9c0d1e02';
+const VISA = '5b0d1e2f-3a4b-4c5d-8e6f-7a8b9c0d1e03';
+
+let nextId = 1;
+const tx = (fields) => ({ id: nextId++, date: '2026-03-02', amount: 50, accountType: 'bank', ...fields });
+
+const pairIds = (pairs) => pairs.map(pair => [pair.outflow.description, pair.inflow.description]);
+
+describe('findTransferPairs', () => {
+  test('does not pair an unrelated purchase and deposit in linked accounts', () => {
+    const pairs = findTransferPairs([
+      tx({ type: 'expense', description: 'TARGET 00012345', accountId: CHECKING, account: 'Checking' }),
+      tx({ type: 'income', description: 'Zelle from Bob', accountId: SAVINGS, account: 'Savings', date: '2026-03-03' })
+    ]);
+
+    expect(pairs).toEqual([]);
+  });
+
+  test('matches transfer keywords as whole words only', () => {
+    const pairs = findTransferPairs([
+      tx({ type: 'expense', description: 'Beach Cafe', accountId: CHECKING }),
+      tx({ type: 'income', description: 'Coach refund', accountId: SAVINGS })
+    ]);
+
+    expect(pairs).toEqual([]);
+  });
+
+  test('pairs a transfer named on one side', () => {
+    const pairs = findTransferPairs([
+      tx({ type: 'expense', description: 'Online Transfer to Savings', accountId: CHECKING }),
+      tx({ type: 'income', description: 'Deposit', accountId: SAVINGS, date: '2026-03-03' })
+    ]);
+
+    expect(pairIds(pairs)).toEqual([['Online Transfer to Savings', 'Deposit']]);
+  });
+
+  test('pairs a bank outflow paying into a credit card', () => {
+    const pairs = findTransferPairs([
+      tx({ type: 'expense', description: 'VISA 4411', accountId: CHECKING }),
+      tx({ type: 'income', description: 'Received, thanks', accountId: VISA, accountType: 'credit_card' })
+    ]);
+
+    expect(pairIds(pairs)).toEqual([['VISA 4411', 'Received, thanks']]);
+  });
+
+  test('never pairs within one account or beyond maxDays', () => {
+    expect(findTransferPairs([
+      tx({ type: 'expense', description: 'Transfer out', accountId: CHECKING }),
+      tx({ type: 'income', description: 'Transfer in', accountId: CHECKING })
+    ])).toEqual([]);
+
+    expect(findTransferPairs([
+      tx({ type: 'expense', description: 'ACH debit', account: 'Checking' }),
+      tx({ type: 'income', description: 'ACH credit', account: 'Savings', date: '2026-03-09' })
+    ])).toEqual([]);
+  });
+});
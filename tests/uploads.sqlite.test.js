@@ -0,0 +1,148 @@
+/**
+ * Upload confirm and undo against an in-process SQLite database: a confirm
+ * saves every row or none, and undo removes what the confirm created
+ */
+process.env.DATABASE_URL = 'sqlite::memory:';
+
+// Confirming needs no AI; the OpenAI service module also does not parse under
+// jest's Babel transform (it declares isRateLimited twice)
+jest.mock('../src/server/services/openai', () => ({
+  isAvailable: () => false,
+  isOpenAIConfigured: () => false,
+  isRateLimited: () => true
+}));
+
+const express = require('express');
+const { initDB } = require('../src/server/db/sequelize');
+const { runInWalletScope } = require('../src/server/services/walletScope');
+const uploadRoutes = require('../src/server/routes/uploads');
+
+const WALLET_ID = '6f1c2a53-7d1e-4f55-9b52-0c3b8f2f4a10';
+
+let sequelize;
+let server;
+let baseUrl;
+let checkingId;
+
+// Every request acts on WALLET_ID, as the auth middleware would arrange
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => runInWalletScope(WALLET_ID, next));
+  app.use('/api/uploads', uploadRoutes);
+  return app;
+};
+
+const post = async (path, body = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const inWallet = (fn) => runInWalletScope(WALLET_ID, fn);
+
+// A processed upload waiting for review, with the given rows
+const createUpload = (rows) => inWallet(() => sequelize.models.Upload.create({
+  filename: 'statement.csv',
+  originalFilename: 'statement.csv',
+  fileType: 'text/csv',
+  fileSize: 100,
+  status: 'processed',
+  metadata: { processedTransactions: rows }
+}));
+
+const row = (fields) => ({ date: '2026-02-03', amount: 20, type: 'expense', accountId: checkingId, account: 'Checking', ...fields });
+
+const uploadTransactionCount = (upload) => inWallet(() => sequelize.models.Transaction.count({ where: { uploadId: upload.id } }));
+
+beforeAll(async () => {
+  // initDB and the routes report their progress on the console
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  sequelize = await initDB();
+  checkingId = (await inWallet(() => sequelize.models.Account.create({ name: 'Checking', type: 'bank', currency: 'USD' }))).id;
+
+  server = createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/uploads`;
+});
+
+afterAll(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+  if (sequelize) await sequelize.close();
+  jest.restoreAllMocks();
+});
+
+describe('upload confirm and undo on SQLite', () => {
+  test('an invalid row saves nothing unless skipInvalidRows is set', async () => {
+    const upload = await createUpload([
+      row({ description: 'Bakery' }),
+      row({ description: 'Broken', amount: 'twelve' })
+    ]);
+
+    const rejected = await post(`/${upload.id}/confirm`);
+    expect(rejected.status).toBe(400);
+    expect(rejected.body.rowErrors.map(item => item.index)).toEqual([1]);
+    expect(await uploadTransactionCount(upload)).toBe(0);
+
+    const saved = await post(`/${upload.id}/confirm`, { skipInvalidRows: true });
+    expect(saved.status).toBe(200);
+    expect(saved.body).toMatchObject({ transactionCount: 1, skippedInvalidRows: 1 });
+    expect(await uploadTransactionCount(upload)).toBe(1);
+  });
+
+  test('a failed insert rolls back the batch and keeps the upload in review', async () => {
+    const { Transaction, Batch, Upload } = sequelize.models;
+    const upload = await createUpload([row({ description: 'Hardware store' })]);
+    jest.spyOn(Transaction, 'bulkCreate').mockRejectedValueOnce(new Error('disk full'));
+
+    const { status, body } = await post(`/${upload.id}/confirm`);
+
+    expect(status).toBe(500);
+    expect(body.details).toBe('disk full');
+    expect(await inWallet(() => Batch.count({ where: { uploadId: upload.id } }))).toBe(0);
+    const reloaded = await inWallet(() => Upload.findByPk(upload.id));
+    expect(reloaded.status).toBe('processed');
+    expect(reloaded.metadata.confirmError.message).toBe('disk full');
+  });
+
+  test('undo deletes the transactions and batch and returns the upload to review', async () => {
+    const { Batch, Upload } = sequelize.models;
+    const upload = await createUpload([row({ description: 'Lunch' }), row({ description: 'Dinner', date: '2026-02-04' })]);
+    expect((await post(`/${upload.id}/confirm`)).body.transactionCount).toBe(2);
+
+    const { status, body } = await post(`/${upload.id}/undo`);
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({ deletedTransactions: 2, deletedBatches: 1, status: 'processed' });
+    expect(await uploadTransactionCount(upload)).toBe(0);
+    expect(await inWallet(() => Batch.count({ where: { uploadId: upload.id } }))).toBe(0);
+    expect((await inWallet(() => Upload.findByPk(upload.id))).metadata.confirmation).toBeUndefined();
+  });
+
+  test('undo inside a reconciled period needs confirmReconciled', async () => {
+    const { Reconciliation } = sequelize.models;
+    const upload = await createUpload([row({ description: 'Rent', date: '2026-03-01', amount: 900 })]);
+    await post(`/${upload.id}/confirm`);
+    await inWallet(() => Reconciliation.create({
+      accountId: checkingId,
+      periodStart: '2026-03-01',
+      periodEnd: '2026-03-31',
+      statementBalance: -900,
+      computedBalance: -900
+    }));
+
+    const refused = await post(`/${upload.id}/undo`);
+    expect(refused.status).toBe(409);
+    expect(refused.body.requiresConfirmation).toBe(true);
+    expect(await uploadTransactionCount(upload)).toBe(1);
+
+    // Form posts send the flag as a string
+    const confirmed = await post(`/${upload.id}/undo`, { confirmReconciled: 'true' });
+    expect(confirmed.status).toBe(200);
+    expect(await uploadTransactionCount(upload)).toBe(0);
+  });
+});